@@ -19,10 +19,72 @@ const ROLE_HIERARCHY = {
   'admin': 2
 };
 
+// Error for a token that is refused; logMessage and details are for the log
+const authError = (status, code, message, logMessage, details = {}) => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  error.logMessage = logMessage;
+  error.details = details;
+  return error;
+};
+
+const TOKEN_ERRORS = {
+  TokenExpiredError: ['TOKEN_EXPIRED', 'Token has expired.'],
+  JsonWebTokenError: ['MALFORMED_TOKEN', 'Malformed token.']
+};
+
+// Token from an "Authorization: Bearer TOKEN" header
+const bearerToken = (authHeader) => authHeader && authHeader.split(' ')[1];
+
+/**
+ * Verify a JWT and load its user, who must exist, be active and not be locked.
+ * Used for HTTP requests (authenticateToken) and Socket.IO handshakes (authenticateSocket).
+ * @param {string} token - JWT
+ * @returns {Promise<Object>} The user
+ * @throws {Error} With status, code, logMessage and details when the token is refused
+ */
+const verifyToken = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    const [code, message] = TOKEN_ERRORS[error.name] || ['INVALID_TOKEN', 'Invalid token.'];
+    throw authError(403, code, message, 'Token verification failed', { error: error.message });
+  }
+
+  // Verify user exists and is active
+  const user = await User.findById(decoded.id).select('+loginAttempts +lockUntil');
+
+  if (!user) {
+    throw authError(401, 'USER_NOT_FOUND', 'User not found.', 'Token valid but user not found', {
+      userId: decoded.id
+    });
+  }
+
+  if (!user.isActive) {
+    throw authError(401, 'ACCOUNT_DEACTIVATED', 'Account is deactivated.', 'Inactive user attempted access', {
+      userId: user._id,
+      username: user.username
+    });
+  }
+
+  if (user.isLocked) {
+    const error = authError(401, 'ACCOUNT_LOCKED', 'Account is temporarily locked due to failed login attempts.', 'Locked user attempted access', {
+      userId: user._id,
+      username: user.username,
+      lockUntil: user.lockUntil
+    });
+    error.lockUntil = user.lockUntil;
+    throw error;
+  }
+
+  return user;
+};
+
 // Enhanced authentication middleware with database verification
 const authenticateToken = async (req, res, next) => {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+  const token = bearerToken(req.headers['authorization']);
 
   if (!token) {
     logger.warn('Access denied: No token provided', {
@@ -38,53 +100,7 @@ const authenticateToken = async (req, res, next) => {
   }
 
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    // Verify user exists and is active
-    const user = await User.findById(decoded.id).select('+loginAttempts +lockUntil');
-    
-    if (!user) {
-      logger.warn('Token valid but user not found', {
-        userId: decoded.id,
-        ip: req.ip,
-        path: req.path
-      });
-      return res.status(401).json({
-        success: false,
-        error: 'User not found.',
-        code: 'USER_NOT_FOUND'
-      });
-    }
-    
-    if (!user.isActive) {
-      logger.warn('Inactive user attempted access', {
-        userId: user._id,
-        username: user.username,
-        ip: req.ip,
-        path: req.path
-      });
-      return res.status(401).json({
-        success: false,
-        error: 'Account is deactivated.',
-        code: 'ACCOUNT_DEACTIVATED'
-      });
-    }
-    
-    if (user.isLocked) {
-      logger.warn('Locked user attempted access', {
-        userId: user._id,
-        username: user.username,
-        lockUntil: user.lockUntil,
-        ip: req.ip,
-        path: req.path
-      });
-      return res.status(401).json({
-        success: false,
-        error: 'Account is temporarily locked due to failed login attempts.',
-        code: 'ACCOUNT_LOCKED',
-        lockUntil: user.lockUntil
-      });
-    }
+    const user = await verifyToken(token);
     
     // Attach user object to request
     req.user = user;
@@ -100,32 +116,66 @@ const authenticateToken = async (req, res, next) => {
     
     next();
   } catch (error) {
-    logger.warn('Token verification failed', {
-      error: error.message,
+    // Anything else (such as a failed lookup) refuses the token as invalid
+    const refusal = error.status ? error : authError(403, 'INVALID_TOKEN', 'Invalid token.', 'Token verification failed', { error: error.message });
+    logger.warn(refusal.logMessage, {
+      ...refusal.details,
       ip: req.ip,
       userAgent: req.get('User-Agent'),
       path: req.path
     });
     
-    let errorCode = 'INVALID_TOKEN';
-    let errorMessage = 'Invalid token.';
-    
-    if (error.name === 'TokenExpiredError') {
-      errorCode = 'TOKEN_EXPIRED';
-      errorMessage = 'Token has expired.';
-    } else if (error.name === 'JsonWebTokenError') {
-      errorCode = 'MALFORMED_TOKEN';
-      errorMessage = 'Malformed token.';
-    }
-    
-    return res.status(403).json({
+    return res.status(refusal.status).json({
       success: false,
-      error: errorMessage,
-      code: errorCode
+      error: refusal.message,
+      code: refusal.code,
+      ...(refusal.lockUntil && { lockUntil: refusal.lockUntil })
     });
   }
 };
 
+/**
+ * Socket.IO handshake authentication: the token of authenticateToken, sent as auth.token
+ * or in an Authorization header. Without a token the socket is anonymous, as with
+ * optionalAuth; a refused token refuses the connection (connect_error, with data.code).
+ * Sets socket.data.identity to { id, username }, id being 'anonymous' for anonymous sockets.
+ */
+const authenticateSocket = async (socket, next) => {
+  const { handshake } = socket;
+  const token = handshake.auth?.token || bearerToken(handshake.headers.authorization);
+
+  if (!token) {
+    socket.data.identity = { id: 'anonymous', username: 'Anonymous User' };
+    return next();
+  }
+
+  try {
+    const user = await verifyToken(token);
+    socket.data.identity = { id: user.id, username: user.username };
+
+    logger.info('Socket authenticated successfully', {
+      userId: user._id,
+      username: user.username,
+      socketId: socket.id,
+      ip: handshake.address
+    });
+
+    next();
+  } catch (error) {
+    const refusal = error.status ? error : authError(403, 'INVALID_TOKEN', 'Invalid token.', 'Token verification failed', { error: error.message });
+    logger.warn(`Socket refused: ${refusal.logMessage}`, {
+      ...refusal.details,
+      socketId: socket.id,
+      ip: handshake.address,
+      userAgent: handshake.headers['user-agent']
+    });
+
+    const connectError = new Error(refusal.message);
+    connectError.data = { code: refusal.code };
+    next(connectError);
+  }
+};
+
 // Role-based authorization middleware
 const authorizeRole = (...roles) => {
   return (req, res, next) => {
@@ -149,8 +199,7 @@ const authorizeRole = (...roles) => {
 
 // Optional authentication middleware with database verification
 const optionalAuth = async (req, res, next) => {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
+  const token = bearerToken(req.headers['authorization']);
 
   if (!token) {
     req.user = null;
@@ -393,6 +442,7 @@ const userRateLimit = (maxRequests = 100, windowMs = 15 * 60 * 1000) => {
 
 module.exports = {
   authenticateToken,
+  authenticateSocket,
   authorizeRole,
   optionalAuth,
   requireRole,
@@ -1,8 +1,9 @@
 const rateLimit = require('express-rate-limit');
 const helmet = require('helmet');
 const winston = require('winston');
-const fileType = require('file-type');
 const crypto = require('crypto');
+const { disarmFile } = require('../utils/contentDisarm');
+const { formatForMimeType, matchesFormat } = require('../utils/formats');
 
 // Configure logger
 const logger = winston.createLogger({
@@ -58,61 +59,10 @@ const securityHeaders = helmet({
   }
 });
 
-// File signature validation (magic bytes)
-const FILE_SIGNATURES = {
-  // PDF
-  'application/pdf': [[0x25, 0x50, 0x44, 0x46]], // %PDF
-  
-  // Images
-  'image/jpeg': [[0xFF, 0xD8, 0xFF]], // JPEG
-  'image/png': [[0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]], // PNG
-  'image/gif': [[0x47, 0x49, 0x46, 0x38]], // GIF
-  'image/bmp': [[0x42, 0x4D]], // BMP
-  'image/webp': [[0x52, 0x49, 0x46, 0x46]], // WEBP (RIFF)
-  
-  // Documents
-  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': [
-    [0x50, 0x4B, 0x03, 0x04], // ZIP (DOCX is ZIP-based)
-    [0x50, 0x4B, 0x05, 0x06],
-    [0x50, 0x4B, 0x07, 0x08]
-  ],
-  'application/msword': [[0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1]], // DOC
-  
-  // Videos
-  'video/mp4': [
-    [0x00, 0x00, 0x00, 0x18, 0x66, 0x74, 0x79, 0x70], // MP4
-    [0x00, 0x00, 0x00, 0x20, 0x66, 0x74, 0x79, 0x70]
-  ],
-  'video/avi': [[0x52, 0x49, 0x46, 0x46]], // AVI (RIFF)
-  
-  // Audio
-  'audio/mpeg': [[0xFF, 0xFB], [0xFF, 0xF3], [0xFF, 0xF2]], // MP3
-  'audio/wav': [[0x52, 0x49, 0x46, 0x46]], // WAV (RIFF)
-  
-  // Text
-  'text/plain': [] // No specific signature for text files
-};
-
-// Validate file signature
+// Validate file signature (magic bytes) against the format registry
 const validateFileSignature = (buffer, mimeType) => {
-  if (!FILE_SIGNATURES[mimeType]) {
-    return false;
-  }
-  
-  // Text files don't have specific signatures
-  if (mimeType === 'text/plain') {
-    return true;
-  }
-  
-  const signatures = FILE_SIGNATURES[mimeType];
-  
-  return signatures.some(signature => {
-    if (buffer.length < signature.length) {
-      return false;
-    }
-    
-    return signature.every((byte, index) => buffer[index] === byte);
-  });
+  const format = formatForMimeType(mimeType);
+  return !!format && matchesFormat(buffer, format);
 };
 
 // Content Disarm and Reconstruction (CDR) middleware
@@ -136,8 +86,19 @@ const contentDisarmReconstruction = async (req, res, next) => {
         });
       }
       
-      // Check for embedded executables or scripts
-      const suspiciousPatterns = [
+      // Office documents, PDFs and SVGs are rebuilt without their active content
+      const disarmed = disarmFile(file.buffer, file.mimetype);
+      if (disarmed) {
+        file.buffer = disarmed.buffer;
+        file.size = disarmed.buffer.length;
+        file.cdr = disarmed.report;
+        if (disarmed.report.removed.length > 0) {
+          logger.warn(`Active content removed from file: ${file.originalname}`, { removed: disarmed.report.removed });
+        }
+      }
+
+      // Check other files for embedded executables or scripts
+      const suspiciousPatterns = disarmed ? [] : [
         // Executable signatures
         Buffer.from([0x4D, 0x5A]), // MZ (Windows executable)
         Buffer.from([0x7F, 0x45, 0x4C, 0x46]), // ELF (Linux executable)
@@ -182,6 +143,10 @@ const contentDisarmReconstruction = async (req, res, next) => {
     
     next();
   } catch (error) {
+    if (error.status) {
+      logger.warn(`File could not be disarmed: ${error.message}`);
+      return res.status(error.status).json({ success: false, error: error.message, code: error.code });
+    }
     logger.error('CDR middleware error:', error);
     res.status(500).json({ error: 'File validation failed' });
   }
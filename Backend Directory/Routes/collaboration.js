@@ -3,8 +3,14 @@ const Joi = require('joi');
 const winston = require('winston');
 const { authenticateToken, optionalAuth } = require('../middleware/auth');
 const { rateLimits } = require('../middleware/security');
+const CollaborativeDocument = require('../models/CollaborativeDocument');
+const { createConverterRegistry } = require('../utils/converters');
+const { EXPORT_FORMATS } = require('../utils/documentExport');
 const router = express.Router();
 
+// PDF exports are rendered from HTML by the same engine as /convert
+const converterRegistry = createConverterRegistry();
+
 // Configure logger
 const logger = winston.createLogger({
   level: 'info',
@@ -16,28 +22,67 @@ const logger = winston.createLogger({
 });
 
 // Validation schemas
+const roleSchema = Joi.string().valid(...CollaborativeDocument.ROLES);
+// Roles of allowed users by user id (map keys cannot contain dots or start with $)
+const userRolesSchema = Joi.object().pattern(/^[^.$][^.]*$/, roleSchema);
+
 const createDocumentSchema = Joi.object({
   title: Joi.string().min(1).max(200).required(),
   type: Joi.string().valid('text', 'json', 'rich-text').default('text'),
-  content: Joi.string().default(''),
+  // Text, JSON (a value or its text) or rich text (plain text or a Quill delta)
+  content: Joi.alternatives().try(Joi.string().allow(''), Joi.object(), Joi.array()).default(''),
   isPublic: Joi.boolean().default(false),
-  allowedUsers: Joi.array().items(Joi.string()).default([])
+  publicRole: roleSchema.default('viewer'),
+  allowedUsers: Joi.array().items(Joi.string()).default([]),
+  userRoles: userRolesSchema.default({})
 });
 
 const updateDocumentSchema = Joi.object({
   title: Joi.string().min(1).max(200),
   isPublic: Joi.boolean(),
-  allowedUsers: Joi.array().items(Joi.string())
+  publicRole: roleSchema,
+  allowedUsers: Joi.array().items(Joi.string()),
+  userRoles: userRolesSchema
 });
 
-// In-memory document metadata storage (use database in production)
-const documentMetadata = new Map();
+const historyQuerySchema = Joi.object({
+  from: Joi.number().integer().min(0).default(0),
+  to: Joi.number().integer().min(0).greater(Joi.ref('from'))
+});
+
+// Without a format the export is JSON; comments picks which comments files include
+const exportQuerySchema = Joi.object({
+  format: Joi.string().lowercase().valid('json', ...EXPORT_FORMATS).default('json'),
+  comments: Joi.string().valid('open', 'all', 'none').default('open')
+});
+
+const versionParamSchema = Joi.number().integer().min(0).required().label('version');
 
 // Helper function to generate document ID
 const generateDocumentId = () => {
   return `doc_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 };
 
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// API representation of a CollaborativeDocument
+const serializeMetadata = (metadata) => ({
+  id: metadata.docId,
+  title: metadata.title,
+  type: metadata.type,
+  isPublic: metadata.isPublic,
+  publicRole: metadata.publicRole,
+  allowedUsers: metadata.allowedUsers,
+  userRoles: Object.fromEntries(metadata.userRoles || []),
+  owner: {
+    id: metadata.owner.id,
+    username: metadata.owner.username
+  },
+  createdAt: metadata.createdAt,
+  updatedAt: metadata.updatedAt,
+  lastAccessed: metadata.lastAccessed
+});
+
 // Create a new collaborative document
 router.post('/documents', rateLimits.general, optionalAuth, async (req, res) => {
   try {
@@ -51,28 +96,40 @@ router.post('/documents', rateLimits.general, optionalAuth, async (req, res) =>
       });
     }
 
-    const { title, type, content, isPublic, allowedUsers } = value;
+    const { title, type, content, isPublic, publicRole, allowedUsers, userRoles } = value;
+
+    // Nobody would own a private document created anonymously, so nobody could open it
+    if (!req.user && !isPublic) {
+      return res.status(401).json({
+        success: false,
+        error: 'Sign in to create a private document',
+        code: 'AUTH_REQUIRED'
+      });
+    }
+
     const docId = generateDocumentId();
     const userId = req.user?.id || 'anonymous';
     const username = req.user?.username || 'Anonymous User';
 
-    // Store document metadata
-    const metadata = {
-      id: docId,
+    // Store the content first, so metadata never points at a missing document
+    const collaborationService = req.app.get('collaborationService');
+    if (collaborationService) {
+      await collaborationService.createDocument(docId, type, content);
+    }
+
+    const metadata = await CollaborativeDocument.create({
+      docId,
       title,
       type,
       isPublic,
+      publicRole,
       allowedUsers,
+      userRoles,
       owner: {
         id: userId,
         username
-      },
-      createdAt: new Date(),
-      updatedAt: new Date(),
-      lastAccessed: new Date()
-    };
-
-    documentMetadata.set(docId, metadata);
+      }
+    });
 
     logger.info(`Document created: ${docId} by ${username}`);
 
@@ -83,12 +140,20 @@ router.post('/documents', rateLimits.general, optionalAuth, async (req, res) =>
         title,
         type,
         isPublic,
-        owner: metadata.owner,
+        publicRole,
+        owner: { id: userId, username },
         createdAt: metadata.createdAt,
         collaborationUrl: `/collaboration/${docId}`
       }
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
     logger.error('Error creating document:', error);
     res.status(500).json({
       success: false,
@@ -101,7 +166,7 @@ router.post('/documents', rateLimits.general, optionalAuth, async (req, res) =>
 router.get('/documents/:docId', rateLimits.general, optionalAuth, async (req, res) => {
   try {
     const { docId } = req.params;
-    const metadata = documentMetadata.get(docId);
+    const metadata = await CollaborativeDocument.findOne({ docId });
 
     if (!metadata) {
       return res.status(404).json({
@@ -113,26 +178,27 @@ router.get('/documents/:docId', rateLimits.general, optionalAuth, async (req, re
     const userId = req.user?.id || 'anonymous';
 
     // Check access permissions
-    if (!metadata.isPublic && 
-        metadata.owner.id !== userId && 
-        !metadata.allowedUsers.includes(userId)) {
+    if (!metadata.canAccess(userId)) {
       return res.status(403).json({
         success: false,
         error: 'Access denied'
       });
     }
 
-    // Update last accessed time
+    // Update last accessed time (without touching updatedAt)
     metadata.lastAccessed = new Date();
+    await CollaborativeDocument.updateOne({ docId }, { lastAccessed: metadata.lastAccessed }, { timestamps: false });
 
     // Get collaboration statistics
     const collaborationService = req.app.get('collaborationService');
-    const stats = collaborationService ? collaborationService.getDocumentStats(docId) : null;
+    const stats = collaborationService ? await collaborationService.getDocumentStats(docId) : null;
 
     res.json({
       success: true,
       document: {
-        ...metadata,
+        ...serializeMetadata(metadata),
+        // What the requesting user may do: viewer, commenter or editor
+        role: metadata.roleOf(userId),
         stats
       }
     });
@@ -149,7 +215,7 @@ router.get('/documents/:docId', rateLimits.general, optionalAuth, async (req, re
 router.put('/documents/:docId', rateLimits.general, authenticateToken, async (req, res) => {
   try {
     const { docId } = req.params;
-    const metadata = documentMetadata.get(docId);
+    const metadata = await CollaborativeDocument.findOne({ docId });
 
     if (!metadata) {
       return res.status(404).json({
@@ -179,13 +245,14 @@ router.put('/documents/:docId', rateLimits.general, authenticateToken, async (re
     }
 
     // Update metadata
-    Object.assign(metadata, value, { updatedAt: new Date() });
+    metadata.set(value);
+    await metadata.save();
 
     logger.info(`Document updated: ${docId} by ${req.user.username}`);
 
     res.json({
       success: true,
-      document: metadata
+      document: serializeMetadata(metadata)
     });
   } catch (error) {
     logger.error('Error updating document:', error);
@@ -200,7 +267,7 @@ router.put('/documents/:docId', rateLimits.general, authenticateToken, async (re
 router.delete('/documents/:docId', rateLimits.general, authenticateToken, async (req, res) => {
   try {
     const { docId } = req.params;
-    const metadata = documentMetadata.get(docId);
+    const metadata = await CollaborativeDocument.findOne({ docId });
 
     if (!metadata) {
       return res.status(404).json({
@@ -219,8 +286,12 @@ router.delete('/documents/:docId', rateLimits.general, authenticateToken, async
       });
     }
 
-    // Remove metadata
-    documentMetadata.delete(docId);
+    // Remove metadata, then the content; ShareDB keeps the op history
+    await CollaborativeDocument.deleteOne({ docId });
+    const collaborationService = req.app.get('collaborationService');
+    if (collaborationService) {
+      await collaborationService.deleteDocument(docId);
+    }
 
     logger.info(`Document deleted: ${docId} by ${req.user.username}`);
 
@@ -243,50 +314,37 @@ router.get('/documents', rateLimits.general, optionalAuth, async (req, res) => {
     const userId = req.user?.id || 'anonymous';
     const { page = 1, limit = 20, type, search } = req.query;
     
-    const pageNum = parseInt(page);
-    const limitNum = parseInt(limit);
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
     const offset = (pageNum - 1) * limitNum;
 
-    // Filter documents
-    let documents = Array.from(documentMetadata.values()).filter(doc => {
-      // User's own documents or public documents or documents they have access to
-      return doc.owner.id === userId || 
-             doc.isPublic || 
-             doc.allowedUsers.includes(userId);
-    });
+    // User's own documents or public documents or documents they have access to
+    const filter = CollaborativeDocument.accessFilter(userId);
 
     // Apply filters
-    if (type) {
-      documents = documents.filter(doc => doc.type === type);
+    if (typeof type === 'string') {
+      filter.type = type;
     }
 
-    if (search) {
-      const searchLower = search.toLowerCase();
-      documents = documents.filter(doc => 
-        doc.title.toLowerCase().includes(searchLower)
-      );
+    if (typeof search === 'string' && search) {
+      filter.title = { $regex: escapeRegExp(search), $options: 'i' };
     }
 
-    // Sort by last accessed (most recent first)
-    documents.sort((a, b) => new Date(b.lastAccessed) - new Date(a.lastAccessed));
-
-    // Paginate
-    const total = documents.length;
-    const paginatedDocs = documents.slice(offset, offset + limitNum);
+    // Sort by last accessed (most recent first), then paginate
+    const [documents, total] = await Promise.all([
+      CollaborativeDocument.find(filter).sort({ lastAccessed: -1 }).skip(offset).limit(limitNum),
+      CollaborativeDocument.countDocuments(filter)
+    ]);
 
     res.json({
       success: true,
-      documents: paginatedDocs.map(doc => ({
-        id: doc.id,
-        title: doc.title,
-        type: doc.type,
-        isPublic: doc.isPublic,
-        owner: doc.owner,
-        createdAt: doc.createdAt,
-        updatedAt: doc.updatedAt,
-        lastAccessed: doc.lastAccessed,
-        collaborationUrl: `/collaboration/${doc.id}`
-      })),
+      documents: documents.map(doc => {
+        const { allowedUsers, userRoles, ...summary } = serializeMetadata(doc);
+        return {
+          ...summary,
+          collaborationUrl: `/collaboration/${doc.docId}`
+        };
+      }),
       pagination: {
         page: pageNum,
         limit: limitNum,
@@ -307,7 +365,7 @@ router.get('/documents', rateLimits.general, optionalAuth, async (req, res) => {
 router.get('/documents/:docId/stats', rateLimits.general, optionalAuth, async (req, res) => {
   try {
     const { docId } = req.params;
-    const metadata = documentMetadata.get(docId);
+    const metadata = await CollaborativeDocument.findOne({ docId });
 
     if (!metadata) {
       return res.status(404).json({
@@ -319,9 +377,7 @@ router.get('/documents/:docId/stats', rateLimits.general, optionalAuth, async (r
     const userId = req.user?.id || 'anonymous';
 
     // Check access permissions
-    if (!metadata.isPublic && 
-        metadata.owner.id !== userId && 
-        !metadata.allowedUsers.includes(userId)) {
+    if (!metadata.canAccess(userId)) {
       return res.status(403).json({
         success: false,
         error: 'Access denied'
@@ -330,7 +386,7 @@ router.get('/documents/:docId/stats', rateLimits.general, optionalAuth, async (r
 
     // Get real-time collaboration statistics
     const collaborationService = req.app.get('collaborationService');
-    const stats = collaborationService ? collaborationService.getDocumentStats(docId) : {
+    const stats = collaborationService ? await collaborationService.getDocumentStats(docId) : {
       exists: false,
       activeUsers: 0,
       users: []
@@ -359,11 +415,21 @@ router.get('/documents/:docId/stats', rateLimits.general, optionalAuth, async (r
   }
 });
 
-// Export document content
+// Export document content as JSON, or as a file with ?format=docx|pdf|md|html|txt
 router.get('/documents/:docId/export', rateLimits.general, optionalAuth, async (req, res) => {
   try {
+    const { error, value } = exportQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: error.details[0].message,
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
     const { docId } = req.params;
-    const metadata = documentMetadata.get(docId);
+    const metadata = await CollaborativeDocument.findOne({ docId });
 
     if (!metadata) {
       return res.status(404).json({
@@ -375,9 +441,7 @@ router.get('/documents/:docId/export', rateLimits.general, optionalAuth, async (
     const userId = req.user?.id || 'anonymous';
 
     // Check access permissions
-    if (!metadata.isPublic && 
-        metadata.owner.id !== userId && 
-        !metadata.allowedUsers.includes(userId)) {
+    if (!metadata.canAccess(userId)) {
       return res.status(403).json({
         success: false,
         error: 'Access denied'
@@ -393,13 +457,27 @@ router.get('/documents/:docId/export', rateLimits.general, optionalAuth, async (
       });
     }
 
+    if (value.format !== 'json') {
+      const file = await collaborationService.exportDocumentAs(docId, value.format, {
+        title: metadata.title,
+        comments: value.comments,
+        converterRegistry
+      });
+
+      // Quotes, slashes and control characters cannot appear in a file name
+      const fileName = `${metadata.title.replace(/[\x00-\x1f"\\/:*?<>|]/g, '_')}.${file.extension}`;
+      res.setHeader('Content-Type', file.mimeType);
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName.replace(/[^\x20-\x7e]/g, '_')}"; filename*=UTF-8''${encodeURIComponent(fileName)}`);
+      return res.send(file.buffer);
+    }
+
     const exportData = await collaborationService.exportDocument(docId);
 
     res.json({
       success: true,
       export: {
         ...exportData,
-        metadata
+        metadata: serializeMetadata(metadata)
       }
     });
   } catch (error) {
@@ -411,6 +489,125 @@ router.get('/documents/:docId/export', rateLimits.general, optionalAuth, async (
   }
 });
 
+// Committed changes to a document, for replaying its history
+router.get('/documents/:docId/history', rateLimits.general, optionalAuth, async (req, res) => {
+  try {
+    const { error, value } = historyQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: error.details[0].message,
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const { docId } = req.params;
+    const metadata = await CollaborativeDocument.findOne({ docId });
+
+    if (!metadata) {
+      return res.status(404).json({
+        success: false,
+        error: 'Document not found'
+      });
+    }
+
+    const userId = req.user?.id || 'anonymous';
+
+    // Check access permissions
+    if (!metadata.canAccess(userId)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied'
+      });
+    }
+
+    const collaborationService = req.app.get('collaborationService');
+    if (!collaborationService) {
+      return res.status(503).json({
+        success: false,
+        error: 'Collaboration service not available'
+      });
+    }
+
+    const history = await collaborationService.getDocumentHistory(docId, { from: value.from, to: value.to ?? null });
+
+    res.json({
+      success: true,
+      history
+    });
+  } catch (error) {
+    logger.error('Error getting document history:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get document history'
+    });
+  }
+});
+
+// Document content as it was at an earlier version
+router.get('/documents/:docId/versions/:version', rateLimits.general, optionalAuth, async (req, res) => {
+  try {
+    const { error, value: version } = versionParamSchema.validate(req.params.version);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: error.details[0].message,
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const { docId } = req.params;
+    const metadata = await CollaborativeDocument.findOne({ docId });
+
+    if (!metadata) {
+      return res.status(404).json({
+        success: false,
+        error: 'Document not found'
+      });
+    }
+
+    const userId = req.user?.id || 'anonymous';
+
+    // Check access permissions
+    if (!metadata.canAccess(userId)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied'
+      });
+    }
+
+    const collaborationService = req.app.get('collaborationService');
+    if (!collaborationService) {
+      return res.status(503).json({
+        success: false,
+        error: 'Collaboration service not available'
+      });
+    }
+
+    const snapshot = await collaborationService.getDocumentAtVersion(docId, version);
+    if (!snapshot) {
+      return res.status(404).json({
+        success: false,
+        error: 'Version not found',
+        code: 'VERSION_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      snapshot
+    });
+  } catch (error) {
+    logger.error('Error getting document version:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get document version'
+    });
+  }
+});
+
 // Health check for collaboration service
 router.get('/health', (req, res) => {
   const collaborationService = req.app.get('collaborationService');
@@ -425,7 +622,8 @@ router.get('/health', (req, res) => {
       operationalTransform: true,
       cursorTracking: true,
       comments: true,
-      userPresence: true
+      userPresence: true,
+      documentRoles: true
     }
   });
 });
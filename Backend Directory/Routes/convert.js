@@ -1,12 +1,17 @@
 const express = require('express');
-const ConvertApi = require('convertapi');
 const Joi = require('joi');
-const fs = require('fs').promises;
+const multer = require('multer');
 const path = require('path');
-const crypto = require('crypto');
 const winston = require('winston');
 const { authenticateToken, optionalAuth, requirePermission } = require('../middleware/auth');
 const { rateLimits } = require('../middleware/security');
+const { createConverterRegistry } = require('../utils/converters');
+const { getJobQueue, FINISHED_STATUSES } = require('../utils/jobQueue');
+const { CONVERSION_JOB, BATCH_JOB, PIPELINE_JOB, enqueueConversion, enqueuePipeline, enqueueBatch } = require('../utils/conversionJobs');
+const { PIPELINE_STEP_TYPES, MAX_PIPELINE_STEPS, planPipeline } = require('../utils/pipeline');
+const { getOcrEngine } = require('../utils/ocrEngine');
+const { formatForExtension, conversionFormats } = require('../utils/formats');
+const { contentDisposition } = require('../utils/storage');
 const router = express.Router();
 
 // Configure logger
@@ -19,180 +24,273 @@ const logger = winston.createLogger({
   ]
 });
 
-// Initialize ConvertAPI
-let convertApiClient;
-if (process.env.CONVERTAPI_SECRET && process.env.CONVERTAPI_SECRET !== 'demo-convert-api-secret') {
-  convertApiClient = new ConvertApi(process.env.CONVERTAPI_SECRET);
-  logger.info('ConvertAPI initialized with provided secret');
-} else {
-  logger.warn('ConvertAPI secret not configured - using demo mode');
-  convertApiClient = null;
-}
-
-// Supported conversion formats
-const SUPPORTED_CONVERSIONS = {
-  // Document conversions
-  'pdf': ['docx', 'doc', 'txt', 'html', 'jpg', 'png'],
-  'docx': ['pdf', 'doc', 'txt', 'html', 'odt'],
-  'doc': ['pdf', 'docx', 'txt', 'html', 'odt'],
-  'xlsx': ['pdf', 'csv', 'html', 'ods'],
-  'xls': ['pdf', 'xlsx', 'csv', 'html', 'ods'],
-  'pptx': ['pdf', 'ppt', 'html', 'jpg', 'png'],
-  'ppt': ['pdf', 'pptx', 'html', 'jpg', 'png'],
-  'txt': ['pdf', 'docx', 'html'],
-  'html': ['pdf', 'docx', 'txt'],
-  'rtf': ['pdf', 'docx', 'txt', 'html'],
-  
-  // Image conversions
-  'jpg': ['png', 'gif', 'bmp', 'tiff', 'webp', 'pdf'],
-  'jpeg': ['png', 'gif', 'bmp', 'tiff', 'webp', 'pdf'],
-  'png': ['jpg', 'gif', 'bmp', 'tiff', 'webp', 'pdf'],
-  'gif': ['jpg', 'png', 'bmp', 'tiff', 'webp', 'pdf'],
-  'bmp': ['jpg', 'png', 'gif', 'tiff', 'webp', 'pdf'],
-  'tiff': ['jpg', 'png', 'gif', 'bmp', 'webp', 'pdf'],
-  'webp': ['jpg', 'png', 'gif', 'bmp', 'tiff', 'pdf'],
-  'svg': ['png', 'jpg', 'pdf'],
-  
-  // Video conversions
-  'mp4': ['avi', 'mov', 'wmv', 'flv', 'webm', 'mkv'],
-  'avi': ['mp4', 'mov', 'wmv', 'flv', 'webm', 'mkv'],
-  'mov': ['mp4', 'avi', 'wmv', 'flv', 'webm', 'mkv'],
-  'wmv': ['mp4', 'avi', 'mov', 'flv', 'webm', 'mkv'],
-  'flv': ['mp4', 'avi', 'mov', 'wmv', 'webm', 'mkv'],
-  'webm': ['mp4', 'avi', 'mov', 'wmv', 'flv', 'mkv'],
-  'mkv': ['mp4', 'avi', 'mov', 'wmv', 'flv', 'webm'],
-  
-  // Audio conversions
-  'mp3': ['wav', 'flac', 'aac', 'ogg'],
-  'wav': ['mp3', 'flac', 'aac', 'ogg'],
-  'flac': ['mp3', 'wav', 'aac', 'ogg'],
-  'aac': ['mp3', 'wav', 'flac', 'ogg'],
-  'ogg': ['mp3', 'wav', 'flac', 'aac']
-};
+// Initialize converter backends (local engine first, ConvertAPI as fallback)
+const converterRegistry = createConverterRegistry();
+
+// Conversions run as background jobs; workers are started by the server or worker process
+const jobQueue = getJobQueue();
+
+// Batch limits; uploaded batch files are held in memory until they are queued
+const MAX_BATCH_ITEMS = parseInt(process.env.MAX_BATCH_ITEMS) || 50;
+const BATCH_EVENT_INTERVAL = 1000;
+
+const batchUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: parseInt(process.env.MAX_FILE_SIZE) || 104857600,
+    files: MAX_BATCH_ITEMS
+  }
+});
+
 
 // Enhanced validation schemas
+const conversionOptionsSchema = Joi.object({
+  quality: Joi.number().min(1).max(100).optional(),
+  pageRange: Joi.string().optional(),
+  password: Joi.string().optional(),
+  orientation: Joi.string().valid('portrait', 'landscape').optional(),
+  paperSize: Joi.string().valid('A4', 'A3', 'A5', 'Letter', 'Legal').optional(),
+  margin: Joi.object({
+    top: Joi.number().optional(),
+    bottom: Joi.number().optional(),
+    left: Joi.number().optional(),
+    right: Joi.number().optional()
+  }).optional(),
+  watermark: Joi.object({
+    text: Joi.string().optional(),
+    opacity: Joi.number().min(0).max(1).optional(),
+    position: Joi.string().valid('center', 'top-left', 'top-right', 'bottom-left', 'bottom-right').optional()
+  }).optional()
+});
+
 const convertSchema = Joi.object({
   sourceFormat: Joi.string().required(),
   targetFormat: Joi.string().required(),
-  fileUrl: Joi.string().uri().optional(),
+  fileUrl: Joi.string().uri({ scheme: ['http', 'https'] }).optional(),
   fileData: Joi.string().base64().optional(),
   fileName: Joi.string().optional(),
-  options: Joi.object({
-    quality: Joi.number().min(1).max(100).optional(),
-    pageRange: Joi.string().optional(),
-    password: Joi.string().optional(),
-    orientation: Joi.string().valid('portrait', 'landscape').optional(),
-    paperSize: Joi.string().valid('A4', 'A3', 'A5', 'Letter', 'Legal').optional(),
-    margin: Joi.object({
-      top: Joi.number().optional(),
-      bottom: Joi.number().optional(),
-      left: Joi.number().optional(),
-      right: Joi.number().optional()
-    }).optional(),
-    watermark: Joi.object({
-      text: Joi.string().optional(),
-      opacity: Joi.number().min(0).max(1).optional(),
-      position: Joi.string().valid('center', 'top-left', 'top-right', 'bottom-left', 'bottom-right').optional()
-    }).optional()
-  }).optional()
+  options: conversionOptionsSchema.optional()
 }).xor('fileUrl', 'fileData');
 
+// Batch items may omit formats: the source is inferred from the file name and the
+// target falls back to the batch-level targetFormat. fromFormat/toFormat are accepted
+// as aliases for older clients.
+const batchItemSchema = Joi.object({
+  sourceFormat: Joi.string().optional(),
+  targetFormat: Joi.string().optional(),
+  fileUrl: Joi.string().uri({ scheme: ['http', 'https'] }).optional(),
+  fileData: Joi.string().base64().optional(),
+  fileName: Joi.string().optional(),
+  options: conversionOptionsSchema.optional()
+})
+  .rename('fromFormat', 'sourceFormat', { ignoreUndefined: true })
+  .rename('toFormat', 'targetFormat', { ignoreUndefined: true })
+  .xor('fileUrl', 'fileData');
+
 const batchConvertSchema = Joi.object({
-  conversions: Joi.array().items(convertSchema).min(1).max(10).required(),
-  outputFormat: Joi.string().optional()
+  conversions: Joi.array().items(batchItemSchema).max(MAX_BATCH_ITEMS).default([]),
+  targetFormat: Joi.string().optional(),
+  options: conversionOptionsSchema.optional()
 });
 
+// Pipeline steps run in order on one input; each type takes its own settings
+const pipelineStepSchema = Joi.alternatives().conditional('.type', {
+  switch: [
+    {
+      is: 'convert',
+      then: Joi.object({
+        type: Joi.string().required(),
+        targetFormat: Joi.string().required(),
+        options: conversionOptionsSchema.optional()
+      })
+    },
+    {
+      is: 'resize',
+      then: Joi.object({
+        type: Joi.string().required(),
+        width: Joi.number().integer().min(1).max(10000).optional(),
+        height: Joi.number().integer().min(1).max(10000).optional(),
+        fit: Joi.string().valid('cover', 'contain', 'fill', 'inside', 'outside').default('inside'),
+        withoutEnlargement: Joi.boolean().default(true)
+      }).or('width', 'height')
+    },
+    {
+      is: 'compress',
+      then: Joi.object({
+        type: Joi.string().required(),
+        quality: Joi.number().min(1).max(100).default(75)
+      })
+    },
+    {
+      is: 'ocr',
+      then: Joi.object({
+        type: Joi.string().required(),
+        language: Joi.string().default('eng'),
+        psm: Joi.number().min(0).max(13).optional(),
+        oem: Joi.number().min(0).max(3).optional()
+      })
+    }
+  ],
+  otherwise: Joi.object({
+    type: Joi.string().valid(...PIPELINE_STEP_TYPES).required()
+  }).unknown()
+});
+
+const pipelineSchema = Joi.object({
+  sourceFormat: Joi.string().optional(),
+  fileUrl: Joi.string().uri({ scheme: ['http', 'https'] }).optional(),
+  fileData: Joi.string().base64().optional(),
+  fileName: Joi.string().optional(),
+  steps: Joi.array().items(pipelineStepSchema).min(1).max(MAX_PIPELINE_STEPS).required()
+}).xor('fileUrl', 'fileData');
+
 const conversionStatusSchema = Joi.object({
   jobId: Joi.string().required()
 });
 
-// Helper function will be defined later with CONVERTAPI_MAPPINGS
-
-// Supported conversion formats and their mappings
-const SUPPORTED_FORMATS = {
-  // Document formats
-  document: {
-    input: ['pdf', 'doc', 'docx', 'odt', 'rtf', 'txt', 'html', 'epub', 'mobi'],
-    output: ['pdf', 'doc', 'docx', 'odt', 'rtf', 'txt', 'html', 'epub']
-  },
-  // Spreadsheet formats
-  spreadsheet: {
-    input: ['xls', 'xlsx', 'ods', 'csv', 'tsv'],
-    output: ['xls', 'xlsx', 'ods', 'csv', 'pdf']
-  },
-  // Presentation formats
-  presentation: {
-    input: ['ppt', 'pptx', 'odp'],
-    output: ['ppt', 'pptx', 'odp', 'pdf', 'jpg', 'png']
-  },
-  // Image formats
-  image: {
-    input: ['jpg', 'jpeg', 'png', 'gif', 'bmp', 'tiff', 'webp', 'svg', 'ico'],
-    output: ['jpg', 'jpeg', 'png', 'gif', 'bmp', 'tiff', 'webp', 'pdf']
-  },
-  // Audio formats
-  audio: {
-    input: ['mp3', 'wav', 'flac', 'aac', 'ogg', 'm4a', 'wma'],
-    output: ['mp3', 'wav', 'flac', 'aac', 'ogg', 'm4a']
-  },
-  // Video formats
-  video: {
-    input: ['mp4', 'avi', 'mov', 'wmv', 'flv', 'webm', 'mkv'],
-    output: ['mp4', 'avi', 'mov', 'wmv', 'webm', 'gif']
-  },
-  // Archive formats
-  archive: {
-    input: ['zip', 'rar', '7z', 'tar', 'gz'],
-    output: ['zip', '7z', 'tar']
-  }
+
+// Supported conversion formats by category, from the format registry. Some categories
+// also convert to formats of another category (e.g. slides to images).
+const CROSS_CATEGORY_OUTPUTS = {
+  spreadsheet: ['pdf'],
+  presentation: ['pdf', 'jpg', 'png'],
+  image: ['pdf'],
+  video: ['gif']
+};
+const SUPPORTED_FORMATS = Object.fromEntries(
+  ['document', 'spreadsheet', 'presentation', 'image', 'audio', 'video', 'archive'].map(category => [category, {
+    input: conversionFormats(category, 'input'),
+    output: [...conversionFormats(category, 'output'), ...(CROSS_CATEGORY_OUTPUTS[category] || [])]
+  }])
+);
+
+// Helper function to check if conversion is supported, directly or through intermediate formats
+const isConversionSupported = (sourceFormat, targetFormat) => {
+  return converterRegistry.canConvert(sourceFormat, targetFormat);
 };
 
-// ConvertAPI format mappings
-const CONVERTAPI_MAPPINGS = {
-  // Document conversions
-  'pdf-to-docx': { from: 'pdf', to: 'docx', service: 'pdf' },
-  'docx-to-pdf': { from: 'docx', to: 'pdf', service: 'docx' },
-  'doc-to-pdf': { from: 'doc', to: 'pdf', service: 'doc' },
-  'html-to-pdf': { from: 'html', to: 'pdf', service: 'html' },
-  'txt-to-pdf': { from: 'txt', to: 'pdf', service: 'txt' },
-  
-  // Image conversions
-  'jpg-to-pdf': { from: 'jpg', to: 'pdf', service: 'jpg' },
-  'png-to-pdf': { from: 'png', to: 'pdf', service: 'png' },
-  'pdf-to-jpg': { from: 'pdf', to: 'jpg', service: 'pdf' },
-  'pdf-to-png': { from: 'pdf', to: 'png', service: 'pdf' },
-  
-  // Spreadsheet conversions
-  'xlsx-to-pdf': { from: 'xlsx', to: 'pdf', service: 'xlsx' },
-  'xls-to-pdf': { from: 'xls', to: 'pdf', service: 'xls' },
-  'csv-to-xlsx': { from: 'csv', to: 'xlsx', service: 'csv' },
-  
-  // Presentation conversions
-  'pptx-to-pdf': { from: 'pptx', to: 'pdf', service: 'pptx' },
-  'ppt-to-pdf': { from: 'ppt', to: 'pdf', service: 'ppt' }
+// Helper function to describe the conversion route between two formats
+const getConversionRoute = (sourceFormat, targetFormat) => {
+  const steps = converterRegistry.findPath(sourceFormat, targetFormat) || [];
+  return {
+    steps,
+    engine: [...new Set(steps.map(step => step.engine))].join('+') || null,
+    chain: steps.length > 0 ? [steps[0].from, ...steps.map(step => step.to)] : []
+  };
 };
 
-// Helper function to check if conversion is supported
-const isConversionSupported = (sourceFormat, targetFormat) => {
-  const conversionKey = `${sourceFormat.toLowerCase()}-to-${targetFormat.toLowerCase()}`;
-  return CONVERTAPI_MAPPINGS.hasOwnProperty(conversionKey);
+// Job types served by /status and /download
+const SINGLE_FILE_JOBS = [CONVERSION_JOB, PIPELINE_JOB];
+
+// Strip server-side details from a job result before sending it to clients
+const publicResult = (result) => {
+  if (!result) return result;
+  const { path: outputPath, ...rest } = result;
+  return rest;
 };
 
-// Helper function to get conversion mapping
-const getConversionMapping = (sourceFormat, targetFormat) => {
-  const conversionKey = `${sourceFormat.toLowerCase()}-to-${targetFormat.toLowerCase()}`;
-  return CONVERTAPI_MAPPINGS[conversionKey];
+// Shape a queued conversion job for API responses
+const serializeJob = (job) => ({
+  id: job.jobId,
+  status: job.status,
+  progress: job.progress,
+  stage: job.progressDetails?.stage,
+  engine: job.result?.engine || job.progressDetails?.engine,
+  sourceFormat: job.data.sourceFormat,
+  targetFormat: job.data.targetFormat,
+  fileName: job.data.fileName,
+  chain: job.result?.chain || job.progressDetails?.chain,
+  steps: job.data.steps?.map(({ conversions, ...step }) => step),
+  currentStep: job.progressDetails?.step,
+  attempts: job.attempts,
+  maxAttempts: job.maxAttempts,
+  createdAt: job.createdAt,
+  updatedAt: job.updatedAt,
+  startedAt: job.startedAt,
+  completedAt: job.completedAt,
+  expiresAt: job.expiresAt,
+  result: publicResult(job.result),
+  error: job.error
+});
+
+// Anonymous jobs are reachable by anyone holding the job ID; others only by their owner
+const canAccessJob = (job, user) => {
+  return job.userId === 'anonymous' || (!!user && job.userId === user._id.toString());
+};
+
+// Load a job of the given type(s) and check access, sending the error response if needed
+const loadJob = async (req, res, types = SINGLE_FILE_JOBS) => {
+  const job = await jobQueue.get(req.params.jobId);
+
+  if (!job || ![].concat(types).includes(job.type)) {
+    res.status(404).json({
+      success: false,
+      error: 'Job not found',
+      code: 'JOB_NOT_FOUND'
+    });
+    return null;
+  }
+
+  if (!canAccessJob(job, req.user)) {
+    res.status(403).json({
+      success: false,
+      error: 'Access denied',
+      code: 'ACCESS_DENIED'
+    });
+    return null;
+  }
+
+  return job;
 };
 
-// Helper function to generate unique job ID
-const generateJobId = () => {
-  return `conv_${Date.now()}_${crypto.randomBytes(8).toString('hex')}`;
+// Shape a batch job for API responses, including per-item progress
+const serializeBatch = (job) => {
+  const details = job.progressDetails || {};
+  const manifest = job.result?.manifest;
+
+  return {
+    id: job.jobId,
+    status: job.status,
+    progress: job.progress,
+    stage: details.stage,
+    total: manifest?.total ?? details.total ?? job.data.items.length,
+    completed: manifest?.successful ?? details.completed ?? 0,
+    failed: manifest?.failed ?? details.failed ?? 0,
+    items: manifest?.items || details.items || job.data.items.map(item => ({
+      index: item.index,
+      fileName: item.fileName,
+      sourceFormat: item.sourceFormat,
+      targetFormat: item.targetFormat,
+      status: 'pending'
+    })),
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    startedAt: job.startedAt,
+    completedAt: job.completedAt,
+    expiresAt: job.expiresAt,
+    result: job.result && {
+      url: job.result.url,
+      downloadUrl: job.result.downloadUrl,
+      size: job.result.size,
+      format: job.result.format,
+      mimeType: job.result.mimeType,
+      expiresAt: job.result.expiresAt
+    },
+    error: job.error
+  };
 };
 
-// In-memory job storage (use Redis in production)
-const conversionJobs = new Map();
+// Infer a format from a file name or URL extension; known extensions give the registry's
+// format name (photo.tif is tiff), others are passed on as they are
+const inferFormat = (name) => {
+  if (!name) return null;
+  const extension = path.extname(name.split(/[?#]/)[0]).slice(1).toLowerCase();
+  if (!extension) return null;
+  const format = formatForExtension(extension);
+  return format ? format.format : extension;
+};
 
-// Convert file endpoint
+// Convert file endpoint - queues the conversion and returns immediately
 router.post('/convert', rateLimits.conversion, optionalAuth, requirePermission('upload'), async (req, res) => {
   try {
     // Validate input
@@ -206,20 +304,9 @@ router.post('/convert', rateLimits.conversion, optionalAuth, requirePermission('
       });
     }
 
-    const { sourceFormat, targetFormat, fileUrl, fileData, fileName, options = {} } = value;
-
-    // Check if ConvertAPI is configured
-    if (!process.env.CONVERTAPI_SECRET) {
-      logger.warn('ConvertAPI secret not configured');
-      return res.status(503).json({
-        success: false,
-        error: 'File conversion service is not available',
-        code: 'SERVICE_UNAVAILABLE',
-        message: 'ConvertAPI is not configured. Please contact administrator.'
-      });
-    }
+    const { sourceFormat, targetFormat, fileUrl, fileData, fileName } = value;
 
-    // Check if conversion is supported
+    // Check if conversion is supported by any configured backend
     if (!isConversionSupported(sourceFormat, targetFormat)) {
       return res.status(400).json({
         success: false,
@@ -230,36 +317,16 @@ router.post('/convert', rateLimits.conversion, optionalAuth, requirePermission('
       });
     }
 
-    // Generate job ID for tracking
-    const jobId = generateJobId();
     const userId = req.user?._id || 'anonymous';
+    const route = getConversionRoute(sourceFormat, targetFormat);
+    const job = await enqueueConversion(jobQueue, value, { userId });
 
-    // Initialize job tracking
-    conversionJobs.set(jobId, {
-      id: jobId,
-      userId,
-      sourceFormat,
-      targetFormat,
-      fileName: fileName || 'unknown',
-      status: 'processing',
-      progress: 0,
-      createdAt: new Date(),
-      updatedAt: new Date(),
-      options
-    });
-
-    // Initialize ConvertAPI
-    if (!convertApiClient) {
-      throw new Error('ConvertAPI not configured - this is required for production');
-    }
-    
-    const convertApi = convertApiClient;
-    const mapping = getConversionMapping(sourceFormat, targetFormat);
-
-    logger.info('Starting file conversion', {
-      jobId,
+    logger.info('File conversion queued', {
+      jobId: job.jobId,
       sourceFormat,
       targetFormat,
+      engine: route.engine,
+      chain: route.chain,
       fileName,
       hasFileUrl: !!fileUrl,
       hasFileData: !!fileData,
@@ -267,191 +334,128 @@ router.post('/convert', rateLimits.conversion, optionalAuth, requirePermission('
       ip: req.ip
     });
 
-    // Update job status
-    const job = conversionJobs.get(jobId);
-    job.status = 'converting';
-    job.progress = 25;
-    job.updatedAt = new Date();
+    res.status(202).json({
+      success: true,
+      message: 'File conversion queued',
+      job: serializeJob(job),
+      statusUrl: `/api/v1/convert/status/${job.jobId}`
+    });
+  } catch (error) {
+    logger.error('Conversion error:', {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user?._id,
+      ip: req.ip
+    });
 
-    // Prepare conversion parameters
-    const conversionParams = {
-      ...options
-    };
+    res.status(500).json({
+      success: false,
+      error: 'Failed to queue conversion',
+      code: 'CONVERSION_FAILED',
+      details: error.message
+    });
+  }
+});
 
-    // Add file source
-    if (fileUrl) {
-      conversionParams.File = fileUrl;
-    } else if (fileData) {
-      // Handle base64 data
-      const buffer = Buffer.from(fileData, 'base64');
-      const tempFileName = `temp_${jobId}.${sourceFormat}`;
-      const tempFilePath = path.join(__dirname, '../temp', tempFileName);
-      
-      // Ensure temp directory exists
-      await fs.mkdir(path.dirname(tempFilePath), { recursive: true });
-      await fs.writeFile(tempFilePath, buffer);
-      
-      conversionParams.File = tempFilePath;
+// Download a converted file
+router.get('/download/:jobId', optionalAuth, async (req, res) => {
+  try {
+    const job = await loadJob(req, res);
+    if (!job) return;
+
+    if (job.status !== 'completed' || !job.result?.path) {
+      return res.status(409).json({
+        success: false,
+        error: 'Conversion has not completed',
+        code: 'JOB_NOT_COMPLETED',
+        status: job.status
+      });
     }
 
-    // Apply format-specific options
-    if (targetFormat === 'pdf') {
-      if (options.quality) conversionParams.ImageQuality = options.quality;
-      if (options.orientation) conversionParams.Orientation = options.orientation;
-      if (options.paperSize) conversionParams.PageSize = options.paperSize;
-      if (options.margin) {
-        conversionParams.MarginTop = options.margin.top || 10;
-        conversionParams.MarginBottom = options.margin.bottom || 10;
-        conversionParams.MarginLeft = options.margin.left || 10;
-        conversionParams.MarginRight = options.margin.right || 10;
-      }
-      if (options.watermark?.text) {
-        conversionParams.WatermarkText = options.watermark.text;
-        conversionParams.WatermarkOpacity = options.watermark.opacity || 0.5;
-        conversionParams.WatermarkPosition = options.watermark.position || 'center';
+    const baseName = path.parse(job.data.fileName || 'converted').name || 'converted';
+    res.setHeader('Content-Type', job.result.mimeType);
+    res.setHeader('Content-Disposition', contentDisposition('attachment', `${baseName}.${job.result.format}`));
+    res.sendFile(job.result.path, (error) => {
+      if (error && !res.headersSent) {
+        res.status(410).json({
+          success: false,
+          error: 'Converted file is no longer available',
+          code: 'RESULT_EXPIRED'
+        });
       }
-    }
+    });
+  } catch (error) {
+    logger.error('Download error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
 
-    if (options.pageRange && sourceFormat === 'pdf') {
-      conversionParams.PageRange = options.pageRange;
+// Multi-step pipeline endpoint - runs convert/resize/compress/ocr steps in sequence on one input
+router.post('/pipeline', rateLimits.conversion, optionalAuth, requirePermission('upload'), async (req, res) => {
+  try {
+    const { error, value } = pipelineSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: error.details[0].message,
+        code: 'VALIDATION_ERROR'
+      });
     }
 
-    if (options.password) {
-      conversionParams.Password = options.password;
+    const sourceFormat = (value.sourceFormat || inferFormat(value.fileName || value.fileUrl) || '').toLowerCase();
+    if (!sourceFormat) {
+      return res.status(400).json({
+        success: false,
+        error: 'Source format is required when it cannot be inferred from the file name',
+        code: 'VALIDATION_ERROR'
+      });
     }
 
-    // Update progress
-    job.progress = 50;
-    job.updatedAt = new Date();
-
-    // Perform conversion
-    const result = await convertApi.convert(mapping.to, conversionParams, mapping.from);
-
-    // Update progress
-    job.progress = 75;
-    job.updatedAt = new Date();
-
-    // Get the converted file
-    const convertedFile = result.file;
-    const convertedFileUrl = convertedFile.url;
-    const fileSize = convertedFile.size || 0;
-
-    // Complete the job
-    job.status = 'completed';
-    job.progress = 100;
-    job.result = {
-      url: convertedFileUrl,
-      size: fileSize,
-      downloadUrl: convertedFileUrl,
-      expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000) // 24 hours
-    };
-    job.completedAt = new Date();
-    job.updatedAt = new Date();
-
-    // Clean up temp file if created
-    if (fileData) {
-      try {
-        const tempFileName = `temp_${jobId}.${sourceFormat}`;
-        const tempFilePath = path.join(__dirname, '../temp', tempFileName);
-        await fs.unlink(tempFilePath);
-      } catch (cleanupError) {
-        logger.warn('Failed to clean up temp file:', cleanupError);
-      }
+    // Check every step against the format it will receive before queueing anything
+    let plan;
+    try {
+      plan = planPipeline(sourceFormat, value.steps, { converterRegistry, ocrEngine: getOcrEngine() });
+    } catch (planError) {
+      if (planError.code !== 'INVALID_PIPELINE') throw planError;
+      return res.status(400).json({
+        success: false,
+        error: planError.message,
+        code: 'INVALID_PIPELINE',
+        step: planError.step
+      });
     }
 
-    logger.info('File conversion completed', {
-      jobId,
+    const userId = req.user?._id || 'anonymous';
+    const job = await enqueuePipeline(jobQueue, { ...value, sourceFormat }, plan, { userId });
+
+    logger.info('Conversion pipeline queued', {
+      jobId: job.jobId,
       sourceFormat,
-      targetFormat,
-      originalSize: fileData ? Buffer.from(fileData, 'base64').length : 'unknown',
-      convertedSize: fileSize,
-      convertedUrl: convertedFileUrl,
+      targetFormat: plan.targetFormat,
+      steps: plan.steps.map(step => step.type),
       userId,
-      duration: Date.now() - job.createdAt.getTime(),
       ip: req.ip
     });
 
-    res.json({
+    res.status(202).json({
       success: true,
-      message: 'File converted successfully',
-      job: {
-        id: jobId,
-        status: job.status,
-        progress: job.progress
-      },
-      conversion: {
-        sourceFormat,
-        targetFormat,
-        fileName: job.fileName,
-        result: job.result,
-        options: job.options
-      },
-      download: {
-        url: convertedFileUrl,
-        expiresAt: job.result.expiresAt
-      }
+      message: 'Conversion pipeline queued',
+      job: serializeJob(job),
+      statusUrl: `/api/v1/convert/status/${job.jobId}`
     });
   } catch (error) {
-    const jobId = req.body.jobId || generateJobId();
-    
-    // Update job with error
-    if (conversionJobs.has(jobId)) {
-      const job = conversionJobs.get(jobId);
-      job.status = 'failed';
-      job.error = error.message;
-      job.updatedAt = new Date();
-    }
-
-    logger.error('Conversion error:', {
-      jobId,
-      error: error.message,
-      stack: error.stack,
-      userId: req.user?._id,
-      ip: req.ip
-    });
-
-    // Handle specific ConvertAPI errors
-    let errorCode = 'CONVERSION_FAILED';
-    let statusCode = 500;
-    
-    if (error.message.includes('Invalid file format')) {
-      errorCode = 'INVALID_FORMAT';
-      statusCode = 400;
-    } else if (error.message.includes('File too large')) {
-      errorCode = 'FILE_TOO_LARGE';
-      statusCode = 413;
-    } else if (error.message.includes('Insufficient credits')) {
-      errorCode = 'INSUFFICIENT_CREDITS';
-      statusCode = 402;
-    }
-
-    res.status(statusCode).json({
+    logger.error('Pipeline error:', error);
+    res.status(500).json({
       success: false,
-      error: 'Conversion failed',
-      code: errorCode,
-      details: error.message,
-      jobId
-    });
-  }
-});
-
-// Get supported formats endpoint
-router.get('/formats', (req, res) => {
-  try {
-    res.json({
-      success: true,
-      supportedConversions: SUPPORTED_CONVERSIONS,
-      totalFormats: Object.keys(SUPPORTED_CONVERSIONS).length,
-      categories: {
-        documents: ['pdf', 'docx', 'doc', 'xlsx', 'xls', 'pptx', 'ppt', 'txt', 'html', 'rtf'],
-        images: ['jpg', 'jpeg', 'png', 'gif', 'bmp', 'tiff', 'webp', 'svg'],
-        videos: ['mp4', 'avi', 'mov', 'wmv', 'flv', 'webm', 'mkv'],
-        audio: ['mp3', 'wav', 'flac', 'aac', 'ogg']
-      }
+      error: 'Failed to queue pipeline',
+      code: 'PIPELINE_FAILED',
+      details: error.message
     });
-  } catch (error) {
-    logger.error('Get formats error:', error);
-    res.status(500).json({ error: 'Failed to get supported formats' });
   }
 });
 
@@ -460,13 +464,17 @@ router.get('/check/:fromFormat/:toFormat', (req, res) => {
   try {
     const { fromFormat, toFormat } = req.params;
     const supported = isConversionSupported(fromFormat.toLowerCase(), toFormat.toLowerCase());
+    const route = supported ? getConversionRoute(fromFormat, toFormat) : null;
     
     res.json({
       success: true,
       fromFormat: fromFormat.toLowerCase(),
       toFormat: toFormat.toLowerCase(),
       supported,
-      alternatives: supported ? [] : (SUPPORTED_CONVERSIONS[fromFormat.toLowerCase()] || [])
+      engine: route ? route.engine : null,
+      path: route ? route.chain : [],
+      steps: route ? route.steps.length : 0,
+      alternatives: supported ? [] : converterRegistry.getTargets(fromFormat)
     });
   } catch (error) {
     logger.error('Check conversion error:', error);
@@ -474,163 +482,56 @@ router.get('/check/:fromFormat/:toFormat', (req, res) => {
   }
 });
 
-// Batch conversion endpoint
-router.post('/batch', authenticateToken, async (req, res) => {
+// Get conversion job status
+router.get('/status/:jobId', optionalAuth, async (req, res) => {
   try {
-    const { conversions } = req.body;
-    
-    if (!Array.isArray(conversions) || conversions.length === 0) {
-      return res.status(400).json({ error: 'Conversions array is required' });
-    }
-    
-    if (conversions.length > 10) {
-      return res.status(400).json({ error: 'Maximum 10 conversions per batch' });
-    }
-    
-    // Check if ConvertAPI is configured
-    if (!process.env.CONVERTAPI_SECRET) {
-      return res.status(503).json({ 
-        error: 'Conversion service not configured'
-      });
-    }
-    
-    const results = [];
-    
-    for (const conversion of conversions) {
-      try {
-        const { error, value } = convertSchema.validate(conversion);
-        if (error) {
-          results.push({
-            success: false,
-            error: error.details[0].message,
-            input: conversion
-          });
-          continue;
-        }
-        
-        const { fileUrl, fromFormat, toFormat, options } = value;
-        
-        if (!isConversionSupported(fromFormat, toFormat)) {
-          results.push({
-            success: false,
-            error: `Conversion from ${fromFormat} to ${toFormat} is not supported`,
-            input: conversion
-          });
-          continue;
-        }
-        
-        const convertParams = { File: fileUrl, ...options };
-        if (!convertApiClient) {
-        throw new Error('ConvertAPI not configured - this is required for production');
-      }
-      
-      const result = await convertApiClient.convert(toFormat, convertParams, fromFormat);
-        
-        results.push({
-          success: true,
-          conversion: {
-            fromFormat,
-            toFormat,
-            originalUrl: fileUrl,
-            convertedUrl: result.file.url,
-            fileName: result.file.fileName,
-            fileSize: result.file.size,
-            convertedAt: new Date().toISOString()
-          }
-        });
-        
-      } catch (conversionError) {
-        logger.error('Batch conversion item error:', conversionError);
-        results.push({
-          success: false,
-          error: 'Conversion failed',
-          input: conversion
-        });
-      }
-    }
-    
-    const successCount = results.filter(r => r.success).length;
-    
-    logger.info(`Batch conversion completed: ${successCount}/${conversions.length} successful`);
-    
-    res.json({
-      success: true,
-      results,
-      summary: {
-        total: conversions.length,
-        successful: successCount,
-        failed: conversions.length - successCount
-      }
-    });
-    
-  } catch (error) {
-    logger.error('Batch conversion error:', error);
-    res.status(500).json({ error: 'Batch conversion failed' });
-  }
-});
+    const job = await loadJob(req, res);
+    if (!job) return;
 
-// Conversion status endpoint (for future async processing)
-router.get('/status/:jobId', optionalAuth, (req, res) => {
-  try {
-    const { jobId } = req.params;
-    
-    // Mock response - in real implementation, track conversion jobs
     res.json({
       success: true,
-      jobId,
-      status: 'completed',
-      progress: 100,
-      message: 'Conversions are currently processed synchronously',
-      note: 'This endpoint is for future async conversion implementation'
+      job: serializeJob(job)
     });
   } catch (error) {
-    logger.error('Conversion status error:', error);
-    res.status(500).json({ error: 'Failed to get conversion status' });
+    logger.error('Status check error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
   }
 });
 
-// Get conversion job status
-router.get('/status/:jobId', optionalAuth, async (req, res) => {
+// Cancel a conversion job
+router.delete('/status/:jobId', optionalAuth, async (req, res) => {
   try {
-    const { jobId } = req.params;
-    
-    if (!conversionJobs.has(jobId)) {
-      return res.status(404).json({
-        success: false,
-        error: 'Job not found',
-        code: 'JOB_NOT_FOUND'
-      });
-    }
-    
-    const job = conversionJobs.get(jobId);
-    
-    // Check if user has access to this job
-    if (req.user && job.userId !== 'anonymous' && job.userId.toString() !== req.user._id.toString()) {
-      return res.status(403).json({
+    const job = await loadJob(req, res);
+    if (!job) return;
+
+    if (FINISHED_STATUSES.includes(job.status)) {
+      return res.status(409).json({
         success: false,
-        error: 'Access denied',
-        code: 'ACCESS_DENIED'
+        error: `Job already ${job.status}`,
+        code: 'JOB_FINISHED',
+        job: serializeJob(job)
       });
     }
-    
+
+    const cancelled = await jobQueue.cancel(job.jobId);
+
+    logger.info('Conversion cancellation requested', {
+      jobId: job.jobId,
+      userId: req.user?._id,
+      ip: req.ip
+    });
+
     res.json({
       success: true,
-      job: {
-        id: job.id,
-        status: job.status,
-        progress: job.progress,
-        sourceFormat: job.sourceFormat,
-        targetFormat: job.targetFormat,
-        fileName: job.fileName,
-        createdAt: job.createdAt,
-        updatedAt: job.updatedAt,
-        completedAt: job.completedAt,
-        result: job.result,
-        error: job.error
-      }
+      message: cancelled.status === 'cancelled' ? 'Job cancelled' : 'Cancellation requested',
+      job: serializeJob(cancelled)
     });
   } catch (error) {
-    logger.error('Status check error:', error);
+    logger.error('Cancel job error:', error);
     res.status(500).json({
       success: false,
       error: 'Internal server error',
@@ -639,10 +540,37 @@ router.get('/status/:jobId', optionalAuth, async (req, res) => {
   }
 });
 
-// Batch conversion endpoint
-router.post('/batch', rateLimits.conversion, authenticateToken, requirePermission('upload'), async (req, res) => {
+// Batch conversion endpoint - accepts JSON items or multipart files and packages the results into a ZIP
+router.post('/batch', rateLimits.conversion, authenticateToken, requirePermission('upload'), batchUpload.array('files', MAX_BATCH_ITEMS), async (req, res) => {
   try {
-    const { error, value } = batchConvertSchema.validate(req.body);
+    // Multipart requests carry defaults as form fields; options arrive JSON-encoded
+    const body = { ...req.body };
+    if (typeof body.options === 'string') {
+      try {
+        body.options = JSON.parse(body.options);
+      } catch (parseError) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: '"options" must be valid JSON',
+          code: 'VALIDATION_ERROR'
+        });
+      }
+    }
+    if (typeof body.conversions === 'string') {
+      try {
+        body.conversions = JSON.parse(body.conversions);
+      } catch (parseError) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: '"conversions" must be valid JSON',
+          code: 'VALIDATION_ERROR'
+        });
+      }
+    }
+
+    const { error, value } = batchConvertSchema.validate(body);
     if (error) {
       return res.status(400).json({
         success: false,
@@ -651,236 +579,317 @@ router.post('/batch', rateLimits.conversion, authenticateToken, requirePermissio
         code: 'VALIDATION_ERROR'
       });
     }
-    
-    const { conversions, outputFormat } = value;
-    const batchId = generateJobId();
-    const userId = req.user._id;
-    
-    // Check ConvertAPI configuration
-    if (!process.env.CONVERTAPI_SECRET) {
-      return res.status(503).json({
+
+    const uploads = (req.files || []).map(file => ({
+      buffer: file.buffer,
+      fileName: file.originalname
+    }));
+    const requested = [...value.conversions, ...uploads];
+
+    if (requested.length === 0) {
+      return res.status(400).json({
         success: false,
-        error: 'File conversion service is not available',
-        code: 'SERVICE_UNAVAILABLE'
+        error: 'At least one conversion or file is required',
+        code: 'VALIDATION_ERROR'
       });
     }
-    
-    // Validate all conversions
-    for (const conversion of conversions) {
-      if (!isConversionSupported(conversion.sourceFormat, conversion.targetFormat)) {
-        return res.status(400).json({
-          success: false,
-          error: `Conversion from ${conversion.sourceFormat} to ${conversion.targetFormat} is not supported`,
-          code: 'UNSUPPORTED_CONVERSION'
+
+    if (requested.length > MAX_BATCH_ITEMS) {
+      return res.status(400).json({
+        success: false,
+        error: `Maximum ${MAX_BATCH_ITEMS} conversions per batch`,
+        code: 'BATCH_TOO_LARGE'
+      });
+    }
+
+    // Apply batch-level defaults and reject the whole batch if any item cannot run
+    const conversions = [];
+    const invalid = [];
+    requested.forEach((item, index) => {
+      const sourceFormat = (item.sourceFormat || inferFormat(item.fileName || item.fileUrl) || '').toLowerCase();
+      const targetFormat = (item.targetFormat || value.targetFormat || '').toLowerCase();
+
+      if (!sourceFormat || !targetFormat) {
+        invalid.push({ index, fileName: item.fileName, error: 'Source and target formats are required' });
+      } else if (!isConversionSupported(sourceFormat, targetFormat)) {
+        invalid.push({ index, fileName: item.fileName, error: `Conversion from ${sourceFormat} to ${targetFormat} is not supported` });
+      } else {
+        conversions.push({
+          ...item,
+          sourceFormat,
+          targetFormat,
+          options: { ...value.options, ...item.options }
         });
       }
+    });
+
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Batch contains conversions that cannot be processed',
+        code: 'UNSUPPORTED_CONVERSION',
+        invalid
+      });
     }
-    
-    // Create batch job
-    const batchJob = {
-      id: batchId,
-      userId,
-      type: 'batch',
-      status: 'processing',
-      progress: 0,
+
+    const userId = req.user._id;
+    const job = await enqueueBatch(jobQueue, conversions, { userId });
+
+    logger.info('Batch conversion queued', {
+      batchId: job.jobId,
       total: conversions.length,
-      completed: 0,
-      failed: 0,
-      jobs: [],
-      createdAt: new Date(),
-      updatedAt: new Date()
+      uploads: uploads.length,
+      userId,
+      ip: req.ip
+    });
+
+    res.status(202).json({
+      success: true,
+      message: 'Batch conversion queued',
+      batch: serializeBatch(job),
+      statusUrl: `/api/v1/convert/batch/${job.jobId}`,
+      eventsUrl: `/api/v1/convert/batch/${job.jobId}/events`
+    });
+  } catch (error) {
+    logger.error('Batch conversion error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Batch conversion failed',
+      code: 'BATCH_CONVERSION_FAILED',
+      details: error.message
+    });
+  }
+});
+
+// Get batch status with per-item progress
+router.get('/batch/:jobId', authenticateToken, async (req, res) => {
+  try {
+    const job = await loadJob(req, res, BATCH_JOB);
+    if (!job) return;
+
+    res.json({
+      success: true,
+      batch: serializeBatch(job)
+    });
+  } catch (error) {
+    logger.error('Batch status error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Stream batch progress as server-sent events until the batch finishes
+router.get('/batch/:jobId/events', authenticateToken, async (req, res) => {
+  try {
+    const job = await loadJob(req, res, BATCH_JOB);
+    if (!job) return;
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+
+    const send = (event, data) => {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
     };
-    
-    conversionJobs.set(batchId, batchJob);
-    
-    // Process conversions
-    const results = [];
-    
-    for (let i = 0; i < conversions.length; i++) {
-      const conversion = conversions[i];
-      const jobId = generateJobId();
-      
+
+    const itemStatuses = new Map();
+    let lastProgress = null;
+    let polling = false;
+    let timer = null;
+
+    const close = () => {
+      clearInterval(timer);
+      res.end();
+    };
+
+    const poll = async () => {
+      if (polling) return;
+      polling = true;
+
       try {
-        // Create individual job
-        const individualJob = {
-          id: jobId,
-          userId,
-          batchId,
-          sourceFormat: conversion.sourceFormat,
-          targetFormat: conversion.targetFormat,
-          fileName: conversion.fileName || `file_${i + 1}`,
-          status: 'processing',
-          progress: 0,
-          createdAt: new Date(),
-          updatedAt: new Date(),
-          options: conversion.options || {}
-        };
-        
-        conversionJobs.set(jobId, individualJob);
-        batchJob.jobs.push(jobId);
-        
-        // Perform conversion (simplified for batch)
-        if (!convertApiClient) {
-          // Demo mode - simulate conversion
-          individualJob.status = 'completed';
-          individualJob.progress = 100;
-          individualJob.result = {
-            url: `/demo/converted-file-${i}-${Date.now()}.${conversion.targetFormat}`,
-            size: 1024,
-            downloadUrl: `/demo/converted-file-${i}-${Date.now()}.${conversion.targetFormat}`,
-            expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000)
-          };
-          individualJob.completedAt = new Date();
-          
-          results.push({
-            jobId,
-            status: 'completed',
-            result: individualJob.result,
-            demo: true
-          });
-          
-          batchJob.completed++;
-          continue;
+        const current = await jobQueue.get(job.jobId);
+        if (!current) {
+          send('error', { error: 'Batch no longer exists', code: 'JOB_NOT_FOUND' });
+          return close();
         }
-        
-        const convertApi = convertApiClient;
-        const mapping = getConversionMapping(conversion.sourceFormat, conversion.targetFormat);
-        
-        const conversionParams = {
-          File: conversion.fileUrl || conversion.fileData,
-          ...conversion.options
-        };
-        
-        const result = await convertApi.convert(mapping.to, conversionParams, mapping.from);
-        
-        // Update individual job
-        individualJob.status = 'completed';
-        individualJob.progress = 100;
-        individualJob.result = {
-          url: result.file.url,
-          size: result.file.size,
-          downloadUrl: result.file.url,
-          expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000)
-        };
-        individualJob.completedAt = new Date();
-        
-        results.push({
-          jobId,
-          status: 'completed',
-          result: individualJob.result
-        });
-        
-        batchJob.completed++;
-      } catch (error) {
-        logger.error(`Batch conversion error for job ${jobId}:`, error);
-        
-        const individualJob = conversionJobs.get(jobId);
-        if (individualJob) {
-          individualJob.status = 'failed';
-          individualJob.error = error.message;
+
+        for (const item of current.progressDetails?.items || []) {
+          if (itemStatuses.get(item.index) !== item.status) {
+            itemStatuses.set(item.index, item.status);
+            send('item', item);
+          }
+        }
+
+        const progressKey = `${current.status}:${current.progress}`;
+        if (progressKey !== lastProgress) {
+          lastProgress = progressKey;
+          const { items, ...summary } = serializeBatch(current);
+          send('progress', summary);
         }
-        
-        results.push({
-          jobId,
-          status: 'failed',
-          error: error.message
+
+        if (FINISHED_STATUSES.includes(current.status)) {
+          send('complete', serializeBatch(current));
+          close();
+        }
+      } catch (error) {
+        logger.error('Batch event stream error:', error);
+        send('error', { error: 'Failed to read batch status', code: 'INTERNAL_ERROR' });
+        close();
+      } finally {
+        polling = false;
+      }
+    };
+
+    timer = setInterval(poll, BATCH_EVENT_INTERVAL);
+    req.on('close', () => clearInterval(timer));
+    poll();
+  } catch (error) {
+    logger.error('Batch events error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        code: 'INTERNAL_ERROR'
+      });
+    }
+  }
+});
+
+// Download the batch ZIP (converted files plus manifest.json)
+router.get('/batch/:jobId/download', authenticateToken, async (req, res) => {
+  try {
+    const job = await loadJob(req, res, BATCH_JOB);
+    if (!job) return;
+
+    if (job.status !== 'completed' || !job.result?.path) {
+      return res.status(409).json({
+        success: false,
+        error: 'Batch has not completed',
+        code: 'JOB_NOT_COMPLETED',
+        status: job.status
+      });
+    }
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${job.jobId}.zip"`);
+    res.sendFile(job.result.path, (error) => {
+      if (error && !res.headersSent) {
+        res.status(410).json({
+          success: false,
+          error: 'Batch archive is no longer available',
+          code: 'RESULT_EXPIRED'
         });
-        
-        batchJob.failed++;
       }
-      
-      // Update batch progress
-      batchJob.progress = Math.round(((i + 1) / conversions.length) * 100);
-      batchJob.updatedAt = new Date();
+    });
+  } catch (error) {
+    logger.error('Batch download error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Cancel a batch; items already converted are discarded
+router.delete('/batch/:jobId', authenticateToken, async (req, res) => {
+  try {
+    const job = await loadJob(req, res, BATCH_JOB);
+    if (!job) return;
+
+    if (FINISHED_STATUSES.includes(job.status)) {
+      return res.status(409).json({
+        success: false,
+        error: `Batch already ${job.status}`,
+        code: 'JOB_FINISHED',
+        batch: serializeBatch(job)
+      });
     }
-    
-    // Complete batch job
-    batchJob.status = batchJob.failed === 0 ? 'completed' : 'partial';
-    batchJob.completedAt = new Date();
-    
-    logger.info('Batch conversion completed', {
-      batchId,
-      total: batchJob.total,
-      completed: batchJob.completed,
-      failed: batchJob.failed,
-      userId,
+
+    const cancelled = await jobQueue.cancel(job.jobId);
+
+    logger.info('Batch cancellation requested', {
+      batchId: job.jobId,
+      userId: req.user._id,
       ip: req.ip
     });
-    
+
     res.json({
       success: true,
-      message: 'Batch conversion completed',
-      batch: {
-        id: batchId,
-        status: batchJob.status,
-        progress: batchJob.progress,
-        total: batchJob.total,
-        completed: batchJob.completed,
-        failed: batchJob.failed
-      },
-      results
+      message: cancelled.status === 'cancelled' ? 'Batch cancelled' : 'Cancellation requested',
+      batch: serializeBatch(cancelled)
     });
   } catch (error) {
-    logger.error('Batch conversion error:', error);
+    logger.error('Cancel batch error:', error);
     res.status(500).json({
       success: false,
-      error: 'Batch conversion failed',
-      code: 'BATCH_CONVERSION_FAILED',
-      details: error.message
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
     });
   }
 });
-
 // Get supported formats
 router.get('/formats', (req, res) => {
-  res.json({
-    success: true,
-    supportedFormats: SUPPORTED_FORMATS,
-    availableConversions: Object.keys(CONVERTAPI_MAPPINGS),
-    categories: Object.keys(SUPPORTED_FORMATS),
-    totalFormats: Object.values(SUPPORTED_FORMATS).reduce((total, category) => {
-      return total + category.input.length;
-    }, 0)
-  });
-});
+  try {
+    // Group the registry's "from-to-to" keys by source format
+    const supportedConversions = {};
+    for (const key of converterRegistry.listConversions()) {
+      const [from, to] = key.split('-to-');
+      (supportedConversions[from] = supportedConversions[from] || []).push(to);
+    }
 
+    res.json({
+      success: true,
+      supportedConversions,
+      supportedFormats: SUPPORTED_FORMATS,
+      engines: converterRegistry.getStatus(),
+      categories: Object.fromEntries(
+        Object.entries(SUPPORTED_FORMATS).map(([category, formats]) => [category, formats.input])
+      ),
+      totalFormats: Object.keys(supportedConversions).length,
+      maxBatchItems: MAX_BATCH_ITEMS
+    });
+  } catch (error) {
+    logger.error('Get formats error:', error);
+    res.status(500).json({ error: 'Failed to get supported formats' });
+  }
+});
 // Get conversion history (authenticated users only)
 router.get('/history', authenticateToken, async (req, res) => {
   try {
     const userId = req.user._id;
-    const { page = 1, limit = 20, status, format } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const { status, format } = req.query;
     
     // Filter jobs for current user
-    const userJobs = Array.from(conversionJobs.values())
-      .filter(job => job.userId.toString() === userId.toString())
-      .filter(job => !status || job.status === status)
-      .filter(job => !format || job.sourceFormat === format || job.targetFormat === format)
-      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    const filter = { userId: userId.toString(), type: SINGLE_FILE_JOBS };
+    if (status) {
+      filter.status = status;
+    }
+    if (format) {
+      filter.$or = [{ 'data.sourceFormat': format }, { 'data.targetFormat': format }];
+    }
     
-    // Paginate
-    const startIndex = (page - 1) * limit;
-    const endIndex = startIndex + parseInt(limit);
-    const paginatedJobs = userJobs.slice(startIndex, endIndex);
+    const { jobs, total } = await jobQueue.list(filter, {
+      skip: (page - 1) * limit,
+      limit
+    });
     
     res.json({
       success: true,
-      jobs: paginatedJobs.map(job => ({
-        id: job.id,
-        sourceFormat: job.sourceFormat,
-        targetFormat: job.targetFormat,
-        fileName: job.fileName,
-        status: job.status,
-        progress: job.progress,
-        createdAt: job.createdAt,
-        completedAt: job.completedAt,
-        result: job.result,
-        error: job.error
-      })),
+      jobs: jobs.map(serializeJob),
       pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total: userJobs.length,
-        pages: Math.ceil(userJobs.length / limit)
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
       }
     });
   } catch (error) {
@@ -894,18 +903,40 @@ router.get('/history', authenticateToken, async (req, res) => {
 });
 
 // Health check for conversion service
-router.get('/health', (req, res) => {
-  const isConfigured = !!process.env.CONVERTAPI_SECRET;
+router.get('/health', async (req, res) => {
+  const engines = converterRegistry.getStatus();
+  const isConfigured = engines.some(engine => engine.available);
   
-  res.json({
-    success: true,
-    service: 'conversion',
-    status: isConfigured ? 'available' : 'not_configured',
-    configured: isConfigured,
-    activeJobs: conversionJobs.size,
-    supportedFormats: Object.keys(CONVERTAPI_MAPPINGS).length,
-    timestamp: new Date().toISOString()
-  });
+  try {
+    const [queued, running] = await Promise.all([
+      jobQueue.store.count({ type: [...SINGLE_FILE_JOBS, BATCH_JOB], status: 'queued' }),
+      jobQueue.store.count({ type: [...SINGLE_FILE_JOBS, BATCH_JOB], status: 'running' })
+    ]);
+    
+    res.json({
+      success: true,
+      service: 'conversion',
+      status: isConfigured ? 'available' : 'not_configured',
+      configured: isConfigured,
+      engines,
+      queue: {
+        store: jobQueue.store.name,
+        queued,
+        running
+      },
+      supportedFormats: converterRegistry.listConversions().length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Conversion health check error:', error);
+    res.status(503).json({
+      success: false,
+      service: 'conversion',
+      status: 'queue_unavailable',
+      engines,
+      timestamp: new Date().toISOString()
+    });
+  }
 });
 
 module.exports = router;
\ No newline at end of file
@@ -1,143 +1,356 @@
 const express = require('express');
 const fs = require('fs');
 const path = require('path');
+const Joi = require('joi');
 const router = express.Router();
 const logger = require('../utils/monitoring').logger;
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { getFileRoots, fileEtag, MAX_LIST_DEPTH } = require('../utils/fileRoots');
+const { sendFileRanges } = require('../utils/rangeResponse');
+const { mimeTypeForExtension, isActiveContent } = require('../utils/formats');
 
-// Load file from local path
+// Named roots come from FILE_ROOTS / FILE_ROOTS_CONFIG; nothing outside them can be read
+const fileRoots = getFileRoots();
+
+const loadFileSchema = Joi.object({
+  root: Joi.string().optional(),
+  path: Joi.string().allow('').required()
+});
+
+const listSchema = Joi.object({
+  root: Joi.string().required(),
+  path: Joi.string().allow('').default(''),
+  recursive: Joi.boolean().default(false),
+  depth: Joi.number().integer().min(1).max(MAX_LIST_DEPTH).default(MAX_LIST_DEPTH),
+  cursor: Joi.string().max(8192).optional(),
+  limit: Joi.number().integer().min(1).max(1000).default(100)
+});
+
+const writeFileSchema = Joi.object({
+  root: Joi.string().required(),
+  path: Joi.string().required(),
+  content: Joi.string().allow('').required()
+    .when('encoding', { is: 'base64', then: Joi.string().base64() }),
+  encoding: Joi.string().valid('utf8', 'base64').default('utf8')
+});
+
+const renameSchema = Joi.object({
+  root: Joi.string().required(),
+  from: Joi.string().required(),
+  to: Joi.string().required(),
+  overwrite: Joi.boolean().default(false)
+});
+
+const deleteSchema = Joi.object({
+  root: Joi.string().required(),
+  path: Joi.string().required(),
+  recursive: Joi.boolean().default(false)
+});
+
+const mkdirSchema = Joi.object({
+  root: Joi.string().required(),
+  path: Joi.string().required(),
+  recursive: Joi.boolean().default(false)
+});
+
+const validationError = (res, error) => res.status(400).json({
+  success: false,
+  error: 'Validation failed',
+  details: error.details[0].message,
+  code: 'VALIDATION_ERROR'
+});
+
+// Optimistic concurrency: clients send back the ETag (or Last-Modified) they loaded the file with
+const getConditions = (req) => ({
+  ifMatch: req.get('If-Match'),
+  ifNoneMatch: req.get('If-None-Match'),
+  ifUnmodifiedSince: req.get('If-Unmodified-Since')
+});
+
+// Send errors raised by file root checks with their status, anything else as a 500
+const sendError = (res, error, message) => {
+  if (error.status) {
+    // A failed precondition reports the file's current version so the client can reload or merge
+    if (error.etag) res.setHeader('ETag', error.etag);
+    return res.status(error.status).json({
+      success: false,
+      error: error.message,
+      code: error.code,
+      ...(error.status === 412 && { etag: error.etag, modified: error.modified })
+    });
+  }
+
+  logger.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    error: message,
+    code: 'INTERNAL_ERROR'
+  });
+};
+
+// Work out root and relative path; requests without a root may still send an absolute
+// path, which is accepted when it lies inside one of the configured roots
+const resolveRequestPath = async ({ root, path: requestPath }) => {
+  if (root) {
+    return { root, path: requestPath };
+  }
+
+  if (path.isAbsolute(requestPath) || path.win32.isAbsolute(requestPath)) {
+    const located = await fileRoots.locate(requestPath);
+    if (located) return located;
+  }
+
+  const error = new Error('Access denied - path is not inside a configured file root');
+  error.status = 403;
+  error.code = 'PATH_OUTSIDE_ROOT';
+  throw error;
+};
+
+// List configured roots (names only; server paths are not exposed)
+router.get('/roots', (req, res) => {
+  res.json({
+    success: true,
+    roots: fileRoots.listRoots()
+  });
+});
+
+// Load file from a configured root. Supports byte ranges and conditional requests, so
+// video players and PDF viewers can seek and caches can revalidate.
 router.get('/load-file', async (req, res) => {
+  let handle = null;
   try {
-    const { path: filePath } = req.query;
-    
-    if (!filePath) {
-      return res.status(400).json({ error: 'File path is required' });
-    }
-    
-    // Security check - only allow files from QFL directory
-    const normalizedPath = path.normalize(filePath);
-    if (!normalizedPath.startsWith('E:\\QFL\\') && !normalizedPath.startsWith('E:/QFL/')) {
-      return res.status(403).json({ error: 'Access denied - only QFL directory files allowed' });
-    }
-    
-    // Check if file exists
-    if (!fs.existsSync(normalizedPath)) {
-      return res.status(404).json({ error: 'File not found' });
+    const { error, value } = loadFileSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'File path is required',
+        details: error.details[0].message,
+        code: 'VALIDATION_ERROR'
+      });
     }
-    
-    // Get file stats
-    const stats = fs.statSync(normalizedPath);
+
+    const requested = await resolveRequestPath(value);
+    const { root, path: relativePath, absolutePath } = await fileRoots.resolve(requested.root, requested.path);
+
+    // Every range is read through one handle: a save replaces the file by renaming over it,
+    // and the handle keeps reading the version the headers describe
+    handle = await fs.promises.open(absolutePath, 'r');
+    const stats = await handle.stat();
     if (!stats.isFile()) {
-      return res.status(400).json({ error: 'Path is not a file' });
+      return res.status(400).json({
+        success: false,
+        error: 'Path is not a file',
+        code: 'NOT_A_FILE'
+      });
     }
-    
+
     // Determine content type based on file extension
-    const ext = path.extname(normalizedPath).toLowerCase();
-    let contentType = 'application/octet-stream';
-    
-    const mimeTypes = {
-      '.txt': 'text/plain',
-      '.md': 'text/markdown',
-      '.js': 'text/javascript',
-      '.ts': 'text/typescript',
-      '.json': 'application/json',
-      '.xml': 'application/xml',
-      '.html': 'text/html',
-      '.css': 'text/css',
-      '.py': 'text/x-python',
-      '.java': 'text/x-java-source',
-      '.cpp': 'text/x-c++src',
-      '.c': 'text/x-csrc',
-      '.h': 'text/x-chdr',
-      '.rs': 'text/x-rustsrc',
-      '.go': 'text/x-go',
-      '.php': 'text/x-php',
-      '.rb': 'text/x-ruby',
-      '.swift': 'text/x-swift',
-      '.kt': 'text/x-kotlin',
-      '.scala': 'text/x-scala',
-      '.sh': 'text/x-shellscript',
-      '.ps1': 'text/x-powershell',
-      '.bat': 'text/x-msdos-batch',
-      '.yml': 'text/yaml',
-      '.yaml': 'text/yaml',
-      '.toml': 'text/x-toml',
-      '.ini': 'text/plain',
-      '.cfg': 'text/plain',
-      '.conf': 'text/plain',
-      '.env': 'text/plain',
-      '.gitignore': 'text/plain',
-      '.qfl': 'text/plain',
-      '.pdf': 'application/pdf',
-      '.doc': 'application/msword',
-      '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-      '.xls': 'application/vnd.ms-excel',
-      '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-      '.ppt': 'application/vnd.ms-powerpoint',
-      '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation'
-    };
-    
-    contentType = mimeTypes[ext] || contentType;
-    
-    // Set headers
-    res.setHeader('Content-Type', contentType);
-    res.setHeader('Content-Length', stats.size);
-    res.setHeader('Content-Disposition', `inline; filename="${path.basename(normalizedPath)}"`);
+    const contentType = mimeTypeForExtension(path.basename(absolutePath));
+
+    // Set headers. Pages, SVG and XML would run their scripts with this origin (and
+    // Access-Control-Allow-Origin: *), so they are downloaded instead and sandboxed if opened.
+    if (isActiveContent(contentType)) {
+      res.setHeader('Content-Disposition', `attachment; filename="${path.basename(absolutePath)}"`);
+      res.setHeader('Content-Security-Policy', 'sandbox');
+    } else {
+      res.setHeader('Content-Disposition', `inline; filename="${path.basename(absolutePath)}"`);
+    }
     res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-    res.setHeader('Cache-Control', 'public, max-age=3600');
-    
-    // Stream the file
-    const fileStream = fs.createReadStream(normalizedPath);
-    fileStream.pipe(res);
-    
-    fileStream.on('error', (error) => {
-      logger.error('Error streaming file:', error);
-      if (!res.headersSent) {
-        res.status(500).json({ error: 'Error reading file' });
+    res.setHeader('Access-Control-Allow-Methods', 'GET, HEAD, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, Range, If-Range, If-None-Match, If-Modified-Since');
+    res.setHeader('Access-Control-Expose-Headers', 'ETag, Last-Modified, Accept-Ranges, Content-Range, Content-Length, X-File-Root, X-File-Path');
+    // Files can be edited in place, so caches must revalidate before reusing a copy
+    res.setHeader('Cache-Control', 'private, no-cache');
+    // Where the file lives, for clients that loaded it by absolute path and want to save it back
+    res.setHeader('X-File-Root', encodeURIComponent(root));
+    res.setHeader('X-File-Path', encodeURIComponent(relativePath));
+
+    await sendFileRanges(req, res, {
+      size: stats.size,
+      etag: fileEtag(stats),
+      lastModified: stats.mtime,
+      contentType,
+      openStream: (start, end) => handle.createReadStream({ start, end, autoClose: false })
+    });
+
+    logger.info(`File served: ${root}:${relativePath}`, { status: res.statusCode });
+
+  } catch (error) {
+    if (res.headersSent) {
+      // Players drop connections whenever they seek; only real read errors are worth logging
+      if (error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+        logger.error('Error streaming file:', error);
+      }
+      res.destroy();
+      return;
+    }
+    sendError(res, error, 'File loading failed');
+  } finally {
+    if (handle) await handle.close().catch(() => {});
+  }
+});
+
+// List a directory in a configured root, optionally recursively, one page at a time;
+// pass pagination.nextCursor back as cursor to get the next page
+router.get('/list', async (req, res) => {
+  try {
+    const { error, value } = listSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: error.details[0].message,
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const { root, cursor, limit, recursive, depth } = value;
+    const listing = await fileRoots.list(root, value.path, {
+      recursive,
+      depth: recursive ? depth : 1,
+      cursor,
+      limit
+    });
+
+    res.json({
+      success: true,
+      root: listing.root,
+      path: listing.path,
+      entries: listing.entries,
+      pagination: {
+        limit,
+        hasMore: listing.nextCursor !== null,
+        nextCursor: listing.nextCursor
       }
     });
-    
-    logger.info(`File served: ${normalizedPath}`);
-    
   } catch (error) {
-    logger.error('File loading error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    sendError(res, error, 'Failed to list files');
   }
 });
 
-// List files in QFL directory
+// List files in the QFL root (kept for existing clients; use /list for other roots)
 router.get('/list-qfl-files', async (req, res) => {
   try {
-    const qflPath = 'E:\\QFL';
-    
-    if (!fs.existsSync(qflPath)) {
+    const rootName = fileRoots.roots.has('qfl') ? 'qfl' : fileRoots.listRoots()[0]?.name;
+    if (!rootName) {
       return res.status(404).json({ error: 'QFL directory not found' });
     }
-    
-    const files = fs.readdirSync(qflPath)
-      .filter(file => {
-        const filePath = path.join(qflPath, file);
-        return fs.statSync(filePath).isFile();
-      })
-      .map(file => {
-        const filePath = path.join(qflPath, file);
-        const stats = fs.statSync(filePath);
-        return {
-          name: file,
-          path: filePath,
-          size: stats.size,
-          modified: stats.mtime,
-          extension: path.extname(file).toLowerCase()
-        };
-      });
-    
+
+    const listing = await fileRoots.list(rootName, '', { limit: Number.MAX_SAFE_INTEGER });
+    const files = listing.entries
+      .filter(entry => entry.type === 'file')
+      .map(entry => ({
+        name: entry.name,
+        root: rootName,
+        path: entry.path,
+        size: entry.size,
+        modified: entry.modified,
+        extension: entry.extension
+      }));
+
     res.json({ files });
-    
+
+  } catch (error) {
+    sendError(res, error, 'Failed to list files');
+  }
+});
+
+// Save a file, creating it or replacing its contents. Replacing requires If-Match
+// (or If-Unmodified-Since); If-None-Match: * only creates.
+router.put('/file', authenticateToken, requirePermission('editFileRoots'), async (req, res) => {
+  try {
+    const { error, value } = writeFileSchema.validate(req.body);
+    if (error) {
+      return validationError(res, error);
+    }
+
+    const file = await fileRoots.writeFile(
+      value.root,
+      value.path,
+      Buffer.from(value.content, value.encoding),
+      getConditions(req)
+    );
+
+    logger.info(`File saved: ${file.root}:${file.path}`, { userId: req.user._id, created: file.created });
+
+    res.setHeader('ETag', file.etag);
+    res.setHeader('Last-Modified', file.modified.toUTCString());
+    res.status(file.created ? 201 : 200).json({
+      success: true,
+      message: file.created ? 'File created successfully' : 'File saved successfully',
+      file
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to save file');
+  }
+});
+
+// Rename or move a file or directory within a root
+router.post('/rename', authenticateToken, requirePermission('editFileRoots'), async (req, res) => {
+  try {
+    const { error, value } = renameSchema.validate(req.body);
+    if (error) {
+      return validationError(res, error);
+    }
+
+    const file = await fileRoots.rename(value.root, value.from, value.to, getConditions(req), {
+      overwrite: value.overwrite
+    });
+
+    logger.info(`File renamed: ${file.root}:${file.from} -> ${file.path}`, { userId: req.user._id });
+
+    res.json({
+      success: true,
+      message: 'File renamed successfully',
+      file
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to rename file');
+  }
+});
+
+// Delete a file, or a directory (only when empty unless recursive=true)
+router.delete('/file', authenticateToken, requirePermission('editFileRoots'), async (req, res) => {
+  try {
+    const { error, value } = deleteSchema.validate(req.query);
+    if (error) {
+      return validationError(res, error);
+    }
+
+    const file = await fileRoots.remove(value.root, value.path, getConditions(req), {
+      recursive: value.recursive
+    });
+
+    logger.info(`File deleted: ${file.root}:${file.path}`, { userId: req.user._id, type: file.type });
+
+    res.json({
+      success: true,
+      message: 'File deleted successfully',
+      file
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to delete file');
+  }
+});
+
+// Create a directory
+router.post('/mkdir', authenticateToken, requirePermission('editFileRoots'), async (req, res) => {
+  try {
+    const { error, value } = mkdirSchema.validate(req.body);
+    if (error) {
+      return validationError(res, error);
+    }
+
+    const directory = await fileRoots.mkdir(value.root, value.path, { recursive: value.recursive });
+
+    res.status(directory.created ? 201 : 200).json({
+      success: true,
+      message: directory.created ? 'Directory created successfully' : 'Directory already exists',
+      directory
+    });
   } catch (error) {
-    logger.error('Error listing QFL files:', error);
-    res.status(500).json({ error: 'Failed to list files' });
+    sendError(res, error, 'Failed to create directory');
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
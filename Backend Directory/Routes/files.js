@@ -0,0 +1,414 @@
+const express = require('express');
+const Joi = require('joi');
+const winston = require('winston');
+const File = require('../models/File');
+const Folder = require('../models/Folder');
+const { authenticateToken } = require('../middleware/auth');
+const { loadFolder, moveFile, copyFile, applyInheritedShares } = require('../utils/folders');
+const { getStorage, sendStoredObject } = require('../utils/storage');
+const { getJobQueue } = require('../utils/jobQueue');
+const { THUMBNAIL_SIZES, enqueuePreview, previewKind } = require('../utils/previewJobs');
+const { getVirusScanner, assertFileClean, quarantineStoredFile } = require('../utils/virusScanner');
+const router = express.Router();
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/files.log' })
+  ]
+});
+
+const OBJECT_ID_PATTERN = /^[a-f0-9]{24}$/i;
+
+// Validation schemas
+const listQuerySchema = Joi.object({
+  mimeType: Joi.string().max(100).optional(),
+  // ?tags=a,b or ?tags=a&tags=b; files must carry all of them
+  tags: Joi.alternatives(Joi.array().items(Joi.string().max(50)), Joi.string().max(500)).optional(),
+  // A folder ID, or "root" for files outside any folder
+  folder: Joi.alternatives(Joi.string().valid('root'), Joi.string().pattern(OBJECT_ID_PATTERN)).optional(),
+  deleted: Joi.boolean().default(false),
+  limit: Joi.number().integer().min(1).max(100).default(50),
+  offset: Joi.number().integer().min(0).default(0)
+});
+
+const FILE_NAME_SCHEMA = Joi.string().trim().max(255).pattern(/^[^\\/\x00-\x1f]+$/);
+
+const updateFileSchema = Joi.object({
+  originalName: FILE_NAME_SCHEMA.optional(),
+  tags: Joi.array().items(Joi.string().trim().max(50)).max(50).optional(),
+  folder: Joi.string().pattern(OBJECT_ID_PATTERN).allow(null).optional(),
+  permissions: Joi.object({
+    isPublic: Joi.boolean().optional(),
+    allowDownload: Joi.boolean().optional(),
+    allowEdit: Joi.boolean().optional(),
+    allowShare: Joi.boolean().optional()
+  }).min(1).optional(),
+  expiresAt: Joi.date().greater('now').allow(null).optional()
+}).min(1);
+
+const moveFileSchema = Joi.object({
+  folder: Joi.string().pattern(OBJECT_ID_PATTERN).allow(null).required()
+});
+
+const copyFileSchema = Joi.object({
+  folder: Joi.string().pattern(OBJECT_ID_PATTERN).allow(null).required(),
+  name: FILE_NAME_SCHEMA.optional()
+});
+
+const thumbnailQuerySchema = Joi.object({
+  size: Joi.string().valid(...Object.keys(THUMBNAIL_SIZES)).default('medium')
+});
+
+const fileError = (status, code, message) => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+};
+
+const sendError = (res, error, message) => {
+  if (error.status) {
+    return res.status(error.status).json({
+      success: false,
+      error: error.message,
+      code: error.code
+    });
+  }
+
+  logger.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    error: message,
+    code: 'INTERNAL_ERROR'
+  });
+};
+
+const validationError = (res, error) => {
+  return res.status(400).json({
+    success: false,
+    error: 'Validation failed',
+    details: error.details[0].message,
+    code: 'VALIDATION_ERROR'
+  });
+};
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const isOwner = (file, user) => file.uploadedBy.toString() === user._id.toString();
+
+/**
+ * Load the file named in the route and check the user's access to it
+ * @param {Request} req - Express request with params.fileId
+ * @param {string} permission - view, edit or admin (owners have all three)
+ * @param {Object} options - { includeDeleted } lets owners reach files in the trash
+ * @returns {Promise<Object>} File document
+ * @throws {Error} 404 FILE_NOT_FOUND, 403 ACCESS_DENIED
+ */
+const loadFile = async (req, permission, { includeDeleted = false } = {}) => {
+  const file = await File.findOne({ fileId: req.params.fileId });
+  if (!file || (file.isDeleted && !(includeDeleted && isOwner(file, req.user)))) {
+    throw fileError(404, 'FILE_NOT_FOUND', 'File not found');
+  }
+  if (!file.canAccess(req.user._id, permission)) {
+    throw fileError(403, 'ACCESS_DENIED', 'Access denied');
+  }
+  return file;
+};
+
+// API representation of a File document; sharing details are for the owner only
+const serializeFile = (file, user) => {
+  const owner = isOwner(file, user);
+  return {
+    id: file.fileId,
+    name: file.originalName,
+    extension: file.extension,
+    mimeType: file.mimeType,
+    size: file.size,
+    humanSize: file.humanSize,
+    status: file.status,
+    folder: file.folder,
+    tags: file.tags,
+    metadata: file.metadata,
+    thumbnails: file.thumbnails.map(thumbnail => ({
+      size: thumbnail.size,
+      width: thumbnail.width,
+      height: thumbnail.height,
+      url: `/api/v1/files/${file.fileId}/thumbnail?size=${thumbnail.size}`
+    })),
+    owner: file.uploadedBy,
+    isOwner: owner,
+    permissions: {
+      isPublic: file.permissions.isPublic,
+      allowDownload: file.permissions.allowDownload,
+      allowEdit: file.permissions.allowEdit,
+      allowShare: file.permissions.allowShare,
+      ...(owner && {
+        sharedWith: file.permissions.sharedWith.map(share => ({
+          userId: share.userId,
+          permission: share.permission,
+          sharedAt: share.sharedAt,
+          inherited: !!share.inheritedFrom
+        }))
+      })
+    },
+    analytics: file.analytics,
+    virus: {
+      scanned: file.virus.scanned,
+      clean: file.virus.clean,
+      scanDate: file.virus.scanDate || null,
+      threats: file.virus.threats
+    },
+    cdr: {
+      processed: file.cdr.processed,
+      processedAt: file.cdr.processedAt || null,
+      originalSize: file.cdr.originalSize || null,
+      removed: file.cdr.removed.map(({ kind, target, count }) => ({ kind, target, count }))
+    },
+    isDeleted: file.isDeleted,
+    deletedAt: file.deletedAt || null,
+    expiresAt: file.expiresAt || null,
+    createdAt: file.createdAt,
+    updatedAt: file.updatedAt,
+    url: `/api/v1/upload/file/${file.fileId}`
+  };
+};
+
+// List the user's files, newest first
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = listQuerySchema.validate(req.query);
+    if (error) return validationError(res, error);
+
+    const tags = [].concat(value.tags || [])
+      .flatMap(tag => tag.split(','))
+      .map(tag => tag.trim().toLowerCase())
+      .filter(Boolean);
+
+    const query = File.findByUser(req.user._id, {
+      mimeType: value.mimeType && escapeRegExp(value.mimeType),
+      tags,
+      folder: value.folder === 'root' ? null : value.folder,
+      deleted: value.deleted,
+      limit: value.limit,
+      skip: value.offset
+    });
+
+    const [files, total] = await Promise.all([
+      query.exec(),
+      File.countDocuments(query.getFilter())
+    ]);
+
+    res.json({
+      success: true,
+      files: files.map(file => serializeFile(file, req.user)),
+      total,
+      limit: value.limit,
+      offset: value.offset
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to list files');
+  }
+});
+
+// Get one file's details
+router.get('/:fileId', authenticateToken, async (req, res) => {
+  try {
+    const file = await loadFile(req, 'view', { includeDeleted: true });
+    res.json({ success: true, file: serializeFile(file, req.user) });
+  } catch (error) {
+    sendError(res, error, 'Failed to get file');
+  }
+});
+
+// A thumbnail (?size=small|medium|large) made by the preview job after upload
+router.get('/:fileId/thumbnail', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = thumbnailQuerySchema.validate(req.query);
+    if (error) return validationError(res, error);
+
+    const file = await loadFile(req, 'view', { includeDeleted: true });
+    const thumbnail = file.thumbnails.find(candidate => candidate.size === value.size);
+    if (!thumbnail) {
+      throw fileError(404, 'THUMBNAIL_NOT_FOUND', 'This file has no thumbnail yet');
+    }
+
+    const storage = getStorage();
+    const stored = await storage.stat(thumbnail.s3Key);
+    await sendStoredObject(req, res, thumbnail.s3Key, {
+      stored,
+      filename: `${file.fileId}-${value.size}.webp`,
+      storage
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to send thumbnail');
+  }
+});
+
+// Make the thumbnails and metadata again, e.g. for files uploaded before previews existed
+router.post('/:fileId/thumbnail', authenticateToken, async (req, res) => {
+  try {
+    const file = await loadFile(req, 'edit');
+    assertFileClean(file);
+    if (!previewKind(file.mimeType)) {
+      throw fileError(400, 'PREVIEW_NOT_SUPPORTED', 'Previews are made for images, PDFs and videos only');
+    }
+
+    const job = await enqueuePreview(getJobQueue(), file);
+    if (!job) {
+      throw fileError(503, 'QUEUE_UNAVAILABLE', 'Could not queue the preview; try again later');
+    }
+
+    res.status(202).json({ success: true, jobId: job.jobId });
+  } catch (error) {
+    sendError(res, error, 'Failed to queue preview');
+  }
+});
+
+// Scan a file again, e.g. one uploaded before scanning was turned on. Infected files are quarantined.
+router.post('/:fileId/scan', authenticateToken, async (req, res) => {
+  try {
+    const file = await loadFile(req, 'edit');
+    const scanner = getVirusScanner();
+    if (!scanner.enabled) {
+      throw fileError(400, 'SCANNING_DISABLED', 'Virus scanning is not configured');
+    }
+    if (file.virus.scanned && !file.virus.clean) {
+      throw fileError(409, 'FILE_INFECTED', 'This file is already quarantined');
+    }
+
+    const storage = getStorage();
+    await storage.stat(file.s3Key);
+    const verdict = await scanner.scan(storage.createReadStream(file.s3Key));
+
+    file.virus = { scanned: true, clean: verdict.clean, scanDate: verdict.scanDate, threats: verdict.threats };
+    if (!verdict.clean) {
+      await quarantineStoredFile(storage, file);
+    }
+    await file.save();
+
+    logger.info('File scanned', { fileId: file.fileId, clean: verdict.clean, threats: verdict.threats, userId: req.user._id });
+    res.json({ success: true, file: serializeFile(file, req.user) });
+  } catch (error) {
+    sendError(res, error, 'Failed to scan file');
+  }
+});
+
+// Update name, tags and folder (edit access); permissions and expiry need admin access
+router.patch('/:fileId', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = updateFileSchema.validate(req.body);
+    if (error) return validationError(res, error);
+
+    const needsAdmin = value.permissions !== undefined || value.expiresAt !== undefined;
+    const file = await loadFile(req, needsAdmin ? 'admin' : 'edit');
+    const folder = value.folder ? await loadFolder(value.folder, req.user, 'edit') : null;
+
+    if (value.originalName !== undefined) file.originalName = value.originalName;
+    if (value.tags !== undefined) file.tags = [...new Set(value.tags.map(tag => tag.toLowerCase()).filter(Boolean))];
+    if (value.permissions) Object.assign(file.permissions, value.permissions);
+    if (value.expiresAt !== undefined) file.expiresAt = value.expiresAt || undefined;
+
+    if (value.folder !== undefined) {
+      await moveFile(file, folder, req.user);
+    } else {
+      await file.save();
+    }
+
+    logger.info('File updated', {
+      fileId: file.fileId,
+      fields: Object.keys(value),
+      userId: req.user._id,
+      ip: req.ip
+    });
+
+    res.json({ success: true, file: serializeFile(file, req.user) });
+  } catch (error) {
+    sendError(res, error, 'Failed to update file');
+  }
+});
+
+// Move a file to the trash; the stored bytes are kept so it can be restored
+router.delete('/:fileId', authenticateToken, async (req, res) => {
+  try {
+    const file = await loadFile(req, 'admin');
+
+    file.isDeleted = true;
+    file.deletedAt = new Date();
+    await file.save();
+
+    logger.info('File deleted', { fileId: file.fileId, userId: req.user._id, ip: req.ip });
+
+    res.json({ success: true, file: serializeFile(file, req.user) });
+  } catch (error) {
+    sendError(res, error, 'Failed to delete file');
+  }
+});
+
+// Bring a file back from the trash
+router.post('/:fileId/restore', authenticateToken, async (req, res) => {
+  try {
+    const file = await loadFile(req, 'admin', { includeDeleted: true });
+    if (!file.isDeleted) {
+      throw fileError(409, 'FILE_NOT_DELETED', 'File is not in the trash');
+    }
+
+    // Files whose folder was deleted meanwhile come back at the root
+    const folder = file.folder ? await Folder.findById(file.folder) : null;
+    file.isDeleted = false;
+    file.deletedAt = undefined;
+    file.folder = folder ? folder._id : null;
+    applyInheritedShares(file, folder, file.uploadedBy);
+    await file.save();
+
+    logger.info('File restored', { fileId: file.fileId, userId: req.user._id, ip: req.ip });
+
+    res.json({ success: true, file: serializeFile(file, req.user) });
+  } catch (error) {
+    sendError(res, error, 'Failed to restore file');
+  }
+});
+
+// Move a file into a folder the user can edit, or to the root with folder: null
+router.post('/:fileId/move', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = moveFileSchema.validate(req.body);
+    if (error) return validationError(res, error);
+
+    const file = await loadFile(req, 'edit');
+    const folder = value.folder ? await loadFolder(value.folder, req.user, 'edit') : null;
+    await moveFile(file, folder, req.user);
+
+    logger.info('File moved', { fileId: file.fileId, folder: value.folder, userId: req.user._id, ip: req.ip });
+
+    res.json({ success: true, file: serializeFile(file, req.user) });
+  } catch (error) {
+    sendError(res, error, 'Failed to move file');
+  }
+});
+
+// Copy a file; the copy is owned by the requesting user
+router.post('/:fileId/copy', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = copyFileSchema.validate(req.body);
+    if (error) return validationError(res, error);
+
+    const file = await loadFile(req, 'view');
+    const folder = value.folder ? await loadFolder(value.folder, req.user, 'edit') : null;
+    const copy = await copyFile(file, req.user, folder, value.name || file.originalName);
+
+    logger.info('File copied', { fileId: file.fileId, copyId: copy.fileId, folder: value.folder, userId: req.user._id, ip: req.ip });
+
+    res.status(201).json({ success: true, file: serializeFile(copy, req.user) });
+  } catch (error) {
+    sendError(res, error, 'Failed to copy file');
+  }
+});
+
+module.exports = {
+  router,
+  serializeFile
+};
@@ -0,0 +1,313 @@
+const express = require('express');
+const Joi = require('joi');
+const winston = require('winston');
+const File = require('../models/File');
+const Folder = require('../models/Folder');
+const { authenticateToken } = require('../middleware/auth');
+const { serializeFile } = require('./files');
+const {
+  loadFolder,
+  getBreadcrumbs,
+  createFolder,
+  renameFolder,
+  moveFolder,
+  copyFolder,
+  deleteFolder,
+  shareFolder,
+  unshareFolder,
+  serializeFolder
+} = require('../utils/folders');
+const router = express.Router();
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/files.log' })
+  ]
+});
+
+const OBJECT_ID_PATTERN = /^[a-f0-9]{24}$/i;
+
+// Validation schemas
+const listQuerySchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(100).default(50),
+  offset: Joi.number().integer().min(0).default(0)
+});
+
+const createFolderSchema = Joi.object({
+  name: Joi.string().max(255).required(),
+  parent: Joi.string().pattern(OBJECT_ID_PATTERN).allow(null).default(null)
+});
+
+const renameFolderSchema = Joi.object({
+  name: Joi.string().max(255).required()
+});
+
+const moveFolderSchema = Joi.object({
+  parent: Joi.string().pattern(OBJECT_ID_PATTERN).allow(null).required()
+});
+
+const copyFolderSchema = Joi.object({
+  parent: Joi.string().pattern(OBJECT_ID_PATTERN).allow(null).required(),
+  name: Joi.string().max(255).optional()
+});
+
+const deleteQuerySchema = Joi.object({
+  recursive: Joi.boolean().default(false)
+});
+
+const shareFolderSchema = Joi.object({
+  userId: Joi.string().pattern(OBJECT_ID_PATTERN).required(),
+  permission: Joi.string().valid('view', 'edit', 'admin').default('view')
+});
+
+const sendError = (res, error, message) => {
+  if (error.status) {
+    return res.status(error.status).json({
+      success: false,
+      error: error.message,
+      code: error.code
+    });
+  }
+
+  logger.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    error: message,
+    code: 'INTERNAL_ERROR'
+  });
+};
+
+const validationError = (res, error) => {
+  return res.status(400).json({
+    success: false,
+    error: 'Validation failed',
+    details: error.details[0].message,
+    code: 'VALIDATION_ERROR'
+  });
+};
+
+// Destination folder for moves and copies; null means the root
+const loadDestination = (parentId, user) => (parentId ? loadFolder(parentId, user, 'edit') : null);
+
+/**
+ * Subfolders and a page of files, in the shape every listing returns. Only items the user
+ * may view are queried, so pages are full and totals count what the user can see.
+ * @param {Object} user - Requesting user
+ * @param {Object} folderQuery - Filter for the subfolders
+ * @param {Object} fileQuery - Filter for the files
+ * @param {Object} page - { limit, offset } for the files
+ */
+const listContents = async (user, folderQuery, fileQuery, { limit, offset }) => {
+  const visibleFolders = { $and: [folderQuery, Folder.accessFilter(user._id)] };
+  const visibleFiles = { $and: [fileQuery, File.accessFilter(user._id)] };
+  const [folders, files, totalFiles] = await Promise.all([
+    Folder.find(visibleFolders).collation({ locale: 'en', strength: 2 }).sort({ name: 1 }),
+    File.find(visibleFiles).sort({ createdAt: -1 }).skip(offset).limit(limit),
+    File.countDocuments(visibleFiles)
+  ]);
+
+  return {
+    folders: folders.map(folder => serializeFolder(folder, user)),
+    files: files.map(file => serializeFile(file, user)),
+    totalFiles,
+    limit,
+    offset
+  };
+};
+
+// The user's root: folders and files that are not inside any folder
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = listQuerySchema.validate(req.query);
+    if (error) return validationError(res, error);
+
+    const contents = await listContents(
+      req.user,
+      { owner: req.user._id, parent: null },
+      { uploadedBy: req.user._id, folder: null, isDeleted: false },
+      value
+    );
+
+    res.json({ success: true, folder: null, breadcrumbs: [], ...contents });
+  } catch (error) {
+    sendError(res, error, 'Failed to list folder');
+  }
+});
+
+// Every folder the user owns as a nested tree, for navigation panes
+router.get('/tree', authenticateToken, async (req, res) => {
+  try {
+    const folders = await Folder.find({ owner: req.user._id })
+      .collation({ locale: 'en', strength: 2 })
+      .sort({ name: 1 });
+
+    const nodes = new Map(folders.map(folder => [String(folder._id), { id: folder._id, name: folder.name, path: folder.path, children: [] }]));
+    const tree = [];
+    for (const folder of folders) {
+      const parent = folder.parent && nodes.get(String(folder.parent));
+      (parent ? parent.children : tree).push(nodes.get(String(folder._id)));
+    }
+
+    res.json({ success: true, tree });
+  } catch (error) {
+    sendError(res, error, 'Failed to load folder tree');
+  }
+});
+
+// Folders and files other users shared with this one directly (not through a parent folder)
+router.get('/shared', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = listQuerySchema.validate(req.query);
+    if (error) return validationError(res, error);
+
+    const sharedWithUser = { 'permissions.sharedWith': { $elemMatch: { userId: req.user._id, inheritedFrom: null } } };
+    const contents = await listContents(req.user, sharedWithUser, { ...sharedWithUser, isDeleted: false }, value);
+
+    res.json({ success: true, folder: null, breadcrumbs: [], ...contents });
+  } catch (error) {
+    sendError(res, error, 'Failed to list shared items');
+  }
+});
+
+// Create a folder at the root or inside a folder the user can edit
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = createFolderSchema.validate(req.body);
+    if (error) return validationError(res, error);
+
+    const parent = await loadDestination(value.parent, req.user);
+    const folder = await createFolder(req.user, value.name, parent);
+
+    res.status(201).json({ success: true, folder: serializeFolder(folder, req.user) });
+  } catch (error) {
+    sendError(res, error, 'Failed to create folder');
+  }
+});
+
+// Folder contents with breadcrumbs
+router.get('/:folderId', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = listQuerySchema.validate(req.query);
+    if (error) return validationError(res, error);
+
+    const folder = await loadFolder(req.params.folderId, req.user, 'view');
+    const [breadcrumbs, contents] = await Promise.all([
+      getBreadcrumbs(folder, req.user),
+      listContents(req.user, { parent: folder._id }, { folder: folder._id, isDeleted: false }, value)
+    ]);
+
+    res.json({ success: true, folder: serializeFolder(folder, req.user), breadcrumbs, ...contents });
+  } catch (error) {
+    sendError(res, error, 'Failed to list folder');
+  }
+});
+
+// Rename a folder; paths below it follow
+router.patch('/:folderId', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = renameFolderSchema.validate(req.body);
+    if (error) return validationError(res, error);
+
+    const folder = await loadFolder(req.params.folderId, req.user, 'edit');
+    await renameFolder(folder, value.name);
+
+    res.json({ success: true, folder: serializeFolder(folder, req.user) });
+  } catch (error) {
+    sendError(res, error, 'Failed to rename folder');
+  }
+});
+
+// Move a folder and its contents; shares inherited from the old location are replaced
+router.post('/:folderId/move', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = moveFolderSchema.validate(req.body);
+    if (error) return validationError(res, error);
+
+    const folder = await loadFolder(req.params.folderId, req.user, 'edit');
+    const parent = await loadDestination(value.parent, req.user);
+    await moveFolder(folder, parent);
+
+    logger.info('Folder moved', { folderId: folder._id, path: folder.path, userId: req.user._id, ip: req.ip });
+
+    res.json({ success: true, folder: serializeFolder(folder, req.user) });
+  } catch (error) {
+    sendError(res, error, 'Failed to move folder');
+  }
+});
+
+// Copy a folder, its subfolders and files
+router.post('/:folderId/copy', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = copyFolderSchema.validate(req.body);
+    if (error) return validationError(res, error);
+
+    const source = await loadFolder(req.params.folderId, req.user, 'view');
+    const parent = await loadDestination(value.parent, req.user);
+    const result = await copyFolder(source, req.user, parent, value.name);
+
+    res.status(201).json({
+      success: true,
+      folder: serializeFolder(result.folder, req.user),
+      copied: { folders: result.folders, files: result.files }
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to copy folder');
+  }
+});
+
+// Delete a folder; ?recursive=true is required when it has contents, which go to the trash
+router.delete('/:folderId', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = deleteQuerySchema.validate(req.query);
+    if (error) return validationError(res, error);
+
+    const folder = await loadFolder(req.params.folderId, req.user, 'admin');
+    const removed = await deleteFolder(folder, value);
+
+    res.json({ success: true, removed });
+  } catch (error) {
+    sendError(res, error, 'Failed to delete folder');
+  }
+});
+
+// Share a folder; the share applies to everything inside it, now and later
+router.post('/:folderId/share', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = shareFolderSchema.validate(req.body);
+    if (error) return validationError(res, error);
+
+    const folder = await loadFolder(req.params.folderId, req.user, 'admin');
+    await shareFolder(folder, value.userId, value.permission);
+
+    logger.info('Folder shared', {
+      folderId: folder._id,
+      sharedWith: value.userId,
+      permission: value.permission,
+      userId: req.user._id,
+      ip: req.ip
+    });
+
+    res.json({ success: true, folder: serializeFolder(folder, req.user) });
+  } catch (error) {
+    sendError(res, error, 'Failed to share folder');
+  }
+});
+
+router.delete('/:folderId/share/:userId', authenticateToken, async (req, res) => {
+  try {
+    const folder = await loadFolder(req.params.folderId, req.user, 'admin');
+    await unshareFolder(folder, req.params.userId);
+
+    logger.info('Folder unshared', { folderId: folder._id, sharedWith: req.params.userId, userId: req.user._id, ip: req.ip });
+
+    res.json({ success: true, folder: serializeFolder(folder, req.user) });
+  } catch (error) {
+    sendError(res, error, 'Failed to unshare folder');
+  }
+});
+
+module.exports = router;
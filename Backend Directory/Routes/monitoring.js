@@ -7,6 +7,7 @@ const {
   logger 
 } = require('../utils/monitoring');
 const { authenticateToken, requireRole } = require('../middleware/auth');
+const { getVirusScanner } = require('../utils/virusScanner');
 const router = express.Router();
 
 // Register health checks
@@ -73,6 +74,20 @@ healthChecker.registerCheck('api', async () => {
   };
 }, { critical: true, timeout: 3000 });
 
+healthChecker.registerCheck('virusScanner', async () => {
+  const scanner = getVirusScanner();
+  if (!scanner.enabled) {
+    return { message: 'Virus scanning is disabled', data: { scanner: scanner.name } };
+  }
+
+  // Uploads are refused while clamd is down
+  const version = await scanner.version();
+  return {
+    message: 'Virus scanner is reachable',
+    data: { scanner: scanner.name, version }
+  };
+}, { critical: true, timeout: 5000 });
+
 // Public health check endpoint
 router.get('/health', async (req, res) => {
   try {
@@ -1,7 +1,19 @@
 const express = require('express');
 const Joi = require('joi');
+const multer = require('multer');
+const path = require('path');
 const winston = require('winston');
 const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const File = require('../models/File');
+const { getJobQueue, FINISHED_STATUSES } = require('../utils/jobQueue');
+const { getOcrEngine } = require('../utils/ocrEngine');
+const { OCR_JOB, enqueueOcr } = require('../utils/ocrJobs');
+const { OCR_OUTPUT_FORMATS, MAX_OCR_PAGES, PDF_RENDER_DPI } = require('../utils/ocrDocument');
+const { tableToRows } = require('../utils/ocrLayout');
+const { XlsxWriter } = require('../utils/xlsxWriter');
+const { formatDelimited } = require('../utils/converters');
+const { assertFileClean } = require('../utils/virusScanner');
+const { contentDisposition } = require('../utils/storage');
 const router = express.Router();
 
 // Configure logger
@@ -14,19 +26,123 @@ const logger = winston.createLogger({
   ]
 });
 
-// Validation schema
+// OCR runs in the background job queue; workers are started by the server or worker process
+const jobQueue = getJobQueue();
+const ocrEngine = getOcrEngine();
+
+// How long /extract waits for a result before answering 202 with a status URL
+const OCR_WAIT_TIMEOUT = parseInt(process.env.OCR_WAIT_TIMEOUT) || 30 * 1000;
+const MAX_IMAGE_SIZE = 25 * 1024 * 1024;
+
+// Images, multi-page TIFFs and scanned PDFs can be recognized
+const isOcrMimeType = (mimeType) => mimeType.startsWith('image/') || mimeType === 'application/pdf';
+
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_IMAGE_SIZE,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (isOcrMimeType(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only images and PDF files can be processed with OCR'), false);
+    }
+  }
+});
+
+// Validation schema - the image comes from exactly one of imageUrl, fileId, imageData or a multipart "image" upload.
+// output lists the documents to produce besides plain text (searchable PDF, hOCR, ALTO XML);
+// layout adds blocks, columns, reading order and tables to the result
 const ocrSchema = Joi.object({
-  imageUrl: Joi.string().uri().required(),
-  language: Joi.string().default('eng'),
+  imageUrl: Joi.string().uri({ scheme: ['http', 'https'] }).optional(),
+  fileId: Joi.string().optional(),
+  imageData: Joi.string().base64().optional(),
+  language: Joi.string().pattern(/^[a-z_]+(\+[a-z_]+)*$/).default('eng'),
   options: Joi.object({
     psm: Joi.number().min(0).max(13).default(3),
-    oem: Joi.number().min(0).max(3).default(3)
-  }).default({})
+    oem: Joi.number().min(0).max(3).default(3),
+    dpi: Joi.number().integer().min(72).max(600).default(PDF_RENDER_DPI),
+    maxPages: Joi.number().integer().min(1).max(MAX_OCR_PAGES).default(MAX_OCR_PAGES)
+  }).default({}),
+  output: Joi.array().items(Joi.string().valid(...OCR_OUTPUT_FORMATS)).single().unique().default(['text']),
+  layout: Joi.boolean().default(false),
+  wait: Joi.boolean().default(true)
+}).oxor('imageUrl', 'fileId', 'imageData');
+
+const tableExportSchema = Joi.object({
+  format: Joi.string().valid('csv', 'xlsx').default('csv'),
+  table: Joi.string().optional()
+});
+
+// Strip server paths from document outputs
+const publicOutputs = (outputs = {}) => Object.fromEntries(
+  Object.entries(outputs).map(([format, { path: outputPath, ...output }]) => [format, output])
+);
+
+const publicResult = (result) => result && { ...result, outputs: publicOutputs(result.outputs) };
+
+// Shape an OCR job for API responses
+const serializeJob = (job) => ({
+  id: job.jobId,
+  status: job.status,
+  progress: job.progress,
+  stage: job.progressDetails?.stage,
+  fileName: job.data.fileName,
+  language: job.data.language,
+  psm: job.data.psm,
+  oem: job.data.oem,
+  output: job.data.output,
+  page: job.progressDetails?.page,
+  pageCount: job.progressDetails?.pageCount,
+  attempts: job.attempts,
+  createdAt: job.createdAt,
+  updatedAt: job.updatedAt,
+  startedAt: job.startedAt,
+  completedAt: job.completedAt,
+  expiresAt: job.expiresAt,
+  result: publicResult(job.result),
+  error: job.error
+});
+
+// Anonymous jobs are reachable by anyone holding the job ID; others only by their owner
+const canAccessJob = (job, user) => {
+  return job.userId === 'anonymous' || (!!user && job.userId === user._id.toString());
+};
+
+// Load an OCR job and check access, sending the error response if needed
+const loadJob = async (req, res) => {
+  const job = await jobQueue.get(req.params.jobId);
+
+  if (!job || job.type !== OCR_JOB) {
+    res.status(404).json({
+      success: false,
+      error: 'Job not found',
+      code: 'JOB_NOT_FOUND'
+    });
+    return null;
+  }
+
+  if (!canAccessJob(job, req.user)) {
+    res.status(403).json({
+      success: false,
+      error: 'Access denied',
+      code: 'ACCESS_DENIED'
+    });
+    return null;
+  }
+
+  return job;
+};
+
+// Tables detected across all pages of a completed layout job
+const getTables = (job) => (job.result?.layout?.pages || []).flatMap(page => {
+  return page.blocks.filter(block => block.type === 'table').map(table => ({ ...table, page: page.page }));
 });
 
 // OCR processing endpoint
-// Note: This endpoint coordinates OCR but actual processing happens client-side with Tesseract.js
-router.post('/extract', optionalAuth, async (req, res) => {
+router.post('/extract', optionalAuth, imageUpload.single('image'), async (req, res) => {
   try {
     // Validate input
     const { error, value } = ocrSchema.validate(req.body);
@@ -34,39 +150,133 @@ router.post('/extract', optionalAuth, async (req, res) => {
       return res.status(400).json({ error: error.details[0].message });
     }
 
-    const { imageUrl, language, options } = value;
+    const { imageUrl, fileId, imageData, language, options, output, layout, wait } = value;
+
+    if (!imageUrl && !fileId && !imageData && !req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'Provide an image upload, imageUrl, fileId or imageData',
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    if (!ocrEngine.isLanguageInstalled(language)) {
+      return res.status(400).json({
+        success: false,
+        error: `OCR language "${language}" is not installed`,
+        code: 'LANGUAGE_NOT_INSTALLED',
+        installedLanguages: ocrEngine.getInstalledLanguages()
+      });
+    }
+
+    // Previously uploaded files are read from storage by the worker
+    let file;
+    if (fileId) {
+      const record = await File.findOne({ fileId, isDeleted: false, status: { $ne: 'deleted' } });
+      if (!record) {
+        return res.status(404).json({
+          success: false,
+          error: 'File not found',
+          code: 'FILE_NOT_FOUND'
+        });
+      }
+
+      const allowed = req.user ? record.canAccess(req.user._id, 'view') : record.permissions.isPublic;
+      if (!allowed) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied',
+          code: 'ACCESS_DENIED'
+        });
+      }
+
+      try {
+        assertFileClean(record);
+      } catch (error) {
+        return res.status(error.status).json({
+          success: false,
+          error: error.message,
+          code: error.code
+        });
+      }
+
+      if (!isOcrMimeType(record.mimeType)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Only images and PDF files can be processed with OCR',
+          code: 'UNSUPPORTED_FILE_TYPE'
+        });
+      }
+
+      file = {
+        fileId: record.fileId,
+        originalName: record.originalName,
+        s3Bucket: record.s3Bucket,
+        s3Key: record.s3Key
+      };
+    }
+
+    const userId = req.user?._id || 'anonymous';
+    let job = await enqueueOcr(jobQueue, {
+      imageUrl,
+      imageData,
+      buffer: req.file?.buffer,
+      fileName: req.file?.originalname,
+      file,
+      language,
+      output,
+      layout,
+      options
+    }, { userId });
 
     // Log OCR request
-    logger.info(`OCR request for ${imageUrl} by user ${req.user?.userId || 'anonymous'}`);
+    logger.info('OCR request queued', {
+      jobId: job.jobId,
+      source: req.file ? 'upload' : fileId ? 'file' : imageUrl ? 'url' : 'data',
+      language,
+      psm: options.psm,
+      oem: options.oem,
+      output,
+      layout,
+      userId,
+      ip: req.ip
+    });
 
-    // Return configuration for client-side OCR processing
-    res.json({
+    if (wait) {
+      job = await jobQueue.waitFor(job.jobId, { timeout: OCR_WAIT_TIMEOUT });
+    }
+
+    if (job.status === 'completed') {
+      return res.json({
+        success: true,
+        jobId: job.jobId,
+        text: job.result.text,
+        confidence: job.result.confidence,
+        language: job.result.language,
+        options: { psm: job.result.psm, oem: job.result.oem },
+        duration: job.result.duration,
+        pageCount: job.result.pageCount,
+        totalPages: job.result.totalPages,
+        outputs: publicOutputs(job.result.outputs),
+        layout: job.result.layout
+      });
+    }
+
+    if (job.status === 'failed') {
+      return res.status(422).json({
+        success: false,
+        error: 'OCR processing failed',
+        code: 'OCR_FAILED',
+        details: job.error,
+        job: serializeJob(job)
+      });
+    }
+
+    res.status(202).json({
       success: true,
-      message: 'OCR configuration prepared',
-      config: {
-        imageUrl,
-        language,
-        options: {
-          logger: m => console.log(m),
-          ...options
-        }
-      },
-      instructions: {
-        note: 'Use Tesseract.js on the client side for actual OCR processing',
-        example: `
-          import Tesseract from 'tesseract.js';
-          
-          const { data: { text } } = await Tesseract.recognize(
-            '${imageUrl}',
-            '${language}',
-            {
-              logger: m => console.log(m),
-              psm: ${options.psm},
-              oem: ${options.oem}
-            }
-          );
-        `
-      }
+      message: 'OCR job queued',
+      job: serializeJob(job),
+      statusUrl: `/api/v1/ocr/status/${job.jobId}`
     });
   } catch (error) {
     logger.error('OCR endpoint error:', error);
@@ -74,6 +284,147 @@ router.post('/extract', optionalAuth, async (req, res) => {
   }
 });
 
+// Download a searchable PDF, hOCR or ALTO document produced by an OCR job
+router.get('/download/:jobId/:format', optionalAuth, async (req, res) => {
+  try {
+    const job = await loadJob(req, res);
+    if (!job) return;
+
+    if (job.status !== 'completed') {
+      return res.status(409).json({
+        success: false,
+        error: 'OCR has not completed',
+        code: 'JOB_NOT_COMPLETED',
+        status: job.status
+      });
+    }
+
+    const output = job.result.outputs?.[req.params.format];
+    if (!output) {
+      return res.status(404).json({
+        success: false,
+        error: `No ${req.params.format} output was requested for this job`,
+        code: 'OUTPUT_NOT_FOUND',
+        available: Object.keys(job.result.outputs || {})
+      });
+    }
+
+    res.setHeader('Content-Type', output.mimeType);
+    res.setHeader('Content-Disposition', contentDisposition('attachment', output.fileName));
+    res.sendFile(output.path, (error) => {
+      if (error && !res.headersSent) {
+        res.status(410).json({
+          success: false,
+          error: 'OCR output is no longer available',
+          code: 'RESULT_EXPIRED'
+        });
+      }
+    });
+  } catch (error) {
+    logger.error('OCR download error:', error);
+    res.status(500).json({ error: 'Failed to download OCR output' });
+  }
+});
+
+// List the tables found by layout analysis
+router.get('/tables/:jobId', optionalAuth, async (req, res) => {
+  try {
+    const job = await loadJob(req, res);
+    if (!job) return;
+
+    if (job.status !== 'completed') {
+      return res.status(409).json({
+        success: false,
+        error: 'OCR has not completed',
+        code: 'JOB_NOT_COMPLETED',
+        status: job.status
+      });
+    }
+
+    if (!job.result.layout) {
+      return res.status(400).json({
+        success: false,
+        error: 'Layout analysis was not requested for this job',
+        code: 'LAYOUT_NOT_REQUESTED'
+      });
+    }
+
+    res.json({
+      success: true,
+      tables: getTables(job).map(table => ({
+        id: table.id,
+        page: table.page,
+        bbox: table.bbox,
+        rowCount: table.rowCount,
+        columnCount: table.columnCount,
+        confidence: table.confidence,
+        rows: tableToRows(table),
+        csvUrl: `/api/v1/ocr/tables/${job.jobId}/export?format=csv&table=${table.id}`,
+        xlsxUrl: `/api/v1/ocr/tables/${job.jobId}/export?format=xlsx&table=${table.id}`
+      })),
+      xlsxUrl: `/api/v1/ocr/tables/${job.jobId}/export?format=xlsx`
+    });
+  } catch (error) {
+    logger.error('OCR tables error:', error);
+    res.status(500).json({ error: 'Failed to get OCR tables' });
+  }
+});
+
+// Export detected tables: CSV holds one table (the first unless ?table= is given),
+// XLSX holds the selected table or every table as its own sheet
+router.get('/tables/:jobId/export', optionalAuth, async (req, res) => {
+  try {
+    const { error, value } = tableExportSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message,
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const job = await loadJob(req, res);
+    if (!job) return;
+
+    if (job.status !== 'completed' || !job.result.layout) {
+      return res.status(409).json({
+        success: false,
+        error: 'No layout analysis is available for this job',
+        code: 'LAYOUT_NOT_AVAILABLE',
+        status: job.status
+      });
+    }
+
+    const tables = getTables(job).filter(table => !value.table || table.id === value.table);
+    if (tables.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: value.table ? 'Table not found' : 'No tables were detected',
+        code: 'TABLE_NOT_FOUND'
+      });
+    }
+
+    const baseName = path.parse(job.data.fileName || 'ocr').name || 'ocr';
+
+    if (value.format === 'csv') {
+      const [table] = tables;
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', contentDisposition('attachment', `${baseName}-${table.id}.csv`));
+      return res.send(formatDelimited(tableToRows(table)));
+    }
+
+    const writer = new XlsxWriter();
+    tables.forEach(table => writer.addSheet(`Page ${table.page} ${table.id.split('_').pop()}`, tableToRows(table)));
+
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', contentDisposition('attachment', `${baseName}-${value.table || 'tables'}.xlsx`));
+    res.send(writer.toBuffer());
+  } catch (error) {
+    logger.error('OCR table export error:', error);
+    res.status(500).json({ error: 'Failed to export OCR tables' });
+  }
+});
+
 // Get supported languages
 router.get('/languages', (req, res) => {
   try {
@@ -187,6 +538,7 @@ router.get('/languages', (req, res) => {
     res.json({
       success: true,
       languages: supportedLanguages,
+      installedLanguages: ocrEngine.getInstalledLanguages(),
       defaultLanguage: 'eng',
       note: 'Use the language code (key) when making OCR requests'
     });
@@ -197,19 +549,14 @@ router.get('/languages', (req, res) => {
 });
 
 // OCR status and progress tracking
-router.get('/status/:jobId', optionalAuth, (req, res) => {
+router.get('/status/:jobId', optionalAuth, async (req, res) => {
   try {
-    const { jobId } = req.params;
-    
-    // In a real implementation, you would track OCR jobs in a database
-    // For now, return a mock response
+    const job = await loadJob(req, res);
+    if (!job) return;
+
     res.json({
       success: true,
-      jobId,
-      status: 'completed',
-      progress: 100,
-      message: 'OCR processing is handled client-side with Tesseract.js',
-      note: 'This endpoint is for future server-side OCR implementation'
+      job: serializeJob(job)
     });
   } catch (error) {
     logger.error('OCR status error:', error);
@@ -217,32 +564,72 @@ router.get('/status/:jobId', optionalAuth, (req, res) => {
   }
 });
 
+// Cancel an OCR job
+router.delete('/status/:jobId', optionalAuth, async (req, res) => {
+  try {
+    const job = await loadJob(req, res);
+    if (!job) return;
+
+    if (FINISHED_STATUSES.includes(job.status)) {
+      return res.status(409).json({
+        success: false,
+        error: `Job already ${job.status}`,
+        code: 'JOB_FINISHED',
+        job: serializeJob(job)
+      });
+    }
+
+    const cancelled = await jobQueue.cancel(job.jobId);
+    logger.info('OCR cancellation requested', { jobId: job.jobId, userId: req.user?._id, ip: req.ip });
+
+    res.json({
+      success: true,
+      message: cancelled.status === 'cancelled' ? 'Job cancelled' : 'Cancellation requested',
+      job: serializeJob(cancelled)
+    });
+  } catch (error) {
+    logger.error('OCR cancel error:', error);
+    res.status(500).json({ error: 'Failed to cancel OCR job' });
+  }
+});
+
 // OCR configuration endpoint
 router.get('/config', (req, res) => {
   try {
     res.json({
       success: true,
       config: {
-        maxImageSize: '10MB',
-        supportedFormats: ['jpg', 'jpeg', 'png', 'bmp', 'tiff', 'webp'],
+        maxImageSize: '25MB',
+        supportedFormats: ['jpg', 'jpeg', 'png', 'gif', 'tiff', 'webp', 'avif', 'svg', 'pdf'],
+        outputFormats: OCR_OUTPUT_FORMATS,
+        maxPages: MAX_OCR_PAGES,
+        pdfRenderDpi: PDF_RENDER_DPI,
         defaultLanguage: 'eng',
-        processingMode: 'client-side',
+        installedLanguages: ocrEngine.getInstalledLanguages(),
+        processingMode: 'server-side',
         library: 'Tesseract.js',
+        engine: ocrEngine.getStatus(),
         features: {
           multiLanguage: true,
           confidence: true,
           boundingBoxes: true,
           wordLevel: true,
-          characterLevel: true
+          characterLevel: true,
+          multiPage: true,
+          searchablePdf: true,
+          hocr: true,
+          alto: true,
+          layoutAnalysis: true,
+          tableExport: ['csv', 'xlsx']
         }
       },
       usage: {
-        note: 'OCR is processed client-side for better performance and privacy',
+        note: 'OCR runs on the server in a pool of Tesseract.js workers',
         steps: [
-          '1. Upload image using /api/v1/upload/simple',
-          '2. Get OCR config from /api/v1/ocr/extract',
-          '3. Process with Tesseract.js in browser',
-          '4. Extract text and confidence scores'
+          '1. Upload image using /api/v1/upload/simple, or send it directly',
+          '2. POST /api/v1/ocr/extract with an image upload, fileId, imageUrl or imageData',
+          '3. Read text and confidence from the response, or poll /api/v1/ocr/status/:jobId when it returns 202',
+          '4. Download requested pdf, hocr or alto outputs from /api/v1/ocr/download/:jobId/:format'
         ]
       }
     });
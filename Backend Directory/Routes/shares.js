@@ -0,0 +1,424 @@
+const express = require('express');
+const Joi = require('joi');
+const jwt = require('jsonwebtoken');
+const winston = require('winston');
+const File = require('../models/File');
+const ShareLink = require('../models/ShareLink');
+const { authenticateToken } = require('../middleware/auth');
+const { rateLimits } = require('../middleware/security');
+const { getStorage, sendStoredObject } = require('../utils/storage');
+const { evaluatePreconditions, requestedRanges } = require('../utils/rangeResponse');
+const { isActiveContent } = require('../utils/formats');
+const { assertFileClean } = require('../utils/virusScanner');
+const router = express.Router();
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/shares.log' })
+  ]
+});
+
+const storage = getStorage();
+
+// Unlocking a password-protected link gives an access token valid this long
+const ACCESS_TOKEN_TTL = 60 * 60;
+const ACCESS_TOKEN_AUDIENCE = 'share-link';
+
+const OBJECT_ID_PATTERN = /^[a-f0-9]{24}$/i;
+
+// Validation schemas
+const createShareSchema = Joi.object({
+  fileId: Joi.string().max(128).required(),
+  permission: Joi.string().valid('view', 'download').default('view'),
+  password: Joi.string().min(4).max(128).optional(),
+  expiresAt: Joi.date().greater('now').allow(null).optional(),
+  maxDownloads: Joi.number().integer().min(1).max(100000).allow(null).optional()
+});
+
+const listQuerySchema = Joi.object({
+  fileId: Joi.string().max(128).optional(),
+  includeInactive: Joi.boolean().default(false)
+});
+
+const unlockSchema = Joi.object({
+  password: Joi.string().max(128).required()
+});
+
+const shareError = (status, code, message) => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+};
+
+const sendError = (res, error, message) => {
+  if (error.status) {
+    return res.status(error.status).json({
+      success: false,
+      error: error.message,
+      code: error.code
+    });
+  }
+
+  logger.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    error: message,
+    code: 'INTERNAL_ERROR'
+  });
+};
+
+const validationError = (res, error) => {
+  return res.status(400).json({
+    success: false,
+    error: 'Validation failed',
+    details: error.details[0].message,
+    code: 'VALIDATION_ERROR'
+  });
+};
+
+const publicUrl = (token) => `/api/v1/shares/public/${token}`;
+
+const isOwner = (file, user) => file.uploadedBy.toString() === user._id.toString();
+
+// API representation of a link; the token is only included right after creation
+const serializeLink = (link, file, token = null) => ({
+  id: link._id,
+  fileId: file ? file.fileId : null,
+  fileName: file ? file.originalName : null,
+  tokenPrefix: link.tokenPrefix,
+  permission: link.permission,
+  hasPassword: link.hasPassword,
+  expiresAt: link.expiresAt,
+  maxDownloads: link.maxDownloads,
+  downloadCount: link.downloadCount,
+  downloadsRemaining: link.downloadsRemaining,
+  viewCount: link.viewCount,
+  lastUsedAt: link.lastUsedAt || null,
+  revokedAt: link.revokedAt,
+  status: link.getInactiveReason() || 'active',
+  createdAt: link.createdAt,
+  ...(token && { token, url: publicUrl(token) })
+});
+
+// Links can be made by the owner, or by users with edit access when the owner allows sharing
+const loadShareableFile = async (fileId, user) => {
+  const file = await File.findOne({ fileId, isDeleted: false });
+  if (!file) {
+    throw shareError(404, 'FILE_NOT_FOUND', 'File not found');
+  }
+  if (!file.canAccess(user._id, 'edit')) {
+    throw shareError(403, 'ACCESS_DENIED', 'Access denied');
+  }
+  if (!isOwner(file, user) && !file.permissions.allowShare) {
+    throw shareError(403, 'SHARING_DISABLED', 'The owner has turned off sharing for this file');
+  }
+  return file;
+};
+
+const hasUnlocked = (req, link) => {
+  const token = req.get('X-Share-Access') || req.query.access;
+  if (!token) return false;
+  try {
+    const payload = jwt.verify(String(token), process.env.JWT_SECRET, { audience: ACCESS_TOKEN_AUDIENCE });
+    return payload.link === String(link._id);
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Resolve the link in the URL to its file
+ * @param {Request} req - Express request with params.token
+ * @param {Object} options - { unlocked } requires a valid access token for password-protected links
+ * @returns {Promise<Object>} { link, file }
+ * @throws {Error} 404 LINK_NOT_FOUND, 410 LINK_REVOKED, LINK_EXPIRED or FILE_UNAVAILABLE,
+ *   401 PASSWORD_REQUIRED
+ */
+const resolveLink = async (req, { unlocked = true } = {}) => {
+  const link = await ShareLink.findByToken(req.params.token).select('+password');
+  if (!link) {
+    throw shareError(404, 'LINK_NOT_FOUND', 'Share link not found');
+  }
+
+  const reason = link.getInactiveReason();
+  if (reason === 'revoked') {
+    throw shareError(410, 'LINK_REVOKED', 'This share link has been revoked');
+  }
+  if (reason === 'expired') {
+    throw shareError(410, 'LINK_EXPIRED', 'This share link has expired');
+  }
+
+  const file = await File.findById(link.file);
+  if (!file || file.isDeleted) {
+    throw shareError(410, 'FILE_UNAVAILABLE', 'The shared file is no longer available');
+  }
+
+  if (unlocked && link.hasPassword && !hasUnlocked(req, link)) {
+    throw shareError(401, 'PASSWORD_REQUIRED', 'This share link is password protected');
+  }
+  return { link, file };
+};
+
+const canDownload = (link, file) => link.permission === 'download' && file.permissions.allowDownload;
+
+// Types browsers show in the page. Anything else is saved to disk, so a link that cannot
+// download must not send it as content either.
+const isViewableInline = (mimeType) => (/^(image|video|audio)\//.test(mimeType) && !isActiveContent(mimeType))
+  || ['application/pdf', 'text/plain'].includes(mimeType);
+
+/**
+ * What a request transfers of the file. HEAD, revalidations (304) and refused ranges send
+ * no file bytes. A GET answered with the whole file or with ranges from its first byte
+ * starts a transfer; later ranges (seeking in a video, resuming a download) continue one.
+ * @param {Request} req - Express request
+ * @param {Object} stored - Storage stat of the file
+ * @returns {string|null} 'start', 'continue', or null when no file bytes are sent
+ */
+const transferOf = (req, stored) => {
+  if (req.method !== 'GET' || evaluatePreconditions(req.headers, stored) !== null) return null;
+  const ranges = requestedRanges(req.headers, stored);
+  if (ranges === 'unsatisfiable') return null;
+  return !ranges || ranges[0].start === 0 ? 'start' : 'continue';
+};
+
+const downloadLimitError = () => shareError(410, 'DOWNLOAD_LIMIT_REACHED', 'This share link has reached its download limit');
+
+// Content and downloads both hand out the file, so both count against maxDownloads
+const assertDownloadsLeft = (link) => {
+  if (link.maxDownloads && link.downloadCount >= link.maxDownloads) {
+    throw downloadLimitError();
+  }
+};
+
+const claimDownload = async (link) => {
+  const claimed = await ShareLink.claimDownload(link._id);
+  if (!claimed) throw downloadLimitError();
+  return claimed;
+};
+
+// Analytics must not fail the request that triggered them
+const recordUse = (promise, linkId) => promise.catch((error) => {
+  logger.warn('Failed to record share link use', { linkId, error: error.message });
+});
+
+// Create a share link for a file
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = createShareSchema.validate(req.body);
+    if (error) return validationError(res, error);
+
+    const file = await loadShareableFile(value.fileId, req.user);
+    if (value.permission === 'download' && !file.permissions.allowDownload) {
+      throw shareError(400, 'DOWNLOAD_NOT_ALLOWED', 'Downloads are turned off for this file; create a view-only link');
+    }
+
+    const token = ShareLink.generateToken();
+    const link = new ShareLink({
+      tokenHash: ShareLink.hashToken(token),
+      tokenPrefix: token.slice(0, 6),
+      file: file._id,
+      createdBy: req.user._id,
+      permission: value.permission,
+      password: value.password,
+      expiresAt: value.expiresAt || null,
+      maxDownloads: value.maxDownloads || null
+    });
+    await link.save();
+
+    logger.info('Share link created', {
+      linkId: link._id,
+      fileId: file.fileId,
+      permission: link.permission,
+      hasPassword: link.hasPassword,
+      expiresAt: link.expiresAt,
+      maxDownloads: link.maxDownloads,
+      userId: req.user._id,
+      ip: req.ip
+    });
+
+    res.status(201).json({ success: true, link: serializeLink(link, file, token) });
+  } catch (error) {
+    sendError(res, error, 'Failed to create share link');
+  }
+});
+
+// Links for one file (?fileId=), or every link the user created
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = listQuerySchema.validate(req.query);
+    if (error) return validationError(res, error);
+
+    let links;
+    let files;
+    if (value.fileId) {
+      const file = await loadShareableFile(value.fileId, req.user);
+      links = await ShareLink.find({ file: file._id }).sort({ createdAt: -1 }).limit(100);
+      files = [file];
+    } else {
+      links = await ShareLink.find({ createdBy: req.user._id }).sort({ createdAt: -1 }).limit(100);
+      files = await File.find({ _id: { $in: links.map(link => link.file) } });
+    }
+
+    const filesById = new Map(files.map(file => [String(file._id), file]));
+    res.json({
+      success: true,
+      links: links
+        .filter(link => value.includeInactive || !link.getInactiveReason())
+        .map(link => serializeLink(link, filesById.get(String(link.file))))
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to list share links');
+  }
+});
+
+// Revoke a link; it stops working immediately
+router.delete('/:linkId', authenticateToken, async (req, res) => {
+  try {
+    const link = OBJECT_ID_PATTERN.test(req.params.linkId) ? await ShareLink.findById(req.params.linkId) : null;
+    if (!link) {
+      throw shareError(404, 'LINK_NOT_FOUND', 'Share link not found');
+    }
+
+    const file = await File.findById(link.file);
+    const allowed = link.createdBy.toString() === req.user._id.toString() || (file && file.canAccess(req.user._id, 'admin'));
+    if (!allowed) {
+      throw shareError(403, 'ACCESS_DENIED', 'Access denied');
+    }
+
+    if (!link.revokedAt) {
+      link.revokedAt = new Date();
+      await link.save();
+      logger.info('Share link revoked', { linkId: link._id, userId: req.user._id, ip: req.ip });
+    }
+
+    res.json({ success: true, link: serializeLink(link, file) });
+  } catch (error) {
+    sendError(res, error, 'Failed to revoke share link');
+  }
+});
+
+// Public: what a link points to. Password-protected links say so until they are unlocked.
+router.get('/public/:token', async (req, res) => {
+  try {
+    const { link, file } = await resolveLink(req, { unlocked: false });
+    if (link.hasPassword && !hasUnlocked(req, link)) {
+      return res.json({ success: true, requiresPassword: true });
+    }
+
+    const downloadable = canDownload(link, file) && link.getInactiveReason() !== 'download_limit';
+    res.json({
+      success: true,
+      requiresPassword: false,
+      file: {
+        name: file.originalName,
+        mimeType: file.mimeType,
+        size: file.size,
+        humanSize: file.humanSize
+      },
+      permission: link.permission,
+      canDownload: downloadable,
+      expiresAt: link.expiresAt,
+      downloadsRemaining: link.downloadsRemaining,
+      contentUrl: `${publicUrl(req.params.token)}/content`,
+      downloadUrl: downloadable ? `${publicUrl(req.params.token)}/download` : null
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to open share link');
+  }
+});
+
+// Public: exchange the link password for an access token, sent back as X-Share-Access or ?access=
+router.post('/public/:token/unlock', rateLimits.auth, async (req, res) => {
+  try {
+    const { error, value } = unlockSchema.validate(req.body);
+    if (error) return validationError(res, error);
+
+    const { link } = await resolveLink(req, { unlocked: false });
+    if (!link.hasPassword) {
+      throw shareError(400, 'NO_PASSWORD', 'This share link has no password');
+    }
+    if (!(await link.comparePassword(value.password))) {
+      logger.warn('Wrong share link password', { linkId: link._id, ip: req.ip });
+      // Not 401: clients treat that as an expired session of the signed-in user
+      throw shareError(403, 'INVALID_PASSWORD', 'Wrong password');
+    }
+
+    const accessToken = jwt.sign({ link: String(link._id) }, process.env.JWT_SECRET, {
+      expiresIn: ACCESS_TOKEN_TTL,
+      audience: ACCESS_TOKEN_AUDIENCE
+    });
+
+    res.json({ success: true, accessToken, expiresIn: ACCESS_TOKEN_TTL });
+  } catch (error) {
+    sendError(res, error, 'Failed to unlock share link');
+  }
+});
+
+// Public: the file shown in the browser. Each new transfer counts as a view. On links with a
+// download limit every response with file bytes counts against it, whatever its range, so
+// the file cannot be fetched in pieces around the limit. View-only links only show types
+// browsers display.
+router.get('/public/:token/content', async (req, res) => {
+  try {
+    const { link, file } = await resolveLink(req);
+    if (!canDownload(link, file) && !isViewableInline(file.mimeType)) {
+      throw shareError(403, 'DOWNLOAD_NOT_ALLOWED', 'This file can only be downloaded, and this link does not allow downloads');
+    }
+    assertDownloadsLeft(link);
+    assertFileClean(file);
+    const stored = await storage.stat(file.s3Key);
+
+    const transfer = transferOf(req, stored);
+    if (transfer && link.maxDownloads) {
+      await claimDownload(link);
+    }
+    if (transfer === 'start') {
+      await recordUse(ShareLink.updateOne({ _id: link._id }, { $inc: { viewCount: 1 }, $set: { lastUsedAt: new Date() } }), link._id);
+      await recordUse(file.incrementShare(), link._id);
+    }
+
+    await sendStoredObject(req, res, file.s3Key, { stored, disposition: 'inline', filename: file.originalName, storage });
+  } catch (error) {
+    sendError(res, error, 'Failed to send shared file');
+  }
+});
+
+// Public: the file as a download. Each new transfer is counted; on links with a download
+// limit, so is every range request that resumes one.
+router.get('/public/:token/download', async (req, res) => {
+  try {
+    const { link, file } = await resolveLink(req);
+    if (!canDownload(link, file)) {
+      throw shareError(403, 'DOWNLOAD_NOT_ALLOWED', 'This link does not allow downloads');
+    }
+    assertDownloadsLeft(link);
+    assertFileClean(file);
+    const stored = await storage.stat(file.s3Key);
+
+    const transfer = transferOf(req, stored);
+    if (transfer === 'start' || (transfer && link.maxDownloads)) {
+      const claimed = await claimDownload(link);
+      if (transfer === 'start') {
+        await recordUse(file.incrementDownload(), link._id);
+      }
+
+      logger.info('Shared file downloaded', {
+        linkId: link._id,
+        fileId: file.fileId,
+        downloadCount: claimed.downloadCount,
+        ip: req.ip
+      });
+    }
+
+    await sendStoredObject(req, res, file.s3Key, { stored, disposition: 'attachment', filename: file.originalName, storage });
+  } catch (error) {
+    sendError(res, error, 'Failed to send shared file');
+  }
+});
+
+module.exports = router;
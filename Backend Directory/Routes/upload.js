@@ -1,13 +1,29 @@
 const express = require('express');
+const path = require('path');
 const multer = require('multer');
 const busboy = require('busboy');
-const AWS = require('aws-sdk');
+const { buffer: streamToBuffer } = require('stream/consumers');
 const { v4: uuidv4 } = require('uuid');
 const Joi = require('joi');
-const fileType = require('file-type');
 const winston = require('winston');
 const { authenticateToken, optionalAuth } = require('../middleware/auth');
 const { rateLimits, contentDisarmReconstruction } = require('../middleware/security');
+const File = require('../models/File');
+const { loadFolder, applyInheritedShares } = require('../utils/folders');
+const { getStorage, sendStoredObject } = require('../utils/storage');
+const { getJobQueue } = require('../utils/jobQueue');
+const { enqueuePreview } = require('../utils/previewJobs');
+const { getVirusScanner, assertFileClean, quarantine } = require('../utils/virusScanner');
+const { MAX_CDR_SIZE, canDisarm, disarmFile } = require('../utils/contentDisarm');
+const { formatForExtension, uploadFormat, matchesFormat } = require('../utils/formats');
+const {
+  getResumableUploads,
+  parseMetadata,
+  formatMetadata,
+  parseChecksum,
+  MAX_RESUMABLE_SIZE,
+  CHECKSUM_ALGORITHMS
+} = require('../utils/resumableUploads');
 // const ConvertApi = require('convertapi');
 // const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
 // const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
@@ -28,54 +44,14 @@ const logger = winston.createLogger({
 // Production features temporarily disabled for basic functionality
 logger.info('Running in basic mode - production features will be enabled after dependency setup');
 
-// Configure AWS S3 (legacy for compatibility)
-const s3 = new AWS.S3({
-  accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-  secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
-  region: process.env.AWS_REGION || 'us-east-1'
-});
+// Local disk or S3-compatible storage, chosen by STORAGE_DRIVER
+const storage = getStorage();
+const scanner = getVirusScanner();
 
-// Allowed file types and their MIME types
-const ALLOWED_FILE_TYPES = {
-  // Documents
-  '.pdf': ['application/pdf'],
-  '.doc': ['application/msword'],
-  '.docx': ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
-  '.xls': ['application/vnd.ms-excel'],
-  '.xlsx': ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'],
-  '.ppt': ['application/vnd.ms-powerpoint'],
-  '.pptx': ['application/vnd.openxmlformats-officedocument.presentationml.presentation'],
-  '.txt': ['text/plain'],
-  '.rtf': ['application/rtf'],
-  '.csv': ['text/csv'],
-  
-  // Images
-  '.jpg': ['image/jpeg'],
-  '.jpeg': ['image/jpeg'],
-  '.png': ['image/png'],
-  '.gif': ['image/gif'],
-  '.bmp': ['image/bmp'],
-  '.svg': ['image/svg+xml'],
-  '.webp': ['image/webp'],
-  '.tiff': ['image/tiff'],
-  '.heic': ['image/heic'],
-  
-  // Videos
-  '.mp4': ['video/mp4'],
-  '.avi': ['video/x-msvideo'],
-  '.mov': ['video/quicktime'],
-  '.wmv': ['video/x-ms-wmv'],
-  '.flv': ['video/x-flv'],
-  '.webm': ['video/webm'],
-  '.mkv': ['video/x-matroska'],
-  
-  // Audio
-  '.mp3': ['audio/mpeg'],
-  '.wav': ['audio/wav'],
-  '.flac': ['audio/flac'],
-  '.aac': ['audio/aac'],
-  '.ogg': ['audio/ogg']
-};
+// Uploads are stored under uploads/<fileId>; the original name travels in the object metadata
+const FILE_ID_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+const storageKey = (fileId) => `uploads/${fileId}`;
+const fileUrl = (fileId) => `/api/v1/upload/file/${fileId}`;
 
 const MAX_FILE_SIZE = parseInt(process.env.MAX_FILE_SIZE) || 104857600; // 100MB default
 
@@ -89,58 +65,55 @@ const uploadSchema = Joi.object({
 // Helper function to validate file type
 const validateFileType = async (buffer, filename, mimeType) => {
   try {
-    // Get file extension
-    const ext = '.' + filename.split('.').pop().toLowerCase();
-    
     // Check if extension is allowed
-    if (!ALLOWED_FILE_TYPES[ext]) {
+    const extensionFormat = formatForExtension(filename);
+    if (!extensionFormat || !extensionFormat.upload) {
       return { valid: false, error: 'File type not allowed' };
     }
-    
+
     // Check MIME type
-    if (!ALLOWED_FILE_TYPES[ext].includes(mimeType)) {
+    const format = uploadFormat(filename, mimeType);
+    if (!format) {
       return { valid: false, error: 'MIME type mismatch' };
     }
-    
-    // Verify file signature (magic bytes)
-    const detectedType = await fileType.fromBuffer(buffer.slice(0, 4100));
-    if (detectedType && !ALLOWED_FILE_TYPES[ext].includes(detectedType.mime)) {
+
+    // Verify file signature (magic bytes), looking inside ZIP and other containers
+    if (!matchesFormat(buffer, format)) {
       return { valid: false, error: 'File signature mismatch' };
     }
-    
-    return { valid: true };
+
+    return { valid: true, format };
   } catch (error) {
     logger.error('File validation error:', error);
     return { valid: false, error: 'File validation failed' };
   }
 };
 
-// Helper function to upload to S3
-const uploadToS3 = async (buffer, filename, contentType) => {
+// Helper function to store an upload. The body may be a Buffer or a readable stream;
+// streams are written through without being read into memory.
+const storeUpload = async (body, filename, contentType) => {
   try {
-    const key = `uploads/${uuidv4()}-${filename}`;
-    
-    const params = {
-      Bucket: process.env.AWS_S3_BUCKET,
-      Key: key,
-      Body: buffer,
-      ContentType: contentType,
-      ServerSideEncryption: 'AES256',
-      Metadata: {
-        'original-filename': filename,
+    const fileId = uuidv4();
+    const key = storageKey(fileId);
+
+    const result = await storage.put(key, body, {
+      contentType,
+      metadata: {
+        // Object metadata must be ASCII on S3
+        'original-filename': encodeURIComponent(filename),
         'upload-timestamp': new Date().toISOString()
       }
-    };
-    
-    const result = await s3.upload(params).promise();
+    });
+
     return {
       success: true,
-      url: result.Location,
-      key: result.Key,
-      etag: result.ETag
+      fileId,
+      url: fileUrl(fileId),
+      key,
+      etag: result.etag
     };
   } catch (error) {
-    logger.error('S3 upload error:', error);
+    logger.error('Storage upload error:', error);
     return {
       success: false,
       error: 'Failed to upload file to storage'
@@ -148,6 +121,117 @@ const uploadToS3 = async (buffer, filename, contentType) => {
   }
 };
 
+const originalFilename = (metadata, fallback) => {
+  const value = metadata['original-filename'];
+  if (!value) return fallback;
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    return value;
+  }
+};
+
+// Stored file for a fileId, or a 404 error for unknown or malformed IDs
+const statUpload = async (fileId) => {
+  if (!FILE_ID_PATTERN.test(fileId)) {
+    const error = new Error('File not found');
+    error.status = 404;
+    error.code = 'FILE_NOT_FOUND';
+    throw error;
+  }
+  return storage.stat(storageKey(fileId));
+};
+
+// Folder an upload should go into; only signed-in users with edit access can upload into one
+const resolveUploadFolder = async (user, folderId) => {
+  if (!folderId) return null;
+  if (!user) {
+    const error = new Error('Sign in to upload into a folder');
+    error.status = 401;
+    error.code = 'AUTH_REQUIRED';
+    throw error;
+  }
+  return loadFolder(folderId, user, 'edit');
+};
+
+/**
+ * Scan an upload before it is stored. Infected files are quarantined and refused.
+ * @param {Function} openSource - Returns the file contents (a Buffer, or a new stream on each call)
+ * @param {Object} details - { filename, contentType, user }
+ * @returns {Promise<Object|null>} The scan verdict, or null when scanning is disabled
+ * @throws {Error} 422 FILE_INFECTED, 503 SCANNER_UNAVAILABLE, 422 SCAN_FAILED
+ */
+const scanUpload = async (openSource, { filename, contentType, user }) => {
+  const verdict = await scanner.scan(openSource());
+  if (verdict && !verdict.clean) {
+    await quarantine(storage, openSource(), { filename, contentType, threats: verdict.threats, userId: user?._id });
+    const error = new Error(`File is infected (${verdict.threats.join(', ')}) and was not stored`);
+    error.status = 422;
+    error.code = 'FILE_INFECTED';
+    throw error;
+  }
+  return verdict;
+};
+
+// Uploads by signed-in users get a File document; anonymous uploads are only stored.
+// If the document cannot be written the stored object is removed again.
+const recordUpload = async (user, uploadResult, { originalName, mimeType, size, folder = null, scan = null, cdr = null }) => {
+  if (!user) return null;
+
+  let record;
+  try {
+    record = new File({
+      fileId: uploadResult.fileId,
+      originalName,
+      fileName: path.basename(uploadResult.key),
+      mimeType,
+      size,
+      uploadedBy: user._id,
+      s3Key: uploadResult.key,
+      s3Bucket: storage.bucket || storage.name,
+      status: 'completed',
+      folder: folder ? folder._id : null,
+      ...(scan && { virus: { scanned: true, clean: true, scanDate: scan.scanDate, threats: [] } }),
+      ...(cdr && { cdr })
+    });
+    // Files uploaded into a shared folder are shared like the rest of its contents
+    applyInheritedShares(record, folder, user._id);
+    await record.save();
+  } catch (error) {
+    await storage.delete(uploadResult.key).catch((cleanupError) => {
+      logger.warn('Failed to remove stored file after record error', { key: uploadResult.key, error: cleanupError.message });
+    });
+    throw error;
+  }
+
+  // Thumbnails and image, PDF and video metadata are filled in by a background job
+  await enqueuePreview(getJobQueue(), record);
+  return record;
+};
+
+// The File document for a stored upload, checked against the requesting user. Files without
+// a document (anonymous uploads) are reachable by anyone holding their ID.
+const findUploadRecord = async (req, fileId, permission = 'view') => {
+  const record = await File.findOne({ fileId });
+  if (!record) return null;
+
+  if (record.isDeleted) {
+    const error = new Error('File not found');
+    error.status = 404;
+    error.code = 'FILE_NOT_FOUND';
+    throw error;
+  }
+
+  const allowed = req.user ? record.canAccess(req.user._id, permission) : record.permissions.isPublic && permission === 'view';
+  if (!allowed) {
+    const error = new Error('Access denied');
+    error.status = 403;
+    error.code = 'ACCESS_DENIED';
+    throw error;
+  }
+  return record;
+};
+
 // Configure multer for memory storage
 const upload = multer({
   storage: multer.memoryStorage(),
@@ -156,8 +240,7 @@ const upload = multer({
     files: 1
   },
   fileFilter: (req, file, cb) => {
-    const ext = '.' + file.originalname.split('.').pop().toLowerCase();
-    if (ALLOWED_FILE_TYPES[ext] && ALLOWED_FILE_TYPES[ext].includes(file.mimetype)) {
+    if (uploadFormat(file.originalname, file.mimetype)) {
       cb(null, true);
     } else {
       cb(new Error('File type not allowed'), false);
@@ -177,6 +260,7 @@ router.post('/simple', rateLimits.upload, optionalAuth, upload.single('file'), c
 
     const { originalname, buffer, mimetype, size } = req.file;
     const userId = req.user?.id;
+    const folder = await resolveUploadFolder(req.user, req.body?.folder);
 
     // Validate file type
     const validation = await validateFileType(buffer, originalname, mimetype);
@@ -187,39 +271,50 @@ router.post('/simple', rateLimits.upload, optionalAuth, upload.single('file'), c
       });
     }
 
-    // Generate unique file ID
-    const fileId = uuidv4();
-    
-    // Generate unique filename
-     const timestamp = Date.now();
-     const extension = path.extname(originalname);
-     const filename = `${fileId}-${timestamp}${extension}`;
-
-     // Upload to S3 (basic implementation)
-     const uploadResult = await uploadToS3(buffer, filename, mimetype);
-
-     // Log upload
-     logger.info('File uploaded successfully', {
-       fileId,
-       originalname,
-       size,
-       mimetype,
-       userId: userId || 'anonymous',
-       s3Key: uploadResult.Key
-     });
-
-     res.json({
-       success: true,
-       fileId,
-       filename: originalname,
-       size,
-       mimetype,
-       uploadedAt: new Date().toISOString(),
-       fileUrl: uploadResult.Location || `/api/v1/upload/file/${fileId}`,
-       s3Key: uploadResult.Key
-     });
+    const scan = await scanUpload(() => buffer, { filename: originalname, contentType: mimetype, user: req.user });
+
+    // Store under a new file ID
+    const uploadResult = await storeUpload(buffer, originalname, mimetype);
+    if (!uploadResult.success) {
+      return res.status(500).json({
+        success: false,
+        error: uploadResult.error
+      });
+    }
+    const { fileId } = uploadResult;
+    const record = await recordUpload(req.user, uploadResult, { originalName: originalname, mimeType: mimetype, size, folder, scan, cdr: req.file.cdr });
+
+    // Log upload
+    logger.info('File uploaded successfully', {
+      fileId,
+      originalname,
+      size,
+      mimetype,
+      userId: userId || 'anonymous',
+      storageKey: uploadResult.key
+    });
+
+    res.json({
+      success: true,
+      fileId,
+      filename: originalname,
+      size,
+      mimetype,
+      uploadedAt: new Date().toISOString(),
+      fileUrl: uploadResult.url,
+      storageKey: uploadResult.key,
+      saved: !!record,
+      cdr: req.file.cdr || null
+    });
 
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
     logger.error('Upload error:', error);
     res.status(500).json({
       success: false,
@@ -254,7 +349,7 @@ router.post('/chunk', rateLimits.upload, optionalAuth, (req, res) => {
       
       file.on('end', async () => {
         try {
-          const buffer = Buffer.concat(fileData);
+          let buffer = Buffer.concat(fileData);
           
           // Validate input
           const { error } = uploadSchema.validate({
@@ -273,26 +368,37 @@ router.post('/chunk', rateLimits.upload, optionalAuth, (req, res) => {
             return res.status(400).json({ error: validation.error });
           }
           
-          // Upload to S3
-          const uploadResult = await uploadToS3(buffer, filename, contentType);
+          // Office documents, PDFs and SVGs are stored without their active content
+          const disarmed = disarmFile(buffer, contentType);
+          if (disarmed) buffer = disarmed.buffer;
+
+          const scan = await scanUpload(() => buffer, { filename, contentType, user: req.user });
+
+          // Store the file
+          const uploadResult = await storeUpload(buffer, filename, contentType);
           if (!uploadResult.success) {
             return res.status(500).json({ error: uploadResult.error });
           }
+          await recordUpload(req.user, uploadResult, { originalName: filename, mimeType: contentType, size: buffer.length, scan, cdr: disarmed?.report });
           
           logger.info(`Chunked file uploaded: ${filename} by user ${req.user?.userId || 'anonymous'}`);
           
           res.json({
             success: true,
             file: {
-              id: uploadResult.key,
+              id: uploadResult.fileId,
               filename: filename,
               size: buffer.length,
               contentType: contentType,
               url: uploadResult.url,
               uploadedAt: new Date().toISOString()
-            }
+            },
+            cdr: disarmed?.report || null
           });
         } catch (error) {
+          if (error.status) {
+            return res.status(error.status).json({ error: error.message, code: error.code });
+          }
           logger.error('Chunked upload processing error:', error);
           res.status(500).json({ error: 'Upload processing failed' });
         }
@@ -311,32 +417,318 @@ router.post('/chunk', rateLimits.upload, optionalAuth, (req, res) => {
   }
 });
 
+// Resumable uploads follow the tus 1.0.0 protocol (creation, checksum, termination and
+// expiration extensions), so tus-js-client and other tus clients work unchanged. Chunks
+// are written to disk as they arrive; finalize verifies the whole file and streams it to storage.
+const TUS_VERSION = '1.0.0';
+const resumableUploads = getResumableUploads();
+
+const uploadLocation = (req, uploadId) => `${req.baseUrl}/resumable/${uploadId}`;
+
+const sendUploadError = (res, error, message) => {
+  if (error.status) {
+    if (error.offset !== undefined) res.setHeader('Upload-Offset', error.offset);
+    return res.status(error.status).json({
+      success: false,
+      error: error.message,
+      code: error.code
+    });
+  }
+
+  logger.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    error: message,
+    code: 'INTERNAL_ERROR'
+  });
+};
+
+// Load a session, refusing other users' uploads; anonymous sessions are reachable by ID only
+const getOwnUpload = async (req) => {
+  const session = await resumableUploads.get(req.params.uploadId);
+  if (session.userId && session.userId !== String(req.user?.id)) {
+    const error = new Error('Access denied');
+    error.status = 403;
+    error.code = 'ACCESS_DENIED';
+    throw error;
+  }
+  return session;
+};
+
+const setUploadHeaders = (res, session) => {
+  res.setHeader('Upload-Offset', session.offset);
+  res.setHeader('Upload-Length', session.length);
+  res.setHeader('Upload-Expires', new Date(session.expiresAt).toUTCString());
+};
+
+router.use('/resumable', (req, res, next) => {
+  res.setHeader('Tus-Resumable', TUS_VERSION);
+  const clientVersion = req.get('Tus-Resumable');
+  if (req.method !== 'OPTIONS' && clientVersion && clientVersion !== TUS_VERSION) {
+    res.setHeader('Tus-Version', TUS_VERSION);
+    return res.status(412).json({
+      success: false,
+      error: `Unsupported tus version ${clientVersion}`,
+      code: 'TUS_VERSION_UNSUPPORTED'
+    });
+  }
+  next();
+});
+
+// Server capabilities
+router.options('/resumable', (req, res) => {
+  res.setHeader('Tus-Version', TUS_VERSION);
+  res.setHeader('Tus-Extension', 'creation,checksum,termination,expiration');
+  res.setHeader('Tus-Max-Size', MAX_RESUMABLE_SIZE);
+  res.setHeader('Tus-Checksum-Algorithm', Object.keys(CHECKSUM_ALGORITHMS).join(','));
+  res.status(204).end();
+});
+
+// Create an upload session. Upload-Metadata must include filename and filetype (the MIME type)
+// and may name a folder to save the file in.
+router.post('/resumable', rateLimits.upload, optionalAuth, async (req, res) => {
+  try {
+    const length = Number(req.get('Upload-Length'));
+    const metadata = parseMetadata(req.get('Upload-Metadata'));
+
+    if (!metadata.filename || !metadata.filetype) {
+      return res.status(400).json({
+        success: false,
+        error: 'Upload-Metadata must include filename and filetype',
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    // Reject disallowed types now rather than after gigabytes have been sent
+    if (!uploadFormat(metadata.filename, metadata.filetype)) {
+      return res.status(400).json({
+        success: false,
+        error: 'File type not allowed',
+        code: 'INVALID_FILE_TYPE'
+      });
+    }
+    if (metadata.checksum) parseChecksum(metadata.checksum);
+    await resolveUploadFolder(req.user, metadata.folder);
+
+    const session = await resumableUploads.create({
+      length,
+      metadata,
+      userId: req.user?.id
+    });
+
+    res.setHeader('Location', uploadLocation(req, session.id));
+    setUploadHeaders(res, session);
+    res.status(201).json({
+      success: true,
+      uploadId: session.id,
+      location: uploadLocation(req, session.id),
+      offset: session.offset,
+      length: session.length,
+      expiresAt: session.expiresAt
+    });
+  } catch (error) {
+    sendUploadError(res, error, 'Failed to create upload');
+  }
+});
+
+// Current offset, for resuming after a dropped connection
+router.head('/resumable/:uploadId', optionalAuth, async (req, res) => {
+  try {
+    const session = await getOwnUpload(req);
+    setUploadHeaders(res, session);
+    res.setHeader('Upload-Metadata', formatMetadata(session.metadata));
+    res.setHeader('Cache-Control', 'no-store');
+    res.status(200).end();
+  } catch (error) {
+    res.status(error.status || 500).end();
+  }
+});
+
+// Append a chunk at Upload-Offset, optionally verified by Upload-Checksum
+router.patch('/resumable/:uploadId', optionalAuth, async (req, res) => {
+  try {
+    if (req.get('Content-Type') !== 'application/offset+octet-stream') {
+      return res.status(415).json({
+        success: false,
+        error: 'Content-Type must be application/offset+octet-stream',
+        code: 'INVALID_CONTENT_TYPE'
+      });
+    }
+
+    const offset = Number(req.get('Upload-Offset'));
+    if (!Number.isSafeInteger(offset) || offset < 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Upload-Offset must be a non-negative integer',
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const checksum = parseChecksum(req.get('Upload-Checksum'));
+    const session = await getOwnUpload(req);
+
+    const contentLength = Number(req.get('Content-Length'));
+    if (contentLength > session.length - offset) {
+      return res.status(413).json({
+        success: false,
+        error: 'Chunk goes past Upload-Length',
+        code: 'UPLOAD_TOO_LARGE'
+      });
+    }
+
+    const updated = await resumableUploads.append(session.id, offset, req, checksum);
+
+    setUploadHeaders(res, updated);
+    res.status(204).end();
+  } catch (error) {
+    // The client is gone; what it sent so far stays and is reported by the next HEAD
+    if (req.destroyed && error.code === 'ERR_STREAM_PREMATURE_CLOSE') return;
+    sendUploadError(res, error, 'Failed to write upload chunk');
+  }
+});
+
+// Cancel an upload and delete what was received
+router.delete('/resumable/:uploadId', optionalAuth, async (req, res) => {
+  try {
+    const session = await getOwnUpload(req);
+    await resumableUploads.exclusive(session.id, () => resumableUploads.remove(session.id));
+    res.status(204).end();
+  } catch (error) {
+    sendUploadError(res, error, 'Failed to cancel upload');
+  }
+});
+
+// Verify a complete upload and move it to storage. The expected checksum ("sha256 <base64>")
+// comes from the request body or the checksum metadata given at creation.
+router.post('/resumable/:uploadId/finalize', optionalAuth, async (req, res) => {
+  try {
+    const session = await getOwnUpload(req);
+
+    const result = await resumableUploads.exclusive(session.id, async () => {
+      // Re-read inside the lock; a PATCH may have finished since the session was loaded
+      const { offset } = await resumableUploads.get(session.id);
+      if (offset < session.length) {
+        const error = new Error(`Upload is incomplete: ${offset} of ${session.length} bytes received`);
+        error.status = 409;
+        error.code = 'UPLOAD_INCOMPLETE';
+        error.offset = offset;
+        throw error;
+      }
+
+      const expected = parseChecksum(req.body?.checksum || session.metadata.checksum);
+      const algorithm = expected ? expected.algorithm : 'sha256';
+      const digest = await resumableUploads.digest(session.id, algorithm);
+
+      if (expected && expected.digest !== digest) {
+        // The assembled bytes are wrong somewhere; resuming cannot repair that
+        await resumableUploads.remove(session.id);
+        const error = new Error('File checksum does not match; upload it again');
+        error.status = 422;
+        error.code = 'CHECKSUM_MISMATCH';
+        throw error;
+      }
+
+      const { filename, filetype } = session.metadata;
+      const validation = await validateFileType(await resumableUploads.readHead(session.id), filename, filetype);
+      if (!validation.valid) {
+        await resumableUploads.remove(session.id);
+        const error = new Error(validation.error);
+        error.status = 400;
+        error.code = 'INVALID_FILE_TYPE';
+        throw error;
+      }
+
+      // Access to the folder is checked again; it may have changed while the upload ran
+      const folder = await resolveUploadFolder(req.user, session.metadata.folder);
+
+      // Disarmed types are rebuilt in memory and stored from the rebuilt copy
+      let disarmed = null;
+      if (canDisarm(filetype)) {
+        if (session.length > MAX_CDR_SIZE) {
+          await resumableUploads.remove(session.id);
+          const error = new Error(`Files of this type over ${Math.round(MAX_CDR_SIZE / 1024 / 1024)}MB cannot be disarmed`);
+          error.status = 413;
+          error.code = 'CDR_TOO_LARGE';
+          throw error;
+        }
+        try {
+          disarmed = disarmFile(await streamToBuffer(resumableUploads.createReadStream(session.id)), filetype);
+        } catch (error) {
+          if (error.code === 'CDR_FAILED') await resumableUploads.remove(session.id);
+          throw error;
+        }
+      }
+      const openSource = () => (disarmed ? disarmed.buffer : resumableUploads.createReadStream(session.id));
+      const size = disarmed ? disarmed.buffer.length : session.length;
+
+      let scan;
+      try {
+        scan = await scanUpload(openSource, { filename, contentType: filetype, user: req.user });
+      } catch (error) {
+        // An unavailable scanner keeps the session, so finalize can be retried
+        if (error.code === 'FILE_INFECTED') await resumableUploads.remove(session.id);
+        throw error;
+      }
+
+      const uploadResult = await storeUpload(openSource(), filename, filetype);
+      if (!uploadResult.success) {
+        // The session is kept so finalize can be retried
+        const error = new Error(uploadResult.error);
+        error.status = 502;
+        error.code = 'STORAGE_ERROR';
+        throw error;
+      }
+      await recordUpload(req.user, uploadResult, { originalName: filename, mimeType: filetype, size, folder, scan, cdr: disarmed?.report });
+
+      await resumableUploads.remove(session.id);
+      return { uploadResult, size, cdr: disarmed?.report || null, checksum: `${algorithm} ${digest}` };
+    });
+
+    logger.info(`Resumable upload completed: ${session.metadata.filename} by user ${req.user?.id || 'anonymous'}`, {
+      uploadId: session.id,
+      size: session.length
+    });
+
+    res.json({
+      success: true,
+      file: {
+        id: result.uploadResult.fileId,
+        filename: session.metadata.filename,
+        size: result.size,
+        contentType: session.metadata.filetype,
+        url: result.uploadResult.url,
+        checksum: result.checksum,
+        uploadedAt: new Date().toISOString()
+      },
+      cdr: result.cdr
+    });
+  } catch (error) {
+    sendUploadError(res, error, 'Failed to finalize upload');
+  }
+});
+
 // Get file info endpoint
 router.get('/info/:fileId', optionalAuth, async (req, res) => {
   try {
     const { fileId } = req.params;
-    
-    const params = {
-      Bucket: process.env.AWS_S3_BUCKET,
-      Key: fileId
-    };
-    
-    const headResult = await s3.headObject(params).promise();
+    const stored = await statUpload(fileId);
+    const record = await findUploadRecord(req, fileId);
     
     res.json({
       success: true,
       file: {
         id: fileId,
-        filename: headResult.Metadata['original-filename'],
-        size: headResult.ContentLength,
-        contentType: headResult.ContentType,
-        lastModified: headResult.LastModified,
-        uploadedAt: headResult.Metadata['upload-timestamp']
+        filename: record ? record.originalName : originalFilename(stored.metadata, fileId),
+        size: stored.size,
+        contentType: stored.contentType,
+        lastModified: stored.lastModified,
+        uploadedAt: stored.metadata['upload-timestamp'],
+        url: fileUrl(fileId)
       }
     });
   } catch (error) {
-    if (error.code === 'NotFound') {
-      return res.status(404).json({ error: 'File not found' });
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.message, code: error.code });
     }
     logger.error('Get file info error:', error);
     res.status(500).json({ error: 'Failed to get file info' });
@@ -348,14 +740,22 @@ router.get('/signed-url/:fileId', authenticateToken, async (req, res) => {
   try {
     const { fileId } = req.params;
     const { action = 'getObject', expires = 3600 } = req.query;
+    const record = await findUploadRecord(req, fileId, action === 'putObject' ? 'edit' : 'view');
+    if (action === 'putObject' && scanner.enabled) {
+      // Bytes written through a presigned URL never pass the scanner
+      return res.status(400).json({
+        error: 'Direct uploads are disabled while virus scanning is on',
+        code: 'DIRECT_UPLOAD_DISABLED'
+      });
+    }
+    if (action !== 'putObject') assertFileClean(record, scanner);
+    const stored = action === 'putObject' ? null : await statUpload(fileId);
     
-    const params = {
-      Bucket: process.env.AWS_S3_BUCKET,
-      Key: fileId,
-      Expires: parseInt(expires)
-    };
-    
-    const signedUrl = s3.getSignedUrl(action, params);
+    const signedUrl = await storage.presign(storageKey(fileId), {
+      action: action === 'putObject' ? 'put' : 'get',
+      expires,
+      filename: stored ? (record ? record.originalName : originalFilename(stored.metadata, fileId)) : undefined
+    });
     
     res.json({
       success: true,
@@ -363,32 +763,83 @@ router.get('/signed-url/:fileId', authenticateToken, async (req, res) => {
       expiresIn: expires
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
     logger.error('Signed URL generation error:', error);
     res.status(500).json({ error: 'Failed to generate signed URL' });
   }
 });
 
-// Status and file access endpoints temporarily disabled
-// Will be re-enabled with production queue system
+// Stored uploads are sent under their original name unless a record or query names them
+const sendStoredFile = (req, res, key, stored, disposition, filename = originalFilename(stored.metadata, path.basename(key))) => {
+  return sendStoredObject(req, res, key, { stored, disposition, filename, storage });
+};
 
-// Basic file info endpoint
-router.get('/info/:fileId', optionalAuth, async (req, res) => {
+const sendStreamError = (res, error) => {
+  if (error.status) {
+    return res.status(error.status).json({
+      success: false,
+      error: error.message,
+      code: error.code
+    });
+  }
+  logger.error('File stream error:', error);
+  res.status(500).json({
+    success: false,
+    error: 'Failed to stream file',
+    code: 'INTERNAL_ERROR'
+  });
+};
+
+// Download a stored file (inline by default, ?download=true for an attachment)
+router.get('/file/:fileId', optionalAuth, async (req, res) => {
   try {
     const { fileId } = req.params;
-    
-    res.json({
-      success: true,
-      fileId,
-      message: 'File processing completed',
-      status: 'available'
-    });
-    
+    const record = await findUploadRecord(req, fileId);
+    // Infected files have been moved to quarantine; say so rather than 404
+    assertFileClean(record, scanner);
+    const stored = await statUpload(fileId);
+    const disposition = req.query.download === 'true' ? 'attachment' : 'inline';
+    await sendStoredFile(req, res, storageKey(fileId), stored, disposition, record?.originalName);
   } catch (error) {
-    logger.error('File info error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to get file info'
-    });
+    sendStreamError(res, error);
+  }
+});
+
+// Kept for clients of the earlier streaming endpoint; same as /file/:fileId
+router.get('/stream/:fileId', optionalAuth, async (req, res) => {
+  try {
+    const { fileId } = req.params;
+    const record = await findUploadRecord(req, fileId);
+    assertFileClean(record, scanner);
+    const stored = await statUpload(fileId);
+    await sendStoredFile(req, res, storageKey(fileId), stored, 'inline', record?.originalName);
+  } catch (error) {
+    sendStreamError(res, error);
+  }
+});
+
+// Presigned URLs of the local storage driver (S3 presigned URLs go straight to S3)
+router.get('/storage/*key', async (req, res) => {
+  try {
+    const key = req.params.key.join('/');
+    if (!storage.verifyPresigned || !storage.verifyPresigned(key, req.query)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Invalid or expired link',
+        code: 'INVALID_SIGNATURE'
+      });
+    }
+
+    const stored = await storage.stat(key);
+    if (req.query.filename) {
+      await sendStoredFile(req, res, key, stored, 'attachment', String(req.query.filename));
+    } else {
+      await sendStoredFile(req, res, key, stored, 'inline');
+    }
+  } catch (error) {
+    sendStreamError(res, error);
   }
 });
 
@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+
+// Roles on a collaborative document, from least to most: viewers read, commenters also
+// comment, editors also edit
+const DOCUMENT_ROLES = ['viewer', 'commenter', 'editor'];
+
+// User id of requests and sockets without a token. Anonymous users are all the same user,
+// so they only ever get the public role, even on documents an anonymous user created.
+const ANONYMOUS_USER_ID = 'anonymous';
+
+// Metadata of a collaborative document. The content and its op history are kept by
+// ShareDB in the documents and o_documents collections, under the same docId.
+const collaborativeDocumentSchema = new mongoose.Schema({
+  docId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+
+  type: {
+    type: String,
+    enum: ['text', 'json', 'rich-text'],
+    default: 'text'
+  },
+
+  isPublic: {
+    type: Boolean,
+    default: false
+  },
+
+  // Role of everyone else when the document is public
+  publicRole: {
+    type: String,
+    enum: DOCUMENT_ROLES,
+    default: 'viewer'
+  },
+
+  // User ids that may open the document besides the owner
+  allowedUsers: {
+    type: [String],
+    default: []
+  },
+
+  // Roles of allowedUsers by user id; those without one are editors
+  userRoles: {
+    type: Map,
+    of: {
+      type: String,
+      enum: DOCUMENT_ROLES
+    },
+    default: {}
+  },
+
+  // id is a user ObjectId as a string, or 'anonymous'
+  owner: {
+    id: {
+      type: String,
+      required: true
+    },
+    username: String
+  },
+
+  lastAccessed: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  collection: 'collaborative_documents'
+});
+
+// Indexes for listing
+collaborativeDocumentSchema.index({ 'owner.id': 1, lastAccessed: -1 });
+collaborativeDocumentSchema.index({ allowedUsers: 1, lastAccessed: -1 });
+collaborativeDocumentSchema.index({ isPublic: 1, lastAccessed: -1 });
+
+// Whether a user (or 'anonymous') may open the document
+collaborativeDocumentSchema.methods.canAccess = function(userId) {
+  if (userId === ANONYMOUS_USER_ID) return this.isPublic;
+  return this.isPublic || this.owner.id === userId || this.allowedUsers.includes(userId);
+};
+
+// A user's role on the document (the owner is an editor), or null if they may not open it
+collaborativeDocumentSchema.methods.roleOf = function(userId) {
+  if (userId === ANONYMOUS_USER_ID) return this.isPublic ? this.publicRole || 'viewer' : null;
+  if (this.owner.id === userId) return 'editor';
+
+  const roles = [];
+  if (this.allowedUsers.includes(userId)) roles.push(this.userRoles?.get(userId) || 'editor');
+  if (this.isPublic) roles.push(this.publicRole || 'viewer');
+  if (roles.length === 0) return null;
+
+  return roles.reduce((best, role) => (DOCUMENT_ROLES.indexOf(role) > DOCUMENT_ROLES.indexOf(best) ? role : best));
+};
+
+// Whether a user has at least the given role on the document
+collaborativeDocumentSchema.methods.hasRole = function(userId, role) {
+  const userRole = this.roleOf(userId);
+  return userRole !== null && DOCUMENT_ROLES.indexOf(userRole) >= DOCUMENT_ROLES.indexOf(role);
+};
+
+// Query filter for the documents a user may open: their own, public ones and ones shared with them
+collaborativeDocumentSchema.statics.accessFilter = function(userId) {
+  if (userId === ANONYMOUS_USER_ID) return { isPublic: true };
+  return {
+    $or: [
+      { 'owner.id': userId },
+      { isPublic: true },
+      { allowedUsers: userId }
+    ]
+  };
+};
+
+collaborativeDocumentSchema.statics.ROLES = DOCUMENT_ROLES;
+
+module.exports = mongoose.model('CollaborativeDocument', collaborativeDocumentSchema);
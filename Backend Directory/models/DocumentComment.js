@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// Comment on a collaborative document, anchored at a character position or selection
+const documentCommentSchema = new mongoose.Schema({
+  docId: {
+    type: String,
+    required: true
+  },
+
+  // id is a user ObjectId as a string, or 'anonymous'
+  userId: String,
+  username: String,
+
+  content: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 5000
+  },
+
+  position: Number,
+
+  selection: {
+    start: Number,
+    end: Number
+  },
+
+  // Replies as sent by clients: { userId, username, content, createdAt }
+  replies: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+
+  resolved: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true,
+  collection: 'collaborative_comments',
+  toJSON: {
+    // Clients know comments by id
+    transform: function(doc, ret) {
+      ret.id = String(ret._id);
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Index for a document's comments in order
+documentCommentSchema.index({ docId: 1, createdAt: 1 });
+
+module.exports = mongoose.model('DocumentComment', documentCommentSchema);
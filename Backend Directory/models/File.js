@@ -124,6 +124,11 @@ const fileSchema = new mongoose.Schema({
       sharedAt: {
         type: Date,
         default: Date.now
+      },
+      // Set when the share was cascaded from a folder rather than granted on the file
+      inheritedFrom: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Folder'
       }
     }]
   },
@@ -183,6 +188,22 @@ const fileSchema = new mongoose.Schema({
     },
     scanDate: Date,
     threats: [String]
+  },
+
+  // What content disarm and reconstruction removed on upload
+  cdr: {
+    processed: {
+      type: Boolean,
+      default: false
+    },
+    processedAt: Date,
+    originalSize: Number,
+    removed: [{
+      _id: false,
+      kind: String,
+      target: String,
+      count: Number
+    }]
   }
 }, {
   timestamps: true,
@@ -194,6 +215,7 @@ fileSchema.index({ uploadedBy: 1, createdAt: -1 });
 fileSchema.index({ mimeType: 1, status: 1 });
 fileSchema.index({ size: 1 });
 fileSchema.index({ tags: 1 });
+fileSchema.index({ folder: 1, isDeleted: 1 });
 fileSchema.index({ 'permissions.isPublic': 1 });
 fileSchema.index({ isDeleted: 1, expiresAt: 1 });
 fileSchema.index({ 'virus.clean': 1, 'virus.scanned': 1 });
@@ -258,6 +280,8 @@ fileSchema.methods.shareWith = async function(userId, permission = 'view') {
   
   if (existingShare) {
     existingShare.permission = permission;
+    // A direct share replaces one cascaded from a folder
+    existingShare.inheritedFrom = undefined;
   } else {
     this.permissions.sharedWith.push({
       userId,
@@ -295,17 +319,34 @@ fileSchema.methods.canAccess = function(userId, requiredPermission = 'view') {
 };
 
 // Static methods
+
+// Query filter for the files a user may view, matching canAccess(userId, 'view')
+fileSchema.statics.accessFilter = function(userId) {
+  return {
+    $or: [
+      { uploadedBy: userId },
+      { 'permissions.isPublic': true },
+      { 'permissions.sharedWith.userId': userId }
+    ]
+  };
+};
+
 fileSchema.statics.findByUser = function(userId, options = {}) {
-  const query = { uploadedBy: userId, isDeleted: false };
+  const query = { uploadedBy: userId, isDeleted: !!options.deleted };
   
   if (options.mimeType) {
     query.mimeType = new RegExp(options.mimeType, 'i');
   }
   
-  if (options.folder) {
+  // null selects files outside any folder
+  if (options.folder !== undefined) {
     query.folder = options.folder;
   }
   
+  if (options.tags?.length) {
+    query.tags = { $all: options.tags };
+  }
+  
   return this.find(query)
     .sort({ createdAt: -1 })
     .limit(options.limit || 50)
@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+
+const folderSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 255
+  },
+
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Folder',
+    default: null
+  },
+
+  // Every folder above this one, root first; subtrees are found with { ancestors: id }
+  ancestors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Folder'
+  }],
+
+  // Display path built from the folder names, e.g. "/Projects/2024"
+  path: {
+    type: String,
+    required: true
+  },
+
+  permissions: {
+    sharedWith: [{
+      userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      permission: {
+        type: String,
+        enum: ['view', 'edit', 'admin'],
+        default: 'view'
+      },
+      sharedAt: {
+        type: Date,
+        default: Date.now
+      },
+      // Set when the share was cascaded from a parent folder rather than granted here
+      inheritedFrom: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Folder'
+      }
+    }]
+  }
+}, {
+  timestamps: true,
+  collection: 'folders'
+});
+
+// Indexes for performance
+folderSchema.index(
+  { owner: 1, parent: 1, name: 1 },
+  { unique: true, collation: { locale: 'en', strength: 2 } }
+);
+folderSchema.index({ ancestors: 1 });
+folderSchema.index({ 'permissions.sharedWith.userId': 1 });
+
+// Virtual for nesting depth (0 for folders at the root)
+folderSchema.virtual('depth').get(function() {
+  return this.ancestors.length;
+});
+
+// Methods
+folderSchema.methods.canAccess = function(userId, requiredPermission = 'view') {
+  // Owner can always access
+  if (this.owner.toString() === userId.toString()) {
+    return true;
+  }
+
+  const share = this.permissions.sharedWith.find(
+    share => share.userId.toString() === userId.toString()
+  );
+
+  if (!share) return false;
+
+  const permissionLevels = { view: 1, edit: 2, admin: 3 };
+  const userLevel = permissionLevels[share.permission] || 0;
+  const requiredLevel = permissionLevels[requiredPermission] || 0;
+
+  return userLevel >= requiredLevel;
+};
+
+// Static methods
+
+// Query filter for the folders a user may view, matching canAccess(userId, 'view')
+folderSchema.statics.accessFilter = function(userId) {
+  return {
+    $or: [
+      { owner: userId },
+      { 'permissions.sharedWith.userId': userId }
+    ]
+  };
+};
+
+folderSchema.statics.findChildren = function(ownerId, parentId = null) {
+  return this.find({ owner: ownerId, parent: parentId })
+    .collation({ locale: 'en', strength: 2 })
+    .sort({ name: 1 });
+};
+
+folderSchema.statics.findByName = function(ownerId, parentId, name) {
+  return this.findOne({ owner: ownerId, parent: parentId, name })
+    .collation({ locale: 'en', strength: 2 });
+};
+
+module.exports = mongoose.model('Folder', folderSchema);
@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+
+const jobSchema = new mongoose.Schema({
+  jobId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+
+  type: {
+    type: String,
+    required: true,
+    index: true
+  },
+
+  // ObjectId of the owner, or 'anonymous'
+  userId: {
+    type: String,
+    default: 'anonymous',
+    index: true
+  },
+
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed', 'cancelled'],
+    default: 'queued',
+    index: true
+  },
+
+  priority: {
+    type: Number,
+    default: 0
+  },
+
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  progress: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100
+  },
+
+  progressDetails: mongoose.Schema.Types.Mixed,
+
+  attempts: {
+    type: Number,
+    default: 0
+  },
+
+  maxAttempts: {
+    type: Number,
+    default: 3
+  },
+
+  backoff: {
+    type: {
+      type: String,
+      enum: ['fixed', 'exponential'],
+      default: 'exponential'
+    },
+    delay: {
+      type: Number,
+      default: 2000
+    }
+  },
+
+  // Earliest time a worker may pick the job up (used for retry backoff)
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Lease held by the worker running the job; an expired lease means the
+  // worker died and the job can be claimed again
+  lockedBy: String,
+  lockedUntil: Date,
+
+  cancelRequested: {
+    type: Boolean,
+    default: false
+  },
+
+  result: mongoose.Schema.Types.Mixed,
+
+  error: String,
+
+  failures: [{
+    attempt: Number,
+    error: String,
+    failedAt: Date
+  }],
+
+  startedAt: Date,
+  completedAt: Date,
+
+  // Finished jobs (and their result files) are removed after this date
+  expiresAt: Date
+}, {
+  timestamps: true,
+  collection: 'jobs'
+});
+
+// Indexes for claiming and listing
+jobSchema.index({ status: 1, type: 1, runAt: 1, priority: -1 });
+jobSchema.index({ status: 1, lockedUntil: 1 });
+jobSchema.index({ userId: 1, createdAt: -1 });
+jobSchema.index({ expiresAt: 1 });
+
+// Virtual for finished state
+jobSchema.virtual('isFinished').get(function() {
+  return ['completed', 'failed', 'cancelled'].includes(this.status);
+});
+
+module.exports = mongoose.model('Job', jobSchema);
@@ -0,0 +1,160 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+
+const shareLinkSchema = new mongoose.Schema({
+  // SHA-256 of the link token; the token itself is only shown when the link is created
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+
+  // First characters of the token, so owners can tell their links apart
+  tokenPrefix: {
+    type: String,
+    required: true
+  },
+
+  file: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'File',
+    required: true,
+    index: true
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  // view: open in the browser only; download: may also be saved as a file
+  permission: {
+    type: String,
+    enum: ['view', 'download'],
+    default: 'view'
+  },
+
+  password: {
+    type: String,
+    select: false
+  },
+
+  hasPassword: {
+    type: Boolean,
+    default: false
+  },
+
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+
+  maxDownloads: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+
+  downloadCount: {
+    type: Number,
+    default: 0
+  },
+
+  viewCount: {
+    type: Number,
+    default: 0
+  },
+
+  lastUsedAt: Date,
+
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'sharelinks'
+});
+
+// Indexes for performance
+shareLinkSchema.index({ createdBy: 1, createdAt: -1 });
+shareLinkSchema.index({ file: 1, createdAt: -1 });
+
+// Virtual for downloads left before the limit
+shareLinkSchema.virtual('downloadsRemaining').get(function() {
+  if (!this.maxDownloads) return null;
+  return Math.max(this.maxDownloads - this.downloadCount, 0);
+});
+
+// Pre-save middleware to hash the password
+shareLinkSchema.pre('save', async function(next) {
+  if (!this.isModified('password')) return next();
+
+  try {
+    this.hasPassword = !!this.password;
+    if (this.password) {
+      const salt = await bcrypt.genSalt(12);
+      this.password = await bcrypt.hash(this.password, salt);
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Methods
+shareLinkSchema.methods.comparePassword = async function(candidatePassword) {
+  if (!this.password) {
+    throw new Error('Password not available for comparison');
+  }
+  return bcrypt.compare(String(candidatePassword), this.password);
+};
+
+// Why the link can no longer be used, or null while it is active
+shareLinkSchema.methods.getInactiveReason = function() {
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt && this.expiresAt <= new Date()) return 'expired';
+  if (this.maxDownloads && this.downloadCount >= this.maxDownloads && this.permission === 'download') {
+    return 'download_limit';
+  }
+  return null;
+};
+
+// Static methods
+shareLinkSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+shareLinkSchema.statics.generateToken = function() {
+  return crypto.randomBytes(24).toString('base64url');
+};
+
+shareLinkSchema.statics.findByToken = function(token) {
+  return this.findOne({ tokenHash: this.hashToken(token) });
+};
+
+/**
+ * Count one download if the link still has downloads left. The check and the increment
+ * are one atomic update, so concurrent downloads cannot go past maxDownloads.
+ * @returns {Promise<Object|null>} The updated link, or null when the limit was reached
+ */
+shareLinkSchema.statics.claimDownload = function(linkId) {
+  return this.findOneAndUpdate(
+    {
+      _id: linkId,
+      revokedAt: null,
+      $or: [
+        { maxDownloads: null },
+        { $expr: { $lt: ['$downloadCount', '$maxDownloads'] } }
+      ]
+    },
+    { $inc: { downloadCount: 1 }, $set: { lastUsedAt: new Date() } },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model('ShareLink', shareLinkSchema);
@@ -155,6 +155,11 @@ const userSchema = new mongoose.Schema({
       type: Boolean,
       default: true
     },
+    // Create, change and delete files in the server's file roots; granted by an administrator
+    canEditFileRoots: {
+      type: Boolean,
+      default: false
+    },
     maxFileSize: {
       type: Number,
       default: 100 * 1024 * 1024 // 100MB in bytes
@@ -339,6 +344,7 @@ userSchema.methods.hasPermission = function(permission) {
     'share': this.permissions.canShare,
     'collaborate': this.permissions.canCollaborate,
     'comment': this.permissions.canComment,
+    'editFileRoots': this.permissions.canEditFileRoots,
     'moderate': this.role === 'moderator' || this.role === 'admin',
     'admin': this.role === 'admin'
   };
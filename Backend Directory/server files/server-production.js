@@ -177,13 +177,12 @@ const emailTransporter = nodemailer.createTransporter({
   },
 });
 
-// Socket.IO with Redis adapter for clustering
+// Socket.IO; the collaboration service gives it an adapter shared across workers (Redis with REDIS_URL)
 const io = socketIo(server, {
   cors: {
     origin: process.env.FRONTEND_URL,
     methods: ['GET', 'POST']
-  },
-  adapter: redisClient ? require('socket.io-redis')(redisClient) : undefined,
+  }
 });
 
 // Security middleware
@@ -302,6 +301,18 @@ const collaborationService = new CollaborationService();
 collaborationService.initialize(io);
 app.set('collaborationService', collaborationService);
 
+// Background job workers (set JOB_WORKERS_INLINE=false when running worker.js separately)
+const { getJobQueue } = require('./utils/jobQueue');
+const { registerConversionWorker } = require('./utils/conversionJobs');
+const { registerOcrWorker } = require('./utils/ocrJobs');
+const { registerPreviewWorker } = require('./utils/previewJobs');
+const { getOcrEngine } = require('./utils/ocrEngine');
+if (process.env.JOB_WORKERS_INLINE !== 'false') {
+  registerConversionWorker(getJobQueue());
+  registerOcrWorker(getJobQueue());
+  registerPreviewWorker(getJobQueue());
+}
+
 // Socket.IO connection handling
 io.on('connection', (socket) => {
   logger.info(`Client connected: ${socket.id}`);
@@ -330,6 +341,9 @@ process.on('SIGTERM', () => {
   logger.info('SIGTERM received, shutting down gracefully');
   server.close(() => {
     logger.info('Process terminated');
+    getJobQueue().stop();
+    getOcrEngine().terminate();
+    collaborationService.close();
     mongoose.connection.close();
     if (redisClient) redisClient.quit();
     process.exit(0);
@@ -340,6 +354,11 @@ process.on('SIGTERM', () => {
 const PORT = process.env.PORT || 7834;
 
 connectDB().then(() => {
+  // Workers need the database connection for the job store
+  if (process.env.JOB_WORKERS_INLINE !== 'false') {
+    getJobQueue().start();
+  }
+
   server.listen(PORT, () => {
     logger.info(`🚀 Production server running on port ${PORT}`);
     logger.info(`📊 Health check: http://localhost:${PORT}/api/v1/health`);
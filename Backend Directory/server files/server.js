@@ -116,8 +116,9 @@ app.use(rateLimits.general);
 app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:3000',
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-CSRF-Token']
+  methods: ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-CSRF-Token', 'If-Match', 'If-None-Match', 'If-Unmodified-Since', 'If-Modified-Since', 'If-Range', 'Range', 'Tus-Resumable', 'Upload-Length', 'Upload-Offset', 'Upload-Metadata', 'Upload-Checksum', 'X-Share-Access'],
+  exposedHeaders: ['ETag', 'Last-Modified', 'Accept-Ranges', 'Content-Range', 'Content-Length', 'X-File-Root', 'X-File-Path', 'Location', 'Tus-Resumable', 'Tus-Version', 'Tus-Extension', 'Tus-Max-Size', 'Tus-Checksum-Algorithm', 'Upload-Offset', 'Upload-Length', 'Upload-Expires']
 }));
 // Performance optimizations
 app.use(compressionMiddleware);
@@ -175,12 +176,18 @@ const collaborationRoutes = require('./routes/collaboration');
 const versionRoutes = require('./routes/versions');
 const seoRoutes = require('./routes/seo');
 const fileLoaderRoutes = require('./routes/file-loader');
+const { router: fileRoutes } = require('./routes/files');
+const folderRoutes = require('./routes/folders');
+const shareRoutes = require('./routes/shares');
 const { router: monitoringRoutes, performanceMiddleware, errorTrackingMiddleware } = require('./routes/monitoring');
 
 // Add performance monitoring to all routes
 app.use(performanceMiddleware('api'));
 
 app.use('/api/v1/upload', uploadRoutes);
+app.use('/api/v1/files', fileRoutes);
+app.use('/api/v1/folders', folderRoutes);
+app.use('/api/v1/shares', shareRoutes);
 app.use('/api/v1/auth', authRoutes);
 app.use('/api/v1/convert', convertRoutes);
 app.use('/api/v1/ocr', ocrRoutes);
@@ -199,6 +206,18 @@ collaborationService.initialize(io);
 // Store collaboration service in app for route access
 app.set('collaborationService', collaborationService);
 
+// Background job workers (set JOB_WORKERS_INLINE=false when running worker.js separately)
+const { getJobQueue } = require('./utils/jobQueue');
+const { registerConversionWorker } = require('./utils/conversionJobs');
+const { registerOcrWorker } = require('./utils/ocrJobs');
+const { registerPreviewWorker } = require('./utils/previewJobs');
+if (process.env.JOB_WORKERS_INLINE !== 'false') {
+  registerConversionWorker(getJobQueue());
+  registerOcrWorker(getJobQueue());
+  registerPreviewWorker(getJobQueue());
+  getJobQueue().start();
+}
+
 // Socket.io for real-time collaboration
 io.on('connection', (socket) => {
   logger.info(`User connected: ${socket.id}`);
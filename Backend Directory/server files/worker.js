@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+const winston = require('winston');
+require('dotenv').config();
+
+const { getJobQueue } = require('./utils/jobQueue');
+const { registerConversionWorker } = require('./utils/conversionJobs');
+const { registerOcrWorker } = require('./utils/ocrJobs');
+const { registerPreviewWorker } = require('./utils/previewJobs');
+const { getOcrEngine } = require('./utils/ocrEngine');
+
+// Standalone background worker. Run alongside the API servers (with
+// JOB_WORKERS_INLINE=false) to scale job processing independently.
+
+// Configure logger
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'file-reader-worker' },
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/worker.log' })
+  ]
+});
+
+const queue = getJobQueue();
+registerConversionWorker(queue);
+registerOcrWorker(queue);
+registerPreviewWorker(queue);
+
+const start = async () => {
+  if (queue.store.name === 'mongo') {
+    if (!process.env.MONGODB_URI) {
+      throw new Error('MONGODB_URI environment variable is required');
+    }
+    await mongoose.connect(process.env.MONGODB_URI);
+    logger.info('MongoDB connected successfully');
+  }
+
+  queue.start();
+  logger.info(`👷 Job worker started (PID ${process.pid})`);
+};
+
+// Graceful shutdown: stop claiming jobs; leases of in-flight jobs expire and
+// another worker picks them up
+const shutdown = async (signal) => {
+  logger.info(`${signal} received, stopping job worker`);
+  await queue.stop();
+  await getOcrEngine().terminate();
+  await mongoose.connection.close();
+  process.exit(0);
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+start().catch(error => {
+  logger.error('Failed to start job worker:', error);
+  process.exit(1);
+});
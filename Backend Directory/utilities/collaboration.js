@@ -1,7 +1,15 @@
 const ShareDB = require('sharedb');
+const ShareDBMongo = require('sharedb-mongo');
+const mongoose = require('mongoose');
 const WebSocket = require('ws');
 const DiffMatchPatch = require('diff-match-patch');
 const winston = require('winston');
+const { getDocumentType, documentTypeOf } = require('./documentTypes');
+const { exportDocumentFile, renderHtmlBody } = require('./documentExport');
+const { createCollaborationCluster } = require('./collaborationCluster');
+const { authenticateSocket } = require('../middleware/auth');
+const CollaborativeDocument = require('../models/CollaborativeDocument');
+const DocumentComment = require('../models/DocumentComment');
 
 // Configure logger
 const logger = winston.createLogger({
@@ -13,16 +21,66 @@ const logger = winston.createLogger({
   ]
 });
 
-// Initialize ShareDB backend
-const backend = new ShareDB();
-
-// In-memory database for development (use MongoDB in production)
-const db = new ShareDB.MemoryDB();
-backend.use('connect', (context, next) => {
-  logger.info(`ShareDB connection: ${context.agent.clientId}`);
-  next();
+// Audit trail of collaboration requests refused for lack of access
+const auditLogger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(winston.format.timestamp(), winston.format.json()),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/collaboration-audit.log' })
+  ]
 });
 
+// ShareDB database for document snapshots and their full op history.
+// COLLABORATION_STORE=mongo|memory (mongo by default whenever MONGODB_URI is set, so
+// documents outlive a restart wherever the rest of the data does)
+const createShareDBDatabase = (type = process.env.COLLABORATION_STORE || (process.env.MONGODB_URI ? 'mongo' : 'memory')) => {
+  if (type !== 'mongo') {
+    return new ShareDB.MemoryDB();
+  }
+
+  // Uses the mongoose connection; ShareDB requests wait until it is open
+  return ShareDBMongo({
+    mongo: (callback) => {
+      if (mongoose.connection.readyState === 1) {
+        return callback(null, mongoose.connection.getClient());
+      }
+      mongoose.connection.once('open', () => callback(null, mongoose.connection.getClient()));
+    }
+  });
+};
+
+/**
+ * ShareDB backend over a database and a pub/sub. Instances sharing both see each
+ * other's ops in their document subscriptions.
+ */
+const createShareDBBackend = ({ db, pubsub }) => {
+  const shareBackend = new ShareDB({ db, pubsub });
+
+  shareBackend.use('connect', (context, next) => {
+    logger.info(`ShareDB connection: ${context.agent.clientId}`);
+    next();
+  });
+
+  // Refuse ops the document's type would apply without complaint but shouldn't
+  shareBackend.use('apply', (request, next) => {
+    const { snapshot, op } = request;
+    const documentType = op.op && documentTypeOf(snapshot.type);
+    try {
+      if (documentType) getDocumentType(documentType).checkApplicable?.(snapshot.data, op.op);
+    } catch (error) {
+      return next(error);
+    }
+    next();
+  });
+
+  return shareBackend;
+};
+
+// Pub/sub shared with other backend instances, and this instance's ShareDB backend
+const cluster = createCollaborationCluster();
+const backend = createShareDBBackend({ db: createShareDBDatabase(), pubsub: cluster.sharedbPubSub });
+
 // Document types and operations
 const documentTypes = {
   TEXT: 'text',
@@ -30,76 +88,34 @@ const documentTypes = {
   RICH_TEXT: 'rich-text'
 };
 
-// Operational Transform for text documents
-class TextOT {
-  static apply(snapshot, op) {
-    if (!snapshot) snapshot = '';
-    
-    let result = snapshot;
-    let offset = 0;
-    
-    for (const component of op) {
-      if (typeof component === 'string') {
-        // Insert operation
-        result = result.slice(0, offset) + component + result.slice(offset);
-        offset += component.length;
-      } else if (typeof component === 'number') {
-        if (component > 0) {
-          // Retain operation
-          offset += component;
-        } else {
-          // Delete operation
-          const deleteCount = -component;
-          result = result.slice(0, offset) + result.slice(offset + deleteCount);
-        }
-      }
-    }
-    
-    return result;
-  }
-  
-  static transform(op1, op2, priority) {
-    // Simplified transform - in production use a proper OT library
-    return [op1, op2];
-  }
-  
-  static compose(op1, op2) {
-    // Compose two operations
-    return [...op1, ...op2];
-  }
-}
-
-// Register text type
-ShareDB.types.register({
-  name: 'text',
-  uri: 'http://sharejs.org/types/textv1',
-  create: () => '',
-  apply: TextOT.apply,
-  transform: TextOT.transform,
-  compose: TextOT.compose
-});
-
 // Document management
 class DocumentManager {
-  constructor() {
+  constructor(shareBackend = backend) {
+    this.backend = shareBackend;
+    // Connection for reads and submits that need no subscription
+    this.connection = shareBackend.connect();
+    // Documents open on this instance
     this.documents = new Map();
-    this.userSessions = new Map();
-    this.documentUsers = new Map();
+    // Documents being opened, so sockets joining at once share one subscription
+    this.opening = new Map();
   }
   
   // Create or get a document
   async getDocument(docId, type = 'text', initialContent = '') {
     try {
-      const connection = backend.connect();
+      const documentType = getDocumentType(type);
+      const initialData = documentType.create(initialContent);
+      const connection = this.backend.connect();
       const doc = connection.get('documents', docId);
       
+      // Subscribed, so doc.data follows ops submitted by every client, on any instance
       await new Promise((resolve, reject) => {
-        doc.fetch((err) => {
+        doc.subscribe((err) => {
           if (err) return reject(err);
           
           if (doc.type === null) {
             // Document doesn't exist, create it
-            doc.create(initialContent, type, (err) => {
+            doc.create(initialData, documentType.shareType.name, (err) => {
               if (err) return reject(err);
               resolve();
             });
@@ -112,7 +128,7 @@ class DocumentManager {
       this.documents.set(docId, {
         doc,
         connection,
-        type,
+        type: documentTypeOf(doc.type),
         createdAt: new Date(),
         lastModified: new Date()
       });
@@ -125,224 +141,272 @@ class DocumentManager {
     }
   }
   
-  // Add user to document session
-  addUserToDocument(docId, userId, userInfo) {
-    if (!this.documentUsers.has(docId)) {
-      this.documentUsers.set(docId, new Map());
+  // Open a document on this instance, or return the one already open
+  openDocument(docId, type) {
+    if (this.documents.has(docId)) return Promise.resolve(this.documents.get(docId).doc);
+    if (!this.opening.has(docId)) {
+      this.opening.set(docId, this.getDocument(docId, type).finally(() => this.opening.delete(docId)));
     }
-    
-    const docUsers = this.documentUsers.get(docId);
-    docUsers.set(userId, {
-      ...userInfo,
-      joinedAt: new Date(),
-      lastActivity: new Date()
+    return this.opening.get(docId);
+  }
+
+  /**
+   * Create a document that does not exist yet
+   * @param {string} docId - Document ID
+   * @param {string} type - text, json or rich-text
+   * @param {*} initialContent - Content accepted by the type's create
+   * @throws {Error} 400 UNKNOWN_DOCUMENT_TYPE, 400 INVALID_CONTENT
+   */
+  createDocument(docId, type = 'text', initialContent = '') {
+    const documentType = getDocumentType(type);
+    const data = documentType.create(initialContent);
+    const doc = this.connection.get('documents', docId);
+    return new Promise((resolve, reject) => {
+      doc.create(data, documentType.shareType.name, (err) => {
+        doc.destroy();
+        if (err) return reject(err);
+        logger.info(`Document ${docId} created`);
+        resolve();
+      });
     });
-    
-    this.userSessions.set(userId, docId);
-    
-    logger.info(`User ${userId} joined document ${docId}`);
-    return Array.from(docUsers.values());
   }
-  
-  // Remove user from document session
-  removeUserFromDocument(docId, userId) {
-    const docUsers = this.documentUsers.get(docId);
-    if (docUsers) {
-      docUsers.delete(userId);
-      
-      // Clean up empty document sessions
-      if (docUsers.size === 0) {
-        this.documentUsers.delete(docId);
-        
-        // Close document connection if no users
-        const docInfo = this.documents.get(docId);
-        if (docInfo) {
-          docInfo.connection.close();
-          this.documents.delete(docId);
-        }
-      }
-    }
-    
-    this.userSessions.delete(userId);
-    logger.info(`User ${userId} left document ${docId}`);
-    
-    return docUsers ? Array.from(docUsers.values()) : [];
+
+  // Delete a document; its op history is kept
+  async deleteDocument(docId) {
+    const snapshot = await this.fetchSnapshot(docId);
+    if (snapshot.type === null) return;
+
+    await new Promise((resolve, reject) => {
+      this.backend.submit(this.connection.agent, 'documents', docId, { v: snapshot.v, del: true }, {}, (err) => {
+        if (err) return reject(err);
+        resolve();
+      });
+    });
+    logger.info(`Document ${docId} deleted`);
   }
-  
-  // Get users in document
-  getDocumentUsers(docId) {
-    const docUsers = this.documentUsers.get(docId);
-    return docUsers ? Array.from(docUsers.values()) : [];
+
+  // Latest committed version of a document
+  fetchSnapshot(docId) {
+    return new Promise((resolve, reject) => {
+      this.backend.fetch(this.connection.agent, 'documents', docId, (err, snapshot) => {
+        if (err) return reject(err);
+        resolve(snapshot);
+      });
+    });
   }
-  
-  // Update user activity
-  updateUserActivity(userId) {
-    const docId = this.userSessions.get(userId);
-    if (docId) {
-      const docUsers = this.documentUsers.get(docId);
-      if (docUsers && docUsers.has(userId)) {
-        const user = docUsers.get(userId);
-        user.lastActivity = new Date();
-      }
-    }
+
+  // A document as it was at a version, rebuilt from its op history
+  fetchSnapshotAt(docId, version) {
+    return new Promise((resolve, reject) => {
+      this.backend.fetchSnapshot(this.connection.agent, 'documents', docId, version, (err, snapshot) => {
+        if (err) return reject(err);
+        resolve(snapshot);
+      });
+    });
   }
-  
-  // Get document statistics
-  getDocumentStats(docId) {
+
+  /**
+   * Committed ops of a document, oldest first
+   * @param {string} docId - Document ID
+   * @param {number} from - First version
+   * @param {number|null} to - Version to stop before (null for all)
+   * @returns {Promise<Array>} ShareDB ops: { v, create|op|del, src, seq, m: { ts } }
+   */
+  getOps(docId, from, to) {
+    return new Promise((resolve, reject) => {
+      this.backend.getOps(this.connection.agent, 'documents', docId, from, to, { opsOptions: { metadata: true } }, (err, ops) => {
+        if (err) return reject(err);
+        resolve(ops);
+      });
+    });
+  }
+
+  /**
+   * Submit an op made against an earlier version. ShareDB transforms it past the ops
+   * committed since that version, so clients that apply the result converge.
+   * @param {string} docId - Document ID
+   * @param {Object} op - { v, op }
+   * @returns {Promise<Object>} The committed op: { v, op } with the version it was applied at
+   */
+  submitOperation(docId, op) {
     const docInfo = this.documents.get(docId);
-    const users = this.getDocumentUsers(docId);
-    
-    return {
-      exists: !!docInfo,
-      type: docInfo?.type,
-      createdAt: docInfo?.createdAt,
-      lastModified: docInfo?.lastModified,
-      activeUsers: users.length,
-      users: users.map(u => ({
-        id: u.id,
-        username: u.username,
-        joinedAt: u.joinedAt,
-        lastActivity: u.lastActivity
-      }))
-    };
+    return new Promise((resolve, reject) => {
+      this.backend.submit(this.connection.agent, 'documents', docId, op, {}, (err, ops, request) => {
+        if (err) return reject(err);
+        if (docInfo) docInfo.lastModified = new Date();
+        resolve(request.op);
+      });
+    });
+  }
+
+  // Close a document once nobody on this instance has it open
+  closeDocument(docId) {
+    const docInfo = this.documents.get(docId);
+    if (docInfo) {
+      docInfo.connection.close();
+      this.documents.delete(docId);
+    }
   }
 }
 
-// Cursor and selection tracking
+// Cursor and selection tracking, in state shared by every instance
 class CursorManager {
-  constructor() {
-    this.cursors = new Map(); // docId -> Map(userId -> cursor)
+  constructor(state) {
+    this.state = state;
   }
   
-  updateCursor(docId, userId, cursor) {
-    if (!this.cursors.has(docId)) {
-      this.cursors.set(docId, new Map());
-    }
-    
-    const docCursors = this.cursors.get(docId);
-    docCursors.set(userId, {
+  async updateCursor(docId, userId, cursor) {
+    await this.state.set(`cursors:${docId}`, userId, {
       ...cursor,
       timestamp: new Date()
     });
-    
-    return Array.from(docCursors.entries()).map(([id, cursor]) => ({
-      userId: id,
-      ...cursor
-    }));
+    return this.getDocumentCursors(docId);
   }
   
   removeCursor(docId, userId) {
-    const docCursors = this.cursors.get(docId);
-    if (docCursors) {
-      docCursors.delete(userId);
-      
-      if (docCursors.size === 0) {
-        this.cursors.delete(docId);
-      }
-    }
+    return this.state.remove(`cursors:${docId}`, userId);
   }
   
-  getDocumentCursors(docId) {
-    const docCursors = this.cursors.get(docId);
-    if (!docCursors) return [];
-    
-    return Array.from(docCursors.entries()).map(([userId, cursor]) => ({
+  async getDocumentCursors(docId) {
+    const docCursors = await this.state.getAll(`cursors:${docId}`);
+    return Object.entries(docCursors).map(([userId, cursor]) => ({
       userId,
       ...cursor
     }));
   }
 }
 
-// Comment and annotation system
+// Fields of a comment its updates may change
+const COMMENT_UPDATE_FIELDS = ['content', 'position', 'selection', 'replies', 'resolved'];
+
+// Comment and annotation system, stored in MongoDB
 class CommentManager {
-  constructor() {
-    this.comments = new Map(); // docId -> Map(commentId -> comment)
+  async addComment(docId, comment) {
+    const newComment = await DocumentComment.create({
+      docId,
+      userId: comment.userId,
+      username: comment.username,
+      content: comment.content,
+      position: comment.position,
+      selection: comment.selection,
+      replies: comment.replies
+    });
+    
+    logger.info(`Comment added to document ${docId}: ${newComment.id}`);
+    return newComment.toJSON();
   }
   
-  addComment(docId, comment) {
-    if (!this.comments.has(docId)) {
-      this.comments.set(docId, new Map());
-    }
-    
-    const commentId = `comment_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    const docComments = this.comments.get(docId);
-    
-    const newComment = {
-      id: commentId,
-      ...comment,
-      createdAt: new Date(),
-      resolved: false
-    };
-    
-    docComments.set(commentId, newComment);
-    
-    logger.info(`Comment added to document ${docId}: ${commentId}`);
-    return newComment;
+  async getComment(docId, commentId) {
+    if (!mongoose.isValidObjectId(commentId)) return null;
+    const comment = await DocumentComment.findOne({ _id: commentId, docId });
+    return comment ? comment.toJSON() : null;
   }
   
-  updateComment(docId, commentId, updates) {
-    const docComments = this.comments.get(docId);
-    if (docComments && docComments.has(commentId)) {
-      const comment = docComments.get(commentId);
-      Object.assign(comment, updates, { updatedAt: new Date() });
-      return comment;
-    }
-    return null;
+  async updateComment(docId, commentId, updates) {
+    if (!mongoose.isValidObjectId(commentId)) return null;
+    const changes = Object.fromEntries(
+      Object.entries(updates || {}).filter(([field]) => COMMENT_UPDATE_FIELDS.includes(field))
+    );
+    const comment = await DocumentComment.findOneAndUpdate(
+      { _id: commentId, docId },
+      { $set: changes },
+      { new: true, runValidators: true }
+    );
+    return comment ? comment.toJSON() : null;
   }
   
-  deleteComment(docId, commentId) {
-    const docComments = this.comments.get(docId);
-    if (docComments) {
-      return docComments.delete(commentId);
-    }
-    return false;
+  async deleteComment(docId, commentId) {
+    if (!mongoose.isValidObjectId(commentId)) return false;
+    const result = await DocumentComment.deleteOne({ _id: commentId, docId });
+    return result.deletedCount > 0;
   }
   
-  getDocumentComments(docId) {
-    const docComments = this.comments.get(docId);
-    return docComments ? Array.from(docComments.values()) : [];
+  async getDocumentComments(docId) {
+    const comments = await DocumentComment.find({ docId }).sort({ createdAt: 1 });
+    return comments.map(comment => comment.toJSON());
   }
 }
 
 // Main collaboration service
 class CollaborationService {
-  constructor() {
-    this.documentManager = new DocumentManager();
-    this.cursorManager = new CursorManager();
+  /**
+   * @param {Object} options - { backend, cluster }: the ShareDB backend and the pub/sub
+   *   shared with other instances; by default this module's
+   */
+  constructor({ backend: shareBackend = backend, cluster: sharedCluster = cluster } = {}) {
+    this.cluster = sharedCluster;
+    this.documentManager = new DocumentManager(shareBackend);
+    this.cursorManager = new CursorManager(sharedCluster.state);
     this.commentManager = new CommentManager();
     this.dmp = new DiffMatchPatch();
+    this.io = null;
   }
   
   // Initialize collaboration for a Socket.io instance
   initialize(io) {
+    this.io = io;
+    // Rooms and broadcasts reach the sockets of every instance
+    io.adapter(this.cluster.adapter);
+    // Sockets are authenticated like API requests; each event is then checked against
+    // the user's role on the document (see authorize)
+    io.use(authenticateSocket);
+
     io.on('connection', (socket) => {
       logger.info(`User connected: ${socket.id}`);
       
       // Join document room
       socket.on('join-document', async (data) => {
         try {
-          const { docId, user } = data;
+          const { docId, user } = data || {};
+          const access = await this.authorize(socket, docId, 'join-document');
+          if (!access) {
+            return socket.emit('error', { message: 'Access denied', code: 'ACCESS_DENIED' });
+          }
           
-          // Get or create document
-          const doc = await this.documentManager.getDocument(docId);
+          // Get or create document, of the type given when its metadata was created
+          await this.documentManager.openDocument(docId, access.metadata.type);
           
-          // Add user to document
-          const users = this.documentManager.addUserToDocument(docId, socket.id, user);
+          // The socket's user is read by every instance listing the document's users.
+          // Who they are comes from the handshake; the client only adds how they are shown.
+          const { identity, docId: previousDocId } = socket.data;
+          socket.data.docId = docId;
+          socket.data.user = {
+            ...(user !== null && typeof user === 'object' && user),
+            id: identity.id,
+            username: identity.username,
+            role: access.role,
+            joinedAt: new Date(),
+            lastActivity: new Date()
+          };
           
-          // Join socket room
+          // Join socket room before reading the state, so no op committed in between is missed;
+          // clients skip broadcast ops older than the state's version
+          // A socket edits one document at a time; switching leaves the previous one
+          if (previousDocId && previousDocId !== docId) {
+            socket.leave(previousDocId);
+            await this.leaveDocument(socket, previousDocId);
+          }
           socket.join(docId);
+          const [snapshot, users, cursors, comments] = await Promise.all([
+            this.documentManager.fetchSnapshot(docId),
+            this.getDocumentUsers(docId),
+            this.cursorManager.getDocumentCursors(docId),
+            this.commentManager.getDocumentComments(docId)
+          ]);
           
           // Send initial document state
           socket.emit('document-state', {
-            content: doc.data,
-            version: doc.version,
+            content: snapshot.data,
+            version: snapshot.v,
+            type: documentTypeOf(snapshot.type),
+            role: access.role,
             users,
-            cursors: this.cursorManager.getDocumentCursors(docId),
-            comments: this.commentManager.getDocumentComments(docId)
+            cursors: cursors.filter(cursor => users.some(u => u.socketId === cursor.userId)),
+            comments
           });
           
           // Notify other users
-          socket.to(docId).emit('user-joined', { user, users });
+          socket.to(docId).emit('user-joined', { user: socket.data.user, users });
           
           logger.info(`User ${socket.id} joined document ${docId}`);
         } catch (error) {
@@ -351,45 +415,83 @@ class CollaborationService {
         }
       });
       
-      // Handle document operations
-      socket.on('operation', (data) => {
+      // Handle document operations. An op is made against the version the client last saw
+      // and is transformed on the server past anything committed since. The sender gets
+      // operation-ack; everyone else gets the transformed op and the version it applies to.
+      socket.on('operation', async (data) => {
+        const { docId, op, version, seq } = data || {};
         try {
-          const { docId, op } = data;
-          const docInfo = this.documentManager.documents.get(docId);
-          
-          if (docInfo) {
-            // Apply operation to ShareDB document
-            docInfo.doc.submitOp(op, (err) => {
-              if (err) {
-                logger.error('Operation error:', err);
-                socket.emit('operation-error', { error: err.message });
-              } else {
-                // Update last modified time
-                docInfo.lastModified = new Date();
-                
-                // Update user activity
-                this.documentManager.updateUserActivity(socket.id);
-                
-                // Broadcast operation to other users in the document
-                socket.to(docId).emit('operation', {
-                  op,
-                  source: socket.id,
-                  version: docInfo.doc.version
-                });
-              }
-            });
+          if (!this.documentManager.documents.has(docId) || socket.data.docId !== docId) {
+            return socket.emit('operation-error', { error: 'Join the document before editing it', code: 'NOT_JOINED', seq });
           }
+          if (!Number.isInteger(version) || version < 0) {
+            return socket.emit('operation-error', { error: 'Operation version is required', code: 'INVALID_OPERATION', seq });
+          }
+          if (!(await this.authorize(socket, docId, 'operation', 'editor'))) {
+            return socket.emit('operation-error', { error: 'You may not edit this document', code: 'ACCESS_DENIED', seq });
+          }
+          try {
+            // Ops must suit the document's type: text, json0 or rich-text (Quill deltas)
+            getDocumentType(this.documentManager.documents.get(docId).type).checkOp(op);
+          } catch (error) {
+            return socket.emit('operation-error', { error: error.message, code: 'INVALID_OPERATION', seq });
+          }
+
+          const committed = await this.documentManager.submitOperation(docId, { v: version, op });
+
+          // Update user activity
+          socket.data.user.lastActivity = new Date();
+
+          socket.emit('operation-ack', { version: committed.v, seq });
+
+          // Broadcast operation to other users in the document
+          socket.to(docId).emit('operation', {
+            op: committed.op,
+            source: socket.id,
+            version: committed.v
+          });
         } catch (error) {
           logger.error('Error handling operation:', error);
-          socket.emit('operation-error', { error: error.message });
+          socket.emit('operation-error', { error: error.message, code: error.code || 'OPERATION_FAILED', seq });
+        }
+      });
+
+      // Send the current state again, for clients whose op was refused
+      socket.on('sync-document', async (data) => {
+        try {
+          const { docId } = data || {};
+          if (socket.data.docId !== docId) return;
+          const access = await this.authorize(socket, docId, 'sync-document');
+          if (!access) {
+            return socket.emit('error', { message: 'Access denied', code: 'ACCESS_DENIED' });
+          }
+          const [snapshot, users, cursors, comments] = await Promise.all([
+            this.documentManager.fetchSnapshot(docId),
+            this.getDocumentUsers(docId),
+            this.cursorManager.getDocumentCursors(docId),
+            this.commentManager.getDocumentComments(docId)
+          ]);
+          socket.emit('document-state', {
+            content: snapshot.data,
+            version: snapshot.v,
+            type: documentTypeOf(snapshot.type),
+            role: access.role,
+            users,
+            cursors: cursors.filter(cursor => users.some(u => u.socketId === cursor.userId)),
+            comments
+          });
+        } catch (error) {
+          logger.error('Error syncing document:', error);
+          socket.emit('error', { message: 'Failed to sync document' });
         }
       });
       
       // Handle cursor updates
-      socket.on('cursor-update', (data) => {
+      socket.on('cursor-update', async (data) => {
         try {
-          const { docId, cursor } = data;
-          const cursors = this.cursorManager.updateCursor(docId, socket.id, cursor);
+          const { docId, cursor } = data || {};
+          if (socket.data.docId !== docId) return;
+          const cursors = await this.cursorManager.updateCursor(docId, socket.id, cursor);
           
           // Broadcast cursor update to other users
           socket.to(docId).emit('cursor-update', {
@@ -403,10 +505,23 @@ class CollaborationService {
       });
       
       // Handle comments
-      socket.on('add-comment', (data) => {
+      socket.on('add-comment', async (data) => {
         try {
-          const { docId, comment } = data;
-          const newComment = this.commentManager.addComment(docId, comment);
+          const { docId, comment } = data || {};
+          if (socket.data.docId !== docId) {
+            return socket.emit('error', { message: 'Join the document before commenting on it', code: 'NOT_JOINED' });
+          }
+          if (!(await this.authorize(socket, docId, 'add-comment', 'commenter'))) {
+            return socket.emit('error', { message: 'You may not comment on this document', code: 'ACCESS_DENIED' });
+          }
+
+          // Comments are by the socket's user, whoever the client says wrote them
+          const { identity } = socket.data;
+          const newComment = await this.commentManager.addComment(docId, {
+            ...comment,
+            userId: identity.id,
+            username: identity.username
+          });
           
           // Broadcast new comment to all users in document
           io.to(docId).emit('comment-added', newComment);
@@ -417,10 +532,26 @@ class CollaborationService {
       });
       
       // Handle comment updates
-      socket.on('update-comment', (data) => {
+      // Commenters may change their own comments, editors anyone's
+      socket.on('update-comment', async (data) => {
         try {
-          const { docId, commentId, updates } = data;
-          const updatedComment = this.commentManager.updateComment(docId, commentId, updates);
+          const { docId, commentId, updates } = data || {};
+          if (socket.data.docId !== docId) {
+            return socket.emit('error', { message: 'Join the document before commenting on it', code: 'NOT_JOINED' });
+          }
+          const access = await this.authorize(socket, docId, 'update-comment', 'commenter');
+          if (!access) {
+            return socket.emit('error', { message: 'You may not comment on this document', code: 'ACCESS_DENIED' });
+          }
+          if (access.role !== 'editor') {
+            const comment = await this.commentManager.getComment(docId, commentId);
+            if (comment && comment.userId !== socket.data.identity.id) {
+              this.auditDenied(socket, 'update-comment', { docId, commentId, role: access.role, reason: 'NOT_COMMENT_AUTHOR' });
+              return socket.emit('error', { message: 'Only editors may change other users\' comments', code: 'ACCESS_DENIED' });
+            }
+          }
+
+          const updatedComment = await this.commentManager.updateComment(docId, commentId, updates);
           
           if (updatedComment) {
             io.to(docId).emit('comment-updated', updatedComment);
@@ -430,23 +561,13 @@ class CollaborationService {
         }
       });
       
-      // Handle disconnection
-      socket.on('disconnect', () => {
+      // Handle disconnection. The socket has already left its rooms.
+      socket.on('disconnect', async () => {
         try {
-          const docId = this.documentManager.userSessions.get(socket.id);
+          const { docId } = socket.data;
           
           if (docId) {
-            // Remove user from document
-            const users = this.documentManager.removeUserFromDocument(docId, socket.id);
-            
-            // Remove cursor
-            this.cursorManager.removeCursor(docId, socket.id);
-            
-            // Notify other users
-            socket.to(docId).emit('user-left', {
-              userId: socket.id,
-              users
-            });
+            await this.leaveDocument(socket, docId);
           }
           
           logger.info(`User disconnected: ${socket.id}`);
@@ -456,26 +577,190 @@ class CollaborationService {
       });
     });
   }
+
+  /**
+   * Check that a socket's user has at least a role on a document. Access settings are
+   * read on every check, so changes to them apply to sockets that already joined.
+   * Refusals go to the audit log.
+   * @param {Object} socket - Socket, authenticated by authenticateSocket
+   * @param {string} docId - Document ID
+   * @param {string} action - Event being checked, for the audit log
+   * @param {string} requiredRole - viewer, commenter or editor; any access by default
+   * @returns {Promise<Object|null>} { metadata, role }, or null when refused
+   */
+  async authorize(socket, docId, action, requiredRole = 'viewer') {
+    const metadata = typeof docId === 'string' ? await CollaborativeDocument.findOne({ docId }) : null;
+    const role = metadata ? metadata.roleOf(socket.data.identity.id) : null;
+
+    if (!metadata || !metadata.hasRole(socket.data.identity.id, requiredRole)) {
+      this.auditDenied(socket, action, {
+        docId,
+        role,
+        requiredRole,
+        reason: !metadata ? 'DOCUMENT_NOT_FOUND' : role ? 'INSUFFICIENT_ROLE' : 'NO_ACCESS'
+      });
+      return null;
+    }
+    return { metadata, role };
+  }
+
+  // Record a refused collaboration request
+  auditDenied(socket, action, details) {
+    auditLogger.warn('Collaboration access denied', {
+      action,
+      ...details,
+      userId: socket.data.identity.id,
+      username: socket.data.identity.username,
+      socketId: socket.id,
+      ip: socket.handshake.address
+    });
+  }
+
+  // Remove a socket that has left a document's room from it: drop its cursor, tell the
+  // other users, and close the document once nobody on this instance has it open
+  async leaveDocument(socket, docId) {
+    await this.cursorManager.removeCursor(docId, socket.id);
+
+    const users = await this.getDocumentUsers(docId);
+    socket.to(docId).emit('user-left', {
+      userId: socket.id,
+      users
+    });
+
+    if (!this.io.sockets.adapter.rooms.has(docId)) {
+      this.documentManager.closeDocument(docId);
+    }
+  }
+
+  /**
+   * Users with a document open, on any instance
+   * @returns {Promise<Array>} The user each socket joined with, plus socketId, joinedAt and lastActivity
+   */
+  async getDocumentUsers(docId) {
+    if (!this.io) return [];
+    const sockets = await this.io.in(docId).fetchSockets();
+    return sockets
+      .filter(socket => socket.data.docId === docId && socket.data.user)
+      .map(socket => ({ ...socket.data.user, socketId: socket.id }));
+  }
   
   // Get document statistics
-  getDocumentStats(docId) {
-    return this.documentManager.getDocumentStats(docId);
+  async getDocumentStats(docId) {
+    const [snapshot, users] = await Promise.all([
+      this.documentManager.fetchSnapshot(docId),
+      this.getDocumentUsers(docId)
+    ]);
+    const exists = snapshot.type !== null;
+    const [lastOp] = snapshot.v > 0 ? await this.documentManager.getOps(docId, snapshot.v - 1, snapshot.v) : [];
+
+    return {
+      exists,
+      type: exists ? documentTypeOf(snapshot.type) : undefined,
+      version: snapshot.v,
+      lastModified: lastOp?.m?.ts ? new Date(lastOp.m.ts) : null,
+      activeUsers: users.length,
+      users: users.map(u => ({
+        id: u.id,
+        username: u.username,
+        joinedAt: u.joinedAt,
+        lastActivity: u.lastActivity
+      }))
+    };
+  }
+
+  // Stop sharing with other instances
+  close() {
+    return this.cluster.close();
   }
   
-  // Export document content
+  // Create the stored document for new metadata
+  createDocument(docId, type, initialContent) {
+    return this.documentManager.createDocument(docId, type, initialContent);
+  }
+
+  deleteDocument(docId) {
+    return this.documentManager.deleteDocument(docId);
+  }
+
+  /**
+   * Committed changes to a document, oldest first
+   * @param {string} docId - Document ID
+   * @param {Object} options - { from, to } versions; to is exclusive
+   * @returns {Promise<Array>} { version, action, op, content, source, timestamp }
+   */
+  async getDocumentHistory(docId, { from = 0, to = null } = {}) {
+    const ops = await this.documentManager.getOps(docId, from, to);
+    return ops.map(op => ({
+      version: op.v,
+      action: op.create ? 'create' : op.del ? 'delete' : 'edit',
+      ...(op.op && { op: op.op }),
+      ...(op.create && { content: op.create.data }),
+      source: op.src || null,
+      timestamp: op.m?.ts ? new Date(op.m.ts) : null
+    }));
+  }
+
+  // Document content as it was after the given number of changes; null past the latest version
+  async getDocumentAtVersion(docId, version) {
+    const latest = await this.documentManager.fetchSnapshot(docId);
+    if (version > latest.v) return null;
+
+    const snapshot = await this.documentManager.fetchSnapshotAt(docId, version);
+    return {
+      content: snapshot.data ?? null,
+      version: snapshot.v,
+      exists: snapshot.type !== null
+    };
+  }
+
+  /**
+   * Export document content: the raw data (a string, a JSON value or a Quill delta)
+   * with its plain-text and HTML renderings
+   */
   async exportDocument(docId) {
-    const docInfo = this.documentManager.documents.get(docId);
-    if (!docInfo) {
+    const snapshot = await this.documentManager.fetchSnapshot(docId);
+    if (snapshot.type === null) {
       throw new Error('Document not found');
     }
+
+    const type = documentTypeOf(snapshot.type);
+    const documentType = getDocumentType(type);
     
     return {
-      content: docInfo.doc.data,
-      version: docInfo.doc.version,
-      type: docInfo.type,
-      stats: this.getDocumentStats(docId)
+      content: snapshot.data,
+      version: snapshot.v,
+      type,
+      text: documentType.toText(snapshot.data),
+      html: renderHtmlBody(documentType.toBlocks(snapshot.data)),
+      stats: await this.getDocumentStats(docId)
     };
   }
+
+  /**
+   * Export document content as a file
+   * @param {string} docId - Document id
+   * @param {string} format - docx, pdf, md, html or txt
+   * @param {Object} options - { title, comments: 'open'|'all'|'none', converterRegistry }
+   * @returns {Promise<Object>} { buffer, extension, mimeType }
+   */
+  async exportDocumentAs(docId, format, { title, comments = 'open', converterRegistry } = {}) {
+    const snapshot = await this.documentManager.fetchSnapshot(docId);
+    if (snapshot.type === null) {
+      throw new Error('Document not found');
+    }
+
+    const documentType = getDocumentType(documentTypeOf(snapshot.type));
+    const documentComments = comments === 'none'
+      ? []
+      : (await this.commentManager.getDocumentComments(docId)).filter(comment => comments === 'all' || !comment.resolved);
+
+    return exportDocumentFile({
+      title,
+      blocks: documentType.toBlocks(snapshot.data),
+      comments: documentComments,
+      commentPositions: documentType.commentPositions
+    }, format, { converterRegistry });
+  }
 }
 
 // Export the collaboration service
@@ -485,5 +770,8 @@ module.exports = {
   CursorManager,
   CommentManager,
   backend,
+  cluster,
+  createShareDBDatabase,
+  createShareDBBackend,
   documentTypes
 };
\ No newline at end of file
@@ -0,0 +1,147 @@
+const http = require('http');
+const { once } = require('events');
+const ShareDB = require('sharedb');
+const mongoose = require('mongoose');
+const { Server } = require('socket.io');
+const { io: connect } = require('socket.io-client');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { CollaborationService, DocumentManager, createShareDBDatabase, createShareDBBackend } = require('./collaboration');
+const { createCollaborationCluster, MemoryBroker } = require('./collaborationCluster');
+const CollaborativeDocument = require('../models/CollaborativeDocument');
+const DocumentComment = require('../models/DocumentComment');
+
+describe('createShareDBDatabase', () => {
+  const environment = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...environment };
+  });
+
+  test('keeps documents in memory only without a MongoDB URI or when asked to', () => {
+    delete process.env.MONGODB_URI;
+    delete process.env.COLLABORATION_STORE;
+    expect(createShareDBDatabase()).toBeInstanceOf(ShareDB.MemoryDB);
+
+    process.env.MONGODB_URI = 'mongodb://localhost:27017/test';
+    process.env.COLLABORATION_STORE = 'memory';
+    expect(createShareDBDatabase()).toBeInstanceOf(ShareDB.MemoryDB);
+  });
+});
+
+describe('collaborative document persistence', () => {
+  const environment = { ...process.env };
+  let mongod;
+
+  // The first run downloads a MongoDB binary, hence the long timeout
+  beforeAll(async () => {
+    mongod = await MongoMemoryServer.create();
+    process.env.MONGODB_URI = mongod.getUri();
+    delete process.env.COLLABORATION_STORE;
+    await mongoose.connect(process.env.MONGODB_URI);
+  }, 120000);
+
+  afterAll(async () => {
+    process.env = { ...environment };
+    await mongoose.disconnect();
+    await mongod?.stop();
+  });
+
+  // A backend as a freshly started server would create it
+  const startInstance = () => new DocumentManager(createShareDBBackend({ db: createShareDBDatabase() }));
+
+  test('documents and their history outlive the instance that edited them', async () => {
+    const before = startInstance();
+    await before.createDocument('persisted', 'text', 'hello');
+    await before.submitOperation('persisted', { v: 1, op: [5, ' world'] });
+
+    const after = startInstance();
+    const snapshot = await after.fetchSnapshot('persisted');
+    expect(snapshot).toMatchObject({ v: 2, data: 'hello world' });
+
+    const ops = await after.getOps('persisted', 0, null);
+    expect(ops.map(op => (op.create ? 'create' : op.op))).toEqual(['create', [5, ' world']]);
+    expect((await after.fetchSnapshotAt('persisted', 1)).data).toBe('hello');
+  });
+});
+
+describe('anonymous access', () => {
+  let service;
+  let io;
+  let port;
+  const clients = [];
+
+  // Documents an anonymous user created: one private, from before those were refused
+  const documents = {
+    private: { title: 'Private', isPublic: false },
+    public: { title: 'Public', isPublic: true, publicRole: 'viewer' }
+  };
+
+  beforeAll(async () => {
+    jest.spyOn(CollaborativeDocument, 'findOne').mockImplementation(async ({ docId }) => (
+      documents[docId] ? new CollaborativeDocument({ docId, type: 'text', owner: { id: 'anonymous' }, ...documents[docId] }) : null
+    ));
+    jest.spyOn(DocumentComment, 'find').mockReturnValue({ sort: async () => [] });
+
+    const cluster = createCollaborationCluster({ type: 'memory', broker: new MemoryBroker() });
+    service = new CollaborationService({ backend: createShareDBBackend({ db: new ShareDB.MemoryDB(), pubsub: cluster.sharedbPubSub }), cluster });
+    const server = http.createServer();
+    io = new Server(server);
+    service.initialize(io);
+    server.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    port = server.address().port;
+
+    await service.createDocument('private', 'text', 'secret');
+    await service.createDocument('public', 'text', 'read me');
+  });
+
+  afterAll(async () => {
+    clients.forEach(client => client.disconnect());
+    while (service.documentManager.documents.size > 0) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    await io.close();
+    await service.close();
+    jest.restoreAllMocks();
+  });
+
+  // A socket without a token
+  const connectAnonymously = async () => {
+    const client = connect(`http://127.0.0.1:${port}`, { transports: ['websocket'] });
+    clients.push(client);
+    await once(client, 'connect');
+    return client;
+  };
+
+  const next = (client, event) => once(client, event).then(([data]) => data);
+
+  test('is not the owner of documents an anonymous user created', () => {
+    const metadata = new CollaborativeDocument({ docId: 'private', type: 'text', owner: { id: 'anonymous' }, ...documents.private });
+
+    expect(metadata.canAccess('anonymous')).toBe(false);
+    expect(metadata.roleOf('anonymous')).toBeNull();
+    expect(CollaborativeDocument.accessFilter('anonymous')).toEqual({ isPublic: true });
+  });
+
+  test('an anonymous socket cannot open or edit a private document', async () => {
+    const client = await connectAnonymously();
+
+    client.emit('join-document', { docId: 'private' });
+    expect(await next(client, 'error')).toMatchObject({ code: 'ACCESS_DENIED' });
+
+    client.emit('operation', { docId: 'private', op: ['hacked '], version: 1, seq: 1 });
+    expect(await next(client, 'operation-error')).toMatchObject({ seq: 1 });
+    expect((await service.documentManager.fetchSnapshot('private')).data).toBe('secret');
+  });
+
+  test('an anonymous socket gets only the public role on a public document', async () => {
+    const client = await connectAnonymously();
+
+    client.emit('join-document', { docId: 'public' });
+    expect(await next(client, 'document-state')).toMatchObject({ content: 'read me', role: 'viewer' });
+
+    client.emit('operation', { docId: 'public', op: ['hacked '], version: 1, seq: 1 });
+    expect(await next(client, 'operation-error')).toMatchObject({ code: 'ACCESS_DENIED', seq: 1 });
+    expect((await service.documentManager.fetchSnapshot('public')).data).toBe('read me');
+  });
+});
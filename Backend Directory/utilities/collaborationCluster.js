@@ -0,0 +1,211 @@
+const { EventEmitter } = require('events');
+const ShareDB = require('sharedb');
+const RedisPubSub = require('sharedb-redis-pubsub');
+const redis = require('redis');
+const { createAdapter } = require('@socket.io/redis-adapter');
+const { ClusterAdapterWithHeartbeat } = require('socket.io-adapter');
+const winston = require('winston');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/collaboration.log' })
+  ]
+});
+
+const KEY_PREFIX = 'collaboration:';
+// Shared hashes (cursors) of documents nobody touches for a day are dropped
+const STATE_TTL_SECONDS = 24 * 60 * 60;
+
+/**
+ * In-process stand-in for Redis: a message bus and hashes that every cluster created
+ * with the same broker shares, so several instances can run in one process (tests)
+ */
+class MemoryBroker extends EventEmitter {
+  constructor() {
+    super();
+    this.setMaxListeners(0);
+    this.hashes = new Map();
+  }
+}
+
+const defaultBroker = new MemoryBroker();
+
+// Socket.IO adapter over a MemoryBroker; messages are delivered asynchronously, as over Redis
+class MemoryClusterAdapter extends ClusterAdapterWithHeartbeat {
+  constructor(nsp, broker, opts) {
+    super(nsp, opts);
+    this.broker = broker;
+    this.messageChannel = `socket.io#${nsp.name}`;
+    this.responseChannel = `socket.io-response#${nsp.name}`;
+    this.handleMessage = (message) => this.onMessage(message);
+    this.handleResponse = (requesterUid, response) => {
+      if (requesterUid === this.uid) this.onResponse(response);
+    };
+    broker.on(this.messageChannel, this.handleMessage);
+    broker.on(this.responseChannel, this.handleResponse);
+  }
+
+  doPublish(message) {
+    setImmediate(() => this.broker.emit(this.messageChannel, message));
+    return Promise.resolve('');
+  }
+
+  doPublishResponse(requesterUid, response) {
+    setImmediate(() => this.broker.emit(this.responseChannel, requesterUid, response));
+    return Promise.resolve();
+  }
+
+  close() {
+    super.close();
+    this.broker.off(this.messageChannel, this.handleMessage);
+    this.broker.off(this.responseChannel, this.handleResponse);
+  }
+}
+
+// ShareDB pub/sub over a MemoryBroker. Messages go through JSON, as they do over Redis.
+class MemoryBrokerPubSub extends ShareDB.PubSub {
+  constructor(broker, options) {
+    super(options);
+    this.broker = broker;
+    this.handleMessage = (channel, message) => {
+      if (this.subscribed[channel]) this._emit(channel, JSON.parse(message));
+    };
+    broker.on('sharedb', this.handleMessage);
+  }
+
+  _subscribe(channel, callback) {
+    process.nextTick(callback);
+  }
+
+  _unsubscribe(channel, callback) {
+    process.nextTick(callback);
+  }
+
+  _publish(channels, data, callback) {
+    const message = JSON.stringify(data);
+    process.nextTick(() => {
+      channels.forEach(channel => this.broker.emit('sharedb', channel, message));
+      callback();
+    });
+  }
+
+  close(callback) {
+    this.broker.off('sharedb', this.handleMessage);
+    super.close(callback);
+  }
+}
+
+// Hashes of JSON values shared by all instances
+class RedisHashStore {
+  constructor(client) {
+    this.client = client;
+  }
+
+  async set(key, field, value) {
+    await this.client.multi()
+      .hSet(KEY_PREFIX + key, field, JSON.stringify(value))
+      .expire(KEY_PREFIX + key, STATE_TTL_SECONDS)
+      .exec();
+  }
+
+  async remove(key, field) {
+    await this.client.hDel(KEY_PREFIX + key, field);
+  }
+
+  async getAll(key) {
+    const hash = await this.client.hGetAll(KEY_PREFIX + key);
+    return Object.fromEntries(Object.entries(hash).map(([field, value]) => [field, JSON.parse(value)]));
+  }
+}
+
+class MemoryHashStore {
+  constructor(broker) {
+    this.hashes = broker.hashes;
+  }
+
+  async set(key, field, value) {
+    if (!this.hashes.has(key)) this.hashes.set(key, new Map());
+    this.hashes.get(key).set(field, JSON.stringify(value));
+  }
+
+  async remove(key, field) {
+    const hash = this.hashes.get(key);
+    if (!hash) return;
+    hash.delete(field);
+    if (hash.size === 0) this.hashes.delete(key);
+  }
+
+  async getAll(key) {
+    const hash = this.hashes.get(key);
+    return hash ? Object.fromEntries(Array.from(hash, ([field, value]) => [field, JSON.parse(value)])) : {};
+  }
+}
+
+const connectClient = (client, name) => {
+  client.on('error', (error) => logger.error(`Collaboration Redis ${name} error:`, error));
+  client.connect().catch(error => logger.error(`Collaboration Redis ${name} failed to connect:`, error));
+  return client;
+};
+
+/**
+ * What collaboration instances share so they can run side by side behind a load balancer:
+ * a Socket.IO adapter, so rooms, broadcasts and fetchSockets span every instance; a ShareDB
+ * pub/sub, so document subscriptions see ops committed by any instance; and a hash store
+ * for state such as cursors.
+ * COLLABORATION_PUBSUB=redis|memory (redis when REDIS_URL is set). memory only reaches
+ * instances in this process that use the same broker.
+ * @returns {Object} { type, adapter, sharedbPubSub, state, close }
+ */
+const createCollaborationCluster = ({
+  type = process.env.COLLABORATION_PUBSUB || (process.env.REDIS_URL ? 'redis' : 'memory'),
+  url = process.env.REDIS_URL,
+  broker = defaultBroker
+} = {}) => {
+  if (type !== 'redis') {
+    if (process.env.NODE_ENV === 'production') {
+      logger.warn('Collaboration pub/sub is in memory; documents are only shared within one backend process');
+    }
+    const sharedbPubSub = new MemoryBrokerPubSub(broker);
+    return {
+      type: 'memory',
+      // Socket.IO calls the adapter factory with new, so it cannot be an arrow function
+      adapter: function(nsp) {
+        return new MemoryClusterAdapter(nsp, broker);
+      },
+      sharedbPubSub,
+      state: new MemoryHashStore(broker),
+      close: () => new Promise(resolve => sharedbPubSub.close(() => resolve()))
+    };
+  }
+
+  // Subscribing takes a connection of its own. Commands sent while connecting are queued.
+  const client = connectClient(redis.createClient({ url }), 'client');
+  const subscriber = connectClient(client.duplicate(), 'subscriber');
+  const sharedbPubSub = new RedisPubSub({
+    client: connectClient(client.duplicate(), 'ShareDB client'),
+    observer: connectClient(client.duplicate(), 'ShareDB subscriber')
+  });
+  logger.info('Collaboration pub/sub uses Redis');
+
+  return {
+    type: 'redis',
+    adapter: createAdapter(client, subscriber, { key: `${KEY_PREFIX}socket.io` }),
+    sharedbPubSub,
+    state: new RedisHashStore(client),
+    close: async () => {
+      await new Promise((resolve, reject) => sharedbPubSub.close(error => (error ? reject(error) : resolve())));
+      await Promise.all([client.quit(), subscriber.quit()]);
+    }
+  };
+};
+
+module.exports = {
+  createCollaborationCluster,
+  MemoryBroker,
+  MemoryClusterAdapter,
+  MemoryBrokerPubSub
+};
@@ -0,0 +1,143 @@
+const http = require('http');
+const { once } = require('events');
+const ShareDB = require('sharedb');
+const { Server } = require('socket.io');
+const { io: connect } = require('socket.io-client');
+const { CollaborationService, createShareDBBackend } = require('./collaboration');
+const { createCollaborationCluster, MemoryBroker } = require('./collaborationCluster');
+const CollaborativeDocument = require('../models/CollaborativeDocument');
+const DocumentComment = require('../models/DocumentComment');
+
+// Two backend instances sharing a database and a broker, as two servers share MongoDB and Redis
+describe('collaboration across instances', () => {
+  const broker = new MemoryBroker();
+  const db = new ShareDB.MemoryDB();
+  const instances = [];
+  const clients = [];
+
+  const startInstance = async () => {
+    const cluster = createCollaborationCluster({ type: 'memory', broker });
+    const service = new CollaborationService({ backend: createShareDBBackend({ db, pubsub: cluster.sharedbPubSub }), cluster });
+    const server = http.createServer();
+    const io = new Server(server);
+    service.initialize(io);
+    server.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    const instance = { service, io, port: server.address().port };
+    instances.push(instance);
+    return instance;
+  };
+
+  const connectTo = async (instance) => {
+    const client = connect(`http://127.0.0.1:${instance.port}`, { transports: ['websocket'] });
+    clients.push(client);
+    await once(client, 'connect');
+    return client;
+  };
+
+  const next = (client, event) => once(client, event).then(([data]) => data);
+
+  beforeAll(() => {
+    const metadata = new Map(['shared', 'first', 'second', 'third'].map(docId => [docId, new CollaborativeDocument({
+      docId, title: docId, type: 'text', isPublic: true, publicRole: 'editor', owner: { id: 'owner' }
+    })]));
+    jest.spyOn(CollaborativeDocument, 'findOne').mockImplementation(async ({ docId }) => metadata.get(docId) || null);
+    jest.spyOn(DocumentComment, 'find').mockReturnValue({ sort: async () => [] });
+  });
+
+  afterAll(async () => {
+    // Disconnect handlers ask the other instance for its sockets; let them finish first
+    clients.forEach(client => client.disconnect());
+    while (instances.some(({ service }) => service.documentManager.documents.size > 0)) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    for (const { service, io } of instances) {
+      await io.close();
+      await service.close();
+    }
+    jest.restoreAllMocks();
+  });
+
+  test('ops, users and cursors reach sockets on the other instance', async () => {
+    const [a, b] = [await startInstance(), await startInstance()];
+    await a.service.createDocument('shared', 'text', 'hello');
+    const [alice, bob] = [await connectTo(a), await connectTo(b)];
+
+    alice.emit('join-document', { docId: 'shared', user: { username: 'alice' } });
+    expect(await next(alice, 'document-state')).toMatchObject({ content: 'hello', version: 1, type: 'text', role: 'editor' });
+
+    const joined = next(alice, 'user-joined');
+    bob.emit('join-document', { docId: 'shared', user: { username: 'bob' } });
+    const state = await next(bob, 'document-state');
+    expect(state.users.map(user => user.socketId).sort()).toEqual([alice.id, bob.id].sort());
+    expect((await joined).users).toHaveLength(2);
+
+    // An op made on one instance is broadcast to, and transformed on, the other
+    const remote = next(bob, 'operation');
+    alice.emit('operation', { docId: 'shared', op: [5, ' world'], version: 1, seq: 1 });
+    expect(await next(alice, 'operation-ack')).toEqual({ version: 1, seq: 1 });
+    expect(await remote).toEqual({ op: [5, ' world'], source: alice.id, version: 1 });
+
+    const concurrent = next(alice, 'operation');
+    bob.emit('operation', { docId: 'shared', op: ['> '], version: 1, seq: 1 });
+    expect(await next(bob, 'operation-ack')).toEqual({ version: 2, seq: 1 });
+    expect(await concurrent).toEqual({ op: ['> '], source: bob.id, version: 2 });
+    expect((await b.service.documentManager.fetchSnapshot('shared')).data).toBe('> hello world');
+
+    const cursor = next(alice, 'cursor-update');
+    bob.emit('cursor-update', { docId: 'shared', cursor: { position: 3 } });
+    expect(await cursor).toMatchObject({ userId: bob.id, cursor: { position: 3 }, allCursors: [{ userId: bob.id, position: 3 }] });
+
+    const left = next(bob, 'user-left');
+    const aliceId = alice.id;
+    alice.disconnect();
+    expect(await left).toMatchObject({ userId: aliceId, users: [{ socketId: bob.id }] });
+    expect((await b.service.getDocumentStats('shared')).activeUsers).toBe(1);
+  });
+
+  test('a socket joining another document leaves the one it was in', async () => {
+    const instance = await startInstance();
+    const { service } = instance;
+    await service.createDocument('first', 'text', 'one');
+    await service.createDocument('second', 'text', 'two');
+    const [carol, dave] = [await connectTo(instance), await connectTo(instance)];
+
+    for (const client of [carol, dave]) {
+      client.emit('join-document', { docId: 'first' });
+      await next(client, 'document-state');
+    }
+    const cursor = next(dave, 'cursor-update');
+    carol.emit('cursor-update', { docId: 'first', cursor: { position: 1 } });
+    await cursor;
+
+    const left = next(dave, 'user-left');
+    carol.emit('join-document', { docId: 'second' });
+    expect(await next(carol, 'document-state')).toMatchObject({ content: 'two', users: [{ socketId: carol.id }] });
+    expect(await left).toMatchObject({ userId: carol.id, users: [{ socketId: dave.id }] });
+    expect(await service.cursorManager.getDocumentCursors('first')).toEqual([]);
+    expect(instance.io.sockets.adapter.rooms.get('first')).toEqual(new Set([dave.id]));
+
+    carol.emit('operation', { docId: 'first', op: ['stale '], version: 1, seq: 1 });
+    expect(await next(carol, 'operation-error')).toMatchObject({ code: 'NOT_JOINED', seq: 1 });
+
+    // The last socket to leave a document closes it on this instance
+    dave.emit('join-document', { docId: 'second' });
+    await next(dave, 'document-state');
+    expect([...service.documentManager.documents.keys()]).toEqual(['second']);
+  });
+
+  test('sockets opening a document at the same time share one subscription', async () => {
+    const instance = await startInstance();
+    const { documentManager } = instance.service;
+    await instance.service.createDocument('third', 'text', 'three');
+    const readers = [await connectTo(instance), await connectTo(instance), await connectTo(instance)];
+    const getDocument = jest.spyOn(documentManager, 'getDocument');
+
+    const states = readers.map(client => next(client, 'document-state'));
+    readers.forEach(client => client.emit('join-document', { docId: 'third' }));
+
+    expect((await Promise.all(states)).map(state => state.content)).toEqual(['three', 'three', 'three']);
+    expect(getDocument).toHaveBeenCalledTimes(1);
+    expect(documentManager.opening.size).toBe(0);
+  });
+});
@@ -0,0 +1,421 @@
+const path = require('path');
+const zlib = require('zlib');
+const { unzipSync, zipSync } = require('fflate');
+const { formatForMimeType } = require('./formats');
+
+// Files of the disarmed types are rebuilt in memory; larger ones are refused
+const MAX_CDR_SIZE = parseInt(process.env.CDR_MAX_SIZE) || parseInt(process.env.MAX_FILE_SIZE) || 100 * 1024 * 1024;
+// Guards against zip bombs: the most an Office package may expand to
+const MAX_PACKAGE_EXPANSION = parseInt(process.env.CDR_MAX_EXPANDED_SIZE) || 1024 * 1024 * 1024;
+
+const cdrError = (status, code, message) => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+};
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const attribute = (tag, name) => {
+  const match = tag.match(new RegExp(`\\s${escapeRegExp(name)}\\s*=\\s*"([^"]*)"`));
+  return match ? match[1] : undefined;
+};
+
+// Findings are counted per kind and target, e.g. { kind: 'javascript', target: '/JS', count: 3 }
+const createReport = () => {
+  const entries = new Map();
+  return {
+    add(kind, target, count = 1) {
+      const key = `${kind}\n${target}`;
+      const entry = entries.get(key) || { kind, target, count: 0 };
+      entry.count += count;
+      entries.set(key, entry);
+    },
+    get removed() {
+      return Array.from(entries.values());
+    }
+  };
+};
+
+// --- Office Open XML -------------------------------------------------------
+
+// Parts dropped by content type, and what the report calls them
+const REMOVED_CONTENT_TYPES = {
+  'application/vnd.ms-office.vbaproject': 'macro',
+  'application/vnd.ms-office.vbaprojectsignature': 'macro',
+  'application/vnd.ms-word.vbadata+xml': 'macro',
+  'application/vnd.ms-office.activex+xml': 'activex',
+  'application/vnd.ms-office.activex': 'activex',
+  'application/vnd.openxmlformats-officedocument.oleobject': 'ole_object',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.externallink+xml': 'external_link'
+};
+
+// A macro-enabled main part makes Office open the file as .docm/.xlsm/.pptm
+const MACRO_FREE_TYPES = {
+  'application/vnd.ms-word.document.macroEnabled.main+xml': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml',
+  'application/vnd.ms-word.template.macroEnabledTemplate.main+xml': 'application/vnd.openxmlformats-officedocument.wordprocessingml.template.main+xml',
+  'application/vnd.ms-excel.sheet.macroEnabled.main+xml': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml',
+  'application/vnd.ms-excel.template.macroEnabled.main+xml': 'application/vnd.openxmlformats-officedocument.spreadsheetml.template.main+xml',
+  'application/vnd.ms-powerpoint.presentation.macroEnabled.main+xml': 'application/vnd.openxmlformats-officedocument.presentationml.presentation.main+xml',
+  'application/vnd.ms-powerpoint.slideshow.macroEnabled.main+xml': 'application/vnd.openxmlformats-officedocument.presentationml.slideshow.main+xml'
+};
+
+const decodeXml = (data) => Buffer.from(data).toString('utf8');
+const encodeXml = (xml) => new Uint8Array(Buffer.from(xml, 'utf8'));
+
+const readContentTypes = (xml) => {
+  const defaults = new Map();
+  const overrides = new Map();
+  for (const tag of xml.match(/<Default\b[^>]*>/g) || []) {
+    defaults.set((attribute(tag, 'Extension') || '').toLowerCase(), attribute(tag, 'ContentType'));
+  }
+  for (const tag of xml.match(/<Override\b[^>]*>/g) || []) {
+    overrides.set((attribute(tag, 'PartName') || '').replace(/^\//, '').toLowerCase(), attribute(tag, 'ContentType'));
+  }
+  return {
+    of(partName) {
+      const name = partName.toLowerCase();
+      return overrides.get(name) || defaults.get(path.posix.extname(name).slice(1)) || '';
+    }
+  };
+};
+
+// "word/_rels/document.xml.rels" describes "word/document.xml"; "_rels/.rels" the package
+const relsSource = (relsName) => {
+  const dir = path.posix.dirname(path.posix.dirname(relsName));
+  const base = path.posix.basename(relsName, '.rels');
+  return dir === '.' ? base : `${dir}/${base}`;
+};
+
+const resolveTarget = (source, target) => {
+  if (target.startsWith('/')) return target.slice(1);
+  const dir = path.posix.dirname(source);
+  return path.posix.normalize(dir === '.' ? target : `${dir}/${target}`);
+};
+
+// Embedded files are often typed by a shared Default, so their location decides first
+const removedPartKind = (name, contentType) => {
+  if (/(^|\/)embeddings\//i.test(name)) return 'ole_object';
+  if (/(^|\/)activeX\//i.test(name)) return 'activex';
+  if (/(^|\/)vbaProject[^/]*\.bin$/i.test(name)) return 'macro';
+  return REMOVED_CONTENT_TYPES[contentType.toLowerCase()] || null;
+};
+
+// Drop references to removed relationships: whole elements that only carried the
+// reference (e.g. <w:attachedTemplate r:id="rId1"/>), otherwise just the attribute
+const stripReferences = (xml, ids) => {
+  let result = xml;
+  for (const id of ids) {
+    const value = escapeRegExp(id);
+    result = result
+      .replace(new RegExp(`<[\\w.-]+:?[\\w.-]*\\s+[\\w.-]+:[\\w]+="${value}"\\s*/>`, 'g'), '')
+      .replace(new RegExp(`\\s[\\w.-]+:[\\w]+="${value}"`, 'g'), '');
+  }
+  return result;
+};
+
+const disarmOoxml = (buffer, report) => {
+  let expanded = 0;
+  let files;
+  try {
+    files = unzipSync(new Uint8Array(buffer), {
+      filter: (file) => {
+        expanded += file.originalSize;
+        if (expanded > MAX_PACKAGE_EXPANSION) {
+          throw cdrError(422, 'CDR_FAILED', 'Office document expands to more data than allowed');
+        }
+        return true;
+      }
+    });
+  } catch (error) {
+    if (error.status) throw error;
+    throw cdrError(422, 'CDR_FAILED', 'Office document is not a valid package');
+  }
+
+  if (!files['[Content_Types].xml']) {
+    throw cdrError(422, 'CDR_FAILED', 'Office document has no [Content_Types].xml');
+  }
+  const contentTypes = readContentTypes(decodeXml(files['[Content_Types].xml']));
+
+  const removed = new Set();
+  for (const name of Object.keys(files)) {
+    const kind = removedPartKind(name, contentTypes.of(name));
+    if (kind) {
+      removed.add(name);
+      report.add(kind, `/${name}`);
+    }
+  }
+  // A removed part's own relationships go with it
+  for (const name of Object.keys(files)) {
+    if (name.endsWith('.rels') && removed.has(relsSource(name))) removed.add(name);
+  }
+
+  const changed = new Map();
+  const strippedIds = new Map();
+  for (const name of Object.keys(files)) {
+    if (!name.endsWith('.rels') || removed.has(name)) continue;
+
+    const source = relsSource(name);
+    const ids = [];
+    const xml = decodeXml(files[name]).replace(/<Relationship\b[^>]*?(\/>|>[\s\S]*?<\/Relationship>)/g, (tag) => {
+      const target = attribute(tag, 'Target') || '';
+      const type = attribute(tag, 'Type') || '';
+      const external = (attribute(tag, 'TargetMode') || '').toLowerCase() === 'external';
+
+      // Clickable hyperlinks stay; everything else fetched from outside the file goes
+      if (external && !/\/hyperlink$/.test(type)) {
+        report.add('external_link', target);
+      } else if (external || !removed.has(resolveTarget(source, target))) {
+        return tag;
+      }
+      ids.push(attribute(tag, 'Id'));
+      return '';
+    });
+
+    if (ids.length > 0) {
+      changed.set(name, xml);
+      strippedIds.set(source, ids);
+    }
+  }
+
+  // Untouched packages are kept byte for byte
+  const contentTypesXml = decodeXml(files['[Content_Types].xml']);
+  if (removed.size === 0 && changed.size === 0 && !Object.keys(MACRO_FREE_TYPES).some(type => contentTypesXml.includes(type))) {
+    return buffer;
+  }
+
+  for (const [source, ids] of strippedIds) {
+    if (!files[source] || removed.has(source)) continue;
+    let xml = changed.get(source) || decodeXml(files[source]);
+    xml = stripReferences(xml, ids);
+    // Formulas keep their cached values once the linked workbooks are gone
+    if (/^xl\/workbook\.xml$/i.test(source)) {
+      xml = xml.replace(/<externalReferences>[\s\S]*?<\/externalReferences>/g, '');
+    }
+    changed.set(source, xml);
+  }
+
+  const removedNames = new Set(Array.from(removed, name => name.toLowerCase()));
+  let types = contentTypesXml.replace(/<Override\b[^>]*>/g, (tag) => {
+    const part = (attribute(tag, 'PartName') || '').replace(/^\//, '').toLowerCase();
+    return removedNames.has(part) ? '' : tag;
+  });
+  for (const [macroType, plainType] of Object.entries(MACRO_FREE_TYPES)) {
+    if (types.includes(macroType)) {
+      types = types.split(macroType).join(plainType);
+      report.add('macro', 'macro-enabled document type');
+    }
+  }
+  changed.set('[Content_Types].xml', types);
+
+  // Rebuilt in the original entry order; [Content_Types].xml usually comes first
+  const output = {};
+  for (const [name, data] of Object.entries(files)) {
+    if (removed.has(name)) continue;
+    output[name] = changed.has(name) ? encodeXml(changed.get(name)) : data;
+  }
+  return Buffer.from(zipSync(output, { level: 6 }));
+};
+
+// --- PDF -------------------------------------------------------------------
+
+// Names that start scripts or programs; each is renamed to a same-length name readers ignore,
+// so every byte offset in the cross-reference table stays valid
+const PDF_ACTIVE_NAMES = {
+  JavaScript: 'javascript',
+  JS: 'javascript',
+  OpenAction: 'open_action',
+  AA: 'additional_action',
+  Launch: 'launch_action'
+};
+
+const decodeName = (raw) => raw.replace(/#([0-9a-fA-F]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+
+// Rename active names in PDF syntax (outside stream data); the text keeps its length
+const neutralizeNames = (text, report) => {
+  let count = 0;
+  const result = text.replace(/\/([^\s/<>[\]()%{}]+)/g, (token, raw) => {
+    const name = decodeName(raw);
+    const kind = PDF_ACTIVE_NAMES[name];
+    if (!kind) return token;
+    report.add(kind, `/${name}`);
+    count++;
+    return `/${'X'.repeat(raw.length)}`;
+  });
+  return { text: result, count };
+};
+
+// The filter names of a stream dictionary, or null when they cannot be read without
+// resolving other objects (e.g. /Filter 12 0 R)
+const streamFilters = (dictionary) => {
+  if (!/\/Filter\b/.test(dictionary)) return [];
+  const match = /\/Filter\s*(?:\/([^\s/<>[\]()%{}]+)|\[([^\]]*)\])/.exec(dictionary);
+  if (!match) return null;
+  if (match[1]) return [match[1]];
+  return (match[2].match(/\/[^\s/<>[\]()%{}]+/g) || []).map(name => name.slice(1));
+};
+
+// Object streams hold dictionaries in compressed form; they are inflated, disarmed and
+// compressed again into the space the original data took
+const disarmObjectStream = (data, report) => {
+  let inflated;
+  try {
+    inflated = zlib.inflateSync(data);
+  } catch (error) {
+    throw cdrError(422, 'CDR_FAILED', 'PDF has an object stream that cannot be read');
+  }
+
+  const { text, count } = neutralizeNames(inflated.toString('latin1'), report);
+  if (count === 0) return data;
+
+  const deflated = zlib.deflateSync(Buffer.from(text, 'latin1'), { level: 9 });
+  if (deflated.length > data.length) {
+    throw cdrError(422, 'CDR_FAILED', 'PDF active content could not be removed in place');
+  }
+  // Readers stop at the end of the deflate data; the rest of the old length is padding
+  return Buffer.concat([deflated, Buffer.alloc(data.length - deflated.length, 0x0a)]);
+};
+
+const disarmPdf = (buffer, report) => {
+  const source = buffer.toString('latin1');
+  const encrypted = /\/Encrypt\b/.test(source);
+  const output = Buffer.from(buffer);
+  let cursor = 0;
+
+  const rewrite = (start, end) => {
+    const { text, count } = neutralizeNames(source.slice(start, end), report);
+    if (count > 0) output.write(text, start, 'latin1');
+  };
+
+  const streamStart = />>\s*stream(\r\n|\n|\r)/g;
+  let match;
+  while ((match = streamStart.exec(source)) !== null) {
+    const dataStart = match.index + match[0].length;
+    const dataEnd = source.indexOf('endstream', dataStart);
+    if (dataEnd === -1) break;
+
+    rewrite(cursor, dataStart);
+
+    const dictionaryStart = source.lastIndexOf('obj', match.index);
+    const dictionary = decodeName(source.slice(dictionaryStart, match.index + 2));
+    if (/\/Type\s*\/ObjStm\b/.test(dictionary)) {
+      if (encrypted) {
+        throw cdrError(422, 'CDR_FAILED', 'Encrypted PDFs with compressed objects cannot be disarmed');
+      }
+      // Objects that cannot be decoded cannot be checked, so such files are refused
+      const filters = streamFilters(dictionary);
+      if (filters && filters.length === 0) {
+        rewrite(dataStart, dataEnd);
+      } else if (filters && filters.length === 1 && filters[0] === 'FlateDecode' && !/\/DecodeParms\b/.test(dictionary)) {
+        // Stream data ends at the EOL before "endstream"
+        const trimmedEnd = source.slice(dataStart, dataEnd).replace(/(\r\n|\n|\r)$/, '').length + dataStart;
+        const data = buffer.subarray(dataStart, trimmedEnd);
+        disarmObjectStream(data, report).copy(output, dataStart);
+      } else {
+        throw cdrError(422, 'CDR_FAILED', 'PDF has an object stream that cannot be read');
+      }
+    }
+
+    cursor = dataEnd;
+    streamStart.lastIndex = dataEnd;
+  }
+  rewrite(cursor, source.length);
+
+  return output;
+};
+
+// --- SVG -------------------------------------------------------------------
+
+const XML_ENTITIES = { colon: ':', tab: '\t', newline: '\n', lpar: '(', rpar: ')', amp: '&', quot: '"', apos: "'" };
+
+// Attribute values as a browser reads them: character references decoded, and the
+// whitespace and control characters URL parsing skips removed
+const attributeValue = (raw) => raw
+  .replace(/&#x([0-9a-f]+);?|&#(\d+);?|&([a-z]+);/gi, (match, hex, decimal, name) => {
+    if (name) return XML_ENTITIES[name.toLowerCase()] ?? match;
+    const code = hex ? parseInt(hex, 16) : parseInt(decimal, 10);
+    return code <= 0x10FFFF ? String.fromCodePoint(code) : '';
+  })
+  .replace(/[\u0000-\u0020]/g, '');
+
+const isScriptUrl = (raw) => /(?:javascript|vbscript|data:text\/html|data:image\/svg)/i.test(attributeValue(raw));
+
+const SVG_RULES = [
+  // Document type declarations can define entities that expand or fetch external files
+  { kind: 'svg_doctype', pattern: /<!DOCTYPE[^[>]*(\[[\s\S]*?\])?\s*>/gi },
+  // Elements are matched under any namespace prefix (<svg:script>)
+  { kind: 'svg_script', pattern: /<([\w.-]+:)?script\b[^>]*\/>|<([\w.-]+:)?script\b[\s\S]*?<\/([\w.-]+:)?script\s*>/gi },
+  // HTML embedded in an SVG runs with the page's privileges
+  { kind: 'svg_foreign_object', pattern: /<([\w.-]+:)?foreignObject\b[^>]*\/>|<([\w.-]+:)?foreignObject\b[\s\S]*?<\/([\w.-]+:)?foreignObject\s*>/gi },
+  { kind: 'svg_event_handler', pattern: /\s+on[a-z]+\s*=\s*("[^"]*"|'[^']*')/gi },
+  // The xlink namespace can be bound to any prefix, so every prefixed href is checked
+  { kind: 'svg_script_link', pattern: /\s+(?:[\w.-]+:)?href\s*=\s*("[^"]*"|'[^']*')/gi, test: isScriptUrl },
+  // Animations that set an href to a script URL when they run
+  { kind: 'svg_script_link', pattern: /<(?:[\w.-]+:)?(?:set|animate)\b[^>]*>/gi, test: isScriptUrl }
+];
+
+const disarmSvg = (buffer, report) => {
+  let svg = buffer.toString('utf8');
+  let changed = false;
+  for (const { kind, pattern, test } of SVG_RULES) {
+    svg = svg.replace(pattern, (match) => {
+      if (test && !test(match)) return match;
+      report.add(kind, match.trim().slice(0, 60));
+      changed = true;
+      return '';
+    });
+  }
+  return changed ? Buffer.from(svg, 'utf8') : buffer;
+};
+
+// ---------------------------------------------------------------------------
+
+// The format registry names the handler for each disarmed type
+const DISARM_HANDLERS = {
+  ooxml: disarmOoxml,
+  pdf: disarmPdf,
+  svg: disarmSvg
+};
+
+const disarmHandler = (mimeType) => {
+  const format = formatForMimeType(mimeType);
+  return format && format.disarm ? DISARM_HANDLERS[format.disarm] : null;
+};
+
+const canDisarm = (mimeType) => !!disarmHandler(mimeType);
+
+/**
+ * Content disarm and reconstruction: remove active content from Office documents, PDFs and SVGs
+ * @param {Buffer} buffer - File contents
+ * @param {string} mimeType - Declared type of the file
+ * @returns {Object|null} { buffer, report: { processed, processedAt, originalSize, removed } },
+ *   or null for types that are not disarmed. The buffer is the original when nothing was removed.
+ * @throws {Error} 413 CDR_TOO_LARGE, 422 CDR_FAILED for files that cannot be parsed or rebuilt
+ */
+const disarmFile = (buffer, mimeType) => {
+  const handler = disarmHandler(mimeType);
+  if (!handler) return null;
+  if (buffer.length > MAX_CDR_SIZE) {
+    throw cdrError(413, 'CDR_TOO_LARGE', `Files of this type over ${Math.round(MAX_CDR_SIZE / 1024 / 1024)}MB cannot be disarmed`);
+  }
+
+  const report = createReport();
+  const output = handler(buffer, report);
+
+  return {
+    buffer: report.removed.length > 0 ? output : buffer,
+    report: {
+      processed: true,
+      processedAt: new Date(),
+      originalSize: buffer.length,
+      removed: report.removed
+    }
+  };
+};
+
+module.exports = {
+  MAX_CDR_SIZE,
+  canDisarm,
+  disarmFile
+};
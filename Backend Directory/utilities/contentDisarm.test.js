@@ -0,0 +1,43 @@
+const zlib = require('zlib');
+const { disarmFile } = require('./contentDisarm');
+
+describe('disarmFile for PDFs', () => {
+  const script = Buffer.from('2 0 << /S /JavaScript /JS (app.alert(1)) >>');
+  const objectStream = (dictionary, data) => Buffer.concat([
+    Buffer.from(`%PDF-1.7\n1 0 obj\n<< /Type /ObjStm /N 1 /First 4 ${dictionary} /Length ${data.length} >>\nstream\n`, 'latin1'),
+    data,
+    Buffer.from('\nendstream\nendobj\n%%EOF\n', 'latin1')
+  ]);
+
+  test('removes scripts from plain and deflated object streams', () => {
+    for (const [dictionary, data] of [['', script], ['/Filter /FlateDecode', zlib.deflateSync(script)], ['/Filter [/FlateDecode]', zlib.deflateSync(script)]]) {
+      const { buffer, report } = disarmFile(objectStream(dictionary, data), 'application/pdf');
+
+      expect(report.removed.map(entry => entry.target)).toEqual(['/JavaScript', '/JS']);
+      expect(buffer.length).toBe(objectStream(dictionary, data).length);
+    }
+  });
+
+  test('refuses object streams it cannot decode', () => {
+    const deflated = zlib.deflateSync(script);
+    for (const dictionary of ['/Filter /FlateDecode /DecodeParms << /Predictor 12 >>', '/Filter [/ASCIIHexDecode /FlateDecode]', '/Filter /LZWDecode', '/Filter 5 0 R']) {
+      expect(() => disarmFile(objectStream(dictionary, deflated), 'application/pdf')).toThrow(expect.objectContaining({ code: 'CDR_FAILED' }));
+    }
+  });
+});
+
+describe('disarmFile for SVGs', () => {
+  const disarm = (svg) => disarmFile(Buffer.from(svg), 'image/svg+xml').buffer.toString('utf8');
+
+  test('removes script links hidden behind character references or another xlink prefix', () => {
+    expect(disarm('<svg xmlns:q="http://www.w3.org/1999/xlink"><a q:href="&#106;avascript:alert(1)">x</a></svg>'))
+      .toBe('<svg xmlns:q="http://www.w3.org/1999/xlink"><a>x</a></svg>');
+    expect(disarm('<svg><a href="java&#x09;script&colon;alert(1)">x</a><set attributeName="href" to="&#106;avascript:1"/></svg>'))
+      .toBe('<svg><a>x</a></svg>');
+  });
+
+  test('removes prefixed script elements and keeps ordinary links', () => {
+    expect(disarm('<svg><s:script xmlns:s="http://www.w3.org/2000/svg">alert(1)</s:script><a href="https://example.com">x</a></svg>'))
+      .toBe('<svg><a href="https://example.com">x</a></svg>');
+  });
+});
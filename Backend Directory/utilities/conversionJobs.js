@@ -0,0 +1,440 @@
+const fs = require('fs').promises;
+const { createWriteStream } = require('fs');
+const path = require('path');
+const winston = require('winston');
+const { Zip, ZipDeflate, ZipPassThrough, strToU8 } = require('fflate');
+const { createConverterRegistry, loadInput } = require('./converters');
+const { runPipeline } = require('./pipeline');
+const { getOcrEngine } = require('./ocrEngine');
+const { generateJobId, JobCancelledError } = require('./jobQueue');
+const { getVirusScanner } = require('./virusScanner');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/convert.log' })
+  ]
+});
+
+// Conversion inputs and outputs; must be shared storage when workers run on other hosts
+const CONVERSION_DIR = path.join(__dirname, '../temp/conversions');
+
+const CONVERSION_JOB = 'conversion';
+const BATCH_JOB = 'conversion-batch';
+const PIPELINE_JOB = 'conversion-pipeline';
+
+// Already-compressed outputs are stored in the batch ZIP without deflating them again
+const STORED_FORMATS = new Set(['jpg', 'jpeg', 'png', 'gif', 'webp', 'avif', 'pdf', 'zip', 'mp3', 'mp4', 'docx', 'xlsx', 'pptx']);
+
+const removeFile = async (filePath) => {
+  if (!filePath) return;
+  try {
+    await fs.unlink(filePath);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.warn('Failed to remove conversion file:', { filePath, error: error.message });
+    }
+  }
+};
+
+// Write base64 input next to the job outputs; URL inputs are fetched by the worker
+const storeInput = async (jobId, fileData) => {
+  if (!fileData) return null;
+
+  const inputPath = path.join(CONVERSION_DIR, `${jobId}.input`);
+  await fs.mkdir(CONVERSION_DIR, { recursive: true });
+  await fs.writeFile(inputPath, Buffer.from(fileData, 'base64'));
+  return inputPath;
+};
+
+/**
+ * Read a job's input and scan it before any converter parses it. URL inputs are fetched
+ * here rather than by the converter, so the bytes converted are the bytes scanned.
+ * @param {Object} input - { inputPath, fileUrl }
+ * @param {Object} scanner - Virus scanner
+ * @returns {Promise<Buffer>} The input
+ * @throws {Error} 422 FILE_INFECTED or SCAN_FAILED (not retried), 503 SCANNER_UNAVAILABLE
+ */
+const loadScannedInput = async ({ inputPath, fileUrl }, scanner) => {
+  const buffer = inputPath ? await fs.readFile(inputPath) : await loadInput({ fileUrl });
+
+  let verdict;
+  try {
+    verdict = await scanner.scan(buffer);
+  } catch (error) {
+    // The same input would fail the same way again; an unreachable scanner may come back
+    if (error.code === 'SCAN_FAILED') error.permanent = true;
+    throw error;
+  }
+
+  if (verdict && !verdict.clean) {
+    await removeFile(inputPath);
+    logger.warn('Infected conversion input refused', { fileUrl, threats: verdict.threats });
+    const error = new Error(`File is infected (${verdict.threats.join(', ')}) and was not converted`);
+    error.status = 422;
+    error.code = 'FILE_INFECTED';
+    error.permanent = true;
+    throw error;
+  }
+  return buffer;
+};
+
+// Store a job's output file and build the job result
+const storeOutput = async (queue, job, output, originalSize) => {
+  const outputPath = path.join(CONVERSION_DIR, `${job.jobId}.${output.format}`);
+  await fs.mkdir(CONVERSION_DIR, { recursive: true });
+  await fs.writeFile(outputPath, output.buffer);
+
+  // The input is no longer needed once the output is safely stored
+  await removeFile(job.data.inputPath);
+
+  const downloadUrl = `/api/v1/convert/download/${job.jobId}`;
+  return {
+    engine: output.engine,
+    url: downloadUrl,
+    downloadUrl,
+    size: output.buffer.length,
+    originalSize,
+    format: output.format,
+    mimeType: output.mimeType,
+    path: outputPath,
+    expiresAt: new Date(Date.now() + queue.retention)
+  };
+};
+
+/**
+ * Queue a conversion. Base64 input is written to disk so the job record stays small.
+ * @param {JobQueue} queue - Job queue
+ * @param {Object} request - { sourceFormat, targetFormat, fileUrl, fileData, fileName, options }
+ * @param {Object} jobOptions - { userId, priority, attempts }
+ * @returns {Object} The queued job
+ */
+const enqueueConversion = async (queue, request, jobOptions = {}) => {
+  const jobId = generateJobId('conv');
+  const inputPath = await storeInput(jobId, request.fileData);
+
+  return queue.add(CONVERSION_JOB, {
+    sourceFormat: request.sourceFormat.toLowerCase(),
+    targetFormat: request.targetFormat.toLowerCase(),
+    fileUrl: request.fileUrl,
+    inputPath,
+    fileName: request.fileName || 'unknown',
+    options: request.options || {}
+  }, { ...jobOptions, jobId });
+};
+
+/**
+ * Queue a multi-step pipeline on one input
+ * @param {JobQueue} queue - Job queue
+ * @param {Object} request - { sourceFormat, fileUrl, fileData, fileName }
+ * @param {Object} plan - Result of planPipeline: { steps, targetFormat }
+ * @param {Object} jobOptions - { userId, priority, attempts }
+ * @returns {Object} The queued job
+ */
+const enqueuePipeline = async (queue, request, plan, jobOptions = {}) => {
+  const jobId = generateJobId('pipe');
+  const inputPath = await storeInput(jobId, request.fileData);
+
+  return queue.add(PIPELINE_JOB, {
+    sourceFormat: request.sourceFormat.toLowerCase(),
+    targetFormat: plan.targetFormat,
+    fileUrl: request.fileUrl,
+    inputPath,
+    fileName: request.fileName || 'unknown',
+    steps: plan.steps
+  }, { ...jobOptions, jobId });
+};
+
+// Delete a conversion job's input and output files
+const removeConversionFiles = async (job) => {
+  await removeFile(job.data?.inputPath);
+  await removeFile(job.result?.path);
+};
+
+/**
+ * Queue a batch of conversions that is packaged into a single ZIP
+ * @param {JobQueue} queue - Job queue
+ * @param {Array} conversions - Items shaped like enqueueConversion requests; `buffer` may replace `fileData`
+ * @param {Object} jobOptions - { userId, priority }
+ * @returns {Object} The queued batch job
+ */
+const enqueueBatch = async (queue, conversions, jobOptions = {}) => {
+  const jobId = generateJobId('batch');
+  const batchDir = path.join(CONVERSION_DIR, jobId);
+  await fs.mkdir(batchDir, { recursive: true });
+
+  const items = [];
+  for (let index = 0; index < conversions.length; index++) {
+    const conversion = conversions[index];
+    let inputPath = null;
+
+    if (conversion.buffer || conversion.fileData) {
+      inputPath = path.join(batchDir, `${index}.input`);
+      await fs.writeFile(inputPath, conversion.buffer || Buffer.from(conversion.fileData, 'base64'));
+    }
+
+    items.push({
+      index,
+      sourceFormat: conversion.sourceFormat.toLowerCase(),
+      targetFormat: conversion.targetFormat.toLowerCase(),
+      fileUrl: conversion.fileUrl,
+      inputPath,
+      fileName: conversion.fileName || `file_${index + 1}.${conversion.sourceFormat.toLowerCase()}`,
+      options: conversion.options || {}
+    });
+  }
+
+  return queue.add(BATCH_JOB, { items }, { ...jobOptions, jobId });
+};
+
+// Delete a batch's working directory and ZIP
+const removeBatchFiles = async (job) => {
+  await fs.rm(path.join(CONVERSION_DIR, job.jobId), { recursive: true, force: true });
+  await removeFile(job.result?.path);
+};
+
+// Run an async worker over items with at most `limit` in flight
+const runWithConcurrency = async (items, limit, worker) => {
+  let next = 0;
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      await worker(items[next++]);
+    }
+  });
+  await Promise.all(runners);
+};
+
+// Pick a ZIP entry name that does not collide with earlier entries
+const uniqueEntryName = (fileName, format, usedNames) => {
+  const baseName = path.parse(fileName).name || 'converted';
+  let name = `${baseName}.${format}`;
+  for (let copy = 2; usedNames.has(name.toLowerCase()); copy++) {
+    name = `${baseName} (${copy}).${format}`;
+  }
+  usedNames.add(name.toLowerCase());
+  return name;
+};
+
+// Stream converted files and the manifest into a ZIP on disk, one file in memory at a time
+const writeBatchZip = (zipPath, files, manifest) => new Promise((resolve, reject) => {
+  const output = createWriteStream(zipPath);
+  const zip = new Zip((error, chunk, final) => {
+    if (error) {
+      output.destroy();
+      return reject(error);
+    }
+    output.write(chunk);
+    if (final) output.end();
+  });
+
+  output.on('finish', resolve);
+  output.on('error', reject);
+
+  (async () => {
+    for (const file of files) {
+      const entry = STORED_FORMATS.has(file.format)
+        ? new ZipPassThrough(file.name)
+        : new ZipDeflate(file.name, { level: 6 });
+      zip.add(entry);
+      entry.push(await fs.readFile(file.path), true);
+    }
+
+    const manifestEntry = new ZipDeflate('manifest.json', { level: 6 });
+    zip.add(manifestEntry);
+    manifestEntry.push(strToU8(JSON.stringify(manifest, null, 2)), true);
+    zip.end();
+  })().catch(error => {
+    output.destroy();
+    reject(error);
+  });
+});
+
+/**
+ * Register the conversion, pipeline and batch job handlers on a queue. Every input is
+ * virus scanned before it is converted.
+ * @param {JobQueue} queue - Job queue
+ * @param {Object} options - { converterRegistry, ocrEngine, virusScanner, concurrency, batchConcurrency, itemConcurrency }
+ */
+const registerConversionWorker = (queue, options = {}) => {
+  const converterRegistry = options.converterRegistry || createConverterRegistry();
+  const virusScanner = options.virusScanner || getVirusScanner();
+  const concurrency = options.concurrency || parseInt(process.env.CONVERSION_CONCURRENCY) || 2;
+
+  queue.process(CONVERSION_JOB, async (job, context) => {
+    const { sourceFormat, targetFormat, fileUrl, inputPath, options: conversionOptions } = job.data;
+
+    const steps = converterRegistry.findPath(sourceFormat, targetFormat);
+    if (!steps || steps.length === 0) {
+      const error = new Error(`Conversion from ${sourceFormat} to ${targetFormat} is not supported`);
+      error.permanent = true;
+      throw error;
+    }
+
+    const engine = [...new Set(steps.map(step => step.engine))].join('+');
+    await context.updateProgress(10, { stage: 'loading', engine });
+    const buffer = await loadScannedInput({ inputPath, fileUrl }, virusScanner);
+
+    await context.updateProgress(25, { stage: 'converting', engine, chain: [sourceFormat, ...steps.map(step => step.to)] });
+    const result = await converterRegistry.convert({
+      buffer,
+      sourceFormat,
+      targetFormat,
+      options: conversionOptions
+    });
+
+    await context.updateProgress(90, { stage: 'storing', engine: result.engine });
+    return {
+      ...await storeOutput(queue, job, result, buffer.length),
+      chain: result.chain
+    };
+  }, { concurrency, onExpire: removeConversionFiles });
+
+  // Pipelines get the same concurrency limit as single conversions; progress advances per step
+  queue.process(PIPELINE_JOB, async (job, context) => {
+    const { fileUrl, inputPath, steps } = job.data;
+
+    await context.updateProgress(5, { stage: 'loading' });
+    const buffer = await loadScannedInput({ inputPath, fileUrl }, virusScanner);
+
+    const output = await runPipeline({ buffer }, steps, {
+      converterRegistry,
+      ocrEngine: options.ocrEngine || getOcrEngine(),
+      onStep: (index, step) => context.updateProgress(10 + (index / steps.length) * 80, {
+        stage: 'step',
+        step: index,
+        type: step.type,
+        total: steps.length
+      })
+    });
+
+    await context.updateProgress(90, { stage: 'storing', step: steps.length, total: steps.length });
+    return storeOutput(queue, job, { ...output, engine: output.engines.join('+') }, buffer.length);
+  }, { concurrency, onExpire: removeConversionFiles });
+
+  // Items of one batch run in parallel up to BATCH_ITEM_CONCURRENCY; a failed item is
+  // recorded in the manifest instead of failing the whole batch
+  const itemConcurrency = options.itemConcurrency || parseInt(process.env.BATCH_ITEM_CONCURRENCY) || 3;
+
+  queue.process(BATCH_JOB, async (job, context) => {
+    const batchDir = path.join(CONVERSION_DIR, job.jobId);
+    await fs.mkdir(batchDir, { recursive: true });
+
+    const items = job.data.items.map(item => ({
+      index: item.index,
+      fileName: item.fileName,
+      sourceFormat: item.sourceFormat,
+      targetFormat: item.targetFormat,
+      status: 'pending'
+    }));
+    const outputs = new Map(); // item index -> output path
+    let completed = 0;
+    let failed = 0;
+
+    const report = (stage, progress) => context.updateProgress(progress, {
+      stage,
+      total: items.length,
+      completed,
+      failed,
+      items
+    });
+
+    await report('converting', 0);
+
+    await runWithConcurrency(job.data.items, itemConcurrency, async (item) => {
+      context.throwIfCancelled();
+      const entry = items[item.index];
+      entry.status = 'converting';
+      await report('converting', ((completed + failed) / items.length) * 90);
+
+      try {
+        const buffer = await loadScannedInput(item, virusScanner);
+        const result = await converterRegistry.convert({
+          buffer,
+          sourceFormat: item.sourceFormat,
+          targetFormat: item.targetFormat,
+          options: item.options
+        });
+
+        const outputPath = path.join(batchDir, `${item.index}.output`);
+        await fs.writeFile(outputPath, result.buffer);
+        outputs.set(item.index, outputPath);
+
+        Object.assign(entry, {
+          status: 'completed',
+          engine: result.engine,
+          format: result.format,
+          mimeType: result.mimeType,
+          size: result.buffer.length
+        });
+        completed++;
+      } catch (error) {
+        if (error instanceof JobCancelledError) throw error;
+
+        logger.warn('Batch item conversion failed', { batchId: job.jobId, index: item.index, error: error.message });
+        Object.assign(entry, { status: 'failed', error: error.message });
+        failed++;
+      }
+
+      await report('converting', ((completed + failed) / items.length) * 90);
+    });
+
+    await report('packaging', 95);
+
+    const usedNames = new Set(['manifest.json']);
+    const files = [];
+    for (const entry of items) {
+      if (entry.status !== 'completed') continue;
+      entry.entryName = uniqueEntryName(entry.fileName, entry.format, usedNames);
+      files.push({ name: entry.entryName, format: entry.format, path: outputs.get(entry.index) });
+    }
+
+    const manifest = {
+      batchId: job.jobId,
+      createdAt: job.createdAt,
+      completedAt: new Date(),
+      total: items.length,
+      successful: completed,
+      failed,
+      items
+    };
+
+    const zipPath = path.join(CONVERSION_DIR, `${job.jobId}.zip`);
+    await writeBatchZip(zipPath, files, manifest);
+    const { size } = await fs.stat(zipPath);
+
+    // Inputs and individual outputs are all inside the ZIP now
+    await fs.rm(batchDir, { recursive: true, force: true });
+
+    logger.info('Batch conversion packaged', { batchId: job.jobId, total: items.length, completed, failed, size });
+
+    const downloadUrl = `/api/v1/convert/batch/${job.jobId}/download`;
+    return {
+      url: downloadUrl,
+      downloadUrl,
+      size,
+      format: 'zip',
+      mimeType: 'application/zip',
+      path: zipPath,
+      manifest,
+      expiresAt: new Date(Date.now() + queue.retention)
+    };
+  }, { concurrency: options.batchConcurrency || 1, onExpire: removeBatchFiles });
+
+  return queue;
+};
+
+module.exports = {
+  CONVERSION_JOB,
+  BATCH_JOB,
+  PIPELINE_JOB,
+  CONVERSION_DIR,
+  enqueueConversion,
+  enqueuePipeline,
+  enqueueBatch,
+  registerConversionWorker,
+  removeConversionFiles,
+  removeBatchFiles
+};
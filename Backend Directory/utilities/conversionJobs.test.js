@@ -0,0 +1,109 @@
+const fs = require('fs');
+const net = require('net');
+const { once } = require('events');
+
+jest.mock('./remoteFiles', () => ({ fetchRemoteFile: jest.fn() }));
+
+const { fetchRemoteFile } = require('./remoteFiles');
+const { JobQueue } = require('./jobQueue');
+const { ClamdScanner } = require('./virusScanner');
+const { registerConversionWorker, enqueueConversion } = require('./conversionJobs');
+
+// clamd stand-in answering INSTREAM: flags data containing EICAR, fails data containing
+// BROKEN, and never answers data containing SILENT
+const startClamd = async () => {
+  const server = net.createServer((socket) => {
+    let received = Buffer.alloc(0);
+    socket.on('error', () => {});
+    socket.on('data', (data) => {
+      received = Buffer.concat([received, data]);
+      if (!received.subarray(received.length - 4).equals(Buffer.alloc(4))) return;
+
+      const text = received.toString('latin1');
+      if (text.includes('SILENT')) return;
+      if (text.includes('BROKEN')) return socket.end('Error processing stream. ERROR\0');
+      socket.end(text.includes('EICAR') ? 'stream: Eicar-Test-Signature FOUND\0' : 'stream: OK\0');
+    });
+  });
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  return server;
+};
+
+describe('conversion input scanning', () => {
+  let clamd;
+  let queue;
+  let converterRegistry;
+  const outputs = [];
+
+  beforeAll(async () => {
+    clamd = await startClamd();
+  });
+
+  afterAll(() => clamd.close());
+
+  beforeEach(() => {
+    converterRegistry = {
+      findPath: () => [{ from: 'txt', to: 'html', engine: 'stub' }],
+      convert: jest.fn(async ({ buffer }) => ({ buffer, format: 'html', mimeType: 'text/html', engine: 'stub', chain: ['txt', 'html'] }))
+    };
+    queue = new JobQueue(undefined, { pollInterval: 20 });
+    registerConversionWorker(queue, {
+      converterRegistry,
+      virusScanner: new ClamdScanner({ host: '127.0.0.1', port: clamd.address().port, timeout: 300 })
+    });
+    queue.start();
+  });
+
+  afterEach(async () => {
+    await queue.stop();
+    outputs.splice(0).forEach(file => fs.rmSync(file, { force: true }));
+  });
+
+  const convert = async (request) => {
+    const queued = await enqueueConversion(queue, { sourceFormat: 'txt', targetFormat: 'html', ...request }, { attempts: 1 });
+    const job = await queue.waitFor(queued.jobId, { timeout: 5000, interval: 20 });
+    if (job.data.inputPath) outputs.push(job.data.inputPath);
+    if (job.result) outputs.push(job.result.path);
+    return job;
+  };
+
+  const inline = (text) => ({ fileData: Buffer.from(text).toString('base64') });
+
+  test('converts clean inline data', async () => {
+    const job = await convert(inline('hello'));
+
+    expect(job.status).toBe('completed');
+    expect(converterRegistry.convert).toHaveBeenCalledWith(expect.objectContaining({ buffer: Buffer.from('hello') }));
+  });
+
+  test('refuses infected inline data without converting or retrying it', async () => {
+    const job = await convert(inline('X5O EICAR test'));
+
+    expect(job.status).toBe('failed');
+    expect(job.error).toMatch(/infected \(Eicar-Test-Signature\)/);
+    expect(converterRegistry.convert).not.toHaveBeenCalled();
+    expect(fs.existsSync(job.data.inputPath)).toBe(false);
+  });
+
+  test('scans files fetched from a URL', async () => {
+    fetchRemoteFile.mockResolvedValueOnce(Buffer.from('EICAR'));
+    const job = await convert({ fileUrl: 'https://example.com/input.txt' });
+
+    expect(fetchRemoteFile).toHaveBeenCalledWith('https://example.com/input.txt');
+    expect(job.status).toBe('failed');
+    expect(converterRegistry.convert).not.toHaveBeenCalled();
+  });
+
+  test('fails when clamd reports an error or does not answer', async () => {
+    const broken = await convert(inline('BROKEN'));
+    expect(broken.status).toBe('failed');
+    expect(broken.error).toMatch(/Virus scan failed: Error processing stream/);
+
+    const silent = await convert(inline('SILENT'));
+    expect(silent.status).toBe('failed');
+    expect(silent.error).toMatch(/timed out/);
+
+    expect(converterRegistry.convert).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,1136 @@
+const ConvertApi = require('convertapi');
+const sharp = require('sharp');
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const winston = require('winston');
+const { PdfWriter } = require('./pdfWriter');
+const { mimeTypeForExtension } = require('./formats');
+const { fetchRemoteFile } = require('./remoteFiles');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/convert.log' })
+  ]
+});
+
+// ConvertAPI format mappings
+const CONVERTAPI_MAPPINGS = {
+  // Document conversions
+  'pdf-to-docx': { from: 'pdf', to: 'docx', service: 'pdf' },
+  'docx-to-pdf': { from: 'docx', to: 'pdf', service: 'docx' },
+  'doc-to-pdf': { from: 'doc', to: 'pdf', service: 'doc' },
+  'html-to-pdf': { from: 'html', to: 'pdf', service: 'html' },
+  'txt-to-pdf': { from: 'txt', to: 'pdf', service: 'txt' },
+
+  // Image conversions
+  'jpg-to-pdf': { from: 'jpg', to: 'pdf', service: 'jpg' },
+  'png-to-pdf': { from: 'png', to: 'pdf', service: 'png' },
+  'pdf-to-jpg': { from: 'pdf', to: 'jpg', service: 'pdf' },
+  'pdf-to-png': { from: 'pdf', to: 'png', service: 'pdf' },
+
+  // Spreadsheet conversions
+  'xlsx-to-pdf': { from: 'xlsx', to: 'pdf', service: 'xlsx' },
+  'xls-to-pdf': { from: 'xls', to: 'pdf', service: 'xls' },
+  'csv-to-xlsx': { from: 'csv', to: 'xlsx', service: 'csv' },
+
+  // Presentation conversions
+  'pptx-to-pdf': { from: 'pptx', to: 'pdf', service: 'pptx' },
+  'ppt-to-pdf': { from: 'ppt', to: 'pdf', service: 'ppt' }
+};
+
+// Formats handled by the local image engine (sharp)
+const IMAGE_INPUT_FORMATS = ['jpg', 'jpeg', 'png', 'gif', 'tiff', 'webp', 'svg', 'avif'];
+const IMAGE_OUTPUT_FORMATS = ['jpg', 'jpeg', 'png', 'gif', 'tiff', 'webp', 'avif'];
+
+// Longest chain of conversions the registry will plan between two formats
+const MAX_CONVERSION_STEPS = 4;
+
+const conversionKey = (sourceFormat, targetFormat) => {
+  return `${sourceFormat.toLowerCase()}-to-${targetFormat.toLowerCase()}`;
+};
+
+// Text helpers
+
+const escapeHtml = (text) => {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', copy: '©', reg: '®', mdash: '—', ndash: '–', hellip: '…' };
+
+const decodeHtmlEntities = (text) => {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+    }
+    return HTML_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+};
+
+const wrapHtmlDocument = (title, body) => {
+  return [
+    '<!DOCTYPE html>',
+    '<html>',
+    '<head>',
+    '<meta charset="utf-8">',
+    `<title>${escapeHtml(title)}</title>`,
+    '</head>',
+    '<body>',
+    body,
+    '</body>',
+    '</html>',
+    ''
+  ].join('\n');
+};
+
+// Inline markdown: code spans, images, links, bold and italic
+const renderMarkdownInline = (text) => {
+  const codeSpans = [];
+  let html = escapeHtml(text).replace(/`([^`]+)`/g, (match, code) => {
+    codeSpans.push(`<code>${code}</code>`);
+    return `\u0000${codeSpans.length - 1}\u0000`;
+  });
+
+  html = html
+    .replace(/!\[([^\]]*)\]\(([^)\s]+)\)/g, '<img src="$2" alt="$1">')
+    .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, href) => {
+      return /^\s*(javascript|vbscript|data):/i.test(href) ? label : `<a href="${href}">${label}</a>`;
+    })
+    .replace(/(\*\*|__)(.+?)\1/g, '<strong>$2</strong>')
+    .replace(/(\*|_)(.+?)\1/g, '<em>$2</em>');
+
+  return html.replace(/\u0000(\d+)\u0000/g, (match, index) => codeSpans[index]);
+};
+
+// Block-level markdown to HTML (headings, lists, quotes, code fences, rules, paragraphs)
+const markdownToHtml = (markdown) => {
+  const lines = markdown.replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let paragraph = [];
+  let list = null;
+
+  const flushParagraph = () => {
+    if (paragraph.length) {
+      blocks.push(`<p>${renderMarkdownInline(paragraph.join(' '))}</p>`);
+      paragraph = [];
+    }
+  };
+
+  const flushList = () => {
+    if (list) {
+      blocks.push(`<${list.tag}>\n${list.items.map(item => `<li>${renderMarkdownInline(item)}</li>`).join('\n')}\n</${list.tag}>`);
+      list = null;
+    }
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    if (/^```/.test(line)) {
+      flushParagraph();
+      flushList();
+      const code = [];
+      while (++i < lines.length && !/^```/.test(lines[i])) {
+        code.push(lines[i]);
+      }
+      blocks.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+      continue;
+    }
+
+    const heading = line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+    const bullet = line.match(/^\s*[-*+]\s+(.*)$/);
+    const ordered = line.match(/^\s*\d+[.)]\s+(.*)$/);
+
+    if (!line.trim()) {
+      flushParagraph();
+      flushList();
+    } else if (heading) {
+      flushParagraph();
+      flushList();
+      blocks.push(`<h${heading[1].length}>${renderMarkdownInline(heading[2])}</h${heading[1].length}>`);
+    } else if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      flushParagraph();
+      flushList();
+      blocks.push('<hr>');
+    } else if (bullet || ordered) {
+      flushParagraph();
+      const tag = bullet ? 'ul' : 'ol';
+      if (list && list.tag !== tag) flushList();
+      if (!list) list = { tag, items: [] };
+      list.items.push((bullet || ordered)[1]);
+    } else if (/^>\s?/.test(line)) {
+      flushParagraph();
+      flushList();
+      blocks.push(`<blockquote>${renderMarkdownInline(line.replace(/^>\s?/, ''))}</blockquote>`);
+    } else {
+      flushList();
+      paragraph.push(line.trim());
+    }
+  }
+
+  flushParagraph();
+  flushList();
+  return blocks.join('\n');
+};
+
+// HTML to plain text, keeping block structure as line breaks
+const htmlToText = (html) => {
+  const text = html
+    .replace(/<(script|style|head)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/\s*<li[^>]*>/gi, '\n- ')
+    .replace(/<\/li>/gi, '')
+    .replace(/<\/(p|div|h[1-6]|ul|ol|tr|blockquote|pre|section|article|header|footer)>/gi, '\n')
+    .replace(/<\/t[dh]>/gi, '\t')
+    .replace(/<[^>]+>/g, '');
+
+  return decodeHtmlEntities(text)
+    .split('\n')
+    .map(line => line.replace(/[ \t]+$/g, ''))
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim() + '\n';
+};
+
+// HTML to markdown for the common structural tags
+const htmlToMarkdown = (html) => {
+  const markdown = html
+    .replace(/<(script|style|head)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<h([1-6])[^>]*>([\s\S]*?)<\/h\1>/gi, (match, level, content) => `\n${'#'.repeat(Number(level))} ${content.trim()}\n`)
+    .replace(/<(strong|b)>([\s\S]*?)<\/\1>/gi, '**$2**')
+    .replace(/<(em|i)>([\s\S]*?)<\/\1>/gi, '*$2*')
+    .replace(/<code>([\s\S]*?)<\/code>/gi, '`$1`')
+    .replace(/<a[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, '[$2]($1)')
+    .replace(/<img[^>]*src="([^"]*)"[^>]*?(?:alt="([^"]*)")?[^>]*>/gi, '![$2]($1)')
+    .replace(/<li[^>]*>([\s\S]*?)<\/li>/gi, '- $1\n')
+    .replace(/<br\s*\/?>/gi, '  \n')
+    .replace(/<hr\s*\/?>/gi, '\n---\n')
+    .replace(/<\/(p|div|ul|ol|blockquote|pre)>/gi, '\n\n')
+    .replace(/<[^>]+>/g, '');
+
+  return decodeHtmlEntities(markdown).replace(/\n{3,}/g, '\n\n').trim() + '\n';
+};
+
+const markdownToText = (markdown) => htmlToText(markdownToHtml(markdown));
+
+const HTML_BLOCK_TAGS = new Set([
+  'p', 'div', 'section', 'article', 'header', 'footer', 'main', 'nav', 'aside', 'address', 'figure', 'figcaption',
+  'form', 'fieldset', 'table', 'thead', 'tbody', 'tfoot', 'tr', 'dl', 'dt', 'dd', 'li', 'ul', 'ol', 'blockquote', 'pre',
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6'
+]);
+const HTML_INLINE_STYLES = {
+  b: { bold: true }, strong: { bold: true },
+  i: { italic: true }, em: { italic: true }, cite: { italic: true }, dfn: { italic: true }, var: { italic: true },
+  u: { underline: true }, ins: { underline: true },
+  s: { strike: true }, strike: { strike: true }, del: { strike: true },
+  code: { code: true }, kbd: { code: true }, samp: { code: true }, tt: { code: true },
+  sup: { script: 'super' }, sub: { script: 'sub' }
+};
+const HTML_VOID_TAGS = new Set(['br', 'hr', 'img', 'input', 'meta', 'link', 'wbr', 'col', 'area', 'base', 'source', 'track', 'embed', 'param']);
+const HTML_TOKEN = /<!--[\s\S]*?-->|<[!?][^>]*>|<(\/?)([a-z][a-z0-9]*)((?:[^>"']|"[^"]*"|'[^']*')*)>|[^<]+|</gi;
+
+const htmlAttribute = (attributes, name) => {
+  const match = new RegExp(`(?:^|\\s)${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i').exec(attributes);
+  return match ? decodeHtmlEntities(match[1] ?? match[2] ?? match[3]) : null;
+};
+
+const htmlAlignment = (attributes) => {
+  const align = (/text-align\s*:\s*(\w+)/i.exec(htmlAttribute(attributes, 'style') || '') || [])[1] || htmlAttribute(attributes, 'align');
+  return ['center', 'right'].includes(align?.toLowerCase()) ? align.toLowerCase() : null;
+};
+
+/**
+ * Break HTML into the blocks a page layout needs, keeping headings, paragraphs, nested
+ * lists, quotes, preformatted code, rules and inline formatting
+ * @param {string} html
+ * @returns {Array<Object>} Blocks { kind: 'heading'|'paragraph'|'code'|'rule', level, marker,
+ *   indent, quoteIndent, align, runs }; indents count nesting levels. Runs are { text, bold, italic,
+ *   underline, strike, code, link, script }, with '\n' runs for line breaks and '\t' between table cells
+ */
+const parseHtmlBlocks = (html) => {
+  const blocks = [];
+  const lists = []; // open lists: { ordered, count }
+  const inline = []; // open inline elements: { tag, style }
+  const quotes = []; // indent of each open quote
+  let preDepth = 0;
+  let heading = null;
+  let align = null;
+  let marker = null; // marker of the list item whose first block has not been added yet
+  let block = null;
+
+  const currentStyle = () => Object.assign({}, ...inline.map(entry => entry.style));
+
+  const startBlock = () => {
+    if (!block) {
+      block = {
+        kind: preDepth ? 'code' : heading ? 'heading' : 'paragraph',
+        level: heading,
+        indent: lists.length + quotes.length,
+        quoteIndent: quotes.length ? quotes[quotes.length - 1] : null,
+        align,
+        runs: []
+      };
+    }
+    return block;
+  };
+
+  const flush = () => {
+    if (!block) return;
+    const { runs } = block;
+    if (block.kind !== 'code') {
+      while (runs.length && runs[runs.length - 1].text === '\n') runs.pop();
+      if (runs.length) runs[runs.length - 1].text = runs[runs.length - 1].text.replace(/[ \t]+$/, '');
+    }
+    if (runs.some(run => run.text.trim())) {
+      blocks.push({ ...block, marker });
+      marker = null;
+    }
+    block = null;
+  };
+
+  const addText = (text) => {
+    if (preDepth) {
+      startBlock().runs.push({ text, ...currentStyle(), code: true });
+      return;
+    }
+    let collapsed = text.replace(/\s+/g, ' ');
+    const previous = block?.runs[block.runs.length - 1];
+    if (!previous || /\s$/.test(previous.text)) collapsed = collapsed.replace(/^ /, '');
+    if (collapsed) startBlock().runs.push({ text: collapsed, ...currentStyle() });
+  };
+
+  const source = html
+    .replace(/<(script|style|head|template)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/\r\n?/g, '\n');
+
+  for (const [token, closing, name, attributes = ''] of source.matchAll(HTML_TOKEN)) {
+    // Comments, doctypes and processing instructions
+    if (/^<[!?]/.test(token)) continue;
+    if (!name) {
+      addText(decodeHtmlEntities(token));
+      continue;
+    }
+
+    const tag = name.toLowerCase();
+    if (closing) {
+      if (HTML_INLINE_STYLES[tag] || tag === 'a') {
+        const index = inline.map(entry => entry.tag).lastIndexOf(tag);
+        if (index !== -1) inline.splice(index);
+        continue;
+      }
+      if (tag === 'td' || tag === 'th') {
+        if (block) block.runs.push({ text: '\t' });
+        continue;
+      }
+      if (!HTML_BLOCK_TAGS.has(tag)) continue;
+      flush();
+      if ((tag === 'ul' || tag === 'ol') && lists.length) lists.pop();
+      if (tag === 'blockquote') quotes.pop();
+      if (tag === 'pre' && preDepth) preDepth--;
+      if (/^h[1-6]$/.test(tag)) heading = null;
+      if (tag === 'li') marker = null;
+      align = null;
+      continue;
+    }
+
+    if (HTML_INLINE_STYLES[tag]) {
+      inline.push({ tag, style: HTML_INLINE_STYLES[tag] });
+    } else if (tag === 'a') {
+      const href = htmlAttribute(attributes, 'href');
+      inline.push({ tag, style: href && /^(https?:|mailto:)/i.test(href) ? { link: href } : {} });
+    } else if (tag === 'br') {
+      startBlock().runs.push({ text: '\n' });
+    } else if (tag === 'hr') {
+      flush();
+      blocks.push({ kind: 'rule', indent: lists.length + quotes.length, runs: [] });
+    } else if (tag === 'img') {
+      const alt = htmlAttribute(attributes, 'alt');
+      if (alt) addText(`[${alt}]`);
+    } else if (HTML_BLOCK_TAGS.has(tag)) {
+      flush();
+      // A list item that starts with a nested list keeps its own marker line
+      if (marker && (tag === 'ul' || tag === 'ol')) {
+        blocks.push({ kind: 'paragraph', marker, indent: lists.length + quotes.length, quoteIndent: quotes.length ? quotes[quotes.length - 1] : null, runs: [] });
+        marker = null;
+      }
+      if (tag === 'ul' || tag === 'ol') {
+        const start = parseInt(htmlAttribute(attributes, 'start'));
+        lists.push({ ordered: tag === 'ol', count: Number.isFinite(start) ? start - 1 : 0 });
+      } else if (tag === 'li') {
+        const list = lists[lists.length - 1] || { ordered: false, count: 0 };
+        list.count++;
+        marker = list.ordered ? `${list.count}.` : '•';
+      } else if (tag === 'blockquote') {
+        quotes.push(lists.length + quotes.length);
+      } else if (tag === 'pre') {
+        preDepth++;
+      } else if (/^h[1-6]$/.test(tag)) {
+        heading = Number(tag[1]);
+      }
+      align = htmlAlignment(attributes) || align;
+    }
+  }
+  flush();
+
+  // Drop the newline that follows an opening <pre>, and the one before its end
+  for (const entry of blocks) {
+    if (entry.kind === 'code') {
+      entry.runs[0].text = entry.runs[0].text.replace(/^\n/, '');
+      entry.runs[entry.runs.length - 1].text = entry.runs[entry.runs.length - 1].text.replace(/\n$/, '');
+    }
+  }
+  return blocks;
+};
+
+// RFC 4180 delimited text parser
+const parseDelimited = (text, delimiter = ',') => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+const formatDelimited = (rows, delimiter = ',') => {
+  return rows.map(row => row.map(value => {
+    const field = value === null || value === undefined ? '' : String(value);
+    return /["\r\n]/.test(field) || field.includes(delimiter) ? `"${field.replace(/"/g, '""')}"` : field;
+  }).join(delimiter)).join('\r\n') + '\r\n';
+};
+
+const rowsToHtmlTable = (rows) => {
+  const [header = [], ...body] = rows;
+  return [
+    '<table>',
+    `<thead><tr>${header.map(cell => `<th>${escapeHtml(cell)}</th>`).join('')}</tr></thead>`,
+    '<tbody>',
+    ...body.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`),
+    '</tbody>',
+    '</table>'
+  ].join('\n');
+};
+
+const rowsToObjects = (rows) => {
+  const [header = [], ...body] = rows;
+  return body.map(row => Object.fromEntries(header.map((key, index) => [key, row[index] ?? ''])));
+};
+
+const objectsToRows = (data) => {
+  const records = Array.isArray(data) ? data : [data];
+  const header = [...new Set(records.flatMap(record => Object.keys(record || {})))];
+  return [header, ...records.map(record => header.map(key => {
+    const value = record?.[key];
+    return value !== null && typeof value === 'object' ? JSON.stringify(value) : value;
+  }))];
+};
+
+// PDF helpers
+
+const getPdfLayout = (options = {}) => {
+  const [width, height] = PdfWriter.getPaperSize(options.paperSize, options.orientation);
+  const margin = {
+    top: options.margin?.top ?? 36,
+    bottom: options.margin?.bottom ?? 36,
+    left: options.margin?.left ?? 36,
+    right: options.margin?.right ?? 36
+  };
+  return { width, height, margin };
+};
+
+const drawWatermark = (page, watermark) => {
+  if (!watermark?.text) return;
+  const size = 48;
+  const textWidth = PdfWriter.measureText(watermark.text, size);
+  const shade = 1 - (watermark.opacity ?? 0.5) * 0.5;
+  const positions = {
+    'center': [(page.width - textWidth) / 2, page.height / 2],
+    'top-left': [36, page.height - 36 - size],
+    'top-right': [page.width - 36 - textWidth, page.height - 36 - size],
+    'bottom-left': [36, 36],
+    'bottom-right': [page.width - 36 - textWidth, 36]
+  };
+  const [x, y] = positions[watermark.position || 'center'];
+  page.drawText(watermark.text, x, y, { size, color: [shade, shade, shade] });
+};
+
+// Lay out plain text onto as many pages as needed, wrapping long lines
+const textToPdf = (text, options = {}) => {
+  const { width, height, margin } = getPdfLayout(options);
+  const fontSize = options.fontSize || 10;
+  const lineHeight = fontSize * 1.2;
+  const maxChars = Math.max(1, Math.floor((width - margin.left - margin.right) / PdfWriter.measureText('x', fontSize)));
+  const linesPerPage = Math.max(1, Math.floor((height - margin.top - margin.bottom) / lineHeight));
+
+  const lines = [];
+  for (const rawLine of text.replace(/\r\n?/g, '\n').split('\n')) {
+    const line = rawLine.replace(/\t/g, '    ');
+    if (line.length <= maxChars) {
+      lines.push(line);
+      continue;
+    }
+    let rest = line;
+    while (rest.length > maxChars) {
+      const breakAt = rest.lastIndexOf(' ', maxChars);
+      const cut = breakAt > maxChars / 2 ? breakAt : maxChars;
+      lines.push(rest.slice(0, cut));
+      rest = rest.slice(cut).replace(/^ /, '');
+    }
+    lines.push(rest);
+  }
+
+  const writer = new PdfWriter({ Title: options.title || 'Converted document' });
+  for (let start = 0; start === 0 || start < lines.length; start += linesPerPage) {
+    const page = writer.addPage(width, height);
+    lines.slice(start, start + linesPerPage).forEach((line, index) => {
+      page.drawText(line, margin.left, height - margin.top - fontSize - index * lineHeight, { size: fontSize });
+    });
+    drawWatermark(page, options.watermark);
+  }
+
+  return writer.toBuffer();
+};
+
+const HEADING_SCALES = [2, 1.6, 1.35, 1.15, 1, 0.9];
+const INDENT_WIDTH = 18;
+const TEXT_COLOR = [0, 0, 0];
+const LINK_COLOR = [0.07, 0.3, 0.75];
+const QUOTE_COLOR = [0.35, 0.35, 0.35];
+const RULE_COLOR = [0.6, 0.6, 0.6];
+
+// A piece of a run measured in the font it is drawn with
+const pdfFragment = (run, text, { size, bold, code, color }) => {
+  const fragmentSize = run.script ? size * 0.7 : size;
+  const font = `${code || run.code ? 'mono' : 'sans'}${bold || run.bold ? '-bold' : ''}${run.italic ? '-italic' : ''}`;
+  return {
+    run,
+    text,
+    font,
+    size: fragmentSize,
+    rise: run.script === 'super' ? size * 0.35 : run.script === 'sub' ? -size * 0.15 : 0,
+    color: run.link ? LINK_COLOR : color,
+    underline: !!(run.underline || run.link),
+    strike: !!run.strike,
+    width: PdfWriter.measureText(text, fragmentSize, font)
+  };
+};
+
+// Lines of fragments; neighbouring fragments drawn the same way are merged
+const createLines = () => ({
+  lines: [[]],
+  width: 0,
+  isEmpty() {
+    return this.lines[this.lines.length - 1].length === 0;
+  },
+  append(fragment) {
+    const line = this.lines[this.lines.length - 1];
+    const last = line[line.length - 1];
+    const same = last && ['font', 'size', 'rise', 'color', 'underline', 'strike'].every(key => last[key] === fragment[key]);
+    if (same) {
+      last.text += fragment.text;
+      last.width += fragment.width;
+    } else {
+      line.push({ ...fragment });
+    }
+    this.width += fragment.width;
+  },
+  newLine() {
+    this.lines.push([]);
+    this.width = 0;
+  }
+});
+
+// Word-wrap runs to a width, breaking words only when they are wider than a line
+const wrapRuns = (runs, style, maxWidth) => {
+  const output = createLines();
+  let word = [];
+  let space = null;
+
+  const appendCharacters = (fragments) => {
+    for (const fragment of fragments) {
+      for (const char of fragment.text) {
+        const piece = pdfFragment(fragment.run, char, style);
+        if (output.width + piece.width > maxWidth && !output.isEmpty()) output.newLine();
+        output.append(piece);
+      }
+    }
+  };
+
+  const placeWord = () => {
+    const wordWidth = word.reduce((total, fragment) => total + fragment.width, 0);
+    if (!output.isEmpty() && output.width + (space ? space.width : 0) + wordWidth > maxWidth) {
+      output.newLine();
+    } else if (space && !output.isEmpty()) {
+      output.append(space);
+    }
+    if (output.width + wordWidth > maxWidth) {
+      appendCharacters(word);
+    } else {
+      word.forEach(fragment => output.append(fragment));
+    }
+    word = [];
+    space = null;
+  };
+
+  for (const run of runs) {
+    if (run.text === '\n') {
+      if (word.length) placeWord();
+      output.newLine();
+      space = null;
+      continue;
+    }
+    for (const [piece] of run.text.matchAll(/\s+|\S+/g)) {
+      if (/\S/.test(piece)) {
+        word.push(pdfFragment(run, piece, style));
+      } else {
+        if (word.length) placeWord();
+        space = pdfFragment(run, piece.includes('\t') ? '    ' : ' ', style);
+      }
+    }
+  }
+  if (word.length) placeWord();
+  return output.lines;
+};
+
+// Preformatted text keeps its spacing and is broken wherever a line runs out
+const wrapCode = (runs, style, maxWidth) => {
+  const output = createLines();
+  for (const run of runs) {
+    for (const part of run.text.replace(/\t/g, '    ').split(/(\n)/)) {
+      if (part === '\n') {
+        output.newLine();
+        continue;
+      }
+      for (const char of part) {
+        const piece = pdfFragment(run, char, style);
+        if (output.width + piece.width > maxWidth && !output.isEmpty()) output.newLine();
+        output.append(piece);
+      }
+    }
+  }
+  return output.lines;
+};
+
+// Lay out HTML as formatted pages: headings, paragraphs, lists, quotes, code and inline styles
+const htmlToPdf = (html, options = {}) => {
+  const { width, height, margin } = getPdfLayout(options);
+  const fontSize = options.fontSize || 10;
+  const htmlTitle = decodeHtmlEntities((/<title[^>]*>([\s\S]*?)<\/title>/i.exec(html) || [])[1] || '').trim();
+  const writer = new PdfWriter({ Title: options.title || htmlTitle || 'Converted document' });
+  let page = null;
+  let y = 0;
+  let gap = 0; // space owed below the previous block
+
+  // Move down by the gap and a line, starting a new page when it does not fit
+  const advance = (lineHeight) => {
+    y -= gap;
+    gap = 0;
+    if (!page || y - lineHeight < margin.bottom) {
+      page = writer.addPage(width, height);
+      y = height - margin.top;
+    }
+    const top = y;
+    y -= lineHeight;
+    return top;
+  };
+
+  for (const block of parseHtmlBlocks(html)) {
+    const left = margin.left + block.indent * INDENT_WIDTH;
+    const maxWidth = Math.max(width - margin.right - left, fontSize * 4);
+
+    if (block.kind === 'rule') {
+      const top = advance(fontSize);
+      page.drawLine(left, top - fontSize / 2, width - margin.right, top - fontSize / 2, { width: 0.5, color: RULE_COLOR });
+      gap = fontSize * 0.5;
+      continue;
+    }
+
+    const size = block.kind === 'heading' ? fontSize * HEADING_SCALES[block.level - 1] : block.kind === 'code' ? fontSize * 0.9 : fontSize;
+    const quoted = Number.isInteger(block.quoteIndent);
+    const style = { size, bold: block.kind === 'heading', code: block.kind === 'code', color: quoted ? QUOTE_COLOR : TEXT_COLOR };
+    const lines = block.kind === 'code' ? wrapCode(block.runs, style, maxWidth) : wrapRuns(block.runs, style, maxWidth);
+    if (block.kind === 'heading' && page) gap = Math.max(gap, size * 0.6);
+
+    lines.forEach((line, index) => {
+      const lineSize = Math.max(size, ...line.map(fragment => fragment.size));
+      const top = advance(lineSize * 1.3);
+      const baseline = top - lineSize;
+      const lineWidth = line.reduce((total, fragment) => total + fragment.width, 0);
+      let x = left + (block.align === 'center' ? (maxWidth - lineWidth) / 2 : block.align === 'right' ? maxWidth - lineWidth : 0);
+
+      if (index === 0 && block.marker) {
+        const markerWidth = PdfWriter.measureText(block.marker, size, 'sans');
+        page.drawText(block.marker, left - markerWidth - size * 0.4, baseline, { size, font: 'sans', color: style.color });
+      }
+      if (quoted) {
+        const barX = margin.left + block.quoteIndent * INDENT_WIDTH + INDENT_WIDTH / 3;
+        page.drawLine(barX, top, barX, top - lineSize * 1.3, { width: 2, color: RULE_COLOR });
+      }
+
+      for (const fragment of line) {
+        const fragmentBaseline = baseline + fragment.rise;
+        const decoration = { width: fragment.size * 0.05, color: fragment.color };
+        page.drawText(fragment.text, x, fragmentBaseline, { size: fragment.size, font: fragment.font, color: fragment.color });
+        if (fragment.underline) {
+          page.drawLine(x, fragmentBaseline - fragment.size * 0.15, x + fragment.width, fragmentBaseline - fragment.size * 0.15, decoration);
+        }
+        if (fragment.strike) {
+          page.drawLine(x, fragmentBaseline + fragment.size * 0.3, x + fragment.width, fragmentBaseline + fragment.size * 0.3, decoration);
+        }
+        x += fragment.width;
+      }
+    });
+
+    gap = block.marker ? fontSize * 0.25 : block.kind === 'heading' ? size * 0.3 : fontSize * 0.6;
+  }
+
+  if (!page) writer.addPage(width, height);
+  writer.pages.forEach(documentPage => drawWatermark(documentPage, options.watermark));
+  return writer.toBuffer();
+};
+
+// Place each frame of an image on its own page, scaled to fit inside the margins
+const imageToPdf = async (buffer, options = {}) => {
+  const { width, height, margin } = getPdfLayout(options);
+  const { pages = 1 } = await sharp(buffer).metadata();
+  const writer = new PdfWriter({ Title: options.title || 'Converted image' });
+
+  for (let pageIndex = 0; pageIndex < pages; pageIndex++) {
+    const { data, info } = await sharp(buffer, { page: pageIndex })
+      .flatten({ background: '#ffffff' })
+      .jpeg({ quality: options.quality || 90 })
+      .toBuffer({ resolveWithObject: true });
+
+    const maxWidth = width - margin.left - margin.right;
+    const maxHeight = height - margin.top - margin.bottom;
+    const scale = Math.min(maxWidth / info.width, maxHeight / info.height, 1);
+    const drawWidth = info.width * scale;
+    const drawHeight = info.height * scale;
+
+    const page = writer.addPage(width, height);
+    page.drawImage(
+      { data, width: info.width, height: info.height, channels: info.channels },
+      (width - drawWidth) / 2,
+      (height - drawHeight) / 2,
+      drawWidth,
+      drawHeight
+    );
+    drawWatermark(page, options.watermark);
+  }
+
+  return writer.toBuffer();
+};
+
+const convertImage = async (buffer, targetFormat, options = {}) => {
+  const format = targetFormat === 'jpg' ? 'jpeg' : targetFormat;
+  let pipeline = sharp(buffer, { animated: format === 'gif' || format === 'webp' });
+
+  if (format === 'jpeg') {
+    pipeline = pipeline.flatten({ background: '#ffffff' });
+  }
+
+  return pipeline.toFormat(format, options.quality ? { quality: options.quality } : {}).toBuffer();
+};
+
+// Local conversion table: "<from>-to-<to>" -> async (buffer, options) => Buffer
+const LOCAL_CONVERSIONS = {
+  'txt-to-html': async (buffer, options) => Buffer.from(wrapHtmlDocument(options.title || 'Document', `<pre>${escapeHtml(buffer.toString('utf8'))}</pre>`)),
+  'txt-to-md': async (buffer) => Buffer.from(buffer.toString('utf8').replace(/([\\`*_[\]#])/g, '\\$1')),
+  'txt-to-pdf': async (buffer, options) => textToPdf(buffer.toString('utf8'), options),
+
+  'html-to-txt': async (buffer) => Buffer.from(htmlToText(buffer.toString('utf8'))),
+  'html-to-md': async (buffer) => Buffer.from(htmlToMarkdown(buffer.toString('utf8'))),
+  'html-to-pdf': async (buffer, options) => htmlToPdf(buffer.toString('utf8'), options),
+
+  'md-to-html': async (buffer, options) => Buffer.from(wrapHtmlDocument(options.title || 'Document', markdownToHtml(buffer.toString('utf8')))),
+  'md-to-txt': async (buffer) => Buffer.from(markdownToText(buffer.toString('utf8'))),
+  'md-to-pdf': async (buffer, options) => htmlToPdf(markdownToHtml(buffer.toString('utf8')), options),
+
+  'csv-to-tsv': async (buffer) => Buffer.from(formatDelimited(parseDelimited(buffer.toString('utf8'), ','), '\t')),
+  'csv-to-json': async (buffer) => Buffer.from(JSON.stringify(rowsToObjects(parseDelimited(buffer.toString('utf8'), ',')), null, 2)),
+  'csv-to-html': async (buffer, options) => Buffer.from(wrapHtmlDocument(options.title || 'Table', rowsToHtmlTable(parseDelimited(buffer.toString('utf8'), ',')))),
+
+  'tsv-to-csv': async (buffer) => Buffer.from(formatDelimited(parseDelimited(buffer.toString('utf8'), '\t'), ',')),
+  'tsv-to-json': async (buffer) => Buffer.from(JSON.stringify(rowsToObjects(parseDelimited(buffer.toString('utf8'), '\t')), null, 2)),
+  'tsv-to-html': async (buffer, options) => Buffer.from(wrapHtmlDocument(options.title || 'Table', rowsToHtmlTable(parseDelimited(buffer.toString('utf8'), '\t')))),
+
+  'json-to-csv': async (buffer) => Buffer.from(formatDelimited(objectsToRows(JSON.parse(buffer.toString('utf8'))), ',')),
+  'json-to-tsv': async (buffer) => Buffer.from(formatDelimited(objectsToRows(JSON.parse(buffer.toString('utf8'))), '\t'))
+};
+
+// Image conversions between every supported raster format, plus image to PDF
+for (const from of IMAGE_INPUT_FORMATS) {
+  for (const to of IMAGE_OUTPUT_FORMATS) {
+    if (from !== to) {
+      LOCAL_CONVERSIONS[conversionKey(from, to)] = (buffer, options) => convertImage(buffer, to, options);
+    }
+  }
+  LOCAL_CONVERSIONS[conversionKey(from, 'pdf')] = (buffer, options) => imageToPdf(buffer, options);
+}
+
+// Read conversion input from a buffer or fetch it from a URL (never from internal addresses)
+const loadInput = async ({ buffer, fileUrl }) => {
+  if (buffer) return buffer;
+  if (!fileUrl) throw new Error('No input file provided');
+
+  return fetchRemoteFile(fileUrl);
+};
+
+/**
+ * Built-in converter that runs entirely in-process
+ */
+class LocalConverter {
+  constructor() {
+    this.name = 'local';
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  supports(sourceFormat, targetFormat) {
+    return Object.prototype.hasOwnProperty.call(LOCAL_CONVERSIONS, conversionKey(sourceFormat, targetFormat));
+  }
+
+  listConversions() {
+    return Object.keys(LOCAL_CONVERSIONS);
+  }
+
+  getMapping(sourceFormat, targetFormat) {
+    return { from: sourceFormat.toLowerCase(), to: targetFormat.toLowerCase(), engine: this.name };
+  }
+
+  async convert({ buffer, fileUrl, sourceFormat, targetFormat, options = {} }) {
+    const input = await loadInput({ buffer, fileUrl });
+    const output = await LOCAL_CONVERSIONS[conversionKey(sourceFormat, targetFormat)](input, options);
+    return {
+      buffer: output,
+      format: targetFormat.toLowerCase(),
+      mimeType: mimeTypeForExtension(targetFormat)
+    };
+  }
+}
+
+/**
+ * ConvertAPI cloud converter, used for pairs the local engine cannot handle
+ */
+class ConvertApiConverter {
+  constructor(secret = process.env.CONVERTAPI_SECRET) {
+    this.name = 'convertapi';
+    this.client = secret && secret !== 'demo-convert-api-secret' ? new ConvertApi(secret) : null;
+    this.tempDir = path.join(__dirname, '../temp');
+  }
+
+  isAvailable() {
+    return !!this.client;
+  }
+
+  supports(sourceFormat, targetFormat) {
+    return this.isAvailable() && Object.prototype.hasOwnProperty.call(CONVERTAPI_MAPPINGS, conversionKey(sourceFormat, targetFormat));
+  }
+
+  listConversions() {
+    return this.isAvailable() ? Object.keys(CONVERTAPI_MAPPINGS) : [];
+  }
+
+  getMapping(sourceFormat, targetFormat) {
+    const mapping = CONVERTAPI_MAPPINGS[conversionKey(sourceFormat, targetFormat)];
+    return mapping ? { ...mapping, engine: this.name } : undefined;
+  }
+
+  // Translate our option names into ConvertAPI parameters
+  buildParams(sourceFormat, targetFormat, options = {}) {
+    const params = {};
+
+    if (targetFormat === 'pdf') {
+      if (options.quality) params.ImageQuality = options.quality;
+      if (options.orientation) params.Orientation = options.orientation;
+      if (options.paperSize) params.PageSize = options.paperSize;
+      if (options.margin) {
+        params.MarginTop = options.margin.top || 10;
+        params.MarginBottom = options.margin.bottom || 10;
+        params.MarginLeft = options.margin.left || 10;
+        params.MarginRight = options.margin.right || 10;
+      }
+      if (options.watermark?.text) {
+        params.WatermarkText = options.watermark.text;
+        params.WatermarkOpacity = options.watermark.opacity || 0.5;
+        params.WatermarkPosition = options.watermark.position || 'center';
+      }
+    }
+
+    if (options.pageRange && sourceFormat === 'pdf') {
+      params.PageRange = options.pageRange;
+    }
+
+    if (options.password) {
+      params.Password = options.password;
+    }
+
+    return params;
+  }
+
+  async convert({ buffer, fileUrl, sourceFormat, targetFormat, options = {} }) {
+    const mapping = this.getMapping(sourceFormat, targetFormat);
+    const params = this.buildParams(mapping.from, mapping.to, options);
+    let tempFilePath = null;
+
+    try {
+      if (buffer) {
+        tempFilePath = path.join(this.tempDir, `temp_${crypto.randomBytes(8).toString('hex')}.${mapping.from}`);
+        await fs.mkdir(this.tempDir, { recursive: true });
+        await fs.writeFile(tempFilePath, buffer);
+        params.File = tempFilePath;
+      } else {
+        params.File = fileUrl;
+      }
+
+      const result = await this.client.convert(mapping.to, params, mapping.from);
+      const output = await loadInput({ fileUrl: result.file.url });
+
+      return {
+        buffer: output,
+        format: mapping.to,
+        mimeType: mimeTypeForExtension(mapping.to)
+      };
+    } finally {
+      if (tempFilePath) {
+        await fs.unlink(tempFilePath).catch(cleanupError => {
+          logger.warn('Failed to clean up temp file:', cleanupError);
+        });
+      }
+    }
+  }
+}
+
+/**
+ * Ordered set of converter backends; the first one supporting a pair wins
+ */
+class ConverterRegistry {
+  constructor(converters = []) {
+    this.converters = [];
+    converters.forEach(converter => this.register(converter));
+  }
+
+  register(converter) {
+    this.converters.push(converter);
+    logger.info(`Converter backend registered: ${converter.name}`, {
+      available: converter.isAvailable(),
+      conversions: converter.listConversions().length
+    });
+    return this;
+  }
+
+  resolve(sourceFormat, targetFormat) {
+    return this.converters.find(converter => converter.supports(sourceFormat, targetFormat)) || null;
+  }
+
+  isSupported(sourceFormat, targetFormat) {
+    return !!this.resolve(sourceFormat, targetFormat);
+  }
+
+  getMapping(sourceFormat, targetFormat) {
+    const converter = this.resolve(sourceFormat, targetFormat);
+    return converter ? converter.getMapping(sourceFormat, targetFormat) : undefined;
+  }
+
+  // All conversion keys across backends, without duplicates
+  listConversions() {
+    return [...new Set(this.converters.flatMap(converter => converter.listConversions()))];
+  }
+
+  // Target formats reachable in one step from a source format
+  getTargets(sourceFormat) {
+    const prefix = `${sourceFormat.toLowerCase()}-to-`;
+    return this.listConversions()
+      .filter(key => key.startsWith(prefix))
+      .map(key => key.slice(prefix.length));
+  }
+
+  getStatus() {
+    return this.converters.map(converter => ({
+      name: converter.name,
+      available: converter.isAvailable(),
+      conversions: converter.listConversions().length
+    }));
+  }
+
+  /**
+   * Shortest chain of conversions between two formats. Every hop costs 1 and hops
+   * served by later (fallback) backends cost slightly more, so among equally short
+   * routes the one that stays on the local engine wins.
+   * @param {string} sourceFormat - Source format
+   * @param {string} targetFormat - Target format
+   * @param {number} maxSteps - Longest chain to consider
+   * @returns {Array|null} Steps [{ from, to, engine }] (empty when the formats match), or null if unreachable
+   */
+  findPath(sourceFormat, targetFormat, maxSteps = MAX_CONVERSION_STEPS) {
+    const from = sourceFormat.toLowerCase();
+    const to = targetFormat.toLowerCase();
+    if (from === to) return [];
+
+    // Adjacency list; the first backend registered for a pair serves it, as in resolve()
+    const edges = new Map();
+    this.converters.forEach((converter, rank) => {
+      for (const key of converter.listConversions()) {
+        const [edgeFrom, edgeTo] = key.split('-to-');
+        if (!edges.has(edgeFrom)) edges.set(edgeFrom, new Map());
+        if (!edges.get(edgeFrom).has(edgeTo)) {
+          edges.get(edgeFrom).set(edgeTo, { engine: converter.name, cost: 1 + rank * 0.01 });
+        }
+      }
+    });
+
+    // Dijkstra over a graph of a few dozen formats; a sorted array is plenty
+    const best = new Map([[from, { cost: 0, steps: [] }]]);
+    const visited = new Set();
+    const pending = [from];
+
+    while (pending.length > 0) {
+      pending.sort((a, b) => best.get(a).cost - best.get(b).cost);
+      const format = pending.shift();
+      if (format === to) return best.get(format).steps;
+      if (visited.has(format)) continue;
+      visited.add(format);
+
+      const current = best.get(format);
+      if (current.steps.length >= maxSteps) continue;
+
+      for (const [next, edge] of edges.get(format) || []) {
+        const cost = current.cost + edge.cost;
+        if (!best.has(next) || cost < best.get(next).cost) {
+          best.set(next, { cost, steps: [...current.steps, { from: format, to: next, engine: edge.engine }] });
+          pending.push(next);
+        }
+      }
+    }
+
+    return null;
+  }
+
+  // True when the formats differ and some chain of backends connects them
+  canConvert(sourceFormat, targetFormat) {
+    const steps = this.findPath(sourceFormat, targetFormat);
+    return !!steps && steps.length > 0;
+  }
+
+  // Run a single conversion with the backend that serves the pair
+  async convertStep(request) {
+    const converter = this.resolve(request.sourceFormat, request.targetFormat);
+    if (!converter) {
+      throw new Error(`Conversion from ${request.sourceFormat} to ${request.targetFormat} is not supported`);
+    }
+
+    const startTime = Date.now();
+    const result = await converter.convert(request);
+
+    logger.info('Conversion step completed', {
+      engine: converter.name,
+      sourceFormat: request.sourceFormat,
+      targetFormat: request.targetFormat,
+      outputSize: result.buffer.length,
+      duration: Date.now() - startTime
+    });
+
+    return { ...result, engine: converter.name };
+  }
+
+  /**
+   * Convert along the shortest path, chaining intermediate formats when no
+   * backend handles the pair directly
+   * @param {Object} request - { buffer, fileUrl, sourceFormat, targetFormat, options }
+   * @returns {Object} { buffer, format, mimeType, engine, chain }
+   */
+  async convert(request) {
+    const steps = this.findPath(request.sourceFormat, request.targetFormat);
+    if (!steps || steps.length === 0) {
+      throw new Error(`Conversion from ${request.sourceFormat} to ${request.targetFormat} is not supported`);
+    }
+
+    let input = { buffer: request.buffer, fileUrl: request.fileUrl };
+    let result = null;
+
+    for (const step of steps) {
+      result = await this.convertStep({
+        ...input,
+        sourceFormat: step.from,
+        targetFormat: step.to,
+        options: request.options || {}
+      });
+      input = { buffer: result.buffer };
+    }
+
+    return {
+      ...result,
+      engine: [...new Set(steps.map(step => step.engine))].join('+'),
+      chain: [steps[0].from, ...steps.map(step => step.to)]
+    };
+  }
+}
+
+// Default registry: local engine first, ConvertAPI as fallback
+const createConverterRegistry = () => {
+  return new ConverterRegistry([new LocalConverter(), new ConvertApiConverter()]);
+};
+
+module.exports = {
+  LocalConverter,
+  ConvertApiConverter,
+  ConverterRegistry,
+  createConverterRegistry,
+  CONVERTAPI_MAPPINGS,
+  IMAGE_OUTPUT_FORMATS,
+  loadInput,
+  markdownToHtml,
+  htmlToText,
+  parseHtmlBlocks,
+  escapeHtml,
+  wrapHtmlDocument,
+  parseDelimited,
+  formatDelimited,
+  textToPdf,
+  htmlToPdf
+};
@@ -0,0 +1,52 @@
+const { parseHtmlBlocks, htmlToPdf } = require('./converters');
+
+describe('parseHtmlBlocks', () => {
+  test('keeps headings, nested lists, quotes and inline formatting', () => {
+    const blocks = parseHtmlBlocks(
+      '<!DOCTYPE html><html><head><title>Skipped</title></head><body>' +
+      '<h2>Title</h2><p>Plain <strong>bold <em>both</em></strong> <a href="https://example.com">link</a></p>' +
+      '<ul><li>one<ol><li>inner</li></ol></li></ul><blockquote>quoted</blockquote></body></html>'
+    );
+
+    expect(blocks.map(block => [block.kind, block.marker || null, block.indent])).toEqual([
+      ['heading', null, 0],
+      ['paragraph', null, 0],
+      ['paragraph', '•', 1],
+      ['paragraph', '1.', 2],
+      ['paragraph', null, 1]
+    ]);
+    expect(blocks[0].level).toBe(2);
+    expect(blocks[1].runs).toEqual([
+      { text: 'Plain ' },
+      { text: 'bold ', bold: true },
+      { text: 'both', bold: true, italic: true },
+      { text: ' ' },
+      { text: 'link', link: 'https://example.com' }
+    ]);
+    expect(blocks[4].quoteIndent).toBe(0);
+  });
+
+  test('keeps the whitespace of preformatted text and drops unsafe links', () => {
+    const blocks = parseHtmlBlocks('<pre>\n  a  b\n\tc\n</pre><p><a href="javascript:alert(1)">x</a>&amp;y</p>');
+
+    expect(blocks[0]).toMatchObject({ kind: 'code', runs: [{ text: '  a  b\n\tc', code: true }] });
+    expect(blocks[1].runs).toEqual([{ text: 'x' }, { text: '&y' }]);
+  });
+});
+
+describe('htmlToPdf', () => {
+  test('draws headings, body text and code in their own fonts', () => {
+    const pdf = htmlToPdf('<h1>Heading</h1><p>Body <i>text</i></p><pre>code</pre>').toString('latin1');
+
+    ['DejaVuSans-Bold', 'DejaVuSans', 'DejaVuSans-Oblique', 'DejaVuSansMono'].forEach(font => {
+      expect(pdf).toMatch(new RegExp(`/BaseFont /[A-Z]{6}\\+${font}[\\s/]`));
+    });
+  });
+
+  test('continues long documents on new pages', () => {
+    const paragraphs = Array.from({ length: 120 }, (value, index) => `<p>Paragraph ${index} of the document</p>`).join('');
+    const pdf = htmlToPdf(paragraphs, { paperSize: 'A5' }).toString('latin1');
+
+    expect(Number(/\/Type \/Pages \/Kids \[[^\]]*\] \/Count (\d+)/.exec(pdf)[1])).toBeGreaterThan(1);
+  });
+});
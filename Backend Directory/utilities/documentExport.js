@@ -0,0 +1,386 @@
+const { DocxWriter } = require('./docxWriter');
+const { escapeHtml, wrapHtmlDocument } = require('./converters');
+const { mimeTypeForExtension } = require('./formats');
+
+const EXPORT_FORMATS = ['docx', 'pdf', 'md', 'html', 'txt'];
+
+const SAFE_URL = /^(https?:|mailto:)/i;
+const SAFE_IMAGE_URL = /^(https?:|data:image\/(png|jpe?g|gif|webp);)/i;
+
+const safeLink = (attributes) => (typeof attributes.link === 'string' && SAFE_URL.test(attributes.link) ? attributes.link : null);
+const safeImage = (embed) => (typeof embed.image === 'string' && SAFE_IMAGE_URL.test(embed.image) ? embed.image : null);
+
+const formatDate = (date) => {
+  const time = new Date(date);
+  return Number.isNaN(time.getTime()) ? '' : `${time.toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+};
+
+// "author (date)", or the author alone when the date is missing
+const byline = (author, date, escape = (text) => text) => {
+  const formatted = formatDate(date);
+  return formatted ? `${escape(author)} (${formatted})` : escape(author);
+};
+
+const runLength = (run) => (typeof run.text === 'string' ? run.text.length : 1);
+
+/**
+ * Number comments in document order and place a marker run ({ commentStart: n } and
+ * { commentEnd: n }) around the text each one is about. Comments without a position,
+ * or on a document whose positions are not text offsets, are numbered last and left
+ * unanchored.
+ * @param {Array<Object>} blocks - Export blocks, from the document type's toBlocks
+ * @param {Array<Object>} comments - Comments as kept by the CommentManager
+ * @param {boolean} positioned - Whether comment positions are offsets into the blocks
+ * @returns {Object} { blocks, notes: [{ number, anchored, author, text, date, replies }] }
+ */
+const anchorComments = (blocks, comments, positioned) => {
+  const length = blocks.reduce((total, block) => total + block.runs.reduce((sum, run) => sum + runLength(run), 0) + 1, 0) - 1;
+  const clamp = (offset) => Math.min(Math.max(Math.floor(offset), 0), Math.max(length, 0));
+
+  const notes = comments.map(comment => {
+    const start = comment.selection?.start ?? comment.position;
+    const end = comment.selection?.end ?? start;
+    const anchored = positioned && Number.isFinite(start) && Number.isFinite(end);
+    return {
+      anchored,
+      start: anchored ? clamp(Math.min(start, end)) : Infinity,
+      end: anchored ? clamp(Math.max(start, end)) : Infinity,
+      author: comment.username || 'Anonymous',
+      text: String(comment.content ?? ''),
+      date: comment.createdAt,
+      replies: (comment.replies || []).map(reply => ({
+        author: reply.username || 'Anonymous',
+        text: String(reply.content ?? ''),
+        date: reply.createdAt
+      }))
+    };
+  })
+    .sort((a, b) => a.start - b.start || a.end - b.end || new Date(a.date) - new Date(b.date))
+    .map((note, index) => ({ ...note, number: index + 1 }));
+
+  // A comment's start goes before its end when both are at the same offset
+  const markers = notes
+    .filter(note => note.anchored)
+    .flatMap(note => [
+      { offset: note.start, run: { commentStart: note.number } },
+      { offset: note.end, run: { commentEnd: note.number } }
+    ])
+    .sort((a, b) => a.offset - b.offset);
+
+  let offset = 0;
+  let next = 0;
+  const anchoredBlocks = blocks.map(block => {
+    const runs = [];
+    for (const run of block.runs) {
+      const size = runLength(run);
+      let cut = 0;
+      while (next < markers.length && markers[next].offset < offset + size) {
+        const at = Math.max(markers[next].offset - offset, 0);
+        if (at > cut) {
+          runs.push({ ...run, text: run.text.slice(cut, at) });
+          cut = at;
+        }
+        runs.push(markers[next++].run);
+      }
+      if (cut < size) runs.push(cut > 0 ? { ...run, text: run.text.slice(cut) } : run);
+      offset += size;
+    }
+    // Markers at the end of the line stay on it
+    while (next < markers.length && markers[next].offset <= offset) runs.push(markers[next++].run);
+    offset += 1;
+    return { ...block, runs };
+  });
+
+  if (next < markers.length && anchoredBlocks.length) {
+    anchoredBlocks[anchoredBlocks.length - 1].runs.push(...markers.slice(next).map(marker => marker.run));
+  }
+
+  return { blocks: anchoredBlocks, notes };
+};
+
+// Consecutive list items of the same kind, and consecutive code lines, belong together
+const groupBlocks = (blocks) => {
+  const groups = [];
+  for (const block of blocks) {
+    const last = groups[groups.length - 1];
+    if (last && last.kind === block.kind && (block.kind === 'code' || (block.kind === 'list' && last.list === block.list))) {
+      last.blocks.push(block);
+    } else {
+      groups.push({ kind: block.kind, list: block.list, blocks: [block] });
+    }
+  }
+  return groups;
+};
+
+// HTML
+
+const renderHtmlRun = (run, plain = false) => {
+  if (run.commentStart !== undefined) return '';
+  if (run.commentEnd !== undefined) {
+    const number = run.commentEnd;
+    return `<sup class="comment-ref"><a href="#comment-${number}">[${number}]</a></sup>`;
+  }
+
+  const { attributes = {} } = run;
+  if (run.embed !== undefined) {
+    // Images are the only embed with an HTML equivalent
+    const image = plain ? null : safeImage(run.embed);
+    return image ? `<img src="${escapeHtml(image)}" alt="${escapeHtml(attributes.alt || '')}">` : '';
+  }
+
+  let html = escapeHtml(run.text);
+  if (plain) return html;
+  if (attributes.code) html = `<code>${html}</code>`;
+  if (attributes.bold) html = `<strong>${html}</strong>`;
+  if (attributes.italic) html = `<em>${html}</em>`;
+  if (attributes.underline) html = `<u>${html}</u>`;
+  if (attributes.strike) html = `<s>${html}</s>`;
+  if (attributes.script === 'super') html = `<sup>${html}</sup>`;
+  if (attributes.script === 'sub') html = `<sub>${html}</sub>`;
+  const link = safeLink(attributes);
+  if (link) html = `<a href="${escapeHtml(link)}">${html}</a>`;
+  return html;
+};
+
+/**
+ * HTML body of a document's export blocks
+ * @param {Array<Object>} blocks - From the document type's toBlocks, optionally with comment markers
+ */
+const renderHtmlBody = (blocks) => {
+  return groupBlocks(blocks).map(group => {
+    if (group.kind === 'code') {
+      return `<pre><code>${group.blocks.map(block => block.runs.map(run => renderHtmlRun(run, true)).join('')).join('\n')}</code></pre>`;
+    }
+
+    const rendered = group.blocks.map(block => {
+      const style = block.align ? ` style="text-align: ${block.align}"` : '';
+      const content = block.runs.map(run => renderHtmlRun(run)).join('') || '<br>';
+      if (block.kind === 'list') return `<li${style}>${content}</li>`;
+      if (block.kind === 'heading') return `<h${block.level}${style}>${content}</h${block.level}>`;
+      if (block.kind === 'quote') return `<blockquote${style}>${content}</blockquote>`;
+      return `<p${style}>${content}</p>`;
+    });
+
+    if (group.kind !== 'list') return rendered.join('\n');
+    const tag = group.list === 'ordered' ? 'ol' : 'ul';
+    return `<${tag}>\n${rendered.join('\n')}\n</${tag}>`;
+  }).join('\n');
+};
+
+const renderHtml = (title, blocks, notes) => {
+  let body = `<h1>${escapeHtml(title)}</h1>\n${renderHtmlBody(blocks)}`;
+  if (notes.length) {
+    const describe = (entry) => {
+      const date = formatDate(entry.date);
+      return `<strong>${escapeHtml(entry.author)}</strong>${date ? ` <small>${date}</small>` : ''}: ${escapeHtml(entry.text)}`;
+    };
+    const items = notes.map(note => {
+      const replies = note.replies.length
+        ? `\n<ul>\n${note.replies.map(reply => `<li>${describe(reply)}</li>`).join('\n')}\n</ul>`
+        : '';
+      return `<li id="comment-${note.number}">${describe(note)}${replies}</li>`;
+    });
+    body += `\n<section class="comments">\n<h2>Comments</h2>\n<ol>\n${items.join('\n')}\n</ol>\n</section>`;
+  }
+  return wrapHtmlDocument(title, body);
+};
+
+// Markdown
+
+const escapeMarkdown = (text) => text.replace(/[\\`*_[\]<>~|]/g, '\\$&');
+
+// Emphasis markers must touch the text, so surrounding whitespace goes outside them
+const wrapMarkdown = (text, marker) => {
+  const [, lead, core, tail] = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+  return core ? `${lead}${marker}${core}${marker}${tail}` : text;
+};
+
+const renderMarkdownRun = (run) => {
+  if (run.commentStart !== undefined) return '';
+  if (run.commentEnd !== undefined) return `[^${run.commentEnd}]`;
+
+  const { attributes = {} } = run;
+  if (run.embed !== undefined) {
+    const image = safeImage(run.embed);
+    return image ? `![${escapeMarkdown(attributes.alt || '')}](${image.replace(/[()\s]/g, encodeURIComponent)})` : '';
+  }
+
+  let markdown;
+  if (attributes.code) {
+    const fence = '`'.repeat(Math.max(0, ...(run.text.match(/`+/g) || []).map(ticks => ticks.length)) + 1);
+    markdown = `${fence}${run.text.startsWith('`') || run.text.endsWith('`') ? ` ${run.text} ` : run.text}${fence}`;
+  } else {
+    markdown = escapeMarkdown(run.text);
+  }
+  if (attributes.bold) markdown = wrapMarkdown(markdown, '**');
+  if (attributes.italic) markdown = wrapMarkdown(markdown, '*');
+  if (attributes.strike) markdown = wrapMarkdown(markdown, '~~');
+  const link = safeLink(attributes);
+  if (link) markdown = `[${markdown}](${link.replace(/[()\s]/g, encodeURIComponent)})`;
+  return markdown;
+};
+
+// Text at the start of a line that would otherwise read as a heading, quote or list
+const escapeLineStart = (line) => line.replace(/^(\d+)([.)]\s)/, '$1\\$2').replace(/^([#>+-])/, '\\$1');
+
+const renderMarkdown = (title, blocks, notes) => {
+  const sections = [`# ${escapeMarkdown(title)}`];
+
+  for (const group of groupBlocks(blocks)) {
+    if (group.kind === 'code') {
+      const lines = group.blocks.map(block => block.runs.map(run => run.text || '').join(''));
+      const fence = '`'.repeat(Math.max(3, ...lines.join('\n').match(/`{3,}/g)?.map(ticks => ticks.length + 1) || []));
+      // Footnote references cannot go inside a code block, so they follow it
+      const references = group.blocks.flatMap(block => block.runs.filter(run => run.commentEnd !== undefined)).map(renderMarkdownRun).join(' ');
+      sections.push(`${fence}\n${lines.join('\n')}\n${fence}${references ? `\n\n${references}` : ''}`);
+      continue;
+    }
+
+    const lines = group.blocks.map((block, index) => {
+      const content = escapeLineStart(block.runs.map(renderMarkdownRun).join(''));
+      if (block.kind === 'list') return `${group.list === 'ordered' ? `${index + 1}.` : '-'} ${content}`;
+      if (block.kind === 'heading') return `${'#'.repeat(block.level)} ${content}`;
+      if (block.kind === 'quote') return `> ${content}`;
+      return content;
+    });
+    sections.push(...(group.kind === 'list' ? [lines.join('\n')] : lines.filter(Boolean)));
+  }
+
+  if (notes.length) {
+    // Footnotes without a reference are dropped by renderers, so unanchored comments are listed
+    const anchored = notes.filter(note => note.anchored);
+    const unanchored = notes.filter(note => !note.anchored);
+    const bold = (text) => `**${escapeMarkdown(text)}**`;
+    const describe = (note) => `${byline(note.author, note.date, bold)}: ${escapeMarkdown(note.text)}` +
+      note.replies.map(reply => `\n    - ${byline(reply.author, reply.date, bold)}: ${escapeMarkdown(reply.text)}`).join('');
+
+    if (unanchored.length) {
+      sections.push('## Comments', unanchored.map(note => `${note.number}. ${describe(note)}`).join('\n'));
+    }
+    if (anchored.length) {
+      sections.push(anchored.map(note => `[^${note.number}]: ${describe(note)}`).join('\n'));
+    }
+  }
+
+  return `${sections.join('\n\n')}\n`;
+};
+
+// Plain text
+
+const renderText = (title, blocks, notes) => {
+  let ordered = 0;
+  const lines = blocks.map(block => {
+    const content = block.runs.map(run => {
+      if (run.commentEnd !== undefined) return `[${run.commentEnd}]`;
+      return typeof run.text === 'string' ? run.text : '';
+    }).join('');
+
+    ordered = block.kind === 'list' && block.list === 'ordered' ? ordered + 1 : 0;
+    if (block.kind === 'list') return `${block.list === 'ordered' ? `${ordered}.` : '•'} ${content}`;
+    if (block.kind === 'quote') return `> ${content}`;
+    return content;
+  });
+
+  let text = `${title}\n\n${lines.join('\n')}\n`;
+  if (notes.length) {
+    const items = notes.map(note => `[${note.number}] ${byline(note.author, note.date)}: ${note.text}` +
+      note.replies.map(reply => `\n    ${byline(reply.author, reply.date)}: ${reply.text}`).join(''));
+    text += `\nComments\n\n${items.join('\n')}\n`;
+  }
+  return text;
+};
+
+// DOCX
+
+const renderDocx = (title, blocks, notes) => {
+  const writer = new DocxWriter({ title });
+  const styles = { heading: block => `Heading${block.level}`, quote: () => 'Quote', code: () => 'Code' };
+
+  // Word comments need a range, so unanchored ones are attached to the start of the document
+  const unanchored = notes.filter(note => !note.anchored).flatMap(note => [{ commentStart: note.number }, { commentEnd: note.number }]);
+
+  writer.addParagraph({ style: 'Heading1', runs: [...unanchored, { text: title }] });
+  for (const block of blocks) {
+    writer.addParagraph({
+      style: styles[block.kind] ? styles[block.kind](block) : 'Normal',
+      list: block.kind === 'list' ? block.list : null,
+      align: block.align,
+      runs: block.runs
+        .filter(run => run.embed === undefined)
+        .map(run => {
+          if (typeof run.text !== 'string') return run;
+          const { attributes = {} } = run;
+          return {
+            text: run.text,
+            bold: !!attributes.bold,
+            italic: !!attributes.italic,
+            underline: !!attributes.underline,
+            strike: !!attributes.strike,
+            code: !!attributes.code,
+            script: attributes.script,
+            link: safeLink(attributes)
+          };
+        })
+    });
+  }
+
+  notes.forEach(note => writer.addComment({
+    id: note.number,
+    author: note.author,
+    date: note.date,
+    paragraphs: [note.text, ...note.replies.map(reply => `${reply.author}: ${reply.text}`)]
+  }));
+
+  return writer.toBuffer();
+};
+
+/**
+ * Render a collaborative document as a downloadable file. Comments become Word comments
+ * in DOCX, footnotes in Markdown, and numbered references with a closing list elsewhere.
+ * @param {Object} document - { title, blocks, comments, commentPositions }; blocks and
+ *   commentPositions come from the document type, comments from the CommentManager
+ * @param {string} format - One of EXPORT_FORMATS
+ * @param {Object} options - { converterRegistry } used to produce PDFs from the HTML export
+ * @returns {Promise<Object>} { buffer, extension, mimeType }
+ */
+const exportDocumentFile = async (document, format, { converterRegistry } = {}) => {
+  const title = document.title || 'Document';
+  const { blocks, notes } = anchorComments(document.blocks, document.comments || [], document.commentPositions);
+
+  let buffer;
+  switch (format) {
+    case 'docx':
+      buffer = renderDocx(title, blocks, notes);
+      break;
+    case 'pdf': {
+      const result = await converterRegistry.convert({
+        buffer: Buffer.from(renderHtml(title, blocks, notes)),
+        sourceFormat: 'html',
+        targetFormat: 'pdf',
+        options: { title }
+      });
+      buffer = result.buffer;
+      break;
+    }
+    case 'md':
+      buffer = Buffer.from(renderMarkdown(title, blocks, notes));
+      break;
+    case 'html':
+      buffer = Buffer.from(renderHtml(title, blocks, notes));
+      break;
+    case 'txt':
+      buffer = Buffer.from(renderText(title, blocks, notes));
+      break;
+    default:
+      throw new Error(`Unsupported export format: ${format}`);
+  }
+
+  return { buffer, extension: format, mimeType: mimeTypeForExtension(format) };
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  exportDocumentFile,
+  renderHtmlBody,
+  anchorComments
+};
@@ -0,0 +1,222 @@
+const ShareDB = require('sharedb');
+const richText = require('rich-text');
+const { textType, checkOp: checkTextOp } = require('./textOT');
+
+const { Delta } = richText;
+// ShareDB comes with json0; the other types are registered here
+const json0 = ShareDB.types.map.json0;
+ShareDB.types.register(textType);
+ShareDB.types.register(richText.type);
+
+const typeError = (status, code, message) => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Rich-text
+
+/**
+ * Check that an op is a well-formed Quill delta. Embeds are objects with a single key.
+ * @param {Array|Object} op - Delta ops, or a delta ({ ops })
+ * @param {boolean} documentOnly - Whether only inserts are allowed, as in a document
+ * @throws {Error} When it is not
+ */
+const checkDelta = (op, documentOnly = false) => {
+  const ops = isPlainObject(op) ? op.ops : op;
+  if (!Array.isArray(ops)) {
+    throw new Error('Rich-text operation must be a delta or an array of delta ops');
+  }
+
+  for (const component of ops) {
+    const keys = isPlainObject(component) ? Object.keys(component).filter(key => key !== 'attributes') : [];
+    const [kind] = keys;
+    const value = component?.[kind];
+
+    let valid = keys.length === 1;
+    if (valid && kind === 'insert') {
+      valid = (typeof value === 'string' && value.length > 0) || (isPlainObject(value) && Object.keys(value).length === 1);
+    } else if (valid && (kind === 'retain' || kind === 'delete')) {
+      valid = !documentOnly && Number.isSafeInteger(value) && value > 0 && !(kind === 'delete' && 'attributes' in component);
+    } else {
+      valid = false;
+    }
+    if (valid && 'attributes' in component) {
+      valid = isPlainObject(component.attributes);
+    }
+
+    if (!valid) {
+      throw new Error(`Invalid rich-text operation component: ${JSON.stringify(component)}`);
+    }
+  }
+};
+
+// rich-text applies ops that keep or delete past the end of the document without complaint
+const checkDeltaFits = (snapshot, op) => {
+  const ops = new Delta(op).ops;
+  const baseLength = ops.reduce((total, component) => total + (component.retain || component.delete || 0), 0);
+  if (baseLength > new Delta(snapshot).length()) {
+    throw new Error('Rich-text operation is longer than the document');
+  }
+};
+
+/**
+ * Split a document delta into lines. Block formats (header, list, blockquote, code-block,
+ * align) are attributes of the newline that ends a line.
+ * @returns {Array<Object>} { segments: [{ insert, attributes }], attributes }
+ */
+const deltaLines = (delta) => {
+  const lines = [];
+  let segments = [];
+
+  for (const { insert, attributes = {} } of new Delta(delta).ops) {
+    if (typeof insert !== 'string') {
+      segments.push({ insert, attributes });
+      continue;
+    }
+    const parts = insert.split('\n');
+    parts.forEach((part, index) => {
+      if (part) segments.push({ insert: part, attributes });
+      if (index < parts.length - 1) {
+        lines.push({ segments, attributes });
+        segments = [];
+      }
+    });
+  }
+  if (segments.length) lines.push({ segments, attributes: {} });
+  return lines;
+};
+
+// Plain text of a document; embeds are left out
+const deltaToText = (delta) => {
+  return deltaLines(delta)
+    .map(line => line.segments.map(segment => (typeof segment.insert === 'string' ? segment.insert : '')).join(''))
+    .join('\n');
+};
+
+const BLOCK_KINDS = [['code-block', 'code'], ['header', 'heading'], ['list', 'list'], ['blockquote', 'quote']];
+
+// Export blocks of a document delta (see DOCUMENT_TYPES); runs keep the Quill inline attributes
+const deltaBlocks = (delta) => {
+  return deltaLines(delta).map(({ segments, attributes }) => {
+    const [, kind = 'paragraph'] = BLOCK_KINDS.find(([attribute]) => attributes[attribute]) || [];
+    const block = {
+      kind,
+      runs: segments.map(({ insert, attributes: runAttributes }) => (
+        typeof insert === 'string' ? { text: insert, attributes: runAttributes } : { embed: insert, attributes: runAttributes }
+      ))
+    };
+    if (kind === 'heading') block.level = Math.min(Math.max(Number(attributes.header) || 1, 1), 6);
+    if (kind === 'list') block.list = attributes.list === 'ordered' ? 'ordered' : 'bullet';
+    if (['center', 'right', 'justify'].includes(attributes.align)) block.align = attributes.align;
+    return block;
+  });
+};
+
+// One block per line of plain text
+const textBlocks = (text, kind = 'paragraph') => {
+  return text.split('\n').map(line => ({ kind, runs: line ? [{ text: line, attributes: {} }] : [] }));
+};
+
+/**
+ * Collaborative document types, by the name used in the API and in document metadata.
+ * shareType is the ShareDB type documents are created with; create builds the initial
+ * data from the content given when a document is created; checkOp validates ops from
+ * clients before they are submitted, and checkApplicable (where the type's apply is lax)
+ * against the snapshot they apply to.
+ *
+ * For export, toText gives the plain text of a snapshot and toBlocks its lines as blocks:
+ * { kind: 'paragraph'|'heading'|'list'|'quote'|'code', level, list: 'bullet'|'ordered', align,
+ * runs: [{ text, attributes } | { embed, attributes }] }. Counting each text character, embed
+ * and line break as one, block offsets match the positions comments are made at, except
+ * in JSON documents (commentPositions: false).
+ */
+const DOCUMENT_TYPES = {
+  text: {
+    shareType: textType,
+    create(content) {
+      if (typeof content !== 'string') {
+        throw typeError(400, 'INVALID_CONTENT', 'Text documents must be created from a string');
+      }
+      return content;
+    },
+    checkOp: checkTextOp,
+    commentPositions: true,
+    toText: (data) => data,
+    toBlocks: (data) => textBlocks(data)
+  },
+
+  json: {
+    shareType: json0,
+    // A JSON value, or JSON text; nothing makes an empty object
+    create(content) {
+      if (typeof content !== 'string') return content;
+      if (!content.trim()) return {};
+      try {
+        return JSON.parse(content);
+      } catch (error) {
+        throw typeError(400, 'INVALID_CONTENT', `JSON documents must be created from valid JSON: ${error.message}`);
+      }
+    },
+    // json0 applies only ops that pass its own validation
+    checkOp(op) {
+      if (!Array.isArray(op) || !op.every(component => isPlainObject(component) && Array.isArray(component.p))) {
+        throw new Error('JSON operation must be an array of json0 components');
+      }
+    },
+    commentPositions: false,
+    toText: (data) => JSON.stringify(data, null, 2),
+    toBlocks: (data) => textBlocks(JSON.stringify(data, null, 2), 'code')
+  },
+
+  'rich-text': {
+    shareType: richText.type,
+    // Plain text or a document delta. Quill documents always end with a newline.
+    create(content) {
+      const delta = typeof content === 'string' ? new Delta().insert(content) : content;
+      try {
+        checkDelta(delta, true);
+      } catch (error) {
+        throw typeError(400, 'INVALID_CONTENT', error.message);
+      }
+
+      const document = new Delta(delta);
+      const last = document.ops[document.ops.length - 1];
+      return typeof last?.insert === 'string' && last.insert.endsWith('\n') ? document : document.insert('\n');
+    },
+    checkOp: (op) => checkDelta(op),
+    checkApplicable: checkDeltaFits,
+    commentPositions: true,
+    toText: deltaToText,
+    toBlocks: deltaBlocks
+  }
+};
+
+/**
+ * Look up a document type by its API name
+ * @throws {Error} 400 UNKNOWN_DOCUMENT_TYPE
+ */
+const getDocumentType = (name) => {
+  if (!Object.prototype.hasOwnProperty.call(DOCUMENT_TYPES, name)) {
+    throw typeError(400, 'UNKNOWN_DOCUMENT_TYPE', `Unknown document type "${name}"`);
+  }
+  return DOCUMENT_TYPES[name];
+};
+
+// API name of the document type behind a ShareDB type, given as its name, URI or definition
+const documentTypeOf = (shareType) => {
+  const uri = typeof shareType === 'string' ? (ShareDB.types.map[shareType]?.uri || shareType) : shareType?.uri;
+  return Object.keys(DOCUMENT_TYPES).find(name => DOCUMENT_TYPES[name].shareType.uri === uri) || null;
+};
+
+module.exports = {
+  DOCUMENT_TYPES,
+  getDocumentType,
+  documentTypeOf,
+  deltaLines,
+  deltaToText,
+  deltaBlocks
+};
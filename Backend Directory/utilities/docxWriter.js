@@ -0,0 +1,218 @@
+const { zipSync, strToU8 } = require('fflate');
+
+// Characters XML 1.0 does not allow, even escaped
+const INVALID_XML = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+
+const escapeXml = (text) => {
+  return String(text)
+    .replace(INVALID_XML, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+};
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const W_NAMESPACE = 'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"';
+const R_NAMESPACE = 'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"';
+const RELATIONSHIP_TYPES = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+// Paragraph styles a paragraph may name; Heading1-6 are Word's built-in heading names
+const PARAGRAPH_STYLES = ['Normal', 'Heading1', 'Heading2', 'Heading3', 'Heading4', 'Heading5', 'Heading6', 'Quote', 'Code'];
+const HEADING_SIZES = [32, 28, 26, 24, 22, 22];
+
+const STYLES_XML = XML_HEADER +
+  `<w:styles ${W_NAMESPACE}>` +
+  '<w:docDefaults><w:rPrDefault><w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:eastAsia="Calibri" w:cs="Calibri"/><w:sz w:val="22"/><w:szCs w:val="22"/></w:rPr></w:rPrDefault>' +
+  '<w:pPrDefault><w:pPr><w:spacing w:after="160" w:line="259" w:lineRule="auto"/></w:pPr></w:pPrDefault></w:docDefaults>' +
+  '<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style>' +
+  HEADING_SIZES.map((size, index) => (
+    `<w:style w:type="paragraph" w:styleId="Heading${index + 1}"><w:name w:val="heading ${index + 1}"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/>` +
+    `<w:pPr><w:keepNext/><w:spacing w:before="240" w:after="80"/><w:outlineLvl w:val="${index}"/></w:pPr>` +
+    `<w:rPr><w:b/><w:sz w:val="${size}"/><w:szCs w:val="${size}"/></w:rPr></w:style>`
+  )).join('') +
+  '<w:style w:type="paragraph" w:styleId="Quote"><w:name w:val="Quote"/><w:basedOn w:val="Normal"/><w:qFormat/>' +
+  '<w:pPr><w:ind w:left="720"/></w:pPr><w:rPr><w:i/><w:color w:val="555555"/></w:rPr></w:style>' +
+  '<w:style w:type="paragraph" w:styleId="Code"><w:name w:val="Code"/><w:basedOn w:val="Normal"/>' +
+  '<w:pPr><w:spacing w:after="0" w:line="240" w:lineRule="auto"/></w:pPr><w:rPr><w:rFonts w:ascii="Courier New" w:hAnsi="Courier New" w:cs="Courier New"/><w:sz w:val="20"/></w:rPr></w:style>' +
+  '<w:style w:type="paragraph" w:styleId="ListParagraph"><w:name w:val="List Paragraph"/><w:basedOn w:val="Normal"/><w:pPr><w:ind w:left="720"/><w:contextualSpacing/></w:pPr></w:style>' +
+  '<w:style w:type="character" w:styleId="Hyperlink"><w:name w:val="Hyperlink"/><w:rPr><w:color w:val="0563C1"/><w:u w:val="single"/></w:rPr></w:style>' +
+  '</w:styles>';
+
+const listLevel = (format, text) => (
+  `<w:lvl w:ilvl="0"><w:start w:val="1"/><w:numFmt w:val="${format}"/><w:lvlText w:val="${text}"/><w:lvlJc w:val="left"/>` +
+  '<w:pPr><w:ind w:left="720" w:hanging="360"/></w:pPr></w:lvl>'
+);
+
+/**
+ * Minimal DOCX writer: styled paragraphs of formatted text, bulleted and numbered lists,
+ * hyperlinks and comments. Images and tables are not supported.
+ */
+class DocxWriter {
+  /**
+   * @param {Object} properties - { title, author } for the document properties
+   */
+  constructor(properties = {}) {
+    this.properties = properties;
+    this.paragraphs = [];
+    this.comments = [];
+  }
+
+  /**
+   * Add a paragraph
+   * @param {Object} paragraph - { style, list: 'bullet'|'ordered', align: 'center'|'right'|'justify', runs }.
+   *   Runs are { text, bold, italic, underline, strike, code, link, script: 'super'|'sub' },
+   *   or { commentStart: id } and { commentEnd: id } around the text a comment is about.
+   *   Consecutive 'ordered' paragraphs are numbered as one list.
+   */
+  addParagraph(paragraph) {
+    this.paragraphs.push(paragraph);
+    return this;
+  }
+
+  /**
+   * Add a comment
+   * @param {Object} comment - { id, author, date, paragraphs: [string] }; id matches the runs' commentStart/commentEnd
+   */
+  addComment(comment) {
+    this.comments.push(comment);
+    return this;
+  }
+
+  buildRun(run) {
+    const properties = [
+      run.link && '<w:rStyle w:val="Hyperlink"/>',
+      run.code && '<w:rFonts w:ascii="Courier New" w:hAnsi="Courier New" w:cs="Courier New"/>',
+      run.bold && '<w:b/>',
+      run.italic && '<w:i/>',
+      run.strike && '<w:strike/>',
+      run.underline && !run.link && '<w:u w:val="single"/>',
+      run.script === 'super' && '<w:vertAlign w:val="superscript"/>',
+      run.script === 'sub' && '<w:vertAlign w:val="subscript"/>'
+    ].filter(Boolean).join('');
+
+    // Line breaks within a paragraph become <w:br/>, tabs <w:tab/>
+    const content = String(run.text).split('\n').map(line => (
+      line.split('\t').map(part => (part ? `<w:t xml:space="preserve">${escapeXml(part)}</w:t>` : '')).join('<w:tab/>')
+    )).join('<w:br/>');
+
+    return `<w:r>${properties ? `<w:rPr>${properties}</w:rPr>` : ''}${content}</w:r>`;
+  }
+
+  buildParagraph(paragraph, numId, links) {
+    const style = PARAGRAPH_STYLES.includes(paragraph.style) ? paragraph.style : (paragraph.list ? 'ListParagraph' : 'Normal');
+    const properties = [
+      style !== 'Normal' && `<w:pStyle w:val="${style}"/>`,
+      numId && `<w:numPr><w:ilvl w:val="0"/><w:numId w:val="${numId}"/></w:numPr>`,
+      ['center', 'right', 'justify'].includes(paragraph.align) && `<w:jc w:val="${paragraph.align === 'justify' ? 'both' : paragraph.align}"/>`
+    ].filter(Boolean).join('');
+
+    const runs = (paragraph.runs || []).map(run => {
+      if (run.commentStart !== undefined) return `<w:commentRangeStart w:id="${run.commentStart}"/>`;
+      if (run.commentEnd !== undefined) {
+        return `<w:commentRangeEnd w:id="${run.commentEnd}"/><w:r><w:commentReference w:id="${run.commentEnd}"/></w:r>`;
+      }
+      if (typeof run.text !== 'string' || !run.text) return '';
+
+      const xml = this.buildRun(run);
+      if (!run.link) return xml;
+      links.push(run.link);
+      return `<w:hyperlink r:id="rIdLink${links.length}" w:history="1">${xml}</w:hyperlink>`;
+    }).join('');
+
+    return `<w:p>${properties ? `<w:pPr>${properties}</w:pPr>` : ''}${runs}</w:p>`;
+  }
+
+  buildComments() {
+    return XML_HEADER +
+      `<w:comments ${W_NAMESPACE}>` +
+      this.comments.map(comment => {
+        const author = String(comment.author || 'Anonymous');
+        const initials = author.split(/\s+/).filter(Boolean).map(word => word[0]).join('').slice(0, 3).toUpperCase();
+        const date = comment.date ? ` w:date="${new Date(comment.date).toISOString().replace(/\.\d+Z$/, 'Z')}"` : '';
+        const paragraphs = (comment.paragraphs.length ? comment.paragraphs : ['']).map((text, index) => (
+          `<w:p>${index === 0 ? '<w:r><w:annotationRef/></w:r>' : ''}${text ? this.buildRun({ text }) : ''}</w:p>`
+        )).join('');
+        return `<w:comment w:id="${comment.id}" w:author="${escapeXml(author)}"${date} w:initials="${escapeXml(initials)}">${paragraphs}</w:comment>`;
+      }).join('') +
+      '</w:comments>';
+  }
+
+  /**
+   * Serialize the document
+   * @returns {Buffer} DOCX file contents
+   */
+  toBuffer() {
+    // Bullets share one list; each run of numbered paragraphs restarts at 1
+    const numbering = [];
+    let previousList = null;
+    const links = [];
+    const body = this.paragraphs.map(paragraph => {
+      let numId = null;
+      if (paragraph.list === 'bullet') {
+        numId = 1;
+      } else if (paragraph.list === 'ordered') {
+        if (previousList !== 'ordered') numbering.push(numbering.length + 2);
+        numId = numbering[numbering.length - 1];
+      }
+      previousList = paragraph.list || null;
+      return this.buildParagraph(paragraph, numId, links);
+    }).join('');
+
+    const hasComments = this.comments.length > 0;
+    const files = {
+      '[Content_Types].xml': XML_HEADER +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>' +
+        '<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>' +
+        '<Override PartName="/word/numbering.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.numbering+xml"/>' +
+        (hasComments ? '<Override PartName="/word/comments.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.comments+xml"/>' : '') +
+        '<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>' +
+        '</Types>',
+      '_rels/.rels': XML_HEADER +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        `<Relationship Id="rId1" Type="${RELATIONSHIP_TYPES}/officeDocument" Target="word/document.xml"/>` +
+        '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>' +
+        '</Relationships>',
+      'docProps/core.xml': XML_HEADER +
+        '<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" ' +
+        'xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">' +
+        (this.properties.title ? `<dc:title>${escapeXml(this.properties.title)}</dc:title>` : '') +
+        (this.properties.author ? `<dc:creator>${escapeXml(this.properties.author)}</dc:creator>` : '') +
+        `<dcterms:created xsi:type="dcterms:W3CDTF">${new Date().toISOString().replace(/\.\d+Z$/, 'Z')}</dcterms:created>` +
+        '</cp:coreProperties>',
+      'word/document.xml': XML_HEADER +
+        `<w:document ${W_NAMESPACE} ${R_NAMESPACE}><w:body>${body}` +
+        '<w:sectPr><w:pgSz w:w="12240" w:h="15840"/><w:pgMar w:top="1440" w:right="1440" w:bottom="1440" w:left="1440" w:header="720" w:footer="720" w:gutter="0"/></w:sectPr>' +
+        '</w:body></w:document>',
+      'word/_rels/document.xml.rels': XML_HEADER +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        `<Relationship Id="rIdStyles" Type="${RELATIONSHIP_TYPES}/styles" Target="styles.xml"/>` +
+        `<Relationship Id="rIdNumbering" Type="${RELATIONSHIP_TYPES}/numbering" Target="numbering.xml"/>` +
+        (hasComments ? `<Relationship Id="rIdComments" Type="${RELATIONSHIP_TYPES}/comments" Target="comments.xml"/>` : '') +
+        links.map((link, index) => `<Relationship Id="rIdLink${index + 1}" Type="${RELATIONSHIP_TYPES}/hyperlink" Target="${escapeXml(link)}" TargetMode="External"/>`).join('') +
+        '</Relationships>',
+      'word/styles.xml': STYLES_XML,
+      'word/numbering.xml': XML_HEADER +
+        `<w:numbering ${W_NAMESPACE}>` +
+        `<w:abstractNum w:abstractNumId="0">${listLevel('bullet', '•')}</w:abstractNum>` +
+        `<w:abstractNum w:abstractNumId="1">${listLevel('decimal', '%1.')}</w:abstractNum>` +
+        '<w:num w:numId="1"><w:abstractNumId w:val="0"/></w:num>' +
+        numbering.map(numId => `<w:num w:numId="${numId}"><w:abstractNumId w:val="1"/><w:lvlOverride w:ilvl="0"><w:startOverride w:val="1"/></w:lvlOverride></w:num>`).join('') +
+        '</w:numbering>'
+    };
+
+    if (hasComments) {
+      files['word/comments.xml'] = this.buildComments();
+    }
+
+    const entries = Object.fromEntries(Object.entries(files).map(([name, content]) => [name, strToU8(content)]));
+    return Buffer.from(zipSync(entries));
+  }
+}
+
+module.exports = {
+  DocxWriter
+};
@@ -0,0 +1,702 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const winston = require('winston');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/file-loader.log' })
+  ]
+});
+
+const ROOT_NAME_PATTERN = /^[a-zA-Z0-9_-]+$/;
+
+const MAX_LIST_DEPTH = 20;
+
+const fileRootError = (status, code, message) => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+};
+
+// Listing order of names within a directory; ties in the locale order fall back to code units
+const compareNames = (a, b) => a.localeCompare(b) || (a < b ? -1 : a > b ? 1 : 0);
+
+// Listing cursors are the opaque form of the last path a page returned
+const encodeCursor = (clientPath) => Buffer.from(clientPath, 'utf8').toString('base64url');
+const decodeCursor = (cursor) => Buffer.from(String(cursor), 'base64url').toString('utf8');
+
+/**
+ * Parse root configuration. Accepts a JSON object ({ "docs": "/srv/docs" } or
+ * { "docs": { "path": "/srv/docs", "label": "Documents", "writable": true } }) or "name=path" pairs
+ * separated by semicolons, which keeps Windows drive letters unambiguous.
+ */
+const parseRootConfig = (value) => {
+  const text = String(value || '').trim();
+  if (!text) return {};
+
+  if (text.startsWith('{')) {
+    return JSON.parse(text);
+  }
+
+  return Object.fromEntries(text.split(';')
+    .map(pair => pair.trim())
+    .filter(Boolean)
+    .map(pair => {
+      const separator = pair.indexOf('=');
+      if (separator <= 0) {
+        throw new Error(`Invalid file root "${pair}", expected name=path`);
+      }
+      return [pair.slice(0, separator).trim(), pair.slice(separator + 1).trim()];
+    }));
+};
+
+// FILE_ROOTS_CONFIG points at a JSON file; otherwise roots come from FILE_ROOTS
+const loadRootConfig = () => {
+  if (process.env.FILE_ROOTS_CONFIG) {
+    return JSON.parse(fs.readFileSync(process.env.FILE_ROOTS_CONFIG, 'utf8'));
+  }
+  return parseRootConfig(process.env.FILE_ROOTS);
+};
+
+// True when target is the root itself or below it (path.relative ignores case on Windows)
+const isInside = (root, target) => {
+  const relative = path.relative(root, target);
+  return relative === '' || (relative !== '..' && !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative));
+};
+
+// Clients use forward slashes; backslashes are accepted too so Windows-style paths work on any server
+const splitClientPath = (input) => String(input || '').split(/[\\/]+/).filter(segment => segment && segment !== '.');
+
+const toClientPath = (relative) => relative.split(path.sep).join('/');
+
+// Strong validator built from inode, size and mtime to the microsecond. Writes replace the
+// file through a rename, so even a same-size save within one millisecond changes the inode.
+const fileEtag = (stats) => {
+  return `"${[stats.ino, stats.size, Math.round(stats.mtimeMs * 1000)].map(value => value.toString(16)).join('-')}"`;
+};
+
+const parseEtagList = (header) => String(header).split(',').map(tag => tag.trim().replace(/^W\//, '')).filter(Boolean);
+
+/**
+ * Check conditional request headers against the current state of an entry
+ * @param {fs.Stats|null} stats - Current stats, null when nothing exists at the path
+ * @param {Object} conditions - { ifMatch, ifNoneMatch, ifUnmodifiedSince } header values
+ * @param {boolean} required - Refuse to change an existing entry unless If-Match or If-Unmodified-Since is sent
+ * @throws {Error} 412 PRECONDITION_FAILED (with the current etag) or 428 PRECONDITION_REQUIRED
+ */
+const checkPreconditions = (stats, conditions = {}, required = true) => {
+  const { ifMatch, ifNoneMatch, ifUnmodifiedSince } = conditions;
+  const current = stats ? fileEtag(stats) : null;
+
+  const failed = (message) => {
+    const error = fileRootError(412, 'PRECONDITION_FAILED', message);
+    error.etag = current;
+    error.modified = stats ? stats.mtime : null;
+    return error;
+  };
+
+  if (ifNoneMatch && stats) {
+    const tags = parseEtagList(ifNoneMatch);
+    if (tags.includes('*') || tags.includes(current)) {
+      throw failed('File already exists');
+    }
+  }
+
+  if (ifMatch) {
+    const tags = parseEtagList(ifMatch);
+    if (!stats || !(tags.includes('*') || tags.includes(current))) {
+      throw failed('File was changed since it was loaded');
+    }
+    return;
+  }
+
+  // HTTP dates have whole-second precision; an unparseable date is ignored as RFC 9110 requires
+  const since = ifUnmodifiedSince ? Date.parse(ifUnmodifiedSince) : NaN;
+  if (!Number.isNaN(since)) {
+    if (!stats || Math.floor(stats.mtimeMs / 1000) * 1000 > since) {
+      throw failed('File was changed since it was loaded');
+    }
+    return;
+  }
+
+  if (stats && required && !ifNoneMatch) {
+    throw fileRootError(428, 'PRECONDITION_REQUIRED', 'Send If-Match with the ETag the file was loaded with to change it');
+  }
+};
+
+const statOrNull = async (target, follow = true) => {
+  try {
+    return await (follow ? fs.promises.stat(target) : fs.promises.lstat(target));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+};
+
+// Changes to one path run one after another, so the precondition check and the write it
+// guards cannot interleave with another request handled by this process
+const pathLocks = new Map();
+
+const withPathLock = async (target, task) => {
+  const key = process.platform === 'win32' ? target.toLowerCase() : target;
+  const run = (pathLocks.get(key) || Promise.resolve()).then(task);
+  const tail = run.catch(() => {});
+  pathLocks.set(key, tail);
+
+  try {
+    return await run;
+  } finally {
+    if (pathLocks.get(key) === tail) pathLocks.delete(key);
+  }
+};
+
+// Locks are always taken in the same order so two renames cannot wait on each other
+const withPathLocks = (targets, task) => {
+  const keys = [...new Set(targets)].sort();
+  return keys.reduceRight((next, key) => () => withPathLock(key, next), task)();
+};
+
+const entryType = (stats) => {
+  if (stats.isDirectory()) return 'directory';
+  return stats.isSymbolicLink() ? 'symlink' : 'file';
+};
+
+const describeEntry = (root, clientPath, stats) => ({
+  root,
+  path: clientPath,
+  type: entryType(stats),
+  size: stats.isDirectory() ? null : stats.size,
+  modified: stats.mtime,
+  etag: fileEtag(stats)
+});
+
+/**
+ * Named directories the file loader may read from and, when a root is configured as
+ * writable, write to. Every path a client sends is relative to one root and must
+ * still be inside it after symlinks are resolved.
+ */
+class FileRoots {
+  constructor(config = loadRootConfig()) {
+    this.roots = new Map();
+    for (const [name, entry] of Object.entries(config)) {
+      this.add(name, entry);
+    }
+  }
+
+  add(name, entry) {
+    if (!ROOT_NAME_PATTERN.test(name)) {
+      throw new Error(`Invalid file root name "${name}"; use letters, digits, "-" and "_"`);
+    }
+
+    const rootPath = typeof entry === 'string' ? entry : entry?.path;
+    if (!rootPath) {
+      throw new Error(`File root "${name}" has no path`);
+    }
+
+    this.roots.set(name, {
+      name,
+      label: entry.label || name,
+      path: path.resolve(rootPath),
+      // Roots are read-only unless configured otherwise
+      readOnly: entry.writable !== true || entry.readOnly === true
+    });
+    return this;
+  }
+
+  listRoots() {
+    return [...this.roots.values()].map(({ name, label, readOnly }) => ({ name, label, readOnly }));
+  }
+
+  get(name) {
+    const root = this.roots.get(name);
+    if (!root) {
+      throw fileRootError(404, 'ROOT_NOT_FOUND', `File root "${name}" is not configured`);
+    }
+    return root;
+  }
+
+  assertWritable(name) {
+    const root = this.get(name);
+    if (root.readOnly) {
+      throw fileRootError(403, 'ROOT_READ_ONLY', `File root "${name}" is read-only`);
+    }
+    return root;
+  }
+
+  // Real location of a root; roots may sit behind a symlink or on a drive that is not mounted
+  async realRoot(root) {
+    try {
+      return await fs.promises.realpath(root.path);
+    } catch (error) {
+      logger.warn('File root unavailable', { root: root.name, error: error.message });
+      throw fileRootError(503, 'ROOT_UNAVAILABLE', `File root "${root.name}" is not available`);
+    }
+  }
+
+  // Resolve a path that does not exist yet through its deepest existing ancestor
+  async realpathOfMissing(target) {
+    const missing = [];
+    let current = target;
+
+    for (;;) {
+      try {
+        return path.join(await fs.promises.realpath(current), ...missing.reverse());
+      } catch (error) {
+        const parent = path.dirname(current);
+        if (error.code !== 'ENOENT' || parent === current) throw error;
+        missing.push(path.basename(current));
+        current = parent;
+      }
+    }
+  }
+
+  // Split a client path into segments, refusing anything that could step out of the root
+  parsePath(name, clientPath) {
+    if (String(clientPath || '').includes('\0')) {
+      throw fileRootError(400, 'INVALID_PATH', 'Path contains invalid characters');
+    }
+
+    const segments = splitClientPath(clientPath);
+    // ".." is refused outright rather than normalized away; ':' would name an alternate data stream on Windows
+    if (segments.includes('..') || (process.platform === 'win32' && segments.some(segment => segment.includes(':')))) {
+      logger.warn('Blocked path outside file root', { root: name, path: clientPath });
+      throw fileRootError(403, 'PATH_OUTSIDE_ROOT', 'Access denied - path is outside the file root');
+    }
+    return segments;
+  }
+
+  /**
+   * Resolve a client path inside a root
+   * @param {string} name - Root name
+   * @param {string} clientPath - Path relative to the root ('' for the root itself)
+   * @param {Object} options - { mustExist } (default true)
+   * @returns {Object} { root, path, absolutePath }
+   * @throws {Error} With status and code (INVALID_PATH, PATH_OUTSIDE_ROOT, FILE_NOT_FOUND, ...)
+   */
+  async resolve(name, clientPath, options = {}) {
+    const { mustExist = true } = options;
+    const root = this.get(name);
+    const segments = this.parsePath(name, clientPath);
+
+    const rootPath = await this.realRoot(root);
+    const target = path.join(rootPath, ...segments);
+
+    let realTarget;
+    try {
+      realTarget = await fs.promises.realpath(target);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      if (mustExist) {
+        throw fileRootError(404, 'FILE_NOT_FOUND', 'File not found');
+      }
+      realTarget = await this.realpathOfMissing(target);
+    }
+
+    // Symlinks may point anywhere; what matters is where the path really ends up
+    if (!isInside(rootPath, realTarget)) {
+      logger.warn('Blocked path outside file root', { root: name, path: clientPath });
+      throw fileRootError(403, 'PATH_OUTSIDE_ROOT', 'Access denied - path is outside the file root');
+    }
+
+    return {
+      root: name,
+      path: segments.join('/'),
+      absolutePath: realTarget
+    };
+  }
+
+  /**
+   * Resolve the last segment of a path inside its parent directory, for operations that
+   * create, replace or remove that entry. Only the parent goes through realpath: a path
+   * that does not exist yet must not be created through a symlink pointing elsewhere.
+   * @param {string} name - Root name
+   * @param {string} clientPath - Path relative to the root
+   * @param {Object} options - { followLinks } act on a symlink's target instead of the link itself
+   * @returns {Object} { root, path, absolutePath, stats } with stats null when nothing exists there
+   */
+  async resolveEntry(name, clientPath, options = {}) {
+    const { followLinks = false } = options;
+    const segments = this.parsePath(name, clientPath);
+    if (segments.length === 0) {
+      throw fileRootError(400, 'INVALID_PATH', 'The root directory itself cannot be changed');
+    }
+
+    let parent;
+    try {
+      parent = await this.resolve(name, segments.slice(0, -1).join('/'));
+    } catch (error) {
+      if (error.code === 'FILE_NOT_FOUND') {
+        throw fileRootError(409, 'PARENT_NOT_FOUND', 'Parent directory does not exist');
+      }
+      throw error;
+    }
+
+    const parentStats = await fs.promises.stat(parent.absolutePath);
+    if (!parentStats.isDirectory()) {
+      throw fileRootError(409, 'PARENT_NOT_FOUND', 'Parent path is not a directory');
+    }
+
+    let absolutePath = path.join(parent.absolutePath, segments[segments.length - 1]);
+    let stats = await statOrNull(absolutePath, false);
+
+    if (stats && stats.isSymbolicLink() && followLinks) {
+      try {
+        absolutePath = await fs.promises.realpath(absolutePath);
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        throw fileRootError(409, 'BROKEN_SYMLINK', 'Path is a symbolic link to a missing file');
+      }
+
+      if (!isInside(await this.realRoot(this.get(name)), absolutePath)) {
+        logger.warn('Blocked path outside file root', { root: name, path: clientPath });
+        throw fileRootError(403, 'PATH_OUTSIDE_ROOT', 'Access denied - path is outside the file root');
+      }
+      stats = await fs.promises.stat(absolutePath);
+    }
+
+    return { root: name, path: segments.join('/'), absolutePath, stats };
+  }
+
+  /**
+   * Create or replace a file. The new content goes to a temporary file next to the target
+   * and is renamed over it, so readers never see a partly written file.
+   * @param {string} name - Root name
+   * @param {string} clientPath - File path relative to the root
+   * @param {Buffer} data - New contents
+   * @param {Object} conditions - { ifMatch, ifNoneMatch, ifUnmodifiedSince }; replacing an existing file requires one
+   * @returns {Promise<Object>} { root, path, type, size, modified, etag, created }
+   */
+  async writeFile(name, clientPath, data, conditions = {}) {
+    this.assertWritable(name);
+    const entry = await this.resolveEntry(name, clientPath, { followLinks: true });
+
+    return withPathLock(entry.absolutePath, async () => {
+      const current = await statOrNull(entry.absolutePath);
+      if (current && !current.isFile()) {
+        throw fileRootError(409, 'NOT_A_FILE', 'Path is not a file');
+      }
+      checkPreconditions(current, conditions);
+
+      const directory = path.dirname(entry.absolutePath);
+      const tempPath = path.join(directory, `.${path.basename(entry.absolutePath)}.${crypto.randomBytes(6).toString('hex')}.tmp`);
+      try {
+        await fs.promises.writeFile(tempPath, data, current ? { flag: 'wx', mode: current.mode & 0o7777 } : { flag: 'wx' });
+        await fs.promises.rename(tempPath, entry.absolutePath);
+      } catch (error) {
+        await fs.promises.unlink(tempPath).catch(() => {});
+        throw error;
+      }
+
+      const stats = await fs.promises.stat(entry.absolutePath);
+      logger.info('File written', { root: name, path: entry.path, size: stats.size, created: !current });
+      return { ...describeEntry(name, entry.path, stats), created: !current };
+    });
+  }
+
+  /**
+   * Rename or move an entry within a root
+   * @param {string} name - Root name
+   * @param {string} from - Current path relative to the root
+   * @param {string} to - New path relative to the root
+   * @param {Object} conditions - Preconditions checked against the source; required when it is a file
+   * @param {Object} options - { overwrite } replace an existing file at the destination
+   * @returns {Promise<Object>} The entry at its new path, plus { from }
+   */
+  async rename(name, from, to, conditions = {}, options = {}) {
+    const { overwrite = false } = options;
+    this.assertWritable(name);
+    const source = await this.resolveEntry(name, from);
+    const target = await this.resolveEntry(name, to);
+
+    if (!source.stats) {
+      throw fileRootError(404, 'FILE_NOT_FOUND', 'File not found');
+    }
+    if (source.stats.isDirectory() && target.absolutePath !== source.absolutePath && isInside(source.absolutePath, target.absolutePath)) {
+      throw fileRootError(400, 'INVALID_PATH', 'A directory cannot be moved into itself');
+    }
+
+    return withPathLocks([source.absolutePath, target.absolutePath], async () => {
+      const current = await statOrNull(source.absolutePath, false);
+      if (!current) {
+        throw fileRootError(404, 'FILE_NOT_FOUND', 'File not found');
+      }
+      checkPreconditions(current, conditions, current.isFile());
+
+      // A case-only rename on a case-insensitive file system finds the source at the destination
+      const existing = await statOrNull(target.absolutePath, false);
+      const sameEntry = existing && existing.ino === current.ino && existing.dev === current.dev;
+      if (existing && !sameEntry && (!overwrite || existing.isDirectory() || current.isDirectory())) {
+        throw fileRootError(409, 'ALREADY_EXISTS', 'An entry with that name already exists');
+      }
+
+      try {
+        await fs.promises.rename(source.absolutePath, target.absolutePath);
+      } catch (error) {
+        if (error.code === 'EXDEV') {
+          throw fileRootError(409, 'CROSS_DEVICE', 'Source and destination are on different file systems');
+        }
+        throw error;
+      }
+
+      const stats = await fs.promises.lstat(target.absolutePath);
+      logger.info('File renamed', { root: name, from: source.path, to: target.path });
+      return { ...describeEntry(name, target.path, stats), from: source.path };
+    });
+  }
+
+  /**
+   * Delete a file, symlink or directory
+   * @param {string} name - Root name
+   * @param {string} clientPath - Path relative to the root
+   * @param {Object} conditions - Preconditions; required when deleting a file
+   * @param {Object} options - { recursive } delete a directory that is not empty
+   * @returns {Promise<Object>} { root, path, type }
+   */
+  async remove(name, clientPath, conditions = {}, options = {}) {
+    const { recursive = false } = options;
+    this.assertWritable(name);
+    const entry = await this.resolveEntry(name, clientPath);
+    if (!entry.stats) {
+      throw fileRootError(404, 'FILE_NOT_FOUND', 'File not found');
+    }
+
+    return withPathLock(entry.absolutePath, async () => {
+      const current = await statOrNull(entry.absolutePath, false);
+      if (!current) {
+        throw fileRootError(404, 'FILE_NOT_FOUND', 'File not found');
+      }
+      checkPreconditions(current, conditions, current.isFile());
+
+      if (current.isDirectory()) {
+        try {
+          await (recursive ? fs.promises.rm(entry.absolutePath, { recursive: true }) : fs.promises.rmdir(entry.absolutePath));
+        } catch (error) {
+          if (error.code === 'ENOTEMPTY' || error.code === 'EEXIST') {
+            throw fileRootError(409, 'DIRECTORY_NOT_EMPTY', 'Directory is not empty');
+          }
+          throw error;
+        }
+      } else {
+        await fs.promises.unlink(entry.absolutePath);
+      }
+
+      const type = entryType(current);
+      logger.info('File deleted', { root: name, path: entry.path, type });
+      return { root: name, path: entry.path, type };
+    });
+  }
+
+  /**
+   * Create a directory
+   * @param {string} name - Root name
+   * @param {string} clientPath - Directory path relative to the root
+   * @param {Object} options - { recursive } create missing parents and accept an existing directory
+   * @returns {Promise<Object>} The directory entry, plus { created }
+   */
+  async mkdir(name, clientPath, options = {}) {
+    const { recursive = false } = options;
+    this.assertWritable(name);
+    const segments = this.parsePath(name, clientPath);
+    let created = false;
+    let entry = null;
+
+    // One level at a time, so every parent is checked before anything is created inside it
+    for (let level = recursive ? 1 : segments.length; level <= segments.length; level++) {
+      entry = await this.resolveEntry(name, segments.slice(0, level).join('/'), { followLinks: true });
+
+      if (entry.stats) {
+        if (!entry.stats.isDirectory()) {
+          throw fileRootError(409, 'NOT_A_DIRECTORY', `"${entry.path}" exists and is not a directory`);
+        }
+        if (!recursive) {
+          throw fileRootError(409, 'ALREADY_EXISTS', 'Directory already exists');
+        }
+        continue;
+      }
+
+      try {
+        await fs.promises.mkdir(entry.absolutePath);
+        created = true;
+      } catch (error) {
+        if (error.code !== 'EEXIST' || !recursive) {
+          throw error.code === 'EEXIST' ? fileRootError(409, 'ALREADY_EXISTS', 'Directory already exists') : error;
+        }
+      }
+    }
+
+    if (!entry) {
+      throw fileRootError(400, 'INVALID_PATH', 'Directory path is required');
+    }
+
+    const stats = await fs.promises.stat(entry.absolutePath);
+    if (created) {
+      logger.info('Directory created', { root: name, path: entry.path });
+    }
+    return { ...describeEntry(name, entry.path, stats), created };
+  }
+
+  /**
+   * Find the root holding an absolute server path (for clients that still send full paths)
+   * @param {string} absolutePath - Absolute path on the server
+   * @returns {Promise<Object|null>} { root, path } or null when no root contains it
+   */
+  async locate(absolutePath) {
+    const target = path.resolve(absolutePath);
+
+    for (const root of this.roots.values()) {
+      const candidates = [root.path];
+      try {
+        candidates.push(await fs.promises.realpath(root.path));
+      } catch (error) {
+        continue;
+      }
+
+      const rootPath = candidates.find(candidate => isInside(candidate, target));
+      if (rootPath) {
+        return { root: root.name, path: toClientPath(path.relative(rootPath, target)) };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * List a directory inside a root, one page at a time. The walk starts after the cursor
+   * and stops once the page is full, so no page costs more than the entries it returns
+   * plus the directories leading to the cursor.
+   * @param {string} name - Root name
+   * @param {string} clientPath - Directory relative to the root
+   * @param {Object} options - { recursive, depth, cursor, limit }; cursor is the nextCursor of the previous page
+   * @returns {Object} { root, path, entries, nextCursor }; nextCursor is null on the last page
+   */
+  async list(name, clientPath, options = {}) {
+    const { recursive = false, depth = MAX_LIST_DEPTH, cursor = null, limit = 100 } = options;
+    const resolved = await this.resolve(name, clientPath);
+    const rootPath = await this.realRoot(this.get(name));
+
+    const stats = await fs.promises.stat(resolved.absolutePath);
+    if (!stats.isDirectory()) {
+      throw fileRootError(400, 'NOT_A_DIRECTORY', 'Path is not a directory');
+    }
+
+    // Path of the cursor below the listed directory, one name per level
+    let after = null;
+    if (cursor) {
+      const cursorPath = decodeCursor(cursor);
+      const prefix = resolved.path ? `${resolved.path}/` : '';
+      after = cursorPath.slice(prefix.length).split('/');
+      if (!cursorPath.startsWith(prefix) || after.some(segment => !segment || segment === '.' || segment === '..')) {
+        throw fileRootError(400, 'INVALID_CURSOR', 'Cursor does not belong to this listing');
+      }
+    }
+
+    const entries = [];
+    let hasMore = false;
+
+    // Depth-first, each directory followed by its contents, names sorted so pages are stable.
+    // `following` holds the cursor's names below this directory while the walk is still before it.
+    const walk = async (directory, relativeDirectory, level, following) => {
+      let dirents;
+      try {
+        dirents = await fs.promises.readdir(directory, { withFileTypes: true });
+      } catch (error) {
+        logger.warn('Failed to read directory', { root: name, path: relativeDirectory, error: error.message });
+        return;
+      }
+
+      dirents.sort((a, b) => compareNames(a.name, b.name));
+      for (const dirent of dirents) {
+        if (hasMore) return;
+
+        const entryPath = path.join(directory, dirent.name);
+        const relativePath = relativeDirectory ? `${relativeDirectory}/${dirent.name}` : dirent.name;
+        const isLink = dirent.isSymbolicLink();
+
+        if (following) {
+          const order = compareNames(dirent.name, following[0]);
+          if (order < 0) continue;
+          if (order === 0) {
+            // Returned on an earlier page; what is left of it comes next
+            if (recursive && dirent.isDirectory() && level + 1 < depth) {
+              await walk(entryPath, relativePath, level + 1, following.length > 1 ? following.slice(1) : null);
+            }
+            following = null;
+            continue;
+          }
+          following = null;
+        }
+
+        let entryStats;
+        try {
+          // Links are listed only when they point inside the root, and never descended into
+          if (isLink && !isInside(rootPath, await fs.promises.realpath(entryPath))) continue;
+          entryStats = await fs.promises.stat(entryPath);
+        } catch (error) {
+          continue;
+        }
+
+        if (entries.length >= limit) {
+          hasMore = true;
+          return;
+        }
+
+        const isDirectory = entryStats.isDirectory();
+        entries.push({
+          name: dirent.name,
+          path: relativePath,
+          type: isDirectory ? 'directory' : 'file',
+          size: isDirectory ? null : entryStats.size,
+          modified: entryStats.mtime,
+          etag: isDirectory ? null : fileEtag(entryStats),
+          extension: isDirectory ? null : path.extname(dirent.name).toLowerCase(),
+          symlink: isLink,
+          depth: level
+        });
+
+        if (recursive && isDirectory && !isLink && level + 1 < depth) {
+          await walk(entryPath, relativePath, level + 1, null);
+        }
+      }
+    };
+
+    await walk(resolved.absolutePath, resolved.path, 0, after);
+
+    return {
+      root: name,
+      path: resolved.path,
+      entries,
+      nextCursor: hasMore ? encodeCursor(entries[entries.length - 1].path) : null
+    };
+  }
+}
+
+let defaultRoots = null;
+
+// Roots configured through FILE_ROOTS / FILE_ROOTS_CONFIG
+const getFileRoots = () => {
+  if (!defaultRoots) {
+    try {
+      defaultRoots = new FileRoots();
+    } catch (error) {
+      logger.error('Invalid file root configuration:', { error: error.message });
+      defaultRoots = new FileRoots({});
+    }
+  }
+  return defaultRoots;
+};
+
+module.exports = {
+  FileRoots,
+  getFileRoots,
+  parseRootConfig,
+  isInside,
+  fileEtag,
+  checkPreconditions,
+  MAX_LIST_DEPTH
+};
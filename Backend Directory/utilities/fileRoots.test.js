@@ -0,0 +1,92 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FileRoots } = require('./fileRoots');
+
+describe('FileRoots.list', () => {
+  let directory;
+  let roots;
+
+  beforeAll(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'file-roots-'));
+    for (const file of ['a.txt', 'b/c.txt', 'b/d/e.txt', 'b/d/f.txt', 'b/g.txt', 'h.txt']) {
+      fs.mkdirSync(path.dirname(path.join(directory, file)), { recursive: true });
+      fs.writeFileSync(path.join(directory, file), file);
+    }
+    roots = new FileRoots({ docs: directory });
+  });
+
+  afterAll(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  // Every page of a listing, following the cursors
+  const listAll = async (clientPath, options) => {
+    const pages = [];
+    let cursor = null;
+    do {
+      const page = await roots.list('docs', clientPath, { ...options, cursor });
+      pages.push(page.entries.map(entry => entry.path));
+      cursor = page.nextCursor;
+    } while (cursor);
+    return pages;
+  };
+
+  test('walks recursive listings a page at a time without losing or repeating entries', async () => {
+    const pages = await listAll('', { recursive: true, limit: 3 });
+
+    expect(pages).toEqual([
+      ['a.txt', 'b', 'b/c.txt'],
+      ['b/d', 'b/d/e.txt', 'b/d/f.txt'],
+      ['b/g.txt', 'h.txt']
+    ]);
+  });
+
+  test('pages subdirectories and flat listings', async () => {
+    expect(await listAll('b', { recursive: true, limit: 2 })).toEqual([['b/c.txt', 'b/d'], ['b/d/e.txt', 'b/d/f.txt'], ['b/g.txt']]);
+    expect(await listAll('', { limit: 2 })).toEqual([['a.txt', 'b'], ['h.txt']]);
+  });
+
+  test('continues after a cursor entry that was removed', async () => {
+    const first = await roots.list('docs', '', { recursive: true, limit: 4 });
+    const cursor = first.nextCursor;
+    fs.renameSync(path.join(directory, 'b/d'), path.join(directory, 'b/dd'));
+    try {
+      const next = await roots.list('docs', '', { recursive: true, limit: 10, cursor });
+      expect(next.entries.map(entry => entry.path)).toEqual(['b/dd', 'b/dd/e.txt', 'b/dd/f.txt', 'b/g.txt', 'h.txt']);
+      expect(next.nextCursor).toBeNull();
+    } finally {
+      fs.renameSync(path.join(directory, 'b/dd'), path.join(directory, 'b/d'));
+    }
+  });
+
+  test('refuses cursors from another directory', async () => {
+    const { nextCursor } = await roots.list('docs', '', { limit: 1 });
+    await expect(roots.list('docs', 'b', { cursor: nextCursor })).rejects.toMatchObject({ status: 400, code: 'INVALID_CURSOR' });
+  });
+});
+
+describe('FileRoots writes', () => {
+  let directory;
+
+  beforeAll(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'file-roots-'));
+  });
+
+  afterAll(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  test('refuses writes to roots not configured as writable', async () => {
+    const roots = new FileRoots({ plain: directory, marked: { path: directory, readOnly: false } });
+
+    for (const name of ['plain', 'marked']) {
+      await expect(roots.writeFile(name, 'new.txt', Buffer.from('x'))).rejects.toMatchObject({ status: 403, code: 'ROOT_READ_ONLY' });
+    }
+    expect(fs.existsSync(path.join(directory, 'new.txt'))).toBe(false);
+  });
+
+  test('writes to writable roots', async () => {
+    const roots = new FileRoots({ docs: { path: directory, writable: true } });
+
+    await roots.writeFile('docs', 'new.txt', Buffer.from('x'));
+    expect(fs.readFileSync(path.join(directory, 'new.txt'), 'utf8')).toBe('x');
+    expect(roots.listRoots()).toEqual([{ name: 'docs', label: 'docs', readOnly: false }]);
+  });
+});
@@ -0,0 +1,499 @@
+const crypto = require('crypto');
+const path = require('path');
+const winston = require('winston');
+const File = require('../models/File');
+const Folder = require('../models/Folder');
+const { getStorage } = require('./storage');
+const { copyThumbnails } = require('./previewJobs');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/files.log' })
+  ]
+});
+
+const MAX_FOLDER_DEPTH = parseInt(process.env.MAX_FOLDER_DEPTH) || 32;
+// Folders plus files one copy request may duplicate
+const MAX_COPY_ITEMS = parseInt(process.env.MAX_FOLDER_COPY_ITEMS) || 1000;
+
+const OBJECT_ID_PATTERN = /^[a-f0-9]{24}$/i;
+const NAME_PATTERN = /^[^\\/\x00-\x1f]+$/;
+
+const folderError = (status, code, message) => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+};
+
+const sameId = (a, b) => String(a) === String(b);
+
+const validateName = (name) => {
+  const trimmed = String(name || '').trim();
+  if (!trimmed || trimmed.length > 255 || !NAME_PATTERN.test(trimmed) || trimmed === '.' || trimmed === '..') {
+    throw folderError(400, 'INVALID_NAME', 'Folder names must be 1-255 characters without slashes');
+  }
+  return trimmed;
+};
+
+const childPath = (parent, name) => `${parent ? parent.path : ''}/${name}`;
+
+/**
+ * Load a folder and check the user's access to it
+ * @param {string} folderId - Folder ID
+ * @param {Object} user - Requesting user
+ * @param {string} permission - view, edit or admin (owners have all three)
+ * @returns {Promise<Object>} Folder document
+ * @throws {Error} 404 FOLDER_NOT_FOUND, 403 ACCESS_DENIED
+ */
+const loadFolder = async (folderId, user, permission = 'view') => {
+  const folder = OBJECT_ID_PATTERN.test(String(folderId)) ? await Folder.findById(folderId) : null;
+  if (!folder) {
+    throw folderError(404, 'FOLDER_NOT_FOUND', 'Folder not found');
+  }
+  if (!folder.canAccess(user._id, permission)) {
+    throw folderError(403, 'ACCESS_DENIED', 'Access denied');
+  }
+  return folder;
+};
+
+// Folders from the top of the user's reach down to this one; ancestors the user cannot
+// see (someone else's folders above a shared one) are left out
+const getBreadcrumbs = async (folder, user) => {
+  const ancestors = await Folder.find({ _id: { $in: folder.ancestors } });
+  const byId = new Map(ancestors.map(ancestor => [String(ancestor._id), ancestor]));
+  const chain = [...folder.ancestors.map(id => byId.get(String(id))).filter(Boolean), folder];
+  const start = chain.findIndex(entry => entry.canAccess(user._id, 'view'));
+
+  return chain.slice(Math.max(start, 0)).map(entry => ({ id: entry._id, name: entry.name, path: entry.path }));
+};
+
+const ensureNameFree = async (ownerId, parentId, name, exceptId = null) => {
+  const existing = await Folder.findByName(ownerId, parentId, name);
+  if (existing && !sameId(existing._id, exceptId)) {
+    throw folderError(409, 'ALREADY_EXISTS', `A folder named "${name}" already exists here`);
+  }
+};
+
+// The unique index catches names taken between the check and the save
+const saveFolder = async (folder) => {
+  try {
+    return await folder.save();
+  } catch (error) {
+    if (error.code === 11000) {
+      throw folderError(409, 'ALREADY_EXISTS', `A folder named "${folder.name}" already exists here`);
+    }
+    throw error;
+  }
+};
+
+// Shares a child inherits from its folder: the folder's own grants and those it inherited,
+// plus admin access for the folder's owner, so files others add to a shared folder stay
+// under the owner's control
+const cascadedShares = (folder) => {
+  if (!folder) return [];
+  return [
+    { userId: folder.owner, permission: 'admin', sharedAt: folder.createdAt, inheritedFrom: folder._id },
+    ...folder.permissions.sharedWith.map(share => ({
+      userId: share.userId,
+      permission: share.permission,
+      sharedAt: share.sharedAt,
+      inheritedFrom: share.inheritedFrom || folder._id
+    }))
+  ];
+};
+
+const shareSignature = (shares) => shares
+  .map(share => `${share.userId}:${share.permission}:${share.inheritedFrom || ''}`)
+  .join(',');
+
+/**
+ * Replace the inherited shares of a file or folder with those of the folder it now sits in.
+ * Shares granted directly on the item are kept and take precedence for the same user.
+ * @param {Object} doc - File or Folder document
+ * @param {Object|null} parent - Containing folder, null at the root
+ * @param {*} ownerId - The item's owner, who never needs a share
+ * @returns {boolean} True when the shares changed and the document needs saving
+ */
+const applyInheritedShares = (doc, parent, ownerId) => {
+  const current = doc.permissions.sharedWith;
+  const direct = current.filter(share => !share.inheritedFrom).map(share => ({
+    userId: share.userId,
+    permission: share.permission,
+    sharedAt: share.sharedAt
+  }));
+  const inherited = cascadedShares(parent).filter(share =>
+    !sameId(share.userId, ownerId) && !direct.some(own => sameId(own.userId, share.userId))
+  );
+
+  const next = [...direct, ...inherited];
+  if (shareSignature(current) === shareSignature(next)) return false;
+  doc.permissions.sharedWith = next;
+  return true;
+};
+
+/**
+ * Recompute inherited shares for a folder and everything below it, top down. Used after
+ * sharing, unsharing and moves; only documents whose shares changed are saved.
+ * @param {Object} root - Folder document
+ */
+const refreshShares = async (root) => {
+  const parent = root.parent ? await Folder.findById(root.parent) : null;
+  if (applyInheritedShares(root, parent, root.owner)) await root.save();
+
+  const folders = new Map([[String(root._id), root]]);
+  const descendants = (await Folder.find({ ancestors: root._id }))
+    .sort((a, b) => a.ancestors.length - b.ancestors.length);
+
+  for (const folder of descendants) {
+    if (applyInheritedShares(folder, folders.get(String(folder.parent)), folder.owner)) {
+      await folder.save();
+    }
+    folders.set(String(folder._id), folder);
+  }
+
+  // Trashed files are included so they come back with the right shares
+  const files = await File.find({ folder: { $in: [...folders.values()].map(folder => folder._id) } });
+  for (const file of files) {
+    if (applyInheritedShares(file, folders.get(String(file.folder)), file.uploadedBy)) {
+      await file.save();
+    }
+  }
+};
+
+// Depth of the deepest folder below this one, relative to it
+const subtreeHeight = (folder, descendants) => {
+  return descendants.reduce((height, descendant) => Math.max(height, descendant.ancestors.length - folder.ancestors.length), 0);
+};
+
+const assertDepth = (parent, height = 0) => {
+  const depth = parent ? parent.ancestors.length + 1 : 0;
+  if (depth + height >= MAX_FOLDER_DEPTH) {
+    throw folderError(400, 'FOLDER_TOO_DEEP', `Folders can be nested at most ${MAX_FOLDER_DEPTH} levels deep`);
+  }
+};
+
+const assertNotInside = (folder, target, message) => {
+  if (target && (sameId(target._id, folder._id) || target.ancestors.some(id => sameId(id, folder._id)))) {
+    throw folderError(400, 'INVALID_DESTINATION', message);
+  }
+};
+
+// Unsaved folder under parent (or at the owner's root) with the parent's shares
+const buildFolder = (name, parent, user) => {
+  const owner = parent ? parent.owner : user._id;
+  const folder = new Folder({
+    name,
+    owner,
+    createdBy: user._id,
+    parent: parent ? parent._id : null,
+    ancestors: parent ? [...parent.ancestors, parent._id] : [],
+    path: childPath(parent, name)
+  });
+  applyInheritedShares(folder, parent, owner);
+  return folder;
+};
+
+/**
+ * Create a folder. Folders made inside someone else's shared folder belong to that
+ * folder's owner, so a workspace stays in one piece.
+ * @param {Object} user - Requesting user
+ * @param {string} name - Folder name
+ * @param {Object|null} parent - Parent folder the user can edit, or null for the root
+ */
+const createFolder = async (user, name, parent = null) => {
+  const folderName = validateName(name);
+  assertDepth(parent);
+
+  const folder = buildFolder(folderName, parent, user);
+  await ensureNameFree(folder.owner, folder.parent, folderName);
+  await saveFolder(folder);
+
+  logger.info('Folder created', { folderId: folder._id, path: folder.path, userId: user._id });
+  return folder;
+};
+
+// Give a folder a new parent and/or name, then rewrite the paths and ancestors below it
+const relocate = async (folder, parent, name) => {
+  const descendants = await Folder.find({ ancestors: folder._id });
+  assertNotInside(folder, parent, 'A folder cannot be moved into itself');
+  assertDepth(parent, subtreeHeight(folder, descendants));
+
+  const parentId = parent ? parent._id : null;
+  await ensureNameFree(folder.owner, parentId, name, folder._id);
+
+  const oldPath = folder.path;
+  const moved = !sameId(folder.parent, parentId);
+  folder.name = name;
+  folder.parent = parentId;
+  folder.ancestors = parent ? [...parent.ancestors, parent._id] : [];
+  folder.path = childPath(parent, name);
+  await saveFolder(folder);
+
+  if (descendants.length > 0) {
+    await Folder.bulkWrite(descendants.map(descendant => {
+      const below = descendant.ancestors.slice(descendant.ancestors.findIndex(id => sameId(id, folder._id)));
+      return {
+        updateOne: {
+          filter: { _id: descendant._id },
+          update: {
+            $set: {
+              ancestors: [...folder.ancestors, ...below],
+              path: folder.path + descendant.path.slice(oldPath.length)
+            }
+          }
+        }
+      };
+    }));
+  }
+
+  if (moved) await refreshShares(folder);
+  return folder;
+};
+
+const renameFolder = async (folder, name) => {
+  const parent = folder.parent ? await Folder.findById(folder.parent) : null;
+  return relocate(folder, parent, validateName(name));
+};
+
+/**
+ * Move a folder with everything in it
+ * @param {Object} folder - Folder the user can edit
+ * @param {Object|null} parent - Destination the user can edit, or null for the owner's root
+ */
+const moveFolder = async (folder, parent) => {
+  if (parent && !sameId(parent.owner, folder.owner)) {
+    throw folderError(400, 'INVALID_DESTINATION', 'Folders can only be moved within their owner\'s workspace');
+  }
+  return relocate(folder, parent, folder.name);
+};
+
+/**
+ * Copy a stored file into a folder. The copy belongs to the user making it, has its own
+ * stored object and takes the destination's shares, not the original's.
+ * @param {Object} file - File document the user can view
+ * @param {Object} user - Requesting user
+ * @param {Object|null} folder - Destination folder, null for the root
+ * @param {string} name - Name for the copy; defaults to the original's
+ */
+const copyFile = async (file, user, folder = null, name = file.originalName) => {
+  const storage = getStorage();
+  const fileId = crypto.randomUUID();
+  const key = path.posix.join(path.posix.dirname(file.s3Key), fileId);
+  await storage.copy(file.s3Key, key);
+  let thumbnails = [];
+
+  try {
+    thumbnails = await copyThumbnails(file, fileId, storage);
+    const copy = new File({
+      fileId,
+      originalName: name,
+      fileName: fileId,
+      mimeType: file.mimeType,
+      size: file.size,
+      uploadedBy: user._id,
+      s3Key: key,
+      s3Bucket: file.s3Bucket,
+      status: 'completed',
+      metadata: file.metadata,
+      thumbnails,
+      virus: file.virus,
+      cdr: file.cdr,
+      tags: file.tags,
+      folder: folder ? folder._id : null
+    });
+    applyInheritedShares(copy, folder, user._id);
+    return await copy.save();
+  } catch (error) {
+    await Promise.all([key, ...thumbnails.map(thumbnail => thumbnail.s3Key)].map(storedKey => storage.delete(storedKey).catch(() => {})));
+    throw error;
+  }
+};
+
+/**
+ * Move a stored file into a folder. The file takes the destination's shares, so moving
+ * it into another user's workspace needs admin access to it, not just edit access.
+ * @param {Object} file - File the user can edit
+ * @param {Object|null} folder - Destination the user can edit, or null for the owner's root
+ * @param {Object} user - Requesting user
+ */
+const moveFile = async (file, folder, user) => {
+  if (folder && !sameId(folder.owner, file.uploadedBy) && !file.canAccess(user._id, 'admin')) {
+    throw folderError(403, 'ACCESS_DENIED', 'Moving a file into another user\'s folder requires admin access to the file');
+  }
+  file.folder = folder ? folder._id : null;
+  applyInheritedShares(file, folder, file.uploadedBy);
+  return file.save();
+};
+
+/**
+ * Copy a folder with its subfolders and files. A failed copy is rolled back.
+ * @param {Object} source - Folder the user can view
+ * @param {Object} user - Requesting user
+ * @param {Object|null} parent - Destination the user can edit, or null for the user's root
+ * @param {string} name - Name for the copy; defaults to the source's
+ * @returns {Promise<Object>} { folder, folders, files } with the new root and item counts
+ */
+const copyFolder = async (source, user, parent = null, name = source.name) => {
+  const folderName = validateName(name);
+  const descendants = (await Folder.find({ ancestors: source._id }))
+    .sort((a, b) => a.ancestors.length - b.ancestors.length);
+  const files = await File.find({
+    folder: { $in: [source._id, ...descendants.map(folder => folder._id)] },
+    isDeleted: false
+  });
+
+  if (descendants.length + files.length + 1 > MAX_COPY_ITEMS) {
+    throw folderError(413, 'COPY_TOO_LARGE', `Folder copies are limited to ${MAX_COPY_ITEMS} items`);
+  }
+  assertNotInside(source, parent, 'A folder cannot be copied into itself');
+  assertDepth(parent, subtreeHeight(source, descendants));
+
+  const root = buildFolder(folderName, parent, user);
+  await ensureNameFree(root.owner, root.parent, folderName);
+
+  const createdFolders = [];
+  const createdFiles = [];
+  try {
+    createdFolders.push(await saveFolder(root));
+
+    const copies = new Map([[String(source._id), root]]);
+    for (const folder of descendants) {
+      const copy = await saveFolder(buildFolder(folder.name, copies.get(String(folder.parent)), user));
+      createdFolders.push(copy);
+      copies.set(String(folder._id), copy);
+    }
+
+    for (const file of files) {
+      createdFiles.push(await copyFile(file, user, copies.get(String(file.folder))));
+    }
+  } catch (error) {
+    logger.error('Folder copy failed, rolling back', { folderId: source._id, error: error.message });
+    const storage = getStorage();
+    const storedKeys = createdFiles.flatMap(file => [file.s3Key, ...file.thumbnails.map(thumbnail => thumbnail.s3Key)]);
+    await Promise.all(storedKeys.map(key => storage.delete(key).catch(() => {})));
+    await File.deleteMany({ _id: { $in: createdFiles.map(file => file._id) } });
+    await Folder.deleteMany({ _id: { $in: createdFolders.map(folder => folder._id) } });
+    throw error;
+  }
+
+  logger.info('Folder copied', {
+    folderId: source._id,
+    copyId: root._id,
+    folders: createdFolders.length,
+    files: createdFiles.length,
+    userId: user._id
+  });
+  return { folder: root, folders: createdFolders.length, files: createdFiles.length };
+};
+
+/**
+ * Delete a folder. Its files go to the trash (restored files return to the root when their
+ * folder is gone); subfolders are removed.
+ * @param {Object} folder - Folder document
+ * @param {Object} options - { recursive } must be set for folders that are not empty
+ * @returns {Promise<Object>} { folders, files } counts of removed folders and trashed files
+ */
+const deleteFolder = async (folder, { recursive = false } = {}) => {
+  const descendants = await Folder.find({ ancestors: folder._id }).select('_id');
+  const ids = [folder._id, ...descendants.map(descendant => descendant._id)];
+
+  if (!recursive && (descendants.length > 0 || await File.exists({ folder: folder._id, isDeleted: false }))) {
+    throw folderError(409, 'FOLDER_NOT_EMPTY', 'Folder is not empty');
+  }
+
+  const result = await File.updateMany(
+    { folder: { $in: ids }, isDeleted: false },
+    { $set: { isDeleted: true, deletedAt: new Date() } }
+  );
+  await Folder.deleteMany({ _id: { $in: ids } });
+
+  logger.info('Folder deleted', { folderId: folder._id, path: folder.path, folders: ids.length, files: result.modifiedCount });
+  return { folders: ids.length, files: result.modifiedCount };
+};
+
+/**
+ * Share a folder with a user; the share cascades to every folder and file inside it
+ * @param {Object} folder - Folder document
+ * @param {*} userId - User to share with
+ * @param {string} permission - view, edit or admin
+ */
+const shareFolder = async (folder, userId, permission = 'view') => {
+  if (sameId(folder.owner, userId)) {
+    throw folderError(400, 'INVALID_SHARE', 'The owner already has full access');
+  }
+
+  const existing = folder.permissions.sharedWith.find(share => sameId(share.userId, userId));
+  if (existing) {
+    existing.permission = permission;
+    existing.sharedAt = new Date();
+    existing.inheritedFrom = undefined;
+  } else {
+    folder.permissions.sharedWith.push({ userId, permission, sharedAt: new Date() });
+  }
+
+  await folder.save();
+  await refreshShares(folder);
+  return folder;
+};
+
+const unshareFolder = async (folder, userId) => {
+  const existing = folder.permissions.sharedWith.find(share => sameId(share.userId, userId));
+  if (!existing) {
+    throw folderError(404, 'SHARE_NOT_FOUND', 'Folder is not shared with this user');
+  }
+  if (existing.inheritedFrom) {
+    throw folderError(409, 'SHARE_INHERITED', 'This share comes from a parent folder; remove it there');
+  }
+
+  folder.permissions.sharedWith.pull(existing._id);
+  await folder.save();
+  await refreshShares(folder);
+  return folder;
+};
+
+// API representation of a Folder document; sharing details are for the owner only
+const serializeFolder = (folder, user) => {
+  const owner = sameId(folder.owner, user._id);
+  return {
+    id: folder._id,
+    name: folder.name,
+    path: folder.path,
+    parent: folder.parent,
+    depth: folder.ancestors.length,
+    owner: folder.owner,
+    isOwner: owner,
+    ...(owner && {
+      sharedWith: folder.permissions.sharedWith.map(share => ({
+        userId: share.userId,
+        permission: share.permission,
+        sharedAt: share.sharedAt,
+        inherited: !!share.inheritedFrom
+      }))
+    }),
+    createdAt: folder.createdAt,
+    updatedAt: folder.updatedAt
+  };
+};
+
+module.exports = {
+  loadFolder,
+  getBreadcrumbs,
+  createFolder,
+  renameFolder,
+  moveFolder,
+  copyFolder,
+  deleteFolder,
+  shareFolder,
+  unshareFolder,
+  moveFile,
+  copyFile,
+  applyInheritedShares,
+  refreshShares,
+  serializeFolder,
+  MAX_FOLDER_DEPTH
+};
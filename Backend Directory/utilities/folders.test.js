@@ -0,0 +1,237 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+
+const storageDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'folders-test-'));
+process.env.STORAGE_DRIVER = 'local';
+process.env.STORAGE_LOCAL_DIR = storageDirectory;
+process.env.MAX_FOLDER_DEPTH = '4';
+
+const Folder = require('../models/Folder');
+const File = require('../models/File');
+const { getStorage } = require('./storage');
+const {
+  createFolder,
+  moveFolder,
+  copyFolder,
+  shareFolder,
+  unshareFolder,
+  moveFile
+} = require('./folders');
+
+// Folders and files by id, standing in for MongoDB
+const folders = new Map();
+const files = new Map();
+
+const includesId = (ids, id) => ids.some(candidate => String(candidate) === String(id));
+const removeIds = (store) => async ({ _id }) => {
+  _id.$in.forEach(id => store.delete(String(id)));
+};
+
+const user = (name) => ({ _id: new mongoose.Types.ObjectId(), name });
+const alice = user('alice');
+const bob = user('bob');
+const carol = user('carol');
+
+const createFile = async (name, folder, owner = alice) => {
+  const fileId = new mongoose.Types.ObjectId().toString();
+  const file = new File({
+    fileId,
+    originalName: name,
+    fileName: fileId,
+    mimeType: 'text/plain',
+    size: 5,
+    uploadedBy: owner._id,
+    s3Key: `files/${fileId}`,
+    s3Bucket: 'local',
+    status: 'completed',
+    folder: folder ? folder._id : null
+  });
+  await getStorage().put(file.s3Key, 'hello', { contentType: 'text/plain' });
+  return file.save();
+};
+
+// A user's share on a document, as { permission, inherited }
+const shareOf = (doc, member) => {
+  const share = doc.permissions.sharedWith.find(entry => String(entry.userId) === String(member._id));
+  return share ? { permission: share.permission, inherited: !!share.inheritedFrom } : null;
+};
+
+const storedKeys = async () => (await getStorage().list('files/')).items.map(item => item.key).sort();
+
+beforeAll(() => {
+  jest.spyOn(Folder.prototype, 'save').mockImplementation(async function() {
+    folders.set(String(this._id), this);
+    return this;
+  });
+  jest.spyOn(File.prototype, 'save').mockImplementation(async function() {
+    files.set(String(this._id), this);
+    return this;
+  });
+  jest.spyOn(Folder, 'findById').mockImplementation(async (id) => folders.get(String(id)) || null);
+  jest.spyOn(Folder, 'find').mockImplementation(async ({ ancestors }) =>
+    [...folders.values()].filter(folder => includesId(folder.ancestors, ancestors))
+  );
+  jest.spyOn(Folder, 'findByName').mockImplementation(async (ownerId, parentId, name) =>
+    [...folders.values()].find(folder =>
+      String(folder.owner) === String(ownerId) &&
+      String(folder.parent) === String(parentId) &&
+      folder.name.toLowerCase() === name.toLowerCase()
+    ) || null
+  );
+  jest.spyOn(Folder, 'bulkWrite').mockImplementation(async (operations) => {
+    for (const { updateOne: { filter, update } } of operations) {
+      Object.assign(folders.get(String(filter._id)), update.$set);
+    }
+  });
+  jest.spyOn(Folder, 'deleteMany').mockImplementation(removeIds(folders));
+  jest.spyOn(File, 'find').mockImplementation(async ({ folder, isDeleted }) =>
+    [...files.values()].filter(file =>
+      includesId(folder.$in, file.folder) && (isDeleted === undefined || file.isDeleted === isDeleted)
+    )
+  );
+  jest.spyOn(File, 'deleteMany').mockImplementation(removeIds(files));
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+  fs.rmSync(storageDirectory, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  folders.clear();
+  files.clear();
+  fs.rmSync(storageDirectory, { recursive: true, force: true });
+});
+
+describe('share cascading', () => {
+  let projects, reports, drafts, plan, notes;
+
+  beforeEach(async () => {
+    projects = await createFolder(alice, 'Projects');
+    reports = await createFolder(alice, 'Reports', projects);
+    drafts = await createFolder(alice, 'Drafts', reports);
+    plan = await createFile('plan.txt', reports);
+    notes = await createFile('notes.txt', drafts, carol);
+  });
+
+  test('a share reaches every folder and file below, trashed files included', async () => {
+    plan.isDeleted = true;
+    await shareFolder(projects, bob._id, 'edit');
+
+    for (const doc of [reports, drafts, plan, notes]) {
+      expect(shareOf(doc, bob)).toEqual({ permission: 'edit', inherited: true });
+    }
+    expect(shareOf(projects, bob)).toEqual({ permission: 'edit', inherited: false });
+    // Files others add to a shared folder stay under the folder owner's control
+    expect(shareOf(notes, alice)).toEqual({ permission: 'admin', inherited: true });
+    expect(shareOf(plan, alice)).toBeNull();
+  });
+
+  test('unsharing a parent removes the inherited share below it but keeps direct shares', async () => {
+    await shareFolder(projects, bob._id, 'view');
+    await shareFolder(drafts, bob._id, 'admin');
+    await plan.shareWith(carol._id, 'view');
+    await shareFolder(projects, carol._id, 'edit');
+    expect(shareOf(plan, carol)).toEqual({ permission: 'view', inherited: false });
+
+    await expect(unshareFolder(reports, bob._id)).rejects.toMatchObject({ status: 409, code: 'SHARE_INHERITED' });
+
+    await unshareFolder(projects, bob._id);
+    expect(shareOf(projects, bob)).toBeNull();
+    expect(shareOf(reports, bob)).toBeNull();
+    expect(shareOf(plan, bob)).toBeNull();
+    expect(shareOf(drafts, bob)).toEqual({ permission: 'admin', inherited: false });
+    expect(shareOf(notes, bob)).toEqual({ permission: 'admin', inherited: true });
+
+    await unshareFolder(projects, carol._id);
+    expect(shareOf(reports, carol)).toBeNull();
+    expect(shareOf(plan, carol)).toEqual({ permission: 'view', inherited: false });
+  });
+
+  test('moved folders and files take the shares of where they land', async () => {
+    const archive = await createFolder(alice, 'Archive');
+    await shareFolder(projects, bob._id, 'edit');
+    await shareFolder(archive, carol._id, 'view');
+
+    await moveFolder(reports, archive);
+    expect(drafts.path).toBe('/Archive/Reports/Drafts');
+    for (const doc of [reports, drafts, plan]) {
+      expect(shareOf(doc, bob)).toBeNull();
+      expect(shareOf(doc, carol)).toEqual({ permission: 'view', inherited: true });
+    }
+    // Carol uploaded notes, so she needs no share on it
+    expect(shareOf(notes, bob)).toBeNull();
+    expect(shareOf(notes, carol)).toBeNull();
+
+    await moveFile(plan, projects, alice);
+    expect(shareOf(plan, bob)).toEqual({ permission: 'edit', inherited: true });
+    expect(shareOf(plan, carol)).toBeNull();
+  });
+});
+
+describe('moving and nesting', () => {
+  test('a folder cannot be moved or copied into itself or a folder below it', async () => {
+    const top = await createFolder(alice, 'Top');
+    const middle = await createFolder(alice, 'Middle', top);
+    const bottom = await createFolder(alice, 'Bottom', middle);
+
+    for (const destination of [top, middle, bottom]) {
+      await expect(moveFolder(top, destination)).rejects.toMatchObject({ status: 400, code: 'INVALID_DESTINATION' });
+    }
+    await expect(copyFolder(top, alice, bottom)).rejects.toMatchObject({ code: 'INVALID_DESTINATION' });
+    expect(bottom.path).toBe('/Top/Middle/Bottom');
+    expect(folders.size).toBe(3);
+  });
+
+  test('folders cannot be nested past MAX_FOLDER_DEPTH, counting what they contain', async () => {
+    const first = await createFolder(alice, 'One');
+    const second = await createFolder(alice, 'Two', first);
+    const third = await createFolder(alice, 'Three', second);
+    const fourth = await createFolder(alice, 'Four', third);
+    await expect(createFolder(alice, 'Five', fourth)).rejects.toMatchObject({ status: 400, code: 'FOLDER_TOO_DEEP' });
+
+    // Two levels deep on its own, so it fits under the second level but not the third
+    const branch = await createFolder(alice, 'Branch');
+    await createFolder(alice, 'Leaf', branch);
+    await expect(moveFolder(branch, third)).rejects.toMatchObject({ code: 'FOLDER_TOO_DEEP' });
+    await expect(copyFolder(branch, alice, third)).rejects.toMatchObject({ code: 'FOLDER_TOO_DEEP' });
+
+    await moveFolder(branch, second);
+    expect(branch.path).toBe('/One/Two/Branch');
+  });
+});
+
+describe('copying folders', () => {
+  let source;
+
+  beforeEach(async () => {
+    source = await createFolder(alice, 'Source');
+    const inner = await createFolder(alice, 'Inner', source);
+    await createFile('a.txt', source);
+    await createFile('b.txt', inner);
+  });
+
+  test('copies folders, files and stored objects', async () => {
+    const result = await copyFolder(source, alice, null, 'Copy');
+
+    expect(result).toMatchObject({ folders: 2, files: 2 });
+    expect([...folders.values()].map(folder => folder.path).sort()).toEqual(['/Copy', '/Copy/Inner', '/Source', '/Source/Inner']);
+    expect(await storedKeys()).toHaveLength(4);
+  });
+
+  test('a failed copy removes every folder, file and stored object it made', async () => {
+    const before = { folders: [...folders.keys()], files: [...files.keys()], keys: await storedKeys() };
+    const save = File.prototype.save.getMockImplementation();
+    File.prototype.save
+      .mockImplementationOnce(save)
+      .mockImplementationOnce(async () => { throw new Error('disk full'); });
+
+    await expect(copyFolder(source, alice, null, 'Copy')).rejects.toThrow('disk full');
+
+    expect([...folders.keys()]).toEqual(before.folders);
+    expect([...files.keys()]).toEqual(before.files);
+    expect(await storedKeys()).toEqual(before.keys);
+  });
+});
@@ -0,0 +1,348 @@
+const path = require('path');
+const zlib = require('zlib');
+
+/**
+ * Every file format the service knows, in one table: upload validation, content disarm,
+ * the file loader's Content-Type and the conversion router all read it.
+ *
+ * format      Canonical name, as used by conversions
+ * extensions  File name extensions, without the dot
+ * mimeTypes   The first is the canonical type; the others are accepted aliases
+ * category    document, spreadsheet, presentation, image, audio, video, archive, text or code
+ * container   Family the bytes belong to (zip, ole, isobmff, riff, ebml, asf), for files whose
+ *             exact format cannot be told from the first bytes
+ * signatures  Magic bytes: each maps offsets to the bytes expected there; any one may match
+ * text        Plain text without magic bytes
+ * upload      Accepted by the upload routes
+ * convert     'input', 'output' or 'both': listed by the conversion router
+ * disarm      Content disarm handler: ooxml, pdf or svg
+ * active      Browsers run scripts in it when it is opened; served as a sandboxed attachment
+ */
+const FORMATS = [
+  // Documents
+  { format: 'pdf', extensions: ['pdf'], mimeTypes: ['application/pdf'], category: 'document', signatures: [{ 0: '%PDF-' }], upload: true, convert: 'both', disarm: 'pdf' },
+  { format: 'doc', extensions: ['doc'], mimeTypes: ['application/msword'], category: 'document', container: 'ole', upload: true, convert: 'both' },
+  { format: 'docx', extensions: ['docx'], mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'], category: 'document', container: 'zip', upload: true, convert: 'both', disarm: 'ooxml' },
+  { format: 'odt', extensions: ['odt'], mimeTypes: ['application/vnd.oasis.opendocument.text'], category: 'document', container: 'zip', upload: true, convert: 'both' },
+  { format: 'rtf', extensions: ['rtf'], mimeTypes: ['application/rtf', 'text/rtf'], category: 'document', signatures: [{ 0: '{\\rtf' }], upload: true, convert: 'both' },
+  { format: 'txt', extensions: ['txt'], mimeTypes: ['text/plain'], category: 'document', text: true, upload: true, convert: 'both' },
+  { format: 'html', extensions: ['html', 'htm'], mimeTypes: ['text/html'], category: 'document', text: true, convert: 'both', active: true },
+  { format: 'xhtml', extensions: ['xhtml', 'xht'], mimeTypes: ['application/xhtml+xml'], category: 'document', text: true, active: true },
+  { format: 'epub', extensions: ['epub'], mimeTypes: ['application/epub+zip'], category: 'document', container: 'zip', convert: 'both' },
+  { format: 'mobi', extensions: ['mobi'], mimeTypes: ['application/x-mobipocket-ebook'], category: 'document', signatures: [{ 60: 'BOOKMOBI' }], convert: 'input' },
+  { format: 'md', extensions: ['md', 'markdown'], mimeTypes: ['text/markdown'], category: 'document', text: true },
+
+  // Spreadsheets
+  { format: 'xls', extensions: ['xls'], mimeTypes: ['application/vnd.ms-excel'], category: 'spreadsheet', container: 'ole', upload: true, convert: 'both' },
+  { format: 'xlsx', extensions: ['xlsx'], mimeTypes: ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'], category: 'spreadsheet', container: 'zip', upload: true, convert: 'both', disarm: 'ooxml' },
+  { format: 'ods', extensions: ['ods'], mimeTypes: ['application/vnd.oasis.opendocument.spreadsheet'], category: 'spreadsheet', container: 'zip', upload: true, convert: 'both' },
+  { format: 'csv', extensions: ['csv'], mimeTypes: ['text/csv'], category: 'spreadsheet', text: true, upload: true, convert: 'both' },
+  { format: 'tsv', extensions: ['tsv'], mimeTypes: ['text/tab-separated-values'], category: 'spreadsheet', text: true, convert: 'input' },
+
+  // Presentations
+  { format: 'ppt', extensions: ['ppt'], mimeTypes: ['application/vnd.ms-powerpoint'], category: 'presentation', container: 'ole', upload: true, convert: 'both' },
+  { format: 'pptx', extensions: ['pptx'], mimeTypes: ['application/vnd.openxmlformats-officedocument.presentationml.presentation'], category: 'presentation', container: 'zip', upload: true, convert: 'both', disarm: 'ooxml' },
+  { format: 'odp', extensions: ['odp'], mimeTypes: ['application/vnd.oasis.opendocument.presentation'], category: 'presentation', container: 'zip', upload: true, convert: 'both' },
+
+  // Images
+  { format: 'jpg', extensions: ['jpg', 'jpeg'], mimeTypes: ['image/jpeg', 'image/pjpeg'], category: 'image', signatures: [{ 0: [0xFF, 0xD8, 0xFF] }], upload: true, convert: 'both' },
+  { format: 'png', extensions: ['png'], mimeTypes: ['image/png'], category: 'image', signatures: [{ 0: [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A] }], upload: true, convert: 'both' },
+  { format: 'gif', extensions: ['gif'], mimeTypes: ['image/gif'], category: 'image', signatures: [{ 0: 'GIF87a' }, { 0: 'GIF89a' }], upload: true, convert: 'both' },
+  { format: 'bmp', extensions: ['bmp'], mimeTypes: ['image/bmp', 'image/x-ms-bmp'], category: 'image', signatures: [{ 0: 'BM', 6: [0, 0, 0, 0] }], upload: true, convert: 'both' },
+  { format: 'svg', extensions: ['svg'], mimeTypes: ['image/svg+xml'], category: 'image', text: true, upload: true, convert: 'input', disarm: 'svg', active: true },
+  { format: 'webp', extensions: ['webp'], mimeTypes: ['image/webp'], category: 'image', container: 'riff', upload: true, convert: 'both' },
+  { format: 'tiff', extensions: ['tiff', 'tif'], mimeTypes: ['image/tiff'], category: 'image', signatures: [{ 0: [0x49, 0x49, 0x2A, 0x00] }, { 0: [0x4D, 0x4D, 0x00, 0x2A] }], upload: true, convert: 'both' },
+  { format: 'heic', extensions: ['heic', 'heif'], mimeTypes: ['image/heic', 'image/heif'], category: 'image', container: 'isobmff', upload: true },
+  { format: 'avif', extensions: ['avif'], mimeTypes: ['image/avif'], category: 'image', container: 'isobmff' },
+  { format: 'ico', extensions: ['ico'], mimeTypes: ['image/x-icon', 'image/vnd.microsoft.icon'], category: 'image', signatures: [{ 0: [0x00, 0x00, 0x01, 0x00] }], convert: 'input' },
+
+  // Audio
+  { format: 'mp3', extensions: ['mp3'], mimeTypes: ['audio/mpeg', 'audio/mp3'], category: 'audio', signatures: [{ 0: 'ID3' }, { 0: [0xFF, 0xFB] }, { 0: [0xFF, 0xFA] }, { 0: [0xFF, 0xF3] }, { 0: [0xFF, 0xF2] }], upload: true, convert: 'both' },
+  { format: 'wav', extensions: ['wav'], mimeTypes: ['audio/wav', 'audio/x-wav', 'audio/wave'], category: 'audio', container: 'riff', upload: true, convert: 'both' },
+  { format: 'flac', extensions: ['flac'], mimeTypes: ['audio/flac', 'audio/x-flac'], category: 'audio', signatures: [{ 0: 'fLaC' }], upload: true, convert: 'both' },
+  // Raw AAC in ADTS frames; AAC in an MP4 container is m4a
+  { format: 'aac', extensions: ['aac'], mimeTypes: ['audio/aac', 'audio/x-aac'], category: 'audio', signatures: [{ 0: [0xFF, 0xF1] }, { 0: [0xFF, 0xF9] }, { 0: 'ADIF' }], upload: true, convert: 'both' },
+  { format: 'ogg', extensions: ['ogg', 'oga', 'opus'], mimeTypes: ['audio/ogg', 'audio/opus', 'application/ogg'], category: 'audio', signatures: [{ 0: 'OggS' }], upload: true, convert: 'both' },
+  { format: 'm4a', extensions: ['m4a'], mimeTypes: ['audio/mp4', 'audio/x-m4a'], category: 'audio', container: 'isobmff', convert: 'both' },
+  { format: 'wma', extensions: ['wma'], mimeTypes: ['audio/x-ms-wma'], category: 'audio', container: 'asf', convert: 'input' },
+
+  // Video
+  { format: 'mp4', extensions: ['mp4', 'm4v'], mimeTypes: ['video/mp4', 'video/x-m4v'], category: 'video', container: 'isobmff', upload: true, convert: 'both' },
+  { format: 'avi', extensions: ['avi'], mimeTypes: ['video/x-msvideo', 'video/avi', 'video/msvideo'], category: 'video', container: 'riff', upload: true, convert: 'both' },
+  { format: 'mov', extensions: ['mov', 'qt'], mimeTypes: ['video/quicktime'], category: 'video', container: 'isobmff', upload: true, convert: 'both' },
+  { format: 'wmv', extensions: ['wmv'], mimeTypes: ['video/x-ms-wmv'], category: 'video', container: 'asf', upload: true, convert: 'both' },
+  { format: 'flv', extensions: ['flv'], mimeTypes: ['video/x-flv'], category: 'video', signatures: [{ 0: 'FLV' }], upload: true, convert: 'input' },
+  { format: 'webm', extensions: ['webm'], mimeTypes: ['video/webm', 'audio/webm'], category: 'video', container: 'ebml', upload: true, convert: 'both' },
+  { format: 'mkv', extensions: ['mkv', 'mka'], mimeTypes: ['video/x-matroska', 'audio/x-matroska'], category: 'video', container: 'ebml', upload: true, convert: 'input' },
+
+  // Archives
+  { format: 'zip', extensions: ['zip'], mimeTypes: ['application/zip', 'application/x-zip-compressed'], category: 'archive', container: 'zip', convert: 'both' },
+  { format: 'rar', extensions: ['rar'], mimeTypes: ['application/vnd.rar', 'application/x-rar-compressed'], category: 'archive', signatures: [{ 0: 'Rar!\x1A\x07' }], convert: 'input' },
+  { format: '7z', extensions: ['7z'], mimeTypes: ['application/x-7z-compressed'], category: 'archive', signatures: [{ 0: [0x37, 0x7A, 0xBC, 0xAF, 0x27, 0x1C] }], convert: 'both' },
+  { format: 'tar', extensions: ['tar'], mimeTypes: ['application/x-tar'], category: 'archive', signatures: [{ 257: 'ustar' }], convert: 'both' },
+  { format: 'gz', extensions: ['gz', 'tgz'], mimeTypes: ['application/gzip', 'application/x-gzip'], category: 'archive', signatures: [{ 0: [0x1F, 0x8B, 0x08] }], convert: 'input' },
+
+  // Text and source code, served by the file loader
+  { format: 'json', extensions: ['json'], mimeTypes: ['application/json'], category: 'text', text: true },
+  { format: 'xml', extensions: ['xml', 'xsl', 'xslt'], mimeTypes: ['application/xml', 'text/xml'], category: 'text', text: true, active: true },
+  { format: 'yaml', extensions: ['yml', 'yaml'], mimeTypes: ['text/yaml'], category: 'text', text: true },
+  { format: 'toml', extensions: ['toml'], mimeTypes: ['text/x-toml'], category: 'text', text: true },
+  { format: 'conf', extensions: ['ini', 'cfg', 'conf', 'env', 'gitignore', 'qfl'], mimeTypes: ['text/plain'], category: 'text', text: true },
+  { format: 'css', extensions: ['css'], mimeTypes: ['text/css'], category: 'code', text: true },
+  { format: 'js', extensions: ['js'], mimeTypes: ['text/javascript'], category: 'code', text: true },
+  { format: 'ts', extensions: ['ts'], mimeTypes: ['text/typescript'], category: 'code', text: true },
+  { format: 'py', extensions: ['py'], mimeTypes: ['text/x-python'], category: 'code', text: true },
+  { format: 'java', extensions: ['java'], mimeTypes: ['text/x-java-source'], category: 'code', text: true },
+  { format: 'cpp', extensions: ['cpp'], mimeTypes: ['text/x-c++src'], category: 'code', text: true },
+  { format: 'c', extensions: ['c'], mimeTypes: ['text/x-csrc'], category: 'code', text: true },
+  { format: 'h', extensions: ['h'], mimeTypes: ['text/x-chdr'], category: 'code', text: true },
+  { format: 'rs', extensions: ['rs'], mimeTypes: ['text/x-rustsrc'], category: 'code', text: true },
+  { format: 'go', extensions: ['go'], mimeTypes: ['text/x-go'], category: 'code', text: true },
+  { format: 'php', extensions: ['php'], mimeTypes: ['text/x-php'], category: 'code', text: true },
+  { format: 'rb', extensions: ['rb'], mimeTypes: ['text/x-ruby'], category: 'code', text: true },
+  { format: 'swift', extensions: ['swift'], mimeTypes: ['text/x-swift'], category: 'code', text: true },
+  { format: 'kt', extensions: ['kt'], mimeTypes: ['text/x-kotlin'], category: 'code', text: true },
+  { format: 'scala', extensions: ['scala'], mimeTypes: ['text/x-scala'], category: 'code', text: true },
+  { format: 'sh', extensions: ['sh'], mimeTypes: ['text/x-shellscript'], category: 'code', text: true },
+  { format: 'ps1', extensions: ['ps1'], mimeTypes: ['text/x-powershell'], category: 'code', text: true },
+  { format: 'bat', extensions: ['bat'], mimeTypes: ['text/x-msdos-batch'], category: 'code', text: true }
+];
+
+const byFormat = new Map(FORMATS.map(entry => [entry.format, entry]));
+const byExtension = new Map();
+const byMimeType = new Map();
+for (const entry of FORMATS) {
+  for (const extension of entry.extensions) byExtension.set(extension, entry);
+  // The first format listing a MIME type owns it (text/plain is txt, not conf)
+  for (const mimeType of entry.mimeTypes) {
+    if (!byMimeType.has(mimeType)) byMimeType.set(mimeType, entry);
+  }
+}
+
+// "report.PDF", ".pdf" and "pdf" all give "pdf"
+const extensionOf = (name) => {
+  const value = String(name || '').split(/[?#]/)[0].toLowerCase();
+  const extension = path.extname(value).slice(1);
+  if (extension) return extension;
+  // Dot files such as .gitignore, and bare extensions
+  return value.replace(/^.*[/\\]/, '').replace(/^\./, '');
+};
+
+const getFormat = (format) => byFormat.get(String(format || '').toLowerCase()) || null;
+const formatForExtension = (name) => byExtension.get(extensionOf(name)) || null;
+const formatForMimeType = (mimeType) => byMimeType.get(String(mimeType || '').split(';')[0].trim().toLowerCase()) || null;
+
+// Content-Type for a file name or extension
+const mimeTypeForExtension = (name, fallback = 'application/octet-stream') => {
+  const entry = formatForExtension(name);
+  return entry ? entry.mimeTypes[0] : fallback;
+};
+
+// Whether content of this MIME type can run scripts when a browser opens it
+const isActiveContent = (mimeType) => {
+  const type = String(mimeType || '').split(';')[0].trim().toLowerCase();
+  return !!formatForMimeType(type)?.active || type.endsWith('+xml');
+};
+
+/**
+ * The upload format for a file name and declared MIME type, or null when the
+ * extension is not accepted or the MIME type does not belong to it
+ */
+const uploadFormat = (filename, mimeType) => {
+  const entry = formatForExtension(filename);
+  if (!entry || !entry.upload) return null;
+  return entry.mimeTypes.includes(String(mimeType || '').toLowerCase()) ? entry : null;
+};
+
+// Formats the conversion router lists for a category, as 'input' or 'output'
+const conversionFormats = (category, role) => FORMATS
+  .filter(entry => entry.category === category && (entry.convert === role || entry.convert === 'both'))
+  .map(entry => entry.format);
+
+// --- Detection ---------------------------------------------------------------
+
+const toBytes = (value) => (typeof value === 'string' ? Buffer.from(value, 'latin1') : Buffer.from(value));
+
+const matchesSignature = (buffer, signature) => Object.entries(signature).every(([offset, expected]) => {
+  const bytes = toBytes(expected);
+  const start = Number(offset);
+  return buffer.length >= start + bytes.length && buffer.subarray(start, start + bytes.length).equals(bytes);
+});
+
+const SIGNATURE_FORMATS = FORMATS.filter(entry => entry.signatures);
+
+const ZIP_LOCAL_HEADER = 0x04034b50;
+const OOXML_MAIN_TYPES = [
+  [/wordprocessingml\.(document|template)\.main|ms-word\.(document|template)\.macroEnabled/i, 'docx'],
+  [/spreadsheetml\.(sheet|template)\.main|ms-excel\.(sheet|template)\.macroEnabled/i, 'xlsx'],
+  [/presentationml\.(presentation|slideshow|template)\.main|ms-powerpoint\.(presentation|slideshow|template)\.macroEnabled/i, 'pptx']
+];
+const OOXML_FOLDERS = { 'word/': 'docx', 'xl/': 'xlsx', 'ppt/': 'pptx' };
+
+// Contents of a ZIP entry, as much of it as the buffer holds; null for other compression methods
+const readZipEntry = (buffer, method, dataStart, compressedSize) => {
+  // Sizes can be deferred to a data descriptor; inflation then stops at the end of the entry
+  const data = buffer.subarray(dataStart, compressedSize > 0 ? dataStart + compressedSize : buffer.length);
+  try {
+    if (method === 0) return data;
+    if (method === 8) return zlib.inflateRawSync(data, { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+  } catch (error) {
+    return null;
+  }
+  return null;
+};
+
+// ODF and EPUB name their type in a "mimetype" entry; OOXML packages in [Content_Types].xml.
+// Only the entries within the buffer are read, so a file head is usually enough.
+const inspectZip = (buffer) => {
+  let offset = 0;
+  while (offset + 30 <= buffer.length && buffer.readUInt32LE(offset) === ZIP_LOCAL_HEADER) {
+    const flags = buffer.readUInt16LE(offset + 6);
+    const method = buffer.readUInt16LE(offset + 8);
+    const compressedSize = buffer.readUInt32LE(offset + 18);
+    const nameLength = buffer.readUInt16LE(offset + 26);
+    const extraLength = buffer.readUInt16LE(offset + 28);
+    const dataStart = offset + 30 + nameLength + extraLength;
+    const name = buffer.toString('utf8', offset + 30, Math.min(offset + 30 + nameLength, buffer.length));
+
+    if (name === 'mimetype' || name === '[Content_Types].xml') {
+      const data = readZipEntry(buffer, method, dataStart, compressedSize);
+      if (data && name === 'mimetype') {
+        const entry = formatForMimeType(data.toString('latin1').trim());
+        if (entry && entry.container === 'zip') return entry.format;
+      }
+      if (data && name === '[Content_Types].xml') {
+        const xml = data.toString('utf8');
+        const match = OOXML_MAIN_TYPES.find(([pattern]) => pattern.test(xml));
+        if (match) return match[1];
+      }
+    }
+    const folder = Object.keys(OOXML_FOLDERS).find(prefix => name.startsWith(prefix));
+    if (folder) return OOXML_FOLDERS[folder];
+
+    // Without sizes in the header the next entry cannot be found
+    if ((flags & 0x08) && compressedSize === 0) break;
+    offset = dataStart + compressedSize;
+  }
+  // Reaching the central directory means every entry was seen
+  return offset + 4 <= buffer.length && buffer.readUInt32LE(offset) === 0x02014b50 ? 'zip' : null;
+};
+
+// Compound File Binary documents hold named streams; the names are in UTF-16 in the directory
+const OLE_STREAMS = [
+  ['WordDocument', 'doc'],
+  ['Workbook', 'xls'],
+  ['Book', 'xls'],
+  ['PowerPoint Document', 'ppt']
+];
+const inspectOle = (buffer) => {
+  const match = OLE_STREAMS.find(([name]) => buffer.includes(Buffer.from(`${name}\0`, 'utf16le')));
+  return match ? match[1] : null;
+};
+
+// ISO base media files name their flavour in the major brand of the ftyp box. Generic brands
+// (isom, mp41, mp42...) are shared by MP4 video, M4A audio and others, so only name the family.
+const ISOBMFF_BRANDS = {
+  'qt  ': 'mov',
+  'M4A ': 'm4a',
+  'M4B ': 'm4a',
+  'M4V ': 'mp4',
+  heic: 'heic',
+  heix: 'heic',
+  hevc: 'heic',
+  heim: 'heic',
+  heis: 'heic',
+  mif1: 'heic',
+  msf1: 'heic',
+  avif: 'avif',
+  avis: 'avif'
+};
+const inspectIsobmff = (buffer) => {
+  if (buffer.toString('latin1', 4, 8) !== 'ftyp') return 'mov';
+  const brand = buffer.toString('latin1', 8, 12);
+  // HEIF files often carry mif1 as their major brand and the codec in the compatible brands
+  if (brand === 'mif1' && buffer.toString('latin1', 16, 40).includes('avif')) return 'avif';
+  return ISOBMFF_BRANDS[brand] || null;
+};
+
+const RIFF_TYPES = { WEBP: 'webp', 'AVI ': 'avi', WAVE: 'wav' };
+
+const CONTAINERS = [
+  { container: 'zip', signatures: [{ 0: 'PK\x03\x04' }, { 0: 'PK\x05\x06' }], inspect: inspectZip },
+  { container: 'ole', signatures: [{ 0: [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1] }], inspect: inspectOle },
+  { container: 'isobmff', signatures: [{ 4: 'ftyp' }, { 4: 'moov' }, { 4: 'mdat' }, { 4: 'wide' }, { 4: 'free' }], inspect: inspectIsobmff },
+  { container: 'riff', signatures: [{ 0: 'RIFF' }], inspect: buffer => RIFF_TYPES[buffer.toString('latin1', 8, 12)] || null },
+  // Matroska and WebM differ by the DocType in the EBML header
+  {
+    container: 'ebml',
+    signatures: [{ 0: [0x1A, 0x45, 0xDF, 0xA3] }],
+    inspect: (buffer) => {
+      const header = buffer.toString('latin1', 0, 64);
+      if (header.includes('webm')) return 'webm';
+      return header.includes('matroska') ? 'mkv' : null;
+    }
+  },
+  { container: 'asf', signatures: [{ 0: [0x30, 0x26, 0xB2, 0x75, 0x8E, 0x66, 0xCF, 0x11] }], inspect: () => null }
+];
+
+/**
+ * Recognise a file from its first bytes (4KB is enough for most formats). Containers are
+ * looked into: a ZIP is told apart as DOCX, XLSX, PPTX, ODF or EPUB, an OLE file as DOC,
+ * XLS or PPT, an MP4 box as MP4, MOV, M4A, HEIC or AVIF.
+ * @param {Buffer} buffer - The file, or its first bytes
+ * @returns {Object|null} { format, container }; format is null when only the family is known.
+ *   Null for plain text and unknown data.
+ */
+const detectFormat = (buffer) => {
+  for (const { container, signatures, inspect } of CONTAINERS) {
+    if (signatures.some(signature => matchesSignature(buffer, signature))) {
+      return { format: inspect(buffer), container };
+    }
+  }
+  const entry = SIGNATURE_FORMATS.find(candidate => candidate.signatures.some(signature => matchesSignature(buffer, signature)));
+  return entry ? { format: entry.format, container: null } : null;
+};
+
+// Any 8-bit encoding is accepted (CSV exports are often Windows-1252), but no NUL bytes
+// unless the file starts with a UTF-16 byte order mark
+const looksLikeText = (buffer) => {
+  if (matchesSignature(buffer, { 0: [0xFF, 0xFE] }) || matchesSignature(buffer, { 0: [0xFE, 0xFF] })) return true;
+  return !buffer.subarray(0, 8192).includes(0);
+};
+
+const TEXT_CHECKS = {
+  svg: (buffer) => /^(\s|<\?xml[^>]*>|<!--[\s\S]*?-->|<!DOCTYPE[^[>]*(\[[\s\S]*?\])?\s*>)*<svg[\s>]/i.test(buffer.subarray(0, 4096).toString('utf8').replace(/^\uFEFF/, ''))
+};
+
+/**
+ * Whether a file's bytes are what its format says they are
+ * @param {Buffer} buffer - The file, or its first bytes
+ * @param {Object|string} format - Registry entry or format name
+ * @returns {boolean}
+ */
+const matchesFormat = (buffer, format) => {
+  const entry = typeof format === 'string' ? getFormat(format) : format;
+  if (!entry) return false;
+
+  if (entry.text) {
+    return looksLikeText(buffer) && (!TEXT_CHECKS[entry.format] || TEXT_CHECKS[entry.format](buffer));
+  }
+
+  const detected = detectFormat(buffer);
+  if (!detected) return false;
+  if (detected.format) return detected.format === entry.format;
+  return !!detected.container && detected.container === entry.container;
+};
+
+module.exports = {
+  FORMATS,
+  getFormat,
+  formatForExtension,
+  formatForMimeType,
+  mimeTypeForExtension,
+  isActiveContent,
+  uploadFormat,
+  conversionFormats,
+  detectFormat,
+  matchesFormat
+};
@@ -0,0 +1,608 @@
+const os = require('os');
+const crypto = require('crypto');
+const winston = require('winston');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/jobs.log' })
+  ]
+});
+
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+class JobCancelledError extends Error {
+  constructor(message = 'Job was cancelled') {
+    super(message);
+    this.name = 'JobCancelledError';
+  }
+}
+
+const generateJobId = (prefix = 'job') => {
+  return `${prefix}_${Date.now()}_${crypto.randomBytes(8).toString('hex')}`;
+};
+
+// Read a (possibly dotted) field from a job record
+const getField = (job, key) => {
+  return key.split('.').reduce((value, part) => (value == null ? undefined : value[part]), job);
+};
+
+// Filters are plain objects: { field: value }, { field: [values] } or { $or: [filters] }
+const matchesFilter = (job, filter = {}) => {
+  return Object.entries(filter).every(([key, expected]) => {
+    if (key === '$or') {
+      return expected.some(subFilter => matchesFilter(job, subFilter));
+    }
+    const actual = getField(job, key);
+    return Array.isArray(expected) ? expected.includes(actual) : actual === expected;
+  });
+};
+
+const toMongoFilter = (filter = {}) => {
+  return Object.fromEntries(Object.entries(filter).map(([key, value]) => {
+    if (key === '$or') return [key, value.map(toMongoFilter)];
+    return [key, Array.isArray(value) ? { $in: value } : value];
+  }));
+};
+
+// A running job whose worker stopped renewing its lease (it crashed or was killed)
+const hasExpiredLease = (job, now) => job.status === 'running' && job.lockedUntil && job.lockedUntil < now;
+
+// A queued job whose run time has come, or an abandoned job with attempts left
+const isClaimable = (job, now) => {
+  return (job.status === 'queued' && job.runAt <= now) ||
+    (hasExpiredLease(job, now) && job.attempts < job.maxAttempts);
+};
+
+// Error of jobs whose every attempt ended with the worker gone
+const LEASE_EXPIRED = 'LEASE_EXPIRED';
+
+/**
+ * In-process job store, used when no database is available.
+ * Jobs do not survive restarts and are not shared between processes.
+ */
+class MemoryJobStore {
+  constructor() {
+    this.name = 'memory';
+    this.jobs = new Map();
+  }
+
+  async create(job) {
+    this.jobs.set(job.jobId, { ...job });
+    return { ...job };
+  }
+
+  async get(jobId) {
+    const job = this.jobs.get(jobId);
+    return job ? { ...job } : null;
+  }
+
+  async update(jobId, changes, condition = {}) {
+    const job = this.jobs.get(jobId);
+    if (!job || !matchesFilter(job, condition)) return null;
+    Object.assign(job, changes, { updatedAt: new Date() });
+    return { ...job };
+  }
+
+  async claim(types, workerId, leaseDuration) {
+    const now = new Date();
+    const job = Array.from(this.jobs.values())
+      .filter(candidate => types.includes(candidate.type) && isClaimable(candidate, now))
+      .sort((a, b) => (b.priority - a.priority) || (a.runAt - b.runAt))[0];
+
+    if (!job) return null;
+
+    Object.assign(job, {
+      status: 'running',
+      lockedBy: workerId,
+      lockedUntil: new Date(now.getTime() + leaseDuration),
+      startedAt: job.startedAt || now,
+      attempts: job.attempts + 1,
+      updatedAt: now
+    });
+    return { ...job };
+  }
+
+  async failAbandoned(types, now, changes) {
+    const abandoned = Array.from(this.jobs.values())
+      .filter(job => types.includes(job.type) && hasExpiredLease(job, now) && job.attempts >= job.maxAttempts);
+
+    abandoned.forEach(job => Object.assign(job, changes, {
+      failures: [...(job.failures || []), { attempt: job.attempts, error: changes.error, failedAt: now }],
+      updatedAt: now
+    }));
+    return abandoned.length;
+  }
+
+  async find(filter = {}, { skip = 0, limit = 20 } = {}) {
+    return Array.from(this.jobs.values())
+      .filter(job => matchesFilter(job, filter))
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .slice(skip, skip + limit)
+      .map(job => ({ ...job }));
+  }
+
+  async count(filter = {}) {
+    return Array.from(this.jobs.values()).filter(job => matchesFilter(job, filter)).length;
+  }
+
+  async findExpired(now, limit = 100) {
+    return Array.from(this.jobs.values())
+      .filter(job => job.expiresAt && job.expiresAt <= now)
+      .slice(0, limit)
+      .map(job => ({ ...job }));
+  }
+
+  async remove(jobId) {
+    return this.jobs.delete(jobId);
+  }
+}
+
+/**
+ * MongoDB job store backed by the Job model.
+ * Claims are atomic, so any number of worker processes can share it.
+ */
+class MongoJobStore {
+  constructor(model = require('../models/Job')) {
+    this.name = 'mongo';
+    this.Job = model;
+  }
+
+  async create(job) {
+    const created = await this.Job.create(job);
+    return created.toObject();
+  }
+
+  async get(jobId) {
+    return this.Job.findOne({ jobId }).lean();
+  }
+
+  async update(jobId, changes, condition = {}) {
+    return this.Job.findOneAndUpdate(
+      { ...toMongoFilter(condition), jobId },
+      { $set: changes },
+      { new: true }
+    ).lean();
+  }
+
+  async claim(types, workerId, leaseDuration) {
+    const now = new Date();
+    return this.Job.findOneAndUpdate(
+      {
+        type: { $in: types },
+        $or: [
+          { status: 'queued', runAt: { $lte: now } },
+          { status: 'running', lockedUntil: { $lt: now }, $expr: { $lt: ['$attempts', '$maxAttempts'] } }
+        ]
+      },
+      {
+        $set: {
+          status: 'running',
+          lockedBy: workerId,
+          lockedUntil: new Date(now.getTime() + leaseDuration)
+        },
+        $min: { startedAt: now },
+        $inc: { attempts: 1 }
+      },
+      { sort: { priority: -1, runAt: 1 }, new: true }
+    ).lean();
+  }
+
+  async failAbandoned(types, now, changes) {
+    const result = await this.Job.updateMany(
+      {
+        type: { $in: types },
+        status: 'running',
+        lockedUntil: { $lt: now },
+        $expr: { $gte: ['$attempts', '$maxAttempts'] }
+      },
+      // A pipeline, so the failure can record the job's own attempt count
+      [{
+        $set: {
+          ...changes,
+          failures: {
+            $concatArrays: [{ $ifNull: ['$failures', []] }, [{ attempt: '$attempts', error: changes.error, failedAt: now }]]
+          }
+        }
+      }]
+    );
+    return result.modifiedCount;
+  }
+
+  async find(filter = {}, { skip = 0, limit = 20 } = {}) {
+    return this.Job.find(toMongoFilter(filter))
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean();
+  }
+
+  async count(filter = {}) {
+    return this.Job.countDocuments(toMongoFilter(filter));
+  }
+
+  async findExpired(now, limit = 100) {
+    return this.Job.find({ expiresAt: { $lte: now } }).limit(limit).lean();
+  }
+
+  async remove(jobId) {
+    const result = await this.Job.deleteOne({ jobId });
+    return result.deletedCount > 0;
+  }
+}
+
+/**
+ * Durable background job queue with leases, retries, cancellation and retention
+ */
+class JobQueue {
+  constructor(store = new MemoryJobStore(), options = {}) {
+    this.store = store;
+    this.workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+    this.pollInterval = options.pollInterval || 1000;
+    this.leaseDuration = options.leaseDuration || 60 * 1000;
+    this.sweepInterval = options.sweepInterval || 60 * 1000;
+    this.retention = options.retention || 24 * 60 * 60 * 1000;
+    this.handlers = new Map(); // type -> { handler, concurrency, running, onExpire }
+    this.active = new Map(); // jobId -> AbortController
+    this.running = false;
+    this.polling = false;
+    this.pollTimer = null;
+    this.sweepTimer = null;
+  }
+
+  /**
+   * Add a job to the queue
+   * @param {string} type - Job type, matched against registered handlers
+   * @param {Object} data - Job payload (must be serializable)
+   * @param {Object} options - { jobId, userId, priority, attempts, backoff, delay }
+   * @returns {Object} The queued job
+   */
+  async add(type, data = {}, options = {}) {
+    const now = new Date();
+    const job = await this.store.create({
+      jobId: options.jobId || generateJobId(type),
+      type,
+      userId: options.userId ? String(options.userId) : 'anonymous',
+      status: 'queued',
+      priority: options.priority || 0,
+      data,
+      progress: 0,
+      attempts: 0,
+      maxAttempts: options.attempts || 3,
+      backoff: { type: 'exponential', delay: 2000, ...options.backoff },
+      runAt: new Date(now.getTime() + (options.delay || 0)),
+      cancelRequested: false,
+      failures: [],
+      createdAt: now,
+      updatedAt: now
+    });
+
+    logger.info('Job queued', { jobId: job.jobId, type, userId: job.userId });
+    setImmediate(() => this.poll());
+    return job;
+  }
+
+  async get(jobId) {
+    return this.store.get(jobId);
+  }
+
+  async list(filter = {}, options = {}) {
+    const [jobs, total] = await Promise.all([
+      this.store.find(filter, options),
+      this.store.count(filter)
+    ]);
+    return { jobs, total };
+  }
+
+  /**
+   * Cancel a job. Queued jobs are cancelled immediately; running jobs are
+   * flagged and stop at their next progress update or heartbeat.
+   * @param {string} jobId - Job identifier
+   * @returns {Object|null} Updated job, or null if it does not exist
+   */
+  async cancel(jobId) {
+    const job = await this.store.get(jobId);
+    if (!job || FINISHED_STATUSES.includes(job.status)) {
+      return job;
+    }
+
+    if (job.status === 'queued') {
+      const now = new Date();
+      const cancelled = await this.store.update(jobId, {
+        status: 'cancelled',
+        cancelRequested: true,
+        completedAt: now,
+        expiresAt: new Date(now.getTime() + this.retention)
+      }, { status: 'queued' });
+
+      if (cancelled) {
+        logger.info('Queued job cancelled', { jobId });
+        return cancelled;
+      }
+    }
+
+    const flagged = await this.store.update(jobId, { cancelRequested: true }, { status: 'running' });
+    const controller = this.active.get(jobId);
+    if (controller) controller.abort();
+
+    logger.info('Cancellation requested for running job', { jobId });
+    return flagged || this.store.get(jobId);
+  }
+
+  /**
+   * Wait for a job to finish, for callers that want a synchronous answer
+   * @param {string} jobId - Job identifier
+   * @param {Object} options - { timeout, interval } in milliseconds
+   * @returns {Object|null} The finished job, or its latest state once the timeout passes
+   */
+  async waitFor(jobId, { timeout = 30 * 1000, interval = 250 } = {}) {
+    const deadline = Date.now() + timeout;
+    let job = await this.store.get(jobId);
+
+    while (job && !FINISHED_STATUSES.includes(job.status) && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, interval));
+      job = await this.store.get(jobId);
+    }
+
+    return job;
+  }
+
+  /**
+   * Register a handler for a job type
+   * @param {string} type - Job type
+   * @param {Function} handler - async (job, context) => result
+   * @param {Object} options - { concurrency, onExpire }
+   */
+  process(type, handler, options = {}) {
+    this.handlers.set(type, {
+      handler,
+      concurrency: options.concurrency || 1,
+      onExpire: options.onExpire,
+      running: 0
+    });
+    return this;
+  }
+
+  start() {
+    if (this.running) return this;
+    this.running = true;
+
+    this.pollTimer = setInterval(() => this.poll(), this.pollInterval);
+    this.sweepTimer = setInterval(() => this.sweep(), this.sweepInterval);
+    this.pollTimer.unref?.();
+    this.sweepTimer.unref?.();
+
+    logger.info('Job queue workers started', {
+      workerId: this.workerId,
+      store: this.store.name,
+      types: Array.from(this.handlers.keys())
+    });
+
+    this.poll();
+    return this;
+  }
+
+  async stop() {
+    this.running = false;
+    clearInterval(this.pollTimer);
+    clearInterval(this.sweepTimer);
+    logger.info('Job queue workers stopped', { workerId: this.workerId, activeJobs: this.active.size });
+  }
+
+  // Claim as many jobs as each handler has free slots for
+  async poll() {
+    if (!this.running || this.polling) return;
+    this.polling = true;
+
+    try {
+      await this.failAbandoned();
+
+      for (const [type, entry] of this.handlers) {
+        while (this.running && entry.running < entry.concurrency) {
+          const job = await this.store.claim([type], this.workerId, this.leaseDuration);
+          if (!job) break;
+
+          entry.running++;
+          this.execute(job, entry).finally(() => {
+            entry.running--;
+            setImmediate(() => this.poll());
+          });
+        }
+      }
+    } catch (error) {
+      logger.error('Job polling error:', error);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Fail jobs whose lease expired on their last attempt. A job that takes its worker down
+   * (out of memory, a crashing native decoder) would otherwise take down every next worker.
+   */
+  async failAbandoned() {
+    const now = new Date();
+    const failed = await this.store.failAbandoned(Array.from(this.handlers.keys()), now, {
+      status: 'failed',
+      error: LEASE_EXPIRED,
+      lockedBy: null,
+      lockedUntil: null,
+      completedAt: now,
+      expiresAt: new Date(now.getTime() + this.retention)
+    });
+
+    if (failed > 0) {
+      logger.error(`Failed ${failed} jobs whose worker stopped on their last attempt`, { error: LEASE_EXPIRED });
+    }
+  }
+
+  getBackoffDelay(job) {
+    const { type = 'exponential', delay = 2000 } = job.backoff || {};
+    return type === 'fixed' ? delay : delay * Math.pow(2, Math.max(0, job.attempts - 1));
+  }
+
+  async execute(job, entry) {
+    const controller = new AbortController();
+    const owned = { lockedBy: this.workerId };
+    this.active.set(job.jobId, controller);
+
+    // Renew the lease and pick up cancellation requests made on other instances
+    const heartbeat = setInterval(async () => {
+      try {
+        const current = await this.store.update(job.jobId, {
+          lockedUntil: new Date(Date.now() + this.leaseDuration)
+        }, owned);
+        if (!current || current.cancelRequested) controller.abort();
+      } catch (error) {
+        logger.warn('Job heartbeat failed', { jobId: job.jobId, error: error.message });
+      }
+    }, Math.max(1000, Math.floor(this.leaseDuration / 3)));
+
+    const context = {
+      signal: controller.signal,
+      isCancelled: () => controller.signal.aborted,
+      throwIfCancelled: () => {
+        if (controller.signal.aborted) throw new JobCancelledError();
+      },
+      updateProgress: async (progress, details) => {
+        context.throwIfCancelled();
+        const changes = {
+          progress: Math.max(0, Math.min(100, Math.round(progress))),
+          lockedUntil: new Date(Date.now() + this.leaseDuration)
+        };
+        if (details !== undefined) changes.progressDetails = details;
+
+        const current = await this.store.update(job.jobId, changes, owned);
+        if (!current || current.cancelRequested) {
+          controller.abort();
+          throw new JobCancelledError();
+        }
+        return current;
+      }
+    };
+
+    const startTime = Date.now();
+
+    try {
+      const result = await entry.handler(job, context);
+      context.throwIfCancelled();
+
+      const now = new Date();
+      await this.store.update(job.jobId, {
+        status: 'completed',
+        progress: 100,
+        result,
+        error: null,
+        lockedBy: null,
+        lockedUntil: null,
+        completedAt: now,
+        expiresAt: new Date(now.getTime() + this.retention)
+      }, owned);
+
+      logger.info('Job completed', { jobId: job.jobId, type: job.type, attempt: job.attempts, duration: Date.now() - startTime });
+    } catch (error) {
+      const now = new Date();
+
+      if (error instanceof JobCancelledError || controller.signal.aborted) {
+        await this.store.update(job.jobId, {
+          status: 'cancelled',
+          lockedBy: null,
+          lockedUntil: null,
+          completedAt: now,
+          expiresAt: new Date(now.getTime() + this.retention)
+        }, owned);
+        logger.info('Job cancelled', { jobId: job.jobId, type: job.type });
+        return;
+      }
+
+      const failures = [...(job.failures || []), { attempt: job.attempts, error: error.message, failedAt: now }];
+      const retry = !error.permanent && job.attempts < job.maxAttempts;
+
+      if (retry) {
+        const delay = this.getBackoffDelay(job);
+        await this.store.update(job.jobId, {
+          status: 'queued',
+          error: error.message,
+          failures,
+          lockedBy: null,
+          lockedUntil: null,
+          runAt: new Date(now.getTime() + delay)
+        }, owned);
+        logger.warn('Job failed, retry scheduled', { jobId: job.jobId, type: job.type, attempt: job.attempts, delay, error: error.message });
+      } else {
+        await this.store.update(job.jobId, {
+          status: 'failed',
+          error: error.message,
+          failures,
+          lockedBy: null,
+          lockedUntil: null,
+          completedAt: now,
+          expiresAt: new Date(now.getTime() + this.retention)
+        }, owned);
+        logger.error('Job failed', { jobId: job.jobId, type: job.type, attempts: job.attempts, error: error.message });
+      }
+    } finally {
+      clearInterval(heartbeat);
+      this.active.delete(job.jobId);
+    }
+  }
+
+  // Remove finished jobs past their retention period, letting handlers clean up their files
+  async sweep() {
+    try {
+      const expired = await this.store.findExpired(new Date());
+
+      for (const job of expired) {
+        const entry = this.handlers.get(job.type);
+        if (!entry) continue;
+
+        if (entry.onExpire) {
+          try {
+            await entry.onExpire(job);
+          } catch (error) {
+            logger.warn('Job expiry hook failed', { jobId: job.jobId, error: error.message });
+          }
+        }
+        await this.store.remove(job.jobId);
+      }
+
+      if (expired.length > 0) {
+        logger.info(`Removed ${expired.length} expired jobs`);
+      }
+    } catch (error) {
+      logger.error('Job sweep error:', error);
+    }
+  }
+}
+
+// Store selection: JOB_QUEUE_STORE=mongo|memory (mongo by default in production)
+const createJobStore = (type = process.env.JOB_QUEUE_STORE || (process.env.NODE_ENV === 'production' ? 'mongo' : 'memory')) => {
+  return type === 'mongo' ? new MongoJobStore() : new MemoryJobStore();
+};
+
+let defaultQueue = null;
+
+// Shared queue instance for routes and in-process workers
+const getJobQueue = () => {
+  if (!defaultQueue) {
+    defaultQueue = new JobQueue(createJobStore(), {
+      retention: (parseFloat(process.env.JOB_RETENTION_HOURS) || 24) * 60 * 60 * 1000
+    });
+  }
+  return defaultQueue;
+};
+
+module.exports = {
+  JobQueue,
+  MemoryJobStore,
+  MongoJobStore,
+  JobCancelledError,
+  LEASE_EXPIRED,
+  createJobStore,
+  getJobQueue,
+  generateJobId,
+  FINISHED_STATUSES
+};
@@ -0,0 +1,121 @@
+const { JobQueue, MemoryJobStore, MongoJobStore, LEASE_EXPIRED } = require('./jobQueue');
+
+describe('JobQueue', () => {
+  let queue;
+
+  beforeEach(() => {
+    queue = new JobQueue(new MemoryJobStore(), { pollInterval: 20, leaseDuration: 1000 });
+  });
+
+  afterEach(() => queue.stop());
+
+  const waitFor = (job) => queue.waitFor(job.jobId, { timeout: 2000, interval: 10 });
+
+  // A job whose worker died during an attempt: still running, with a lease nobody renews
+  const abandonedJob = async (attempts, maxAttempts = 3) => {
+    const job = await queue.add('convert', {}, { attempts: maxAttempts });
+    await queue.store.update(job.jobId, {
+      status: 'running',
+      attempts,
+      lockedBy: 'crashed-worker',
+      lockedUntil: new Date(Date.now() - 1000)
+    });
+    return job;
+  };
+
+  test('runs jobs and keeps their result', async () => {
+    queue.process('convert', async (job, context) => {
+      await context.updateProgress(50);
+      return { doubled: job.data.value * 2 };
+    }).start();
+
+    const job = await waitFor(await queue.add('convert', { value: 21 }));
+
+    expect(job).toMatchObject({ status: 'completed', progress: 100, attempts: 1, result: { doubled: 42 } });
+  });
+
+  test('retries failed jobs up to maxAttempts, but not permanent failures', async () => {
+    const handler = jest.fn(async (job) => {
+      const error = new Error(`attempt ${job.attempts} failed`);
+      error.permanent = job.data.permanent;
+      throw error;
+    });
+    queue.process('convert', handler).start();
+
+    const retried = await waitFor(await queue.add('convert', {}, { attempts: 2, backoff: { type: 'fixed', delay: 10 } }));
+    expect(retried).toMatchObject({ status: 'failed', attempts: 2, error: 'attempt 2 failed' });
+    expect(retried.failures.map(failure => failure.attempt)).toEqual([1, 2]);
+
+    const permanent = await waitFor(await queue.add('convert', { permanent: true }));
+    expect(permanent).toMatchObject({ status: 'failed', attempts: 1 });
+    expect(handler).toHaveBeenCalledTimes(3);
+  });
+
+  test('cancels queued jobs before they run', async () => {
+    const handler = jest.fn();
+    queue.process('convert', handler);
+    const job = await queue.add('convert', {}, { delay: 60 * 1000 });
+
+    expect((await queue.cancel(job.jobId)).status).toBe('cancelled');
+    queue.start();
+    await queue.poll();
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  test('runs a job again when its worker died with attempts left', async () => {
+    const handler = jest.fn(async () => 'done');
+    const job = await abandonedJob(1);
+    queue.process('convert', handler).start();
+
+    expect(await waitFor(job)).toMatchObject({ status: 'completed', attempts: 2, result: 'done' });
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  test('fails a job whose worker died on its last attempt instead of running it again', async () => {
+    const handler = jest.fn();
+    const job = await abandonedJob(3);
+    queue.process('convert', handler).start();
+
+    const failed = await waitFor(job);
+    expect(failed).toMatchObject({ status: 'failed', attempts: 3, error: LEASE_EXPIRED, lockedBy: null });
+    expect(failed.failures).toEqual([expect.objectContaining({ attempt: 3, error: LEASE_EXPIRED })]);
+    expect(failed.expiresAt).toBeInstanceOf(Date);
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  test('leaves jobs of types it does not handle to their own workers', async () => {
+    const job = await abandonedJob(3);
+    queue.process('ocr', jest.fn()).start();
+    await queue.poll();
+
+    expect((await queue.get(job.jobId)).status).toBe('running');
+  });
+});
+
+describe('MongoJobStore', () => {
+  test('claims abandoned jobs only while they have attempts left, and fails the rest', async () => {
+    const Job = {
+      findOneAndUpdate: jest.fn(() => ({ lean: async () => null })),
+      updateMany: jest.fn(async () => ({ modifiedCount: 1 }))
+    };
+    const store = new MongoJobStore(Job);
+    const now = new Date();
+
+    await store.claim(['convert'], 'worker', 1000);
+    const [claimFilter] = Job.findOneAndUpdate.mock.calls[0];
+    expect(claimFilter.$or).toContainEqual(expect.objectContaining({
+      status: 'running',
+      $expr: { $lt: ['$attempts', '$maxAttempts'] }
+    }));
+
+    expect(await store.failAbandoned(['convert'], now, { status: 'failed', error: LEASE_EXPIRED })).toBe(1);
+    const [failFilter, [{ $set: changes }]] = Job.updateMany.mock.calls[0];
+    expect(failFilter).toEqual({
+      type: { $in: ['convert'] },
+      status: 'running',
+      lockedUntil: { $lt: now },
+      $expr: { $gte: ['$attempts', '$maxAttempts'] }
+    });
+    expect(changes).toMatchObject({ status: 'failed', error: LEASE_EXPIRED });
+  });
+});
@@ -0,0 +1,321 @@
+const path = require('path');
+const sharp = require('sharp');
+const { PdfWriter } = require('./pdfWriter');
+const { escapeHtml } = require('./converters');
+
+// Resolution scanned PDFs are rendered at before recognition
+const PDF_RENDER_DPI = parseInt(process.env.OCR_PDF_DPI) || 300;
+const MAX_OCR_PAGES = parseInt(process.env.OCR_MAX_PAGES) || 50;
+
+// Images without resolution metadata are mapped one pixel to one point
+const DEFAULT_IMAGE_DPI = 72;
+
+// 'text' is always produced; the others are written to files next to the job
+const OCR_OUTPUT_FORMATS = ['text', 'pdf', 'hocr', 'alto'];
+
+const OUTPUT_FILES = {
+  pdf: { extension: 'pdf', mimeType: 'application/pdf' },
+  hocr: { extension: 'hocr', mimeType: 'application/xhtml+xml' },
+  alto: { extension: 'xml', mimeType: 'application/xml' }
+};
+
+let pdfRenderer = null;
+
+// pdf.js is ESM-only and the canvas binding is native, so both load on first use
+const loadPdfRenderer = () => {
+  if (!pdfRenderer) {
+    pdfRenderer = import('pdfjs-dist/legacy/build/pdf.mjs').then(pdfjs => ({
+      pdfjs,
+      createCanvas: require('@napi-rs/canvas').createCanvas,
+      // The 14 standard PDF fonts are not embedded in most files; pdf.js needs its own copies
+      standardFontDataUrl: path.join(path.dirname(require.resolve('pdfjs-dist/package.json')), 'standard_fonts') + path.sep
+    })).catch((error) => {
+      pdfRenderer = null;
+      throw error;
+    });
+  }
+  return pdfRenderer;
+};
+
+const isPdf = (buffer) => buffer.subarray(0, 5).toString('latin1') === '%PDF-';
+
+const openPdf = async (buffer, options) => {
+  const { pdfjs, createCanvas, standardFontDataUrl } = await loadPdfRenderer();
+  const document = await pdfjs.getDocument({
+    data: new Uint8Array(buffer),
+    isEvalSupported: false,
+    disableFontFace: true,
+    standardFontDataUrl,
+    verbosity: 0
+  }).promise;
+
+  const dpi = options.dpi || PDF_RENDER_DPI;
+
+  return {
+    format: 'pdf',
+    totalPages: document.numPages,
+    async renderPage(index) {
+      const page = await document.getPage(index + 1);
+      try {
+        const viewport = page.getViewport({ scale: dpi / 72 });
+        const canvas = createCanvas(Math.ceil(viewport.width), Math.ceil(viewport.height));
+        const context = canvas.getContext('2d');
+
+        // Canvases start transparent; scanned pages are expected on white
+        context.fillStyle = '#ffffff';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+        await page.render({ canvasContext: context, viewport }).promise;
+
+        return { image: canvas.toBuffer('image/png'), width: canvas.width, height: canvas.height, dpi };
+      } finally {
+        page.cleanup();
+      }
+    },
+    close: () => document.destroy()
+  };
+};
+
+const openImage = async (buffer) => {
+  const metadata = await sharp(buffer).metadata();
+  const dpi = metadata.density || DEFAULT_IMAGE_DPI;
+
+  return {
+    format: metadata.format,
+    // Multi-page TIFFs (and animated GIF/WebP) expose each page or frame separately
+    totalPages: metadata.format === 'tiff' ? metadata.pages || 1 : 1,
+    async renderPage(index) {
+      const { data, info } = await sharp(buffer, { page: index })
+        .rotate()
+        .flatten({ background: '#ffffff' })
+        .png()
+        .toBuffer({ resolveWithObject: true });
+      return { image: data, width: info.width, height: info.height, dpi };
+    },
+    close: async () => {}
+  };
+};
+
+/**
+ * Open a scanned document for page-by-page recognition
+ * @param {Buffer} buffer - PDF, TIFF or single image
+ * @param {Object} options - { dpi, maxPages }
+ * @returns {Object} { format, totalPages, pageCount, renderPage(index), close() }
+ */
+const openDocument = async (buffer, options = {}) => {
+  const document = isPdf(buffer) ? await openPdf(buffer, options) : await openImage(buffer);
+  document.pageCount = Math.min(document.totalPages, options.maxPages || MAX_OCR_PAGES);
+  return document;
+};
+
+const bboxTitle = ({ x0, y0, x1, y1 }) => `bbox ${x0} ${y0} ${x1} ${y1}`;
+
+// hOCR baselines are "slope offset", with the offset measured from the bottom-left of the line box
+const baselineTitle = (line) => {
+  const { baseline, bbox } = line;
+  if (!baseline || baseline.x1 === baseline.x0) return '';
+  const slope = (baseline.y1 - baseline.y0) / (baseline.x1 - baseline.x0);
+  const offset = baseline.y0 + slope * (bbox.x0 - baseline.x0) - bbox.y1;
+  return `; baseline ${slope.toFixed(3)} ${Math.round(offset)}`;
+};
+
+/**
+ * Render recognized pages as hOCR (XHTML with ocr_* classes)
+ * @param {Array} pages - [{ width, height, dpi, layout: { blocks } }]
+ * @param {Object} meta - { title, language }
+ * @returns {string} hOCR document
+ */
+const buildHocr = (pages, meta = {}) => {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<!DOCTYPE html PUBLIC "-//W3C//DTD XHTML 1.0 Transitional//EN" "http://www.w3.org/TR/xhtml1/DTD/xhtml1-transitional.dtd">',
+    '<html xmlns="http://www.w3.org/1999/xhtml" xml:lang="en" lang="en">',
+    '<head>',
+    `<title>${escapeHtml(meta.title || 'OCR output')}</title>`,
+    '<meta http-equiv="Content-Type" content="text/html;charset=utf-8"/>',
+    '<meta name="ocr-system" content="tesseract.js"/>',
+    '<meta name="ocr-capabilities" content="ocr_page ocr_carea ocr_par ocr_line ocrx_word ocrp_wconf"/>',
+    '</head>',
+    '<body>'
+  ];
+
+  pages.forEach((page, pageIndex) => {
+    const p = pageIndex + 1;
+    lines.push(`<div class="ocr_page" id="page_${p}" title="${bboxTitle({ x0: 0, y0: 0, x1: page.width, y1: page.height })}; ppageno ${pageIndex}; scan_res ${page.dpi} ${page.dpi}">`);
+
+    let paragraphCount = 0;
+    let lineCount = 0;
+    let wordCount = 0;
+
+    page.layout.blocks.forEach((block, blockIndex) => {
+      lines.push(` <div class="ocr_carea" id="block_${p}_${blockIndex + 1}" title="${bboxTitle(block.bbox)}">`);
+      for (const paragraph of block.paragraphs) {
+        lines.push(`  <p class="ocr_par" id="par_${p}_${++paragraphCount}" lang="${escapeHtml(meta.language || 'eng')}" title="${bboxTitle(paragraph.bbox)}">`);
+        for (const line of paragraph.lines) {
+          const words = line.words.map(word => {
+            return `<span class="ocrx_word" id="word_${p}_${++wordCount}" title="${bboxTitle(word.bbox)}; x_wconf ${Math.round(word.confidence)}">${escapeHtml(word.text)}</span>`;
+          });
+          lines.push(`   <span class="ocr_line" id="line_${p}_${++lineCount}" title="${bboxTitle(line.bbox)}${baselineTitle(line)}">${words.join(' ')}</span>`);
+        }
+        lines.push('  </p>');
+      }
+      lines.push(' </div>');
+    });
+
+    lines.push('</div>');
+  });
+
+  lines.push('</body>', '</html>');
+  return lines.join('\n') + '\n';
+};
+
+const altoBox = ({ x0, y0, x1, y1 }) => `HPOS="${x0}" VPOS="${y0}" WIDTH="${x1 - x0}" HEIGHT="${y1 - y0}"`;
+
+/**
+ * Render recognized pages as ALTO v4 XML (pixel units, one TextBlock per paragraph)
+ * @param {Array} pages - [{ width, height, layout: { blocks } }]
+ * @param {Object} meta - { title, language }
+ * @returns {string} ALTO document
+ */
+const buildAlto = (pages, meta = {}) => {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<alto xmlns="http://www.loc.gov/standards/alto/ns-v4#" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" ' +
+      'xsi:schemaLocation="http://www.loc.gov/standards/alto/ns-v4# http://www.loc.gov/alto/v4/alto-4-2.xsd">',
+    ' <Description>',
+    '  <MeasurementUnit>pixel</MeasurementUnit>',
+    '  <sourceImageInformation>',
+    `   <fileName>${escapeHtml(meta.title || 'image')}</fileName>`,
+    '  </sourceImageInformation>',
+    '  <OCRProcessing ID="OCR_0">',
+    '   <ocrProcessingStep>',
+    '    <processingSoftware>',
+    '     <softwareName>tesseract.js</softwareName>',
+    '    </processingSoftware>',
+    '   </ocrProcessingStep>',
+    '  </OCRProcessing>',
+    ' </Description>',
+    ' <Layout>'
+  ];
+
+  pages.forEach((page, pageIndex) => {
+    const p = pageIndex + 1;
+    let blockCount = 0;
+    let lineCount = 0;
+    let wordCount = 0;
+
+    lines.push(`  <Page ID="page_${p}" PHYSICAL_IMG_NR="${p}" WIDTH="${page.width}" HEIGHT="${page.height}">`);
+    lines.push(`   <PrintSpace ${altoBox({ x0: 0, y0: 0, x1: page.width, y1: page.height })}>`);
+
+    for (const block of page.layout.blocks) {
+      for (const paragraph of block.paragraphs) {
+        lines.push(`    <TextBlock ID="block_${p}_${++blockCount}" ${altoBox(paragraph.bbox)} LANG="${escapeHtml(meta.language || 'eng')}">`);
+        for (const line of paragraph.lines) {
+          lines.push(`     <TextLine ID="line_${p}_${++lineCount}" ${altoBox(line.bbox)}>`);
+          line.words.forEach((word, index) => {
+            if (index > 0) {
+              const previous = line.words[index - 1].bbox;
+              lines.push(`      <SP WIDTH="${Math.max(0, word.bbox.x0 - previous.x1)}" HPOS="${previous.x1}" VPOS="${previous.y0}"/>`);
+            }
+            lines.push(`      <String ID="string_${p}_${++wordCount}" ${altoBox(word.bbox)} WC="${(word.confidence / 100).toFixed(2)}" CONTENT="${escapeHtml(word.text)}"/>`);
+          });
+          lines.push('     </TextLine>');
+        }
+        lines.push('    </TextBlock>');
+      }
+    }
+
+    lines.push('   </PrintSpace>', '  </Page>');
+  });
+
+  lines.push(' </Layout>', '</alto>');
+  return lines.join('\n') + '\n';
+};
+
+// Baseline height (in pixels) under a word, falling back to the bottom of its box
+const baselineAt = (line, word) => {
+  const { baseline } = line;
+  if (!baseline || baseline.x1 === baseline.x0) return word.bbox.y1;
+  const slope = (baseline.y1 - baseline.y0) / (baseline.x1 - baseline.x0);
+  return baseline.y0 + slope * (word.bbox.x0 - baseline.x0);
+};
+
+/**
+ * Build a searchable PDF: each page image with an invisible text layer placed over the recognized words
+ * @param {Array} pages - [{ image, width, height, dpi, layout: { blocks } }]
+ * @param {Object} meta - { title, quality }
+ * @returns {Promise<Buffer>} PDF file contents
+ */
+const buildSearchablePdf = async (pages, meta = {}) => {
+  const writer = new PdfWriter({ Title: meta.title || 'OCR document' });
+
+  for (const page of pages) {
+    const scale = 72 / page.dpi;
+    const pageWidth = page.width * scale;
+    const pageHeight = page.height * scale;
+
+    const { data, info } = await sharp(page.image)
+      .flatten({ background: '#ffffff' })
+      .jpeg({ quality: meta.quality || 85 })
+      .toBuffer({ resolveWithObject: true });
+
+    const pdfPage = writer.addPage(pageWidth, pageHeight);
+    pdfPage.drawImage({ data, width: info.width, height: info.height, channels: info.channels }, 0, 0, pageWidth, pageHeight);
+
+    for (const block of page.layout.blocks) {
+      for (const paragraph of block.paragraphs) {
+        for (const line of paragraph.lines) {
+          const size = Math.max(1, (line.bbox.y1 - line.bbox.y0) * scale);
+          for (const word of line.words) {
+            if (!word.text.trim()) continue;
+            pdfPage.drawText(word.text, word.bbox.x0 * scale, pageHeight - baselineAt(line, word) * scale, {
+              size,
+              invisible: true,
+              width: (word.bbox.x1 - word.bbox.x0) * scale
+            });
+          }
+        }
+      }
+    }
+  }
+
+  return writer.toBuffer();
+};
+
+/**
+ * Render the requested document outputs for recognized pages
+ * @param {Array} pages - Pages with image and layout
+ * @param {Array} formats - Any of 'pdf', 'hocr', 'alto' ('text' is ignored)
+ * @param {Object} meta - { title, language }
+ * @returns {Promise<Object>} { [format]: { buffer, extension, mimeType } }
+ */
+const buildOutputs = async (pages, formats, meta = {}) => {
+  const outputs = {};
+
+  for (const format of formats) {
+    let buffer;
+    if (format === 'pdf') {
+      buffer = await buildSearchablePdf(pages, meta);
+    } else if (format === 'hocr') {
+      buffer = Buffer.from(buildHocr(pages, meta), 'utf8');
+    } else if (format === 'alto') {
+      buffer = Buffer.from(buildAlto(pages, meta), 'utf8');
+    } else {
+      continue;
+    }
+    outputs[format] = { buffer, ...OUTPUT_FILES[format] };
+  }
+
+  return outputs;
+};
+
+module.exports = {
+  OCR_OUTPUT_FORMATS,
+  OUTPUT_FILES,
+  MAX_OCR_PAGES,
+  PDF_RENDER_DPI,
+  openDocument,
+  buildHocr,
+  buildAlto,
+  buildSearchablePdf,
+  buildOutputs
+};
@@ -0,0 +1,267 @@
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const winston = require('winston');
+const { createWorker } = require('tesseract.js');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/ocr.log' })
+  ]
+});
+
+// Traineddata is read from disk only; nothing is downloaded at runtime
+const TESSDATA_PATH = process.env.OCR_TESSDATA_PATH || path.join(__dirname, '../tessdata');
+
+const DEFAULT_PSM = 3; // Fully automatic page segmentation
+const DEFAULT_OEM = 3; // Default engine (LSTM when the traineddata has it)
+
+const roundConfidence = (value) => Math.round(value * 100) / 100;
+
+// Reduce Tesseract's block tree to the boxes and words document renderers need
+const toLayoutBlocks = (blocks = []) => blocks.map(block => ({
+  bbox: block.bbox,
+  confidence: roundConfidence(block.confidence),
+  paragraphs: block.paragraphs.map(paragraph => ({
+    bbox: paragraph.bbox,
+    confidence: roundConfidence(paragraph.confidence),
+    lines: paragraph.lines.map(line => ({
+      bbox: line.bbox,
+      baseline: line.baseline,
+      confidence: roundConfidence(line.confidence),
+      words: line.words.map(word => ({
+        text: word.text,
+        confidence: roundConfidence(word.confidence),
+        bbox: word.bbox
+      }))
+    }))
+  }))
+}));
+
+/**
+ * Pool of Tesseract.js workers. Language and engine mode are fixed when a worker
+ * is created, so workers are keyed by "<languages>:<oem>" and reused for matching
+ * requests; page segmentation mode is set per recognition.
+ */
+class OcrEngine {
+  constructor(options = {}) {
+    this.tessdataPath = options.tessdataPath || TESSDATA_PATH;
+    this.size = options.size || parseInt(process.env.OCR_POOL_SIZE) || 2;
+    this.idleTimeout = options.idleTimeout || parseInt(process.env.OCR_IDLE_TIMEOUT) || 60 * 1000;
+    this.workers = []; // { key, worker, busy, lastUsed }
+    this.waiting = []; // { key, resolve, reject }
+    this.creating = 0;
+    this.reaper = setInterval(() => this.reapIdleWorkers(), Math.min(this.idleTimeout, 30 * 1000));
+    this.reaper.unref?.();
+  }
+
+  // Languages with a traineddata file (plain or gzipped) in the tessdata directory
+  getInstalledLanguages() {
+    try {
+      return [...new Set(fs.readdirSync(this.tessdataPath)
+        .map(name => name.match(/^(.+)\.traineddata(\.gz)?$/))
+        .filter(Boolean)
+        .map(match => match[1]))].sort();
+    } catch (error) {
+      return [];
+    }
+  }
+
+  isLanguageInstalled(language) {
+    const installed = this.getInstalledLanguages();
+    return String(language).split('+').every(lang => installed.includes(lang));
+  }
+
+  isAvailable() {
+    return this.getInstalledLanguages().length > 0;
+  }
+
+  // Tesseract.js needs to know up front whether it is reading .traineddata or .traineddata.gz
+  isGzipped(languages) {
+    return languages.split('+').every(lang => {
+      return !fs.existsSync(path.join(this.tessdataPath, `${lang}.traineddata`)) &&
+        fs.existsSync(path.join(this.tessdataPath, `${lang}.traineddata.gz`));
+    });
+  }
+
+  async createPooledWorker(languages, oem) {
+    const worker = await createWorker(languages, oem, {
+      langPath: this.tessdataPath,
+      gzip: this.isGzipped(languages),
+      cacheMethod: 'none',
+      errorHandler: (error) => logger.error('OCR worker error:', error)
+    });
+
+    const entry = { key: `${languages}:${oem}`, worker, busy: true, lastUsed: Date.now() };
+    this.workers.push(entry);
+    logger.info('OCR worker started', { languages, oem, poolSize: this.workers.length });
+    return entry;
+  }
+
+  async terminateWorker(entry) {
+    this.workers = this.workers.filter(candidate => candidate !== entry);
+    try {
+      await entry.worker.terminate();
+    } catch (error) {
+      logger.warn('Failed to terminate OCR worker', { key: entry.key, error: error.message });
+    }
+  }
+
+  async acquire(languages, oem) {
+    const key = `${languages}:${oem}`;
+
+    const idle = this.workers.find(entry => !entry.busy && entry.key === key);
+    if (idle) {
+      idle.busy = true;
+      return idle;
+    }
+
+    if (this.workers.length + this.creating < this.size) {
+      return this.spawn(languages, oem);
+    }
+
+    // Pool is full: replace an idle worker loaded with other languages
+    const replaceable = this.workers.find(entry => !entry.busy);
+    if (replaceable) {
+      replaceable.busy = true;
+      await this.terminateWorker(replaceable);
+      return this.spawn(languages, oem);
+    }
+
+    return new Promise((resolve, reject) => {
+      this.waiting.push({ languages, oem, resolve, reject });
+    });
+  }
+
+  async spawn(languages, oem) {
+    this.creating++;
+    try {
+      return await this.createPooledWorker(languages, oem);
+    } finally {
+      this.creating--;
+    }
+  }
+
+  release(entry) {
+    entry.busy = false;
+    entry.lastUsed = Date.now();
+
+    const next = this.waiting.shift();
+    if (next) {
+      this.acquire(next.languages, next.oem).then(next.resolve, next.reject);
+    }
+  }
+
+  reapIdleWorkers() {
+    const cutoff = Date.now() - this.idleTimeout;
+    for (const entry of this.workers.filter(candidate => !candidate.busy && candidate.lastUsed < cutoff)) {
+      entry.busy = true;
+      this.terminateWorker(entry);
+    }
+  }
+
+  // Normalize input to PNG: applies EXIF rotation and covers formats Tesseract cannot read (webp, avif, svg)
+  async prepareImage(image) {
+    return sharp(image).rotate().png().toBuffer({ resolveWithObject: true });
+  }
+
+  /**
+   * Recognize text in an image
+   * @param {Buffer} image - Image file contents
+   * @param {Object} options - { language, psm, oem, layout }
+   * @returns {Object} { text, confidence, language, psm, oem, duration, layout: { width, height, blocks } when requested }
+   */
+  async recognize(image, options = {}) {
+    const language = options.language || 'eng';
+    const psm = options.psm ?? DEFAULT_PSM;
+    const oem = options.oem ?? DEFAULT_OEM;
+
+    if (!this.isLanguageInstalled(language)) {
+      const error = new Error(`OCR language "${language}" is not installed`);
+      error.code = 'LANGUAGE_NOT_INSTALLED';
+      error.permanent = true;
+      throw error;
+    }
+
+    const startTime = Date.now();
+    const { data: input, info } = await this.prepareImage(image);
+    const entry = await this.acquire(language, oem);
+
+    try {
+      await entry.worker.setParameters({ tessedit_pageseg_mode: String(psm) });
+      const { data } = await entry.worker.recognize(input, {}, { text: true, blocks: !!options.layout });
+
+      const result = {
+        text: data.text,
+        confidence: roundConfidence(data.confidence),
+        language,
+        psm,
+        oem,
+        duration: Date.now() - startTime
+      };
+
+      if (options.layout) {
+        result.layout = { width: info.width, height: info.height, blocks: toLayoutBlocks(data.blocks) };
+      }
+
+      logger.info('OCR completed', {
+        language,
+        psm,
+        oem,
+        characters: result.text.length,
+        confidence: result.confidence,
+        duration: result.duration
+      });
+
+      return result;
+    } catch (error) {
+      // A worker that failed mid-recognition may be in a bad state; drop it and
+      // hand its slot to the next waiting request
+      await this.terminateWorker(entry);
+      this.release(entry);
+      throw error;
+    } finally {
+      if (this.workers.includes(entry)) {
+        this.release(entry);
+      }
+    }
+  }
+
+  getStatus() {
+    return {
+      available: this.isAvailable(),
+      tessdataPath: this.tessdataPath,
+      installedLanguages: this.getInstalledLanguages(),
+      poolSize: this.size,
+      workers: this.workers.length,
+      busy: this.workers.filter(entry => entry.busy).length,
+      waiting: this.waiting.length
+    };
+  }
+
+  async terminate() {
+    clearInterval(this.reaper);
+    this.waiting.splice(0).forEach(waiter => waiter.reject(new Error('OCR engine is shutting down')));
+    await Promise.all(this.workers.map(entry => this.terminateWorker(entry)));
+  }
+}
+
+let defaultEngine = null;
+
+// Shared engine for routes and job workers
+const getOcrEngine = () => {
+  if (!defaultEngine) {
+    defaultEngine = new OcrEngine();
+  }
+  return defaultEngine;
+};
+
+module.exports = {
+  OcrEngine,
+  getOcrEngine,
+  TESSDATA_PATH
+};
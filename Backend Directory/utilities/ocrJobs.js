@@ -0,0 +1,209 @@
+const fs = require('fs').promises;
+const path = require('path');
+const winston = require('winston');
+const { loadInput } = require('./converters');
+const { getOcrEngine } = require('./ocrEngine');
+const { generateJobId } = require('./jobQueue');
+const { openDocument, buildOutputs } = require('./ocrDocument');
+const { analyzeLayout } = require('./ocrLayout');
+const { getStorage } = require('./storage');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/ocr.log' })
+  ]
+});
+
+// Uploaded images wait here until a worker picks them up; document outputs go in a folder per job
+const OCR_DIR = path.join(__dirname, '../temp/ocr');
+
+const OCR_JOB = 'ocr';
+
+const removeFile = async (filePath) => {
+  if (!filePath) return;
+  try {
+    await fs.unlink(filePath);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.warn('Failed to remove OCR file:', { filePath, error: error.message });
+    }
+  }
+};
+
+/**
+ * Queue an OCR job
+ * @param {JobQueue} queue - Job queue
+ * @param {Object} request - { imageUrl | imageData (base64) | buffer | file: { fileId, s3Bucket, s3Key }, fileName, language, output, layout, options: { psm, oem, dpi, maxPages } }
+ * @param {Object} jobOptions - { userId, priority, attempts }
+ * @returns {Object} The queued job
+ */
+const enqueueOcr = async (queue, request, jobOptions = {}) => {
+  const jobId = generateJobId('ocr');
+  let inputPath = null;
+
+  if (request.buffer || request.imageData) {
+    inputPath = path.join(OCR_DIR, `${jobId}.input`);
+    await fs.mkdir(OCR_DIR, { recursive: true });
+    await fs.writeFile(inputPath, request.buffer || Buffer.from(request.imageData, 'base64'));
+  }
+
+  return queue.add(OCR_JOB, {
+    imageUrl: request.imageUrl,
+    inputPath,
+    file: request.file,
+    fileName: request.fileName || request.file?.originalName || 'image',
+    language: request.language || 'eng',
+    psm: request.options?.psm,
+    oem: request.options?.oem,
+    dpi: request.options?.dpi,
+    maxPages: request.options?.maxPages,
+    output: request.output || ['text'],
+    layout: !!request.layout
+  }, { ...jobOptions, jobId });
+};
+
+// Read the image for a job from whichever source it was queued with
+const loadOcrInput = async (data) => {
+  if (data.inputPath) {
+    return fs.readFile(data.inputPath);
+  }
+
+  if (data.file) {
+    return getStorage().get(data.file.s3Key);
+  }
+
+  return loadInput({ fileUrl: data.imageUrl });
+};
+
+const removeOcrFiles = async (job) => {
+  await removeFile(job.data?.inputPath);
+  try {
+    await fs.rm(path.join(OCR_DIR, job.jobId), { recursive: true, force: true });
+  } catch (error) {
+    logger.warn('Failed to remove OCR outputs:', { jobId: job.jobId, error: error.message });
+  }
+};
+
+// Write rendered documents to the job's folder and describe them for the job result
+const storeOutputs = async (queue, job, outputs) => {
+  const outputDir = path.join(OCR_DIR, job.jobId);
+  const baseName = path.parse(job.data.fileName || 'document').name || 'document';
+  const stored = {};
+
+  await fs.mkdir(outputDir, { recursive: true });
+  for (const [format, output] of Object.entries(outputs)) {
+    const outputPath = path.join(outputDir, `${format}.${output.extension}`);
+    await fs.writeFile(outputPath, output.buffer);
+    stored[format] = {
+      url: `/api/v1/ocr/download/${job.jobId}/${format}`,
+      fileName: `${baseName}.${format === 'alto' ? 'alto.xml' : output.extension}`,
+      size: output.buffer.length,
+      mimeType: output.mimeType,
+      path: outputPath,
+      expiresAt: new Date(Date.now() + queue.retention)
+    };
+  }
+
+  return stored;
+};
+
+/**
+ * Register the OCR job handler on a queue
+ * @param {JobQueue} queue - Job queue
+ * @param {Object} options - { ocrEngine, concurrency }
+ */
+const registerOcrWorker = (queue, options = {}) => {
+  const ocrEngine = options.ocrEngine || getOcrEngine();
+  // More concurrent jobs than pooled workers would only queue inside the engine
+  const concurrency = options.concurrency || parseInt(process.env.OCR_CONCURRENCY) || ocrEngine.size;
+
+  queue.process(OCR_JOB, async (job, context) => {
+    const { language, psm, oem, dpi, maxPages } = job.data;
+    const formats = (job.data.output || ['text']).filter(format => format !== 'text');
+    const needsLayout = formats.length > 0 || !!job.data.layout;
+    const startTime = Date.now();
+
+    await context.updateProgress(5, { stage: 'loading' });
+    const input = await loadOcrInput(job.data);
+    const document = await openDocument(input, { dpi, maxPages });
+
+    // Page images are only kept when a searchable PDF has to be drawn from them
+    const pages = [];
+    let settings = { psm, oem };
+    try {
+      for (let index = 0; index < document.pageCount; index++) {
+        context.throwIfCancelled();
+        await context.updateProgress(10 + (index / document.pageCount) * 80, {
+          stage: 'recognizing',
+          page: index + 1,
+          pageCount: document.pageCount
+        });
+
+        const page = await document.renderPage(index);
+        const result = await ocrEngine.recognize(page.image, { language, psm, oem, layout: needsLayout });
+        settings = { psm: result.psm, oem: result.oem };
+        pages.push({
+          ...page,
+          image: formats.includes('pdf') ? page.image : null,
+          text: result.text,
+          confidence: result.confidence,
+          layout: result.layout,
+          analysis: job.data.layout ? analyzeLayout(result.layout, { page: index + 1 }) : null
+        });
+      }
+    } finally {
+      await document.close();
+    }
+
+    let outputs = {};
+    if (formats.length > 0) {
+      await context.updateProgress(90, { stage: 'rendering', formats });
+      const built = await buildOutputs(pages, formats, { title: job.data.fileName, language });
+      outputs = await storeOutputs(queue, job, built);
+    }
+
+    await removeFile(job.data.inputPath);
+
+    return {
+      // Pages are separated with form feeds, as Tesseract does for multi-page input
+      text: pages.map(page => page.text).join('\f'),
+      confidence: pages.length > 0
+        ? Math.round((pages.reduce((sum, page) => sum + page.confidence, 0) / pages.length) * 100) / 100
+        : 0,
+      language,
+      psm: settings.psm,
+      oem: settings.oem,
+      duration: Date.now() - startTime,
+      size: input.length,
+      sourceFormat: document.format,
+      pageCount: pages.length,
+      totalPages: document.totalPages,
+      pages: pages.map((page, index) => ({
+        page: index + 1,
+        width: page.width,
+        height: page.height,
+        dpi: page.dpi,
+        confidence: page.confidence,
+        characters: page.text.length
+      })),
+      outputs,
+      // Blocks, columns, reading order and tables per page, when requested
+      layout: job.data.layout ? { pages: pages.map(page => page.analysis) } : undefined
+    };
+  }, { concurrency, onExpire: removeOcrFiles });
+
+  return queue;
+};
+
+module.exports = {
+  OCR_JOB,
+  OCR_DIR,
+  enqueueOcr,
+  loadOcrInput,
+  registerOcrWorker,
+  removeOcrFiles
+};
@@ -0,0 +1,321 @@
+/**
+ * Layout analysis over Tesseract word boxes: splits table regions out of the running
+ * text, detects text columns and puts blocks into reading order.
+ *
+ * Everything works on the { width, height, blocks } layout returned by
+ * OcrEngine.recognize({ layout: true }); coordinates stay in image pixels.
+ */
+
+// A gap between words wider than this many line heights starts a new cell
+const CELL_GAP_RATIO = 1.2;
+// Consecutive multi-cell rows needed before they count as a table
+const TABLE_MIN_ROWS = 2;
+// Rows further apart than this many row heights end a table
+const TABLE_MAX_ROW_GAP = 2;
+// Side-by-side text columns also form multi-cell rows, but their cells hold several words
+// and fill the column from edge to edge; table cells are short and ragged
+const TEXT_MIN_WORDS = 3;
+const TEXT_MIN_FILL = 0.75;
+// Blocks wider than this share of the text area span all columns
+const SPANNING_RATIO = 0.55;
+
+const width = (bbox) => bbox.x1 - bbox.x0;
+const height = (bbox) => bbox.y1 - bbox.y0;
+
+const unionBox = (boxes) => ({
+  x0: Math.min(...boxes.map(box => box.x0)),
+  y0: Math.min(...boxes.map(box => box.y0)),
+  x1: Math.max(...boxes.map(box => box.x1)),
+  y1: Math.max(...boxes.map(box => box.y1))
+});
+
+const median = (values) => {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const averageConfidence = (items) => {
+  if (items.length === 0) return 0;
+  return Math.round((items.reduce((sum, item) => sum + item.confidence, 0) / items.length) * 100) / 100;
+};
+
+const wordsText = (words) => words.map(word => word.text).join(' ');
+
+// Merge overlapping horizontal intervals
+const mergeIntervals = (intervals) => {
+  const merged = [];
+  for (const interval of [...intervals].sort((a, b) => a.x0 - b.x0)) {
+    const last = merged[merged.length - 1];
+    if (last && interval.x0 <= last.x1) {
+      last.x1 = Math.max(last.x1, interval.x1);
+    } else {
+      merged.push({ x0: interval.x0, x1: interval.x1 });
+    }
+  }
+  return merged;
+};
+
+const overlapsX = (bbox, interval) => bbox.x0 < interval.x1 && bbox.x1 > interval.x0;
+
+// Split a line into cells wherever the gap between words is much wider than a space
+const splitSegments = (line) => {
+  const lineHeight = Math.max(1, height(line.bbox));
+  const segments = [];
+  let current = null;
+
+  for (const word of line.words) {
+    if (!word.text.trim()) continue;
+    if (current && word.bbox.x0 - current.bbox.x1 <= lineHeight * CELL_GAP_RATIO) {
+      current.words.push(word);
+      current.bbox = unionBox([current.bbox, word.bbox]);
+    } else {
+      current = { line, words: [word], bbox: { ...word.bbox } };
+      segments.push(current);
+    }
+  }
+
+  return segments;
+};
+
+// Group segments whose vertical extents overlap by at least half into visual rows.
+// Tesseract often reports each table column as its own block, so rows are rebuilt across blocks.
+const groupRows = (segments) => {
+  const rows = [];
+  const centerY = (bbox) => (bbox.y0 + bbox.y1) / 2;
+
+  for (const segment of [...segments].sort((a, b) => centerY(a.bbox) - centerY(b.bbox))) {
+    const row = rows[rows.length - 1];
+    const overlap = row ? Math.min(row.bbox.y1, segment.bbox.y1) - Math.max(row.bbox.y0, segment.bbox.y0) : 0;
+    if (row && overlap >= 0.5 * Math.min(height(row.bbox), height(segment.bbox))) {
+      row.segments.push(segment);
+      row.bbox = unionBox([row.bbox, segment.bbox]);
+    } else {
+      rows.push({ segments: [segment], bbox: { ...segment.bbox } });
+    }
+  }
+
+  rows.forEach(row => row.segments.sort((a, b) => a.bbox.x0 - b.bbox.x0));
+  return rows;
+};
+
+// Turn a run of multi-cell rows into a table grid, or null when it reads as running text
+const buildTable = (rows) => {
+  const segments = rows.flatMap(row => row.segments);
+  const columns = mergeIntervals(segments.map(segment => segment.bbox));
+  if (columns.length < 2) {
+    return null;
+  }
+
+  const columnOf = (segment) => {
+    const centerX = (segment.bbox.x0 + segment.bbox.x1) / 2;
+    return Math.max(0, columns.findIndex(column => centerX >= column.x0 && centerX <= column.x1));
+  };
+
+  const wordCount = median(segments.map(segment => segment.words.length));
+  const fill = median(segments.map(segment => width(segment.bbox) / Math.max(1, width(columns[columnOf(segment)]))));
+  if (wordCount >= TEXT_MIN_WORDS && fill >= TEXT_MIN_FILL) {
+    return null;
+  }
+
+  return {
+    bbox: unionBox(rows.map(row => row.bbox)),
+    columns,
+    segments,
+    rows: rows.map(row => {
+      const cells = columns.map(() => []);
+      for (const segment of row.segments) {
+        cells[columnOf(segment)].push(segment);
+      }
+
+      return {
+        bbox: row.bbox,
+        cells: cells.map(cellSegments => {
+          const words = cellSegments.flatMap(segment => segment.words);
+          return words.length > 0
+            ? { text: wordsText(words), bbox: unionBox(words.map(word => word.bbox)), confidence: averageConfidence(words) }
+            : { text: '', bbox: null, confidence: null };
+        })
+      };
+    })
+  };
+};
+
+const detectTables = (rows) => {
+  const tables = [];
+  const rowHeight = median(rows.map(row => height(row.bbox)));
+  let run = [];
+
+  const flush = () => {
+    if (run.length >= TABLE_MIN_ROWS) {
+      const table = buildTable(run);
+      if (table) tables.push(table);
+    }
+    run = [];
+  };
+
+  for (const row of rows) {
+    const last = run[run.length - 1];
+    if (row.segments.length < 2) {
+      flush();
+    } else if (last && row.bbox.y0 - last.bbox.y1 > rowHeight * TABLE_MAX_ROW_GAP) {
+      flush();
+      run.push(row);
+    } else {
+      run.push(row);
+    }
+  }
+  flush();
+
+  return tables;
+};
+
+const overlapsY = (a, b) => a.y0 < b.y1 && a.y1 > b.y0;
+
+// Text columns are the horizontal bands narrow blocks stack into. A band only counts when
+// one of its blocks sits beside a block in another band, so a short line or a centred
+// heading in a single-column page does not become a column of its own.
+const detectColumns = (items, contentBox) => {
+  const narrow = items.filter(item => width(item.bbox) < width(contentBox) * SPANNING_RATIO);
+  const bands = mergeIntervals(narrow.map(item => item.bbox)).map(band => ({
+    ...band,
+    items: narrow.filter(item => overlapsX(item.bbox, band))
+  }));
+
+  const columns = bands.filter(band => band.items.some(item => bands.some(other => {
+    return other !== band && other.items.some(candidate => overlapsY(item.bbox, candidate.bbox));
+  })));
+
+  if (columns.length < 2) {
+    return [{ x0: contentBox.x0, x1: contentBox.x1 }];
+  }
+  return columns.map(({ x0, x1 }) => ({ x0, x1 }));
+};
+
+// Blocks inside one column are read top to bottom, columns left to right; a block
+// spanning several columns (a heading, a wide table) closes the section above it
+const orderItems = (items) => {
+  const ordered = [];
+  let section = [];
+
+  const flush = () => {
+    section.sort((a, b) => a.column - b.column || a.bbox.y0 - b.bbox.y0);
+    ordered.push(...section);
+    section = [];
+  };
+
+  for (const item of [...items].sort((a, b) => a.bbox.y0 - b.bbox.y0)) {
+    if (item.column === null) {
+      flush();
+      ordered.push(item);
+    } else {
+      section.push(item);
+    }
+  }
+  flush();
+
+  return ordered;
+};
+
+const serializeLine = (line) => ({
+  bbox: line.bbox,
+  text: wordsText(line.words),
+  confidence: line.confidence,
+  words: line.words
+});
+
+/**
+ * Analyze one recognized page
+ * @param {Object} layout - { width, height, blocks } from OcrEngine.recognize with layout: true
+ * @param {Object} options - { page } page number used in block and table IDs
+ * @returns {Object} { width, height, columns, blocks, tables, text } with blocks in reading order
+ */
+const analyzeLayout = (layout, options = {}) => {
+  const page = options.page || 1;
+  const lines = layout.blocks.flatMap(block => block.paragraphs.flatMap(paragraph => {
+    return paragraph.lines.map(line => ({ ...line, paragraph }));
+  })).filter(line => line.words.some(word => word.text.trim()));
+
+  const tables = detectTables(groupRows(lines.flatMap(splitSegments)));
+  const tableLines = new Set(tables.flatMap(table => table.segments.map(segment => segment.line)));
+
+  // Paragraphs keep only the lines that did not end up in a table
+  const paragraphs = new Map();
+  for (const line of lines.filter(candidate => !tableLines.has(candidate))) {
+    if (!paragraphs.has(line.paragraph)) paragraphs.set(line.paragraph, []);
+    paragraphs.get(line.paragraph).push(line);
+  }
+
+  const items = [
+    ...[...paragraphs.values()].map(paragraphLines => ({
+      type: 'paragraph',
+      bbox: unionBox(paragraphLines.map(line => line.bbox)),
+      lines: paragraphLines
+    })),
+    ...tables.map(table => ({ type: 'table', bbox: table.bbox, table }))
+  ];
+
+  const contentBox = items.length > 0 ? unionBox(items.map(item => item.bbox)) : { x0: 0, y0: 0, x1: layout.width, y1: layout.height };
+  const columns = detectColumns(items, contentBox);
+
+  for (const item of items) {
+    const overlapping = columns.map((column, index) => (overlapsX(item.bbox, column) ? index : -1)).filter(index => index >= 0);
+    item.column = columns.length > 1 && overlapping.length !== 1 ? null : overlapping[0] ?? 0;
+  }
+
+  let blockCount = 0;
+  let tableCount = 0;
+  const blocks = orderItems(items).map((item, order) => {
+    if (item.type === 'table') {
+      const { rows, columns: tableColumns } = item.table;
+      return {
+        id: `table_${page}_${++tableCount}`,
+        type: 'table',
+        order,
+        column: item.column,
+        bbox: item.bbox,
+        rowCount: rows.length,
+        columnCount: tableColumns.length,
+        columns: tableColumns,
+        rows,
+        confidence: averageConfidence(rows.flatMap(row => row.cells).filter(cell => cell.confidence !== null))
+      };
+    }
+
+    const serialized = item.lines.map(serializeLine);
+    return {
+      id: `block_${page}_${++blockCount}`,
+      type: 'paragraph',
+      order,
+      column: item.column,
+      bbox: item.bbox,
+      text: serialized.map(line => line.text).join('\n'),
+      confidence: averageConfidence(serialized),
+      lines: serialized
+    };
+  });
+
+  return {
+    page,
+    width: layout.width,
+    height: layout.height,
+    columns: columns.map((column, index) => ({ index, ...column })),
+    blocks,
+    tables: blocks.filter(block => block.type === 'table').map(block => block.id),
+    // Plain text in reading order, with table rows as tab-separated lines
+    text: blocks.map(block => {
+      return block.type === 'table'
+        ? block.rows.map(row => row.cells.map(cell => cell.text).join('\t')).join('\n')
+        : block.text;
+    }).join('\n\n')
+  };
+};
+
+// Cell text of a table as a grid of strings
+const tableToRows = (table) => table.rows.map(row => row.cells.map(cell => cell.text));
+
+module.exports = {
+  analyzeLayout,
+  tableToRows
+};
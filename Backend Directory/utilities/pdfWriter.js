@@ -0,0 +1,410 @@
+const crypto = require('crypto');
+const { zlibSync } = require('fflate');
+const fontkit = require('fontkit');
+
+// Page sizes in PDF points (1/72 inch)
+const PAPER_SIZES = {
+  A3: [842, 1191],
+  A4: [595, 842],
+  A5: [420, 595],
+  Letter: [612, 792],
+  Legal: [612, 1008]
+};
+
+// Fonts text can be drawn in. The DejaVu fonts cover Latin, Greek, Cyrillic, Arabic, Hebrew
+// and more; characters they lack are drawn as a missing-glyph box but, like all text, can
+// still be searched and copied. Only the glyphs a document uses are embedded.
+const FONT_FILES = {
+  mono: 'DejaVuSansMono.ttf',
+  'mono-bold': 'DejaVuSansMono-Bold.ttf',
+  'mono-italic': 'DejaVuSansMono-Oblique.ttf',
+  'mono-bold-italic': 'DejaVuSansMono-BoldOblique.ttf',
+  sans: 'DejaVuSans.ttf',
+  'sans-bold': 'DejaVuSans-Bold.ttf',
+  'sans-italic': 'DejaVuSans-Oblique.ttf',
+  'sans-bold-italic': 'DejaVuSans-BoldOblique.ttf'
+};
+
+// Parsed font files, shared by all documents
+const loadedFonts = new Map();
+
+const loadFont = (name) => {
+  if (!Object.prototype.hasOwnProperty.call(FONT_FILES, name)) {
+    throw new Error(`Unknown PDF font "${name}"`);
+  }
+  if (!loadedFonts.has(name)) {
+    loadedFonts.set(name, fontkit.openSync(require.resolve(`dejavu-fonts-ttf/ttf/${FONT_FILES[name]}`)));
+  }
+  return loadedFonts.get(name);
+};
+
+// Characters that are drawn: tabs become spaces, other control characters are dropped
+const drawnCodePoints = (text) => {
+  const codePoints = [];
+  for (const char of String(text)) {
+    const code = char.codePointAt(0);
+    if (code === 9) {
+      codePoints.push(32);
+    } else if (code >= 32 && (code < 127 || code > 159)) {
+      codePoints.push(code);
+    }
+  }
+  return codePoints;
+};
+
+const measureCodePoints = (font, codePoints, size) => {
+  const units = codePoints.reduce((total, code) => total + font.glyphForCodePoint(code).advanceWidth, 0);
+  return (units / font.unitsPerEm) * size;
+};
+
+// UTF-16BE hex digits of a code point, as PDF text strings and ToUnicode CMaps use
+const utf16Hex = (code) => {
+  const text = String.fromCodePoint(code);
+  let hex = '';
+  for (let i = 0; i < text.length; i++) {
+    hex += text.charCodeAt(i).toString(16).padStart(4, '0').toUpperCase();
+  }
+  return hex;
+};
+
+// A PDF text string in UTF-16BE, for document information
+const encodeTextString = (text) => {
+  return `<FEFF${Array.from(String(text), char => utf16Hex(char.codePointAt(0))).join('')}>`;
+};
+
+// CMap from the CIDs of a font to the characters they stand for, so text can be extracted
+const toUnicodeCMap = (codePoints) => {
+  const entries = codePoints.map((code, index) => `<${(index + 1).toString(16).padStart(4, '0').toUpperCase()}> <${utf16Hex(code)}>`);
+  const blocks = [];
+  for (let start = 0; start < entries.length; start += 100) {
+    const block = entries.slice(start, start + 100);
+    blocks.push(`${block.length} beginbfchar`, ...block, 'endbfchar');
+  }
+  return [
+    '/CIDInit /ProcSet findresource begin',
+    '12 dict begin',
+    'begincmap',
+    '/CIDSystemInfo << /Registry (Adobe) /Ordering (UCS) /Supplement 0 >> def',
+    '/CMapName /Adobe-Identity-UCS def',
+    '/CMapType 2 def',
+    '1 begincodespacerange',
+    '<0000> <FFFF>',
+    'endcodespacerange',
+    ...blocks,
+    'endcmap',
+    'CMapName currentdict /CMapResource defineresource pop',
+    'end',
+    'end'
+  ].join('\n');
+};
+
+// The CIDs of a two-byte Identity-H font leave room for this many distinct characters
+const MAX_FONT_CHARACTERS = 0xfffe;
+
+/**
+ * A font as used by one document: a Type0 font with Identity-H encoding whose CIDs are
+ * handed out to characters in order of first use. It is embedded as a subset with a
+ * ToUnicode CMap, so any Unicode text can be drawn, searched and copied.
+ */
+class PdfFont {
+  constructor(name, resourceName) {
+    this.name = name;
+    this.resourceName = resourceName;
+    this.font = loadFont(name);
+    this.cids = new Map(); // code point -> CID
+    this.codePoints = []; // CID - 1 -> code point
+  }
+
+  // Hex string of the CIDs for a text
+  encode(text) {
+    let hex = '';
+    for (const code of drawnCodePoints(text)) {
+      let cid = this.cids.get(code);
+      if (cid === undefined) {
+        // A document with more distinct characters draws the rest as missing glyphs
+        if (this.codePoints.length >= MAX_FONT_CHARACTERS) {
+          cid = 0;
+        } else {
+          this.codePoints.push(code);
+          cid = this.codePoints.length;
+          this.cids.set(code, cid);
+        }
+      }
+      hex += cid.toString(16).padStart(4, '0');
+    }
+    return hex;
+  }
+
+  measure(text, size) {
+    return measureCodePoints(this.font, drawnCodePoints(text), size);
+  }
+
+  /**
+   * Add the font's objects to a writer
+   * @returns {number} Object number of the Type0 font
+   */
+  embed(writer) {
+    const { font } = this;
+    const scale = 1000 / font.unitsPerEm;
+    const glyphs = this.codePoints.map(code => font.glyphForCodePoint(code));
+
+    const subset = font.createSubset();
+    const glyphIds = glyphs.map(glyph => subset.includeGlyph(glyph));
+    const fontFile = Buffer.from(subset.encode());
+    const fontFileId = writer.addStream(`/Length1 ${fontFile.length} /Filter /FlateDecode`, Buffer.from(zlibSync(fontFile)));
+
+    // Subset fonts are named with a tag that differs between subsets
+    const digest = crypto.createHash('md5').update(this.codePoints.join(',')).digest();
+    const tag = Array.from(digest.subarray(0, 6), byte => String.fromCharCode(65 + (byte % 26))).join('');
+    const baseFont = `${tag}+${font.postscriptName}`;
+
+    const fixedPitch = font.post.isFixedPitch ? 1 : 0;
+    const italic = font.italicAngle !== 0 ? 64 : 0;
+    const { minX, minY, maxX, maxY } = font.bbox;
+    const descriptorId = writer.addObject(
+      `<< /Type /FontDescriptor /FontName /${baseFont} /Flags ${fixedPitch | 4 | italic} ` +
+      `/FontBBox [${[minX, minY, maxX, maxY].map(value => Math.round(value * scale)).join(' ')}] ` +
+      `/ItalicAngle ${font.italicAngle} /Ascent ${Math.round(font.ascent * scale)} /Descent ${Math.round(font.descent * scale)} ` +
+      `/CapHeight ${Math.round((font.capHeight || font.ascent * 0.7) * scale)} /StemV 80 /FontFile2 ${fontFileId} 0 R >>`
+    );
+
+    const cidToGid = Buffer.alloc((glyphIds.length + 1) * 2);
+    glyphIds.forEach((glyphId, index) => cidToGid.writeUInt16BE(glyphId, (index + 1) * 2));
+    const cidToGidId = writer.addStream('/Filter /FlateDecode', Buffer.from(zlibSync(cidToGid)));
+
+    const widths = glyphs.map(glyph => Math.round(glyph.advanceWidth * scale)).join(' ');
+    const cidFontId = writer.addObject(
+      `<< /Type /Font /Subtype /CIDFontType2 /BaseFont /${baseFont} ` +
+      '/CIDSystemInfo << /Registry (Adobe) /Ordering (Identity) /Supplement 0 >> ' +
+      `/FontDescriptor ${descriptorId} 0 R /DW 1000 /W [1 [${widths}]] /CIDToGIDMap ${cidToGidId} 0 R >>`
+    );
+
+    const toUnicodeId = writer.addStream('/Filter /FlateDecode', Buffer.from(zlibSync(Buffer.from(toUnicodeCMap(this.codePoints), 'latin1'))));
+    return writer.addObject(
+      `<< /Type /Font /Subtype /Type0 /BaseFont /${baseFont} /Encoding /Identity-H ` +
+      `/DescendantFonts [${cidFontId} 0 R] /ToUnicode ${toUnicodeId} 0 R >>`
+    );
+  }
+}
+
+const formatNumber = (value) => {
+  return Number.isInteger(value) ? String(value) : value.toFixed(2);
+};
+
+/**
+ * A single PDF page that collects drawing operations
+ */
+class PdfPage {
+  constructor(writer, width, height) {
+    this.writer = writer;
+    this.width = width;
+    this.height = height;
+    this.operations = [];
+    this.images = new Map(); // resource name -> image object number
+    this.fonts = new Set(); // PdfFonts used on the page
+  }
+
+  /**
+   * Draw a line of text
+   * @param {string} text - Text to draw
+   * @param {number} x - Left edge in points
+   * @param {number} y - Baseline in points, measured from the bottom of the page
+   * @param {Object} options - { size, font (see FONT_FILES; mono by default), invisible, width, color }
+   */
+  drawText(text, x, y, options = {}) {
+    const size = options.size || 12;
+    const font = this.writer.getFont(options.font);
+    const content = font.encode(text);
+    if (!content) return this;
+    this.fonts.add(font);
+
+    const ops = ['BT', `/${font.resourceName} ${formatNumber(size)} Tf`];
+
+    // Invisible text (render mode 3) is used for OCR text layers
+    if (options.invisible) {
+      ops.push('3 Tr');
+    } else if (options.color) {
+      ops.push(`${options.color.map(formatNumber).join(' ')} rg`);
+    }
+
+    // Stretch the text horizontally so it covers the requested width
+    if (options.width) {
+      const naturalWidth = font.measure(text, size);
+      if (naturalWidth > 0) {
+        ops.push(`${formatNumber((options.width / naturalWidth) * 100)} Tz`);
+      }
+    }
+
+    ops.push(`${formatNumber(x)} ${formatNumber(y)} Td`, `<${content}> Tj`, 'ET');
+    this.operations.push(ops.join('\n'));
+    return this;
+  }
+
+  /**
+   * Draw a straight line
+   * @param {number} x1 - Start, in points from the bottom left of the page
+   * @param {number} y1
+   * @param {number} x2 - End
+   * @param {number} y2
+   * @param {Object} options - { width (1 point by default), color }
+   */
+  drawLine(x1, y1, x2, y2, options = {}) {
+    const color = options.color || [0, 0, 0];
+    this.operations.push(
+      `q ${color.map(formatNumber).join(' ')} RG ${formatNumber(options.width || 1)} w ` +
+      `${formatNumber(x1)} ${formatNumber(y1)} m ${formatNumber(x2)} ${formatNumber(y2)} l S Q`
+    );
+    return this;
+  }
+
+  /**
+   * Draw a JPEG image
+   * @param {Object} image - { data: Buffer, width, height, channels }
+   * @param {number} x - Left edge in points
+   * @param {number} y - Bottom edge in points
+   * @param {number} width - Drawn width in points
+   * @param {number} height - Drawn height in points
+   */
+  drawImage(image, x, y, width, height) {
+    const name = `Im${this.images.size + 1}`;
+    this.images.set(name, this.writer.addImage(image));
+    this.operations.push(
+      `q ${formatNumber(width)} 0 0 ${formatNumber(height)} ${formatNumber(x)} ${formatNumber(y)} cm /${name} Do Q`
+    );
+    return this;
+  }
+}
+
+/**
+ * Minimal PDF writer supporting Unicode text (embedded DejaVu font subsets) and JPEG images
+ */
+class PdfWriter {
+  constructor(info = {}) {
+    this.info = info;
+    this.pages = [];
+    this.objects = []; // object number - 1 -> body buffer
+    this.fonts = new Map(); // font name -> PdfFont
+  }
+
+  static getPaperSize(paperSize = 'A4', orientation = 'portrait') {
+    const [width, height] = PAPER_SIZES[paperSize] || PAPER_SIZES.A4;
+    return orientation === 'landscape' ? [height, width] : [width, height];
+  }
+
+  // Width of a line of text in points
+  static measureText(text, size = 12, font = 'mono') {
+    return measureCodePoints(loadFont(font), drawnCodePoints(text), size);
+  }
+
+  getFont(name = 'mono') {
+    if (!this.fonts.has(name)) {
+      this.fonts.set(name, new PdfFont(name, `F${this.fonts.size + 1}`));
+    }
+    return this.fonts.get(name);
+  }
+
+  addObject(body) {
+    this.objects.push(Buffer.isBuffer(body) ? body : Buffer.from(body, 'latin1'));
+    return this.objects.length;
+  }
+
+  addStream(dictionary, data) {
+    const header = Buffer.from(`<< ${dictionary} /Length ${data.length} >>\nstream\n`, 'latin1');
+    return this.addObject(Buffer.concat([header, data, Buffer.from('\nendstream', 'latin1')]));
+  }
+
+  addImage({ data, width, height, channels = 3 }) {
+    const colorSpace = channels === 1 ? '/DeviceGray' : channels === 4 ? '/DeviceCMYK' : '/DeviceRGB';
+    return this.addStream(
+      `/Type /XObject /Subtype /Image /Width ${width} /Height ${height} /ColorSpace ${colorSpace} /BitsPerComponent 8 /Filter /DCTDecode`,
+      data
+    );
+  }
+
+  addPage(width = PAPER_SIZES.A4[0], height = PAPER_SIZES.A4[1]) {
+    const page = new PdfPage(this, width, height);
+    this.pages.push(page);
+    return page;
+  }
+
+  /**
+   * Serialize the document
+   * @returns {Buffer} PDF file contents
+   */
+  toBuffer() {
+    if (this.pages.length === 0) {
+      this.addPage();
+    }
+
+    const fontIds = new Map(Array.from(this.fonts.values())
+      .filter(font => font.codePoints.length > 0)
+      .map(font => [font, font.embed(this)]));
+    const pagesId = this.objects.length + 1;
+    this.addObject(''); // placeholder for the page tree
+    const pageIds = [];
+
+    for (const page of this.pages) {
+      const content = Buffer.from(page.operations.join('\n'), 'latin1');
+      const contentId = this.addStream('/Filter /FlateDecode', Buffer.from(zlibSync(content)));
+      const xObjects = Array.from(page.images.entries())
+        .map(([name, id]) => `/${name} ${id} 0 R`)
+        .join(' ');
+      const fonts = Array.from(page.fonts)
+        .map(font => `/${font.resourceName} ${fontIds.get(font)} 0 R`)
+        .join(' ');
+      pageIds.push(this.addObject(
+        `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${formatNumber(page.width)} ${formatNumber(page.height)}] ` +
+        `/Resources <<${fonts ? ` /Font << ${fonts} >>` : ''}${xObjects ? ` /XObject << ${xObjects} >>` : ''} >> ` +
+        `/Contents ${contentId} 0 R >>`
+      ));
+    }
+
+    this.objects[pagesId - 1] = Buffer.from(
+      `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`,
+      'latin1'
+    );
+    const catalogId = this.addObject(`<< /Type /Catalog /Pages ${pagesId} 0 R >>`);
+    const infoEntries = Object.entries({ Producer: 'File Reader Editor', ...this.info })
+      .map(([key, value]) => `/${key} ${encodeTextString(value)}`)
+      .join(' ');
+    const infoId = this.addObject(`<< ${infoEntries} >>`);
+
+    const chunks = [Buffer.from('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n', 'latin1')];
+    const offsets = [];
+    let length = chunks[0].length;
+
+    this.objects.forEach((body, index) => {
+      offsets.push(length);
+      const chunk = Buffer.concat([
+        Buffer.from(`${index + 1} 0 obj\n`, 'latin1'),
+        body,
+        Buffer.from('\nendobj\n', 'latin1')
+      ]);
+      chunks.push(chunk);
+      length += chunk.length;
+    });
+
+    const xref = [
+      'xref',
+      `0 ${this.objects.length + 1}`,
+      '0000000000 65535 f ',
+      ...offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n `),
+      'trailer',
+      `<< /Size ${this.objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>`,
+      'startxref',
+      String(length),
+      '%%EOF'
+    ].join('\n');
+    chunks.push(Buffer.from(xref + '\n', 'latin1'));
+
+    return Buffer.concat(chunks);
+  }
+}
+
+module.exports = {
+  PdfWriter,
+  PdfPage,
+  PdfFont,
+  PAPER_SIZES,
+  FONT_FILES
+};
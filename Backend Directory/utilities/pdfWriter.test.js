@@ -0,0 +1,49 @@
+const zlib = require('zlib');
+const { PdfWriter } = require('./pdfWriter');
+
+// Inflated contents of every FlateDecode stream in a PDF written by PdfWriter
+const inflateStreams = (pdf) => {
+  const source = pdf.toString('latin1');
+  const streams = [];
+  const pattern = /\/Filter \/FlateDecode[^>]*\/Length (\d+)[^>]*>>\nstream\n/g;
+  let match;
+  while ((match = pattern.exec(source))) {
+    const start = match.index + match[0].length;
+    streams.push(zlib.inflateSync(pdf.subarray(start, start + parseInt(match[1]))).toString('latin1'));
+  }
+  return streams;
+};
+
+describe('PdfWriter', () => {
+  test('maps the glyphs of non-Latin text back to Unicode', () => {
+    const writer = new PdfWriter({ Title: 'Привет' });
+    writer.addPage().drawText('Ωmega Привет 中文', 72, 720, { invisible: true });
+    const pdf = writer.toBuffer();
+    const streams = inflateStreams(pdf);
+
+    const toUnicode = streams.find(stream => stream.includes('beginbfchar'));
+    // Ω, П and 中 keep their code points even where the font has no glyph
+    ['03A9', '041F', '4E2D'].forEach(code => expect(toUnicode).toContain(`<${code}>`));
+
+    const content = streams.find(stream => stream.includes(' Tj'));
+    expect(content).toMatch(/<[0-9a-f]+> Tj/i);
+    expect(content).not.toContain('?');
+    expect(pdf.toString('latin1')).toContain('/Title <FEFF041F04400438043204350442>');
+  });
+
+  test('embeds only the fonts that are drawn with', () => {
+    const writer = new PdfWriter();
+    writer.getFont('sans-bold');
+    writer.addPage().drawText('plain', 72, 720);
+    const pdf = writer.toBuffer().toString('latin1');
+
+    expect(pdf.match(/\/Subtype \/Type0/g)).toHaveLength(1);
+    expect(pdf).toContain('DejaVuSansMono');
+    expect(pdf).not.toContain('DejaVuSans-Bold');
+  });
+
+  test('measures text with the metrics of the font', () => {
+    expect(PdfWriter.measureText('abc', 10)).toBeCloseTo(3 * 6.02, 1);
+    expect(PdfWriter.measureText('iii', 10, 'sans')).toBeLessThan(PdfWriter.measureText('WWW', 10, 'sans'));
+  });
+});
@@ -0,0 +1,208 @@
+const sharp = require('sharp');
+const winston = require('winston');
+const { IMAGE_OUTPUT_FORMATS, loadInput } = require('./converters');
+const { mimeTypeForExtension } = require('./formats');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/convert.log' })
+  ]
+});
+
+const PIPELINE_STEP_TYPES = ['convert', 'resize', 'compress', 'ocr'];
+const MAX_PIPELINE_STEPS = 10;
+
+// Formats sharp can both read and write, so resize/compress keep the input format
+const RASTER_FORMATS = IMAGE_OUTPUT_FORMATS;
+
+const invalidStep = (index, message) => {
+  const error = new Error(`Step ${index + 1}: ${message}`);
+  error.code = 'INVALID_PIPELINE';
+  error.step = index;
+  error.permanent = true;
+  return error;
+};
+
+const requireRaster = (format, index, type) => {
+  if (!RASTER_FORMATS.includes(format)) {
+    throw invalidStep(index, `${type} needs an image input (${RASTER_FORMATS.join(', ')}), got ${format}`);
+  }
+};
+
+const toSharpFormat = (format) => (format === 'jpg' ? 'jpeg' : format);
+
+// Encoder settings that trade quality for size in each raster format
+const compressionOptions = (format, quality) => {
+  switch (toSharpFormat(format)) {
+    case 'jpeg':
+      return { quality, mozjpeg: true };
+    case 'png':
+      return { compressionLevel: 9, palette: quality < 100, quality };
+    case 'webp':
+    case 'avif':
+    case 'tiff':
+      return { quality };
+    case 'gif':
+      return { colours: Math.max(2, Math.round((quality / 100) * 256)) };
+    default:
+      return {};
+  }
+};
+
+/**
+ * Step types. plan() validates a step against the format it receives and returns
+ * the format it produces; run() transforms the buffer.
+ */
+const STEP_HANDLERS = {
+  convert: {
+    plan(format, step, index, { converterRegistry }) {
+      const targetFormat = step.targetFormat.toLowerCase();
+      const conversions = converterRegistry.findPath(format, targetFormat);
+      if (!conversions) {
+        throw invalidStep(index, `conversion from ${format} to ${targetFormat} is not supported`);
+      }
+      return { format: targetFormat, conversions };
+    },
+    async run(buffer, format, step, { converterRegistry }) {
+      if (format === step.to) return { buffer, format };
+      const result = await converterRegistry.convert({
+        buffer,
+        sourceFormat: format,
+        targetFormat: step.to,
+        options: step.options || {}
+      });
+      return { buffer: result.buffer, format: result.format, engine: result.engine };
+    }
+  },
+
+  resize: {
+    plan(format, step, index) {
+      requireRaster(format, index, 'resize');
+      return { format };
+    },
+    async run(buffer, format, step) {
+      const output = await sharp(buffer)
+        .resize({
+          width: step.width,
+          height: step.height,
+          fit: step.fit || 'inside',
+          withoutEnlargement: step.withoutEnlargement !== false
+        })
+        .toFormat(toSharpFormat(format))
+        .toBuffer();
+      return { buffer: output, format, engine: 'local' };
+    }
+  },
+
+  compress: {
+    plan(format, step, index) {
+      requireRaster(format, index, 'compress');
+      return { format };
+    },
+    async run(buffer, format, step) {
+      const output = await sharp(buffer, { animated: format === 'gif' || format === 'webp' })
+        .toFormat(toSharpFormat(format), compressionOptions(format, step.quality || 75))
+        .toBuffer();
+
+      // Re-encoding an already well-compressed file can grow it; keep the smaller one
+      return { buffer: output.length < buffer.length ? output : buffer, format, engine: 'local' };
+    }
+  },
+
+  ocr: {
+    plan(format, step, index, { ocrEngine }) {
+      const language = step.language || 'eng';
+      if (!ocrEngine || !ocrEngine.isLanguageInstalled(language)) {
+        throw invalidStep(index, `OCR language "${language}" is not installed on this server`);
+      }
+      requireRaster(format, index, 'ocr');
+      return { format: 'txt' };
+    },
+    async run(buffer, format, step, { ocrEngine }) {
+      const result = await ocrEngine.recognize(buffer, {
+        language: step.language,
+        psm: step.psm,
+        oem: step.oem
+      });
+      return { buffer: Buffer.from(result.text, 'utf8'), format: 'txt', engine: 'ocr' };
+    }
+  }
+};
+
+/**
+ * Validate a pipeline and work out the format flowing between steps
+ * @param {string} sourceFormat - Format of the input file
+ * @param {Array} steps - [{ type, ...stepOptions }]
+ * @param {Object} context - { converterRegistry, ocrEngine }
+ * @returns {Object} { steps: [{ ...step, from, to, conversions }], targetFormat }
+ * @throws {Error} With code INVALID_PIPELINE and the failing step index
+ */
+const planPipeline = (sourceFormat, steps, context) => {
+  let format = sourceFormat.toLowerCase();
+
+  const planned = steps.map((step, index) => {
+    const handler = STEP_HANDLERS[step.type];
+    if (!handler) {
+      throw invalidStep(index, `unknown step type "${step.type}"`);
+    }
+
+    const { format: output, conversions } = handler.plan(format, step, index, context);
+    const plannedStep = { ...step, from: format, to: output };
+    if (conversions) plannedStep.conversions = conversions;
+
+    format = output;
+    return plannedStep;
+  });
+
+  return { steps: planned, targetFormat: format };
+};
+
+/**
+ * Run planned pipeline steps in sequence on one input
+ * @param {Object} input - { buffer, fileUrl }
+ * @param {Array} steps - Steps returned by planPipeline
+ * @param {Object} context - { converterRegistry, ocrEngine, onStep(index, step) }
+ * @returns {Object} { buffer, format, mimeType, engines }
+ */
+const runPipeline = async (input, steps, context) => {
+  let buffer = await loadInput(input);
+  let format = steps.length > 0 ? steps[0].from : null;
+  const engines = [];
+
+  for (let index = 0; index < steps.length; index++) {
+    const step = steps[index];
+    if (context.onStep) await context.onStep(index, step);
+
+    const startTime = Date.now();
+    const result = await STEP_HANDLERS[step.type].run(buffer, format, step, context);
+    buffer = result.buffer;
+    format = result.format;
+    if (result.engine) engines.push(result.engine);
+
+    logger.info('Pipeline step completed', {
+      step: index,
+      type: step.type,
+      format,
+      outputSize: buffer.length,
+      duration: Date.now() - startTime
+    });
+  }
+
+  return {
+    buffer,
+    format,
+    mimeType: mimeTypeForExtension(format),
+    engines: [...new Set(engines)]
+  };
+};
+
+module.exports = {
+  PIPELINE_STEP_TYPES,
+  MAX_PIPELINE_STEPS,
+  planPipeline,
+  runPipeline
+};
@@ -0,0 +1,285 @@
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const { pipeline } = require('stream/promises');
+const sharp = require('sharp');
+const winston = require('winston');
+const File = require('../models/File');
+const { generateJobId } = require('./jobQueue');
+const { openDocument } = require('./ocrDocument');
+const { getStorage } = require('./storage');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/previews.log' })
+  ]
+});
+
+// Videos are copied here for ffprobe/ffmpeg, which need to seek in the file
+const PREVIEW_DIR = path.join(__dirname, '../temp/previews');
+
+const PREVIEW_JOB = 'preview';
+
+// Longest edge of each thumbnail, in pixels
+const THUMBNAIL_SIZES = {
+  small: 128,
+  medium: 512,
+  large: 1024
+};
+
+// Resolution the first page of a PDF is rendered at; enough for the large thumbnail
+const PREVIEW_PDF_DPI = 150;
+
+// Images and PDFs are decoded in memory; larger ones get metadata from the record only
+const MAX_PREVIEW_SOURCE_SIZE = parseInt(process.env.MAX_PREVIEW_SOURCE_SIZE) || 200 * 1024 * 1024;
+
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+const FFPROBE_PATH = process.env.FFPROBE_PATH || 'ffprobe';
+const FFMPEG_TIMEOUT = 60000;
+
+const thumbnailKey = (fileId, size) => `thumbnails/${fileId}/${size}.webp`;
+
+// Which extractor handles a MIME type, or null when no preview is made
+const previewKind = (mimeType = '') => {
+  if (mimeType === 'application/pdf') return 'pdf';
+  if (mimeType.startsWith('image/')) return 'image';
+  if (mimeType.startsWith('video/')) return 'video';
+  return null;
+};
+
+const permanentError = (message) => {
+  const error = new Error(message);
+  error.permanent = true;
+  return error;
+};
+
+const run = (command, args) => new Promise((resolve, reject) => {
+  execFile(command, args, { encoding: 'buffer', maxBuffer: 64 * 1024 * 1024, timeout: FFMPEG_TIMEOUT }, (error, stdout, stderr) => {
+    if (error) {
+      if (error.code === 'ENOENT') {
+        return reject(permanentError(`${command} is not installed; set FFMPEG_PATH and FFPROBE_PATH`));
+      }
+      error.message = `${path.basename(command)} failed: ${stderr.toString().trim().split('\n').pop() || error.message}`;
+      return reject(error);
+    }
+    resolve(stdout);
+  });
+});
+
+/**
+ * Queue metadata extraction and thumbnails for a stored file. Never throws; a file
+ * without a preview is still a usable file.
+ * @param {JobQueue} queue - Job queue
+ * @param {Object} file - File document
+ * @returns {Promise<Object|null>} The queued job, or null when the type has no preview
+ */
+const enqueuePreview = async (queue, file) => {
+  if (!previewKind(file.mimeType)) return null;
+
+  try {
+    return await queue.add(PREVIEW_JOB, {
+      fileId: file.fileId,
+      s3Key: file.s3Key,
+      mimeType: file.mimeType
+    }, { userId: file.uploadedBy, attempts: 2, jobId: generateJobId('preview') });
+  } catch (error) {
+    logger.warn('Failed to queue preview', { fileId: file.fileId, error: error.message });
+    return null;
+  }
+};
+
+// Width and height as displayed, after the EXIF orientation is applied
+const imageMetadata = (metadata) => {
+  const rotated = metadata.orientation >= 5;
+  return {
+    width: rotated ? metadata.height : metadata.width,
+    height: rotated ? metadata.width : metadata.height,
+    pages: metadata.pages,
+    colorSpace: metadata.space,
+    compression: metadata.compression,
+    hasTransparency: metadata.hasAlpha,
+    isAnimated: (metadata.pages || 1) > 1 && ['gif', 'webp'].includes(metadata.format)
+  };
+};
+
+const extractImage = async (storage, data) => {
+  const buffer = await storage.get(data.s3Key);
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (error) {
+    throw permanentError(`Unsupported image: ${error.message}`);
+  }
+  return { metadata: imageMetadata(metadata), frame: buffer };
+};
+
+// First page, rendered on white; width and height are the page size in points
+const extractPdf = async (storage, data) => {
+  const buffer = await storage.get(data.s3Key);
+  let document;
+  try {
+    document = await openDocument(buffer, { dpi: PREVIEW_PDF_DPI, maxPages: 1 });
+  } catch (error) {
+    throw permanentError(`Unreadable PDF: ${error.message}`);
+  }
+
+  try {
+    const page = await document.renderPage(0);
+    return {
+      metadata: {
+        pages: document.totalPages,
+        width: Math.round(page.width * 72 / PREVIEW_PDF_DPI),
+        height: Math.round(page.height * 72 / PREVIEW_PDF_DPI)
+      },
+      frame: page.image
+    };
+  } finally {
+    await document.close();
+  }
+};
+
+// Poster frame a tenth of the way in (at most 5 seconds), skipping black opening frames
+const extractVideo = async (storage, data, jobId) => {
+  const inputPath = path.join(PREVIEW_DIR, `${jobId}.input`);
+  await fs.promises.mkdir(PREVIEW_DIR, { recursive: true });
+
+  try {
+    await pipeline(storage.createReadStream(data.s3Key), fs.createWriteStream(inputPath));
+
+    const probe = JSON.parse((await run(FFPROBE_PATH, [
+      '-v', 'error', '-print_format', 'json', '-show_format', '-show_streams', inputPath
+    ])).toString());
+    const stream = (probe.streams || []).find(candidate => candidate.codec_type === 'video');
+    if (!stream) {
+      throw permanentError('No video stream found');
+    }
+
+    const duration = parseFloat(probe.format?.duration || stream.duration) || 0;
+    const frame = await run(FFMPEG_PATH, [
+      '-v', 'error', '-ss', String(Math.min(duration / 10, 5)), '-i', inputPath,
+      '-frames:v', '1', '-f', 'image2pipe', '-vcodec', 'png', 'pipe:1'
+    ]);
+
+    return {
+      metadata: {
+        width: stream.width,
+        height: stream.height,
+        duration: Math.round(duration * 1000) / 1000,
+        encoding: stream.codec_name
+      },
+      frame
+    };
+  } finally {
+    await fs.promises.rm(inputPath, { force: true });
+  }
+};
+
+const EXTRACTORS = {
+  image: extractImage,
+  pdf: extractPdf,
+  video: extractVideo
+};
+
+// Resize a frame to each thumbnail size and store it next to the others for the file
+const storeThumbnails = async (storage, fileId, frame) => {
+  const thumbnails = [];
+  for (const [size, edge] of Object.entries(THUMBNAIL_SIZES)) {
+    const { data, info } = await sharp(frame, { animated: false })
+      .rotate()
+      .resize({ width: edge, height: edge, fit: 'inside', withoutEnlargement: true })
+      .webp({ quality: 80 })
+      .toBuffer({ resolveWithObject: true });
+
+    const key = thumbnailKey(fileId, size);
+    await storage.put(key, data, { contentType: 'image/webp' });
+    thumbnails.push({ size, s3Key: key, width: info.width, height: info.height });
+  }
+  return thumbnails;
+};
+
+/**
+ * Register the preview job handler on a queue
+ * @param {JobQueue} queue - Job queue
+ * @param {Object} options - { storage, concurrency }
+ */
+const registerPreviewWorker = (queue, options = {}) => {
+  const storage = options.storage || getStorage();
+  const concurrency = options.concurrency || parseInt(process.env.PREVIEW_CONCURRENCY) || 1;
+
+  queue.process(PREVIEW_JOB, async (job, context) => {
+    const { fileId } = job.data;
+    const kind = previewKind(job.data.mimeType);
+    if (!kind) {
+      throw permanentError(`No preview for ${job.data.mimeType}`);
+    }
+
+    // The file may have been removed while the job waited
+    const file = await File.findOne({ fileId, isDeleted: false });
+    if (!file) {
+      return { fileId, skipped: 'file_deleted' };
+    }
+    // Infected files are never opened by the decoders
+    if (file.virus.scanned && !file.virus.clean) {
+      return { fileId, skipped: 'infected' };
+    }
+    if (kind !== 'video' && file.size > MAX_PREVIEW_SOURCE_SIZE) {
+      return { fileId, skipped: 'too_large' };
+    }
+
+    await context.updateProgress(10, { stage: 'extracting', kind });
+    const { metadata, frame } = await EXTRACTORS[kind](storage, job.data, job.jobId);
+
+    context.throwIfCancelled();
+    await context.updateProgress(60, { stage: 'thumbnails' });
+    const thumbnails = await storeThumbnails(storage, fileId, frame);
+
+    // Only the preview fields are written, so edits made meanwhile are kept
+    const changes = { thumbnails };
+    for (const [field, value] of Object.entries(metadata)) {
+      if (value !== undefined && value !== null) changes[`metadata.${field}`] = value;
+    }
+    await File.updateOne({ _id: file._id }, { $set: changes });
+
+    logger.info('Preview generated', { fileId, kind, thumbnails: thumbnails.length });
+    return {
+      fileId,
+      kind,
+      metadata,
+      thumbnails: thumbnails.map(({ size, width, height }) => ({ size, width, height }))
+    };
+  }, { concurrency });
+
+  return queue;
+};
+
+/**
+ * Copy a file's thumbnails to a new file ID, for file copies
+ * @returns {Promise<Array>} Thumbnail entries for the copy; empty when the copy failed
+ */
+const copyThumbnails = async (file, fileId, storage = getStorage()) => {
+  try {
+    return await Promise.all((file.thumbnails || []).map(async (thumbnail) => {
+      const key = thumbnailKey(fileId, thumbnail.size);
+      await storage.copy(thumbnail.s3Key, key);
+      return { size: thumbnail.size, s3Key: key, width: thumbnail.width, height: thumbnail.height };
+    }));
+  } catch (error) {
+    logger.warn('Failed to copy thumbnails', { fileId: file.fileId, error: error.message });
+    return [];
+  }
+};
+
+module.exports = {
+  PREVIEW_JOB,
+  PREVIEW_DIR,
+  THUMBNAIL_SIZES,
+  enqueuePreview,
+  registerPreviewWorker,
+  copyThumbnails,
+  previewKind,
+  thumbnailKey
+};
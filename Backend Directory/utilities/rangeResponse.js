@@ -0,0 +1,241 @@
+const crypto = require('crypto');
+const { Readable, pipeline } = require('stream');
+
+// More ranges than this (after merging overlaps) are answered with the whole file,
+// which RFC 9110 allows and which stops clients asking for thousands of tiny parts
+const MAX_RANGES = parseInt(process.env.MAX_BYTE_RANGES) || 20;
+
+const parseEtagList = (header) => String(header).split(',').map(tag => tag.trim()).filter(Boolean);
+
+const opaqueTag = (tag) => tag.replace(/^W\//, '');
+
+// If-None-Match uses the weak comparison, If-Match and If-Range the strong one
+const matchesWeak = (header, etag) => {
+  const tags = parseEtagList(header);
+  return tags.includes('*') || (!!etag && tags.some(tag => opaqueTag(tag) === opaqueTag(etag)));
+};
+
+const matchesStrong = (header, etag) => {
+  const tags = parseEtagList(header);
+  return tags.includes('*') || (!!etag && !etag.startsWith('W/') && tags.includes(etag));
+};
+
+// HTTP dates have whole-second precision
+const toSeconds = (date) => Math.floor(new Date(date).getTime() / 1000);
+
+const parseHttpDate = (value) => {
+  const time = value ? Date.parse(value) : NaN;
+  return Number.isNaN(time) ? null : Math.floor(time / 1000);
+};
+
+/**
+ * Evaluate conditional request headers in the order RFC 9110 section 13.2.2 gives them
+ * @param {Object} headers - Request headers
+ * @param {Object} resource - { etag, lastModified }
+ * @returns {number|null} 412 or 304 when the request should stop there, otherwise null
+ */
+const evaluatePreconditions = (headers, resource) => {
+  const { etag, lastModified } = resource;
+
+  if (headers['if-match']) {
+    if (!matchesStrong(headers['if-match'], etag)) return 412;
+  } else if (headers['if-unmodified-since'] && lastModified) {
+    const since = parseHttpDate(headers['if-unmodified-since']);
+    if (since !== null && toSeconds(lastModified) > since) return 412;
+  }
+
+  if (headers['if-none-match']) {
+    if (matchesWeak(headers['if-none-match'], etag)) return 304;
+  } else if (headers['if-modified-since'] && lastModified) {
+    const since = parseHttpDate(headers['if-modified-since']);
+    if (since !== null && toSeconds(lastModified) <= since) return 304;
+  }
+
+  return null;
+};
+
+// If-Range holds either an ETag (strong comparison) or the exact Last-Modified date
+const rangeStillValid = (headers, resource) => {
+  const ifRange = headers['if-range'];
+  if (!ifRange) return true;
+
+  if (ifRange.startsWith('"') || ifRange.startsWith('W/')) {
+    return matchesStrong(ifRange, resource.etag);
+  }
+  const date = parseHttpDate(ifRange);
+  return date !== null && !!resource.lastModified && toSeconds(resource.lastModified) === date;
+};
+
+/**
+ * Parse a Range header
+ * @param {number} size - Resource size in bytes
+ * @param {string} header - Range header value
+ * @returns {Array|string|null} [{ start, end }] (inclusive, overlaps merged), 'unsatisfiable',
+ *   or null when the header should be ignored (missing, malformed, another unit, too many ranges)
+ */
+const parseRange = (size, header) => {
+  const match = /^\s*bytes\s*=\s*(.+)$/i.exec(header || '');
+  if (!match) return null;
+
+  const ranges = [];
+  for (const spec of match[1].split(',')) {
+    const parts = /^\s*(\d*)\s*-\s*(\d*)\s*$/.exec(spec);
+    if (!parts || (parts[1] === '' && parts[2] === '')) return null;
+
+    let start;
+    let end;
+    if (parts[1] === '') {
+      // Suffix range: the last N bytes
+      const length = parseInt(parts[2], 10);
+      if (length === 0) continue;
+      start = Math.max(0, size - length);
+      end = size - 1;
+    } else {
+      start = parseInt(parts[1], 10);
+      end = parts[2] === '' ? size - 1 : Math.min(parseInt(parts[2], 10), size - 1);
+      if (parts[2] !== '' && parseInt(parts[2], 10) < start) return null;
+    }
+
+    if (start < size && start <= end) {
+      ranges.push({ start, end });
+    }
+  }
+
+  if (ranges.length === 0) return 'unsatisfiable';
+
+  // Overlapping and adjacent ranges are merged so no byte is sent twice
+  const merged = [];
+  for (const range of ranges.sort((a, b) => a.start - b.start)) {
+    const last = merged[merged.length - 1];
+    if (last && range.start <= last.end + 1) {
+      last.end = Math.max(last.end, range.end);
+    } else {
+      merged.push({ ...range });
+    }
+  }
+
+  return merged.length > MAX_RANGES ? null : merged;
+};
+
+/**
+ * The ranges a request will be answered with
+ * @param {Object} headers - Request headers
+ * @param {Object} resource - { size, etag, lastModified }
+ * @returns {Array|string|null} As parseRange, and null (the whole file) when If-Range no longer matches
+ */
+const requestedRanges = (headers, resource) => (headers.range && rangeStillValid(headers, resource)
+  ? parseRange(resource.size, headers.range)
+  : null);
+
+const pipeTo = (source, res) => new Promise((resolve, reject) => {
+  pipeline(source, res, (error) => (error ? reject(error) : resolve()));
+});
+
+/**
+ * Send a stored file honouring conditional requests (304/412) and byte ranges (206,
+ * multipart/byteranges for several ranges, 416). HEAD requests get the headers only.
+ * Callers set Content-Disposition, Cache-Control and CORS headers themselves.
+ * @param {Request} req - Express request
+ * @param {Response} res - Express response
+ * @param {Object} resource - { size, etag, lastModified, contentType, openStream(start, end) }
+ *   where openStream returns (a promise of) a readable stream of bytes start..end inclusive
+ * @returns {Promise<void>} Resolves when the response has been written
+ */
+const sendFileRanges = async (req, res, resource) => {
+  const { size, etag, lastModified, contentType = 'application/octet-stream' } = resource;
+
+  res.setHeader('Accept-Ranges', 'bytes');
+  if (etag) res.setHeader('ETag', etag);
+  if (lastModified) res.setHeader('Last-Modified', new Date(lastModified).toUTCString());
+
+  const precondition = evaluatePreconditions(req.headers, resource);
+  if (precondition === 412) {
+    res.status(412).json({
+      success: false,
+      error: 'Precondition failed',
+      code: 'PRECONDITION_FAILED'
+    });
+    return;
+  }
+  if (precondition === 304) {
+    // A 304 carries the validators but no body headers
+    res.removeHeader('Content-Type');
+    res.status(304).end();
+    return;
+  }
+
+  const isHead = req.method === 'HEAD';
+  const ranges = requestedRanges(req.headers, resource);
+
+  if (ranges === 'unsatisfiable') {
+    res.setHeader('Content-Range', `bytes */${size}`);
+    res.status(416).json({
+      success: false,
+      error: 'Requested range not satisfiable',
+      code: 'RANGE_NOT_SATISFIABLE'
+    });
+    return;
+  }
+
+  if (!ranges) {
+    res.status(200);
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Length', size);
+    if (isHead || size === 0) {
+      res.end();
+      return;
+    }
+    await pipeTo(await resource.openStream(0, size - 1), res);
+    return;
+  }
+
+  res.status(206);
+
+  if (ranges.length === 1) {
+    const [{ start, end }] = ranges;
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Range', `bytes ${start}-${end}/${size}`);
+    res.setHeader('Content-Length', end - start + 1);
+    if (isHead) {
+      res.end();
+      return;
+    }
+    await pipeTo(await resource.openStream(start, end), res);
+    return;
+  }
+
+  // Several ranges go out as multipart/byteranges, one part per range
+  const boundary = crypto.randomBytes(16).toString('hex');
+  const parts = ranges.map(range => ({
+    ...range,
+    head: Buffer.from(`\r\n--${boundary}\r\nContent-Type: ${contentType}\r\nContent-Range: bytes ${range.start}-${range.end}/${size}\r\n\r\n`)
+  }));
+  const tail = Buffer.from(`\r\n--${boundary}--\r\n`);
+  const length = parts.reduce((total, part) => total + part.head.length + part.end - part.start + 1, tail.length);
+
+  res.setHeader('Content-Type', `multipart/byteranges; boundary=${boundary}`);
+  res.setHeader('Content-Length', length);
+  if (isHead) {
+    res.end();
+    return;
+  }
+
+  // Each range is opened only when the previous one has been sent
+  const body = Readable.from((async function* () {
+    for (const part of parts) {
+      yield part.head;
+      yield* await resource.openStream(part.start, part.end);
+    }
+    yield tail;
+  })());
+
+  await pipeTo(body, res);
+};
+
+module.exports = {
+  sendFileRanges,
+  parseRange,
+  requestedRanges,
+  evaluatePreconditions,
+  MAX_RANGES
+};
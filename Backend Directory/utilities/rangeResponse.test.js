@@ -0,0 +1,165 @@
+const express = require('express');
+const request = require('supertest');
+const { Readable } = require('stream');
+const { parseRange, requestedRanges, evaluatePreconditions, sendFileRanges, MAX_RANGES } = require('./rangeResponse');
+
+const CONTENT = Buffer.from('0123456789abcdefghijklmnopqrstuvwxyz');
+const ETAG = '"v1"';
+const LAST_MODIFIED = new Date('2024-03-01T12:00:00Z');
+
+describe('parseRange', () => {
+  test('reads single, open-ended and suffix ranges', () => {
+    expect(parseRange(100, 'bytes=0-9')).toEqual([{ start: 0, end: 9 }]);
+    expect(parseRange(100, 'bytes=90-')).toEqual([{ start: 90, end: 99 }]);
+    expect(parseRange(100, 'bytes=-10')).toEqual([{ start: 90, end: 99 }]);
+    // Suffixes longer than the file and ends past it are cut to the file
+    expect(parseRange(100, 'bytes=-500')).toEqual([{ start: 0, end: 99 }]);
+    expect(parseRange(100, 'bytes=50-500')).toEqual([{ start: 50, end: 99 }]);
+  });
+
+  test('merges overlapping and adjacent ranges, in order', () => {
+    expect(parseRange(100, 'bytes=50-59, 0-9, 5-14, 15-19')).toEqual([{ start: 0, end: 19 }, { start: 50, end: 59 }]);
+    expect(parseRange(100, 'bytes=-10, 85-94')).toEqual([{ start: 85, end: 99 }]);
+  });
+
+  test('is unsatisfiable only when no range overlaps the file', () => {
+    expect(parseRange(100, 'bytes=100-')).toBe('unsatisfiable');
+    expect(parseRange(100, 'bytes=-0')).toBe('unsatisfiable');
+    expect(parseRange(0, 'bytes=-5')).toBe('unsatisfiable');
+    expect(parseRange(100, 'bytes=100-, 0-0')).toEqual([{ start: 0, end: 0 }]);
+  });
+
+  test('ignores malformed headers and other units', () => {
+    for (const header of [undefined, '', 'items=0-9', 'bytes=', 'bytes=-', 'bytes=a-b', 'bytes=9-0', 'bytes=0-9,,']) {
+      expect(parseRange(100, header)).toBeNull();
+    }
+  });
+
+  test(`ignores more than ${MAX_RANGES} ranges, counted after merging`, () => {
+    const spread = Array.from({ length: MAX_RANGES + 1 }, (_, index) => `${index * 10}-${index * 10}`);
+    expect(parseRange(1000, `bytes=${spread.join(',')}`)).toBeNull();
+    expect(parseRange(1000, `bytes=${spread.slice(1).join(',')}`)).toHaveLength(MAX_RANGES);
+
+    const overlapping = Array.from({ length: MAX_RANGES * 5 }, (_, index) => `${index}-${index + 1}`);
+    expect(parseRange(1000, `bytes=${overlapping.join(',')}`)).toEqual([{ start: 0, end: MAX_RANGES * 5 }]);
+  });
+});
+
+describe('requestedRanges', () => {
+  const resource = { size: 100, etag: ETAG, lastModified: LAST_MODIFIED };
+  const ranged = (ifRange) => ({ range: 'bytes=10-19', ...(ifRange && { 'if-range': ifRange }) });
+
+  test('honours the range while If-Range still matches the ETag or date', () => {
+    expect(requestedRanges(ranged(), resource)).toEqual([{ start: 10, end: 19 }]);
+    expect(requestedRanges(ranged(ETAG), resource)).toEqual([{ start: 10, end: 19 }]);
+    expect(requestedRanges(ranged(LAST_MODIFIED.toUTCString()), resource)).toEqual([{ start: 10, end: 19 }]);
+  });
+
+  test('asks for the whole file when If-Range no longer matches', () => {
+    expect(requestedRanges(ranged('"v0"'), resource)).toBeNull();
+    // Weak validators never match If-Range
+    expect(requestedRanges(ranged('W/"v1"'), resource)).toBeNull();
+    expect(requestedRanges(ranged(ETAG), { ...resource, etag: 'W/"v1"' })).toBeNull();
+    expect(requestedRanges(ranged(new Date(LAST_MODIFIED.getTime() - 1000).toUTCString()), resource)).toBeNull();
+    expect(requestedRanges(ranged('yesterday'), resource)).toBeNull();
+  });
+});
+
+describe('evaluatePreconditions', () => {
+  const resource = { etag: ETAG, lastModified: LAST_MODIFIED };
+  const before = new Date(LAST_MODIFIED.getTime() - 60 * 1000).toUTCString();
+  const after = new Date(LAST_MODIFIED.getTime() + 60 * 1000).toUTCString();
+
+  test('If-Match and If-Unmodified-Since fail with 412', () => {
+    expect(evaluatePreconditions({ 'if-match': '"v0", "v2"' }, resource)).toBe(412);
+    expect(evaluatePreconditions({ 'if-match': 'W/"v1"' }, resource)).toBe(412);
+    expect(evaluatePreconditions({ 'if-unmodified-since': before }, resource)).toBe(412);
+    expect(evaluatePreconditions({ 'if-match': '"v0", "v1"' }, resource)).toBeNull();
+    expect(evaluatePreconditions({ 'if-match': '*' }, resource)).toBeNull();
+  });
+
+  test('If-None-Match and If-Modified-Since answer 304 when the copy is current', () => {
+    expect(evaluatePreconditions({ 'if-none-match': 'W/"v1"' }, resource)).toBe(304);
+    expect(evaluatePreconditions({ 'if-modified-since': after }, resource)).toBe(304);
+    expect(evaluatePreconditions({ 'if-modified-since': before }, resource)).toBeNull();
+  });
+
+  test('412 is checked before 304', () => {
+    expect(evaluatePreconditions({ 'if-match': '"v0"', 'if-none-match': ETAG }, resource)).toBe(412);
+    expect(evaluatePreconditions({ 'if-unmodified-since': before, 'if-modified-since': after }, resource)).toBe(412);
+    expect(evaluatePreconditions({ 'if-match': ETAG, 'if-none-match': ETAG }, resource)).toBe(304);
+  });
+
+  test('an ETag condition overrides the date condition of the same kind', () => {
+    expect(evaluatePreconditions({ 'if-match': ETAG, 'if-unmodified-since': before }, resource)).toBeNull();
+    expect(evaluatePreconditions({ 'if-none-match': '"v0"', 'if-modified-since': after }, resource)).toBeNull();
+  });
+});
+
+describe('sendFileRanges', () => {
+  const app = express();
+  app.all('/file', (req, res, next) => sendFileRanges(req, res, {
+    size: CONTENT.length,
+    etag: ETAG,
+    lastModified: LAST_MODIFIED,
+    contentType: 'text/plain',
+    openStream: (start, end) => Readable.from([CONTENT.subarray(start, end + 1)])
+  }).catch(next));
+
+  const readBytes = (res, callback) => {
+    const chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    res.on('end', () => callback(null, Buffer.concat(chunks)));
+  };
+
+  test('sends one range with its Content-Range', async () => {
+    const res = await request(app).get('/file').set('Range', 'bytes=-6').parse(readBytes);
+
+    expect(res.status).toBe(206);
+    expect(res.headers['content-range']).toBe(`bytes 30-35/${CONTENT.length}`);
+    expect(res.body.toString()).toBe('uvwxyz');
+  });
+
+  test('sends several ranges as multipart/byteranges with a matching Content-Length', async () => {
+    const res = await request(app).get('/file').set('Range', 'bytes=0-3, 10-12, 2-5').parse(readBytes);
+
+    expect(res.status).toBe(206);
+    const [, boundary] = /^multipart\/byteranges; boundary=(\S+)$/.exec(res.headers['content-type']);
+    expect(Number(res.headers['content-length'])).toBe(res.body.length);
+    expect(res.body.toString()).toBe([
+      `\r\n--${boundary}\r\nContent-Type: text/plain\r\nContent-Range: bytes 0-5/36\r\n\r\n012345`,
+      `\r\n--${boundary}\r\nContent-Type: text/plain\r\nContent-Range: bytes 10-12/36\r\n\r\nabc`,
+      `\r\n--${boundary}--\r\n`
+    ].join(''));
+  });
+
+  test('answers HEAD with the multipart length but no body', async () => {
+    const res = await request(app).head('/file').set('Range', 'bytes=0-0, 5-5');
+
+    expect(res.status).toBe(206);
+    expect(Number(res.headers['content-length'])).toBeGreaterThan(2);
+    expect(res.text).toBeUndefined();
+  });
+
+  test('sends the whole file for a stale If-Range, 416 for ranges past the end', async () => {
+    const stale = await request(app).get('/file').set('Range', 'bytes=0-3, 10-12').set('If-Range', '"v0"').parse(readBytes);
+    expect(stale.status).toBe(200);
+    expect(stale.body).toEqual(CONTENT);
+
+    const past = await request(app).get('/file').set('Range', 'bytes=36-');
+    expect(past.status).toBe(416);
+    expect(past.headers['content-range']).toBe('bytes */36');
+    expect(past.body.code).toBe('RANGE_NOT_SATISFIABLE');
+  });
+
+  test('stops at a failed precondition before looking at the range', async () => {
+    const failed = await request(app).get('/file').set('If-Match', '"v0"').set('Range', 'bytes=36-');
+    expect(failed.status).toBe(412);
+    expect(failed.body.code).toBe('PRECONDITION_FAILED');
+
+    const current = await request(app).get('/file').set('If-None-Match', ETAG).set('Range', 'bytes=0-3');
+    expect(current.status).toBe(304);
+    expect(current.headers.etag).toBe(ETAG);
+    expect(current.headers['content-type']).toBeUndefined();
+  });
+});
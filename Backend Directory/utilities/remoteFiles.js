@@ -0,0 +1,163 @@
+const http = require('http');
+const https = require('https');
+const dns = require('dns');
+const net = require('net');
+const winston = require('winston');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/remote-files.log' })
+  ]
+});
+
+// Files fetched from caller-supplied URLs are read into memory; larger ones are refused
+const MAX_REMOTE_FILE_SIZE = parseInt(process.env.REMOTE_FETCH_MAX_SIZE) || parseInt(process.env.MAX_FILE_SIZE) || 100 * 1024 * 1024;
+const REMOTE_FETCH_TIMEOUT = parseInt(process.env.REMOTE_FETCH_TIMEOUT) || 30 * 1000;
+const MAX_REDIRECTS = 5;
+// Comma-separated host names; when set, only these hosts and their subdomains are fetched from
+const ALLOWED_HOSTS = (process.env.REMOTE_FETCH_ALLOWED_HOSTS || '')
+  .split(',')
+  .map(host => host.trim().toLowerCase())
+  .filter(Boolean);
+
+// Loopback, private, link-local (cloud metadata), shared, reserved and multicast ranges.
+// IPv4-mapped IPv6 addresses are checked against the IPv4 ranges.
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([prefix, bits]) => BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32],
+  ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([prefix, bits]) => BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv6'));
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+const remoteFileError = (status, code, message) => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+};
+
+// Whether an IP address must not be fetched from
+const isBlockedAddress = (address) => {
+  const family = net.isIP(address);
+  return family === 0 || BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+// dns.lookup for outgoing requests that refuses blocked addresses, so the check applies to
+// the address actually connected to (a host cannot resolve differently in between)
+const checkedLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (addresses.length === 0 || addresses.some(({ address }) => isBlockedAddress(address))) {
+      return callback(remoteFileError(403, 'BLOCKED_ADDRESS', `${hostname} resolves to an address that cannot be fetched from`));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+// Refuse URLs that are not http(s), name a blocked IP address or a host outside the allowlist
+const checkUrl = (url) => {
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw remoteFileError(400, 'INVALID_URL', `Only http and https URLs can be fetched, not ${url.protocol}`);
+  }
+
+  const host = url.hostname.replace(/^\[(.*)\]$/, '$1').toLowerCase();
+  // Literal addresses are connected to without a lookup
+  if (net.isIP(host) && isBlockedAddress(host)) {
+    throw remoteFileError(403, 'BLOCKED_ADDRESS', `${host} cannot be fetched from`);
+  }
+  if (ALLOWED_HOSTS.length && !ALLOWED_HOSTS.some(allowed => host === allowed || host.endsWith(`.${allowed}`))) {
+    throw remoteFileError(403, 'HOST_NOT_ALLOWED', `${host} is not an allowed host`);
+  }
+};
+
+const request = (url, signal) => new Promise((resolve, reject) => {
+  const client = url.protocol === 'https:' ? https : http;
+  client.get(url, { lookup: checkedLookup, signal }, resolve).on('error', reject);
+});
+
+const readBody = async (response, maxSize) => {
+  const declaredLength = parseInt(response.headers['content-length']);
+  if (declaredLength > maxSize) {
+    response.destroy();
+    throw remoteFileError(413, 'FILE_TOO_LARGE', `Source file is larger than ${maxSize} bytes`);
+  }
+
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of response) {
+    size += chunk.length;
+    if (size > maxSize) {
+      response.destroy();
+      throw remoteFileError(413, 'FILE_TOO_LARGE', `Source file is larger than ${maxSize} bytes`);
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks, size);
+};
+
+/**
+ * Fetch a file from a caller-supplied URL without reaching internal services: every hop
+ * of a redirect is checked, hosts resolving to private, loopback or link-local addresses
+ * are refused, and the body is capped in size and time.
+ * @param {string} fileUrl - http(s) URL
+ * @param {Object} options - { maxSize, timeout } in bytes and milliseconds
+ * @returns {Promise<Buffer>} The response body
+ * @throws {Error} With status and code: INVALID_URL, BLOCKED_ADDRESS, HOST_NOT_ALLOWED,
+ *   TOO_MANY_REDIRECTS, FETCH_FAILED, FILE_TOO_LARGE or FETCH_TIMEOUT
+ */
+const fetchRemoteFile = async (fileUrl, { maxSize = MAX_REMOTE_FILE_SIZE, timeout = REMOTE_FETCH_TIMEOUT } = {}) => {
+  const signal = AbortSignal.timeout(timeout);
+  let url;
+  try {
+    url = new URL(fileUrl);
+  } catch (error) {
+    throw remoteFileError(400, 'INVALID_URL', 'Invalid source file URL');
+  }
+
+  try {
+    for (let redirects = 0; ; redirects++) {
+      checkUrl(url);
+      const response = await request(url, signal);
+
+      if (REDIRECT_STATUSES.includes(response.statusCode) && response.headers.location) {
+        response.resume();
+        if (redirects >= MAX_REDIRECTS) {
+          throw remoteFileError(502, 'TOO_MANY_REDIRECTS', 'Source file URL redirects too many times');
+        }
+        url = new URL(response.headers.location, url);
+        continue;
+      }
+
+      if (response.statusCode < 200 || response.statusCode >= 300) {
+        response.resume();
+        throw remoteFileError(502, 'FETCH_FAILED', `Failed to fetch source file: HTTP ${response.statusCode}`);
+      }
+
+      return await readBody(response, maxSize);
+    }
+  } catch (error) {
+    if (signal.aborted) {
+      throw remoteFileError(504, 'FETCH_TIMEOUT', `Fetching the source file took longer than ${timeout} ms`);
+    }
+    if (error.code === 'BLOCKED_ADDRESS' || error.code === 'HOST_NOT_ALLOWED') {
+      logger.warn('Refused to fetch remote file', { url: url.href, code: error.code });
+    }
+    throw error;
+  }
+};
+
+module.exports = {
+  fetchRemoteFile,
+  isBlockedAddress
+};
@@ -0,0 +1,49 @@
+const http = require('http');
+const { fetchRemoteFile, isBlockedAddress } = require('./remoteFiles');
+
+describe('isBlockedAddress', () => {
+  test.each([
+    '127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0',
+    '::1', '::', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1', '::ffff:a9fe:a9fe', 'not an address'
+  ])('blocks %s', (address) => {
+    expect(isBlockedAddress(address)).toBe(true);
+  });
+
+  test.each(['8.8.8.8', '93.184.216.34', '2606:4700::1111'])('allows %s', (address) => {
+    expect(isBlockedAddress(address)).toBe(false);
+  });
+});
+
+describe('fetchRemoteFile', () => {
+  let server;
+  let port;
+  let requests;
+
+  beforeAll(async () => {
+    requests = 0;
+    server = http.createServer((req, res) => {
+      requests += 1;
+      res.end('internal');
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    port = server.address().port;
+  });
+
+  afterAll(() => new Promise(resolve => server.close(resolve)));
+
+  test.each([
+    ['a loopback address', () => `http://127.0.0.1:${port}/`],
+    ['a host resolving to loopback', () => `http://localhost:${port}/`],
+    ['an IPv6 loopback address', () => `http://[::1]:${port}/`],
+    ['an IPv4-mapped loopback address', () => `http://[::ffff:127.0.0.1]:${port}/`],
+    ['a numeric loopback address', () => `http://2130706433:${port}/`],
+    ['the metadata address', () => 'http://169.254.169.254/latest/meta-data/']
+  ])('refuses %s', async (name, url) => {
+    await expect(fetchRemoteFile(url())).rejects.toMatchObject({ status: 403, code: 'BLOCKED_ADDRESS' });
+    expect(requests).toBe(0);
+  });
+
+  test('refuses other schemes', async () => {
+    await expect(fetchRemoteFile('file:///etc/passwd')).rejects.toMatchObject({ code: 'INVALID_URL' });
+  });
+});
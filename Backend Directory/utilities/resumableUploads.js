@@ -0,0 +1,384 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const winston = require('winston');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/upload.log' })
+  ]
+});
+
+// Partial uploads are written here chunk by chunk; each session is <id>.bin plus <id>.json.
+// The directory must be shared storage if PATCH requests can reach different instances.
+const UPLOAD_DIR = process.env.RESUMABLE_UPLOAD_DIR || path.join(__dirname, '../temp/uploads');
+
+const MAX_RESUMABLE_SIZE = parseInt(process.env.MAX_RESUMABLE_UPLOAD_SIZE) || 10 * 1024 * 1024 * 1024; // 10GB default
+const SESSION_TTL = (parseFloat(process.env.RESUMABLE_UPLOAD_TTL_HOURS) || 24) * 60 * 60 * 1000;
+
+// Upload locks are touched this often while held; one left alone for LOCK_STALE_AFTER
+// belongs to an instance that stopped while holding it
+const LOCK_REFRESH_INTERVAL = 10 * 1000;
+const LOCK_STALE_AFTER = 60 * 1000;
+
+// Names as used by the tus checksum extension, mapped to Node hash names
+const CHECKSUM_ALGORITHMS = {
+  md5: 'md5',
+  sha1: 'sha1',
+  sha256: 'sha256'
+};
+
+const UPLOAD_ID_PATTERN = /^[a-f0-9]{32}$/;
+
+const uploadError = (status, code, message) => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+};
+
+/**
+ * Parse a tus Upload-Metadata header: comma-separated "key base64value" pairs
+ * @param {string} header - Header value
+ * @returns {Object} Decoded metadata
+ */
+const parseMetadata = (header) => {
+  const metadata = {};
+  for (const pair of String(header || '').split(',')) {
+    const [key, value = ''] = pair.trim().split(/\s+/);
+    if (!key) continue;
+    if (!/^[\x21-\x7e]+$/.test(key) || !/^[A-Za-z0-9+/]*={0,2}$/.test(value)) {
+      throw uploadError(400, 'INVALID_METADATA', 'Upload-Metadata must be "key base64value" pairs');
+    }
+    metadata[key] = Buffer.from(value, 'base64').toString('utf8');
+  }
+  return metadata;
+};
+
+const formatMetadata = (metadata) => {
+  return Object.entries(metadata)
+    .map(([key, value]) => `${key} ${Buffer.from(String(value), 'utf8').toString('base64')}`)
+    .join(',');
+};
+
+/**
+ * Parse a checksum in the tus Upload-Checksum format, "<algorithm> <base64 digest>"
+ * @param {string} value - Checksum string
+ * @returns {Object|null} { algorithm, digest } or null when no checksum was sent
+ */
+const parseChecksum = (value) => {
+  if (!value) return null;
+
+  const [name, digest] = String(value).trim().split(/\s+/);
+  const algorithm = CHECKSUM_ALGORITHMS[String(name).toLowerCase()];
+  if (!algorithm) {
+    throw uploadError(400, 'CHECKSUM_ALGORITHM_UNSUPPORTED', `Checksum algorithm must be one of: ${Object.keys(CHECKSUM_ALGORITHMS).join(', ')}`);
+  }
+  if (!digest || !/^[A-Za-z0-9+/]+={0,2}$/.test(digest)) {
+    throw uploadError(400, 'INVALID_CHECKSUM', 'Checksum must be "<algorithm> <base64 digest>"');
+  }
+  return { algorithm, digest };
+};
+
+/**
+ * Upload sessions kept on disk, so an upload survives dropped connections and server
+ * restarts. The bytes written so far are the offset; nothing is held in memory.
+ */
+class ResumableUploadStore {
+  constructor(directory = UPLOAD_DIR) {
+    this.directory = directory;
+    this.sweepTimer = null;
+  }
+
+  paths(id) {
+    if (!UPLOAD_ID_PATTERN.test(id)) {
+      throw uploadError(404, 'UPLOAD_NOT_FOUND', 'Upload not found');
+    }
+    return {
+      data: path.join(this.directory, `${id}.bin`),
+      info: path.join(this.directory, `${id}.json`),
+      lock: path.join(this.directory, `${id}.lock`)
+    };
+  }
+
+  /**
+   * Start an upload session
+   * @param {Object} options - { length, metadata, userId }
+   * @returns {Promise<Object>} The session, with offset 0
+   */
+  async create({ length, metadata = {}, userId = null }) {
+    if (!Number.isSafeInteger(length) || length < 0) {
+      throw uploadError(400, 'INVALID_LENGTH', 'Upload-Length must be a non-negative integer');
+    }
+    if (length > MAX_RESUMABLE_SIZE) {
+      throw uploadError(413, 'UPLOAD_TOO_LARGE', `Uploads are limited to ${MAX_RESUMABLE_SIZE} bytes`);
+    }
+
+    await fs.promises.mkdir(this.directory, { recursive: true });
+
+    const id = crypto.randomBytes(16).toString('hex');
+    const now = new Date();
+    const session = {
+      id,
+      length,
+      metadata,
+      userId: userId ? String(userId) : null,
+      createdAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + SESSION_TTL).toISOString()
+    };
+
+    const { data, info } = this.paths(id);
+    await fs.promises.writeFile(data, Buffer.alloc(0), { flag: 'wx' });
+    await fs.promises.writeFile(info, JSON.stringify(session));
+
+    logger.info('Resumable upload created', { uploadId: id, length, userId: session.userId });
+    return { ...session, offset: 0 };
+  }
+
+  /**
+   * Load a session with its current offset
+   * @throws {Error} 404 UPLOAD_NOT_FOUND, 410 UPLOAD_EXPIRED
+   */
+  async get(id) {
+    const { data, info } = this.paths(id);
+
+    let session;
+    let stats;
+    try {
+      session = JSON.parse(await fs.promises.readFile(info, 'utf8'));
+      stats = await fs.promises.stat(data);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw uploadError(404, 'UPLOAD_NOT_FOUND', 'Upload not found');
+      }
+      throw error;
+    }
+
+    if (new Date(session.expiresAt) < new Date()) {
+      await this.remove(id);
+      throw uploadError(410, 'UPLOAD_EXPIRED', 'Upload session has expired');
+    }
+
+    return { ...session, offset: stats.size };
+  }
+
+  // One request at a time per upload, on every instance sharing the directory: two PATCHes at
+  // the same offset would interleave their bytes. The lock is a file created with O_EXCL.
+  async exclusive(id, task) {
+    const { lock } = this.paths(id);
+    const token = await this.acquireLock(lock);
+    const refresh = setInterval(() => {
+      const now = new Date();
+      fs.promises.utimes(lock, now, now).catch(() => {});
+    }, LOCK_REFRESH_INTERVAL);
+    refresh.unref?.();
+
+    try {
+      return await task();
+    } finally {
+      clearInterval(refresh);
+      await this.releaseLock(lock, token);
+    }
+  }
+
+  async acquireLock(lock) {
+    const token = crypto.randomBytes(16).toString('hex');
+    for (let attempt = 0; attempt < 2; attempt++) {
+      try {
+        await fs.promises.writeFile(lock, token, { flag: 'wx' });
+        return token;
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          throw uploadError(404, 'UPLOAD_NOT_FOUND', 'Upload not found');
+        }
+        if (error.code !== 'EEXIST') throw error;
+      }
+      if (!await this.breakStaleLock(lock)) break;
+    }
+    throw uploadError(409, 'UPLOAD_LOCKED', 'Another request is already writing to this upload');
+  }
+
+  // Remove a lock whose holder stopped refreshing it; false when the lock is still held
+  async breakStaleLock(lock) {
+    const claimed = `${lock}.${crypto.randomBytes(4).toString('hex')}`;
+    try {
+      if (Date.now() - (await fs.promises.stat(lock)).mtimeMs < LOCK_STALE_AFTER) return false;
+      // Only one instance can rename a given lock away
+      await fs.promises.rename(lock, claimed);
+    } catch (error) {
+      if (error.code === 'ENOENT') return true;
+      throw error;
+    }
+
+    // The stale lock may have been replaced by a live one between the check and the rename
+    const stats = await fs.promises.stat(claimed);
+    if (Date.now() - stats.mtimeMs < LOCK_STALE_AFTER) {
+      await fs.promises.link(claimed, lock).catch(() => {});
+      await fs.promises.rm(claimed, { force: true });
+      return false;
+    }
+
+    await fs.promises.rm(claimed, { force: true });
+    logger.warn('Stale resumable upload lock removed', { lock: path.basename(lock) });
+    return true;
+  }
+
+  async releaseLock(lock, token) {
+    try {
+      // A lock broken as stale may meanwhile belong to another request
+      if (await fs.promises.readFile(lock, 'utf8') === token) {
+        await fs.promises.rm(lock, { force: true });
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') logger.warn('Failed to release resumable upload lock', { lock: path.basename(lock), error: error.message });
+    }
+  }
+
+  /**
+   * Append a chunk at the given offset
+   * @param {string} id - Upload ID
+   * @param {number} offset - Upload-Offset sent by the client; must equal the current offset
+   * @param {Readable} source - Chunk bytes (the request stream)
+   * @param {Object|null} checksum - { algorithm, digest } from parseChecksum
+   * @returns {Promise<Object>} The session with its new offset
+   * @throws {Error} 409 OFFSET_MISMATCH, 413 UPLOAD_TOO_LARGE, 460 CHECKSUM_MISMATCH
+   */
+  async append(id, offset, source, checksum = null) {
+    return this.exclusive(id, async () => {
+      const session = await this.get(id);
+      if (offset !== session.offset) {
+        const error = uploadError(409, 'OFFSET_MISMATCH', `Upload-Offset must be ${session.offset}`);
+        error.offset = session.offset;
+        throw error;
+      }
+
+      const { data } = this.paths(id);
+      const hash = checksum ? crypto.createHash(checksum.algorithm) : null;
+      const remaining = session.length - offset;
+      let received = 0;
+
+      const guard = new Transform({
+        transform(chunk, encoding, callback) {
+          received += chunk.length;
+          if (received > remaining) {
+            callback(uploadError(413, 'UPLOAD_TOO_LARGE', 'Chunk goes past Upload-Length'));
+            return;
+          }
+          if (hash) hash.update(chunk);
+          callback(null, chunk);
+        }
+      });
+
+      try {
+        await pipeline(source, guard, fs.createWriteStream(data, { flags: 'r+', start: offset }));
+
+        if (hash && hash.digest('base64') !== checksum.digest) {
+          throw uploadError(460, 'CHECKSUM_MISMATCH', 'Chunk checksum does not match');
+        }
+      } catch (error) {
+        // Without a checksum, bytes that arrived before a dropped connection are kept and the
+        // client resumes after them; a chunk with a checksum is all or nothing
+        if (checksum || error.code === 'UPLOAD_TOO_LARGE') {
+          await fs.promises.truncate(data, offset);
+        }
+        throw error;
+      }
+
+      return this.get(id);
+    });
+  }
+
+  /**
+   * Digest of everything received so far
+   * @param {string} id - Upload ID
+   * @param {string} algorithm - md5, sha1 or sha256
+   * @returns {Promise<string>} Base64 digest
+   */
+  async digest(id, algorithm = 'sha256') {
+    const hash = crypto.createHash(CHECKSUM_ALGORITHMS[algorithm] || algorithm);
+    await pipeline(this.createReadStream(id), hash);
+    return hash.digest('base64');
+  }
+
+  createReadStream(id, options = {}) {
+    return fs.createReadStream(this.paths(id).data, options);
+  }
+
+  // First bytes of the upload, for file signature checks
+  async readHead(id, length = 4100) {
+    const handle = await fs.promises.open(this.paths(id).data, 'r');
+    try {
+      const { buffer, bytesRead } = await handle.read(Buffer.alloc(length), 0, length, 0);
+      return buffer.subarray(0, bytesRead);
+    } finally {
+      await handle.close();
+    }
+  }
+
+  async remove(id) {
+    const { data, info } = this.paths(id);
+    await Promise.all([data, info].map(file => fs.promises.rm(file, { force: true })));
+  }
+
+  // Delete sessions past their expiry that nobody finished or terminated
+  async sweep() {
+    let names;
+    try {
+      names = await fs.promises.readdir(this.directory);
+    } catch (error) {
+      if (error.code !== 'ENOENT') logger.error('Resumable upload sweep error:', error);
+      return;
+    }
+
+    for (const name of names.filter(file => file.endsWith('.json'))) {
+      const id = path.basename(name, '.json');
+      try {
+        // Uploads being written to are left alone
+        await this.exclusive(id, () => this.get(id));
+      } catch (error) {
+        if (error.code === 'UPLOAD_EXPIRED') {
+          logger.info('Expired resumable upload removed', { uploadId: id });
+        } else if (error.code !== 'UPLOAD_NOT_FOUND' && error.code !== 'UPLOAD_LOCKED') {
+          logger.warn('Failed to check resumable upload', { uploadId: id, error: error.message });
+        }
+      }
+    }
+
+    // Locks of uploads whose writer stopped while holding them
+    for (const name of names.filter(file => file.endsWith('.lock'))) {
+      await this.breakStaleLock(path.join(this.directory, name)).catch(() => {});
+    }
+  }
+
+  startSweeping(interval = 60 * 60 * 1000) {
+    if (this.sweepTimer) return this;
+    this.sweepTimer = setInterval(() => this.sweep(), interval);
+    this.sweepTimer.unref?.();
+    return this;
+  }
+}
+
+let defaultStore = null;
+
+const getResumableUploads = () => {
+  if (!defaultStore) {
+    defaultStore = new ResumableUploadStore().startSweeping();
+  }
+  return defaultStore;
+};
+
+module.exports = {
+  ResumableUploadStore,
+  getResumableUploads,
+  parseMetadata,
+  formatMetadata,
+  parseChecksum,
+  MAX_RESUMABLE_SIZE,
+  CHECKSUM_ALGORITHMS
+};
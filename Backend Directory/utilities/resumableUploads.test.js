@@ -0,0 +1,53 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable, PassThrough } = require('stream');
+const { ResumableUploadStore } = require('./resumableUploads');
+
+describe('ResumableUploadStore locks', () => {
+  let directory;
+  // Two instances sharing one upload directory
+  let first;
+  let second;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'resumable-'));
+    first = new ResumableUploadStore(directory);
+    second = new ResumableUploadStore(directory);
+  });
+
+  afterEach(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  test('refuses a chunk while another instance is writing to the upload', async () => {
+    const { id } = await first.create({ length: 6 });
+    const slow = new PassThrough();
+    const writing = first.append(id, 0, slow);
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    await expect(second.append(id, 0, Readable.from([Buffer.from('abc')]))).rejects.toMatchObject({ status: 409, code: 'UPLOAD_LOCKED' });
+
+    slow.end(Buffer.from('abc'));
+    await expect(writing).resolves.toMatchObject({ offset: 3 });
+    await expect(second.append(id, 3, Readable.from([Buffer.from('def')]))).resolves.toMatchObject({ offset: 6 });
+    expect(fs.readdirSync(directory).filter(name => name.includes('.lock'))).toEqual([]);
+  });
+
+  test('takes over a lock its holder stopped refreshing', async () => {
+    const { id } = await first.create({ length: 3 });
+    const lock = path.join(directory, `${id}.lock`);
+    fs.writeFileSync(lock, 'crashed');
+    const past = new Date(Date.now() - 5 * 60 * 1000);
+    fs.utimesSync(lock, past, past);
+
+    await expect(second.append(id, 0, Readable.from([Buffer.from('abc')]))).resolves.toMatchObject({ offset: 3 });
+    expect(fs.existsSync(lock)).toBe(false);
+  });
+
+  test('keeps a lock that is still being refreshed', async () => {
+    const { id } = await first.create({ length: 3 });
+    fs.writeFileSync(path.join(directory, `${id}.lock`), 'live');
+
+    await expect(second.append(id, 0, Readable.from([Buffer.from('abc')]))).rejects.toMatchObject({ code: 'UPLOAD_LOCKED' });
+    expect(fs.readFileSync(path.join(directory, `${id}.lock`), 'utf8')).toBe('live');
+  });
+});
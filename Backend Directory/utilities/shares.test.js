@@ -0,0 +1,207 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
+const request = require('supertest');
+
+const storageDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'shares-test-'));
+process.env.STORAGE_DRIVER = 'local';
+process.env.STORAGE_LOCAL_DIR = storageDirectory;
+process.env.JWT_SECRET = 'test-secret';
+
+jest.mock('../middleware/auth', () => ({
+  authenticateToken: (req, res, next) => next()
+}));
+
+const ShareLink = require('../models/ShareLink');
+const File = require('../models/File');
+const { getStorage } = require('./storage');
+const sharesRouter = require('../routes/shares');
+
+const CONTENT = Buffer.from('0123456789abcdefghij');
+
+// Links by token and files by id, standing in for MongoDB
+const links = new Map();
+const files = new Map();
+
+const createFile = async (fileId, { mimeType = 'application/zip', allowDownload = true } = {}) => {
+  const file = {
+    _id: new mongoose.Types.ObjectId(),
+    fileId,
+    originalName: `${fileId}.bin`,
+    mimeType,
+    s3Key: `files/${fileId}`,
+    isDeleted: false,
+    permissions: { allowDownload },
+    incrementShare: jest.fn(async () => {}),
+    incrementDownload: jest.fn(async () => {})
+  };
+  await getStorage().put(file.s3Key, CONTENT, { contentType: mimeType });
+  files.set(String(file._id), file);
+  return file;
+};
+
+const createLink = (token, file, fields = {}) => {
+  const link = new ShareLink({ tokenHash: token, tokenPrefix: token.slice(0, 4), file: file._id, permission: 'download', ...fields });
+  links.set(token, link);
+  return link;
+};
+
+// Response bodies as bytes, whatever their type
+const readBytes = (res, callback) => {
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+};
+
+const app = express();
+app.use(express.json());
+app.use('/shares', sharesRouter);
+
+beforeAll(() => {
+  jest.spyOn(ShareLink, 'findByToken').mockImplementation((token) => ({ select: async () => links.get(token) || null }));
+  jest.spyOn(ShareLink, 'updateOne').mockResolvedValue({});
+  // The same check and increment as the atomic update in MongoDB
+  jest.spyOn(ShareLink, 'claimDownload').mockImplementation(async (linkId) => {
+    const link = [...links.values()].find(candidate => candidate._id.equals(linkId));
+    if (!link || link.revokedAt || (link.maxDownloads && link.downloadCount >= link.maxDownloads)) return null;
+    link.downloadCount += 1;
+    return link;
+  });
+  jest.spyOn(File, 'findById').mockImplementation(async (id) => files.get(String(id)) || null);
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+  fs.rmSync(storageDirectory, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  links.clear();
+  files.clear();
+});
+
+describe('password-protected links', () => {
+  let link;
+
+  beforeEach(async () => {
+    const file = await createFile('locked');
+    link = createLink('locked', file, { password: await bcrypt.hash('open sesame', 4), hasPassword: true });
+  });
+
+  test('hide the file until unlocked with the right password', async () => {
+    expect((await request(app).get('/shares/public/locked')).body).toEqual({ success: true, requiresPassword: true });
+    expect((await request(app).get('/shares/public/locked/content')).body.code).toBe('PASSWORD_REQUIRED');
+
+    const wrong = await request(app).post('/shares/public/locked/unlock').send({ password: 'guess' });
+    expect(wrong.status).toBe(403);
+    expect(wrong.body.code).toBe('INVALID_PASSWORD');
+
+    const unlocked = await request(app).post('/shares/public/locked/unlock').send({ password: 'open sesame' });
+    expect(unlocked.status).toBe(200);
+    const content = await request(app).get('/shares/public/locked/content').set('X-Share-Access', unlocked.body.accessToken).parse(readBytes);
+    expect(content.status).toBe(200);
+    expect(content.body).toEqual(CONTENT);
+  });
+
+  test('refuse access tokens that expired or were issued for another link', async () => {
+    const sign = (payload, expiresIn) => jwt.sign(payload, process.env.JWT_SECRET, { expiresIn, audience: 'share-link' });
+
+    const expired = await request(app).get('/shares/public/locked/content').set('X-Share-Access', sign({ link: String(link._id) }, -1));
+    expect(expired.status).toBe(401);
+
+    const otherLink = await request(app).get('/shares/public/locked/content').set('X-Share-Access', sign({ link: 'another' }, 60));
+    expect(otherLink.status).toBe(401);
+  });
+});
+
+describe('inactive links', () => {
+  test('are refused once expired or revoked', async () => {
+    const file = await createFile('old');
+    createLink('expired', file, { expiresAt: new Date(Date.now() - 1000) });
+    createLink('revoked', file, { revokedAt: new Date() });
+
+    const expired = await request(app).get('/shares/public/expired/download');
+    expect(expired.status).toBe(410);
+    expect(expired.body.code).toBe('LINK_EXPIRED');
+    expect((await request(app).get('/shares/public/revoked/content')).body.code).toBe('LINK_REVOKED');
+    expect((await request(app).get('/shares/public/missing')).status).toBe(404);
+  });
+});
+
+describe('download counting', () => {
+  let file;
+
+  beforeEach(async () => {
+    file = await createFile('counted');
+  });
+
+  test('a link with maxDownloads: 1 refuses a second ranged request', async () => {
+    const link = createLink('once', file, { maxDownloads: 1 });
+
+    const first = await request(app).get('/shares/public/once/download').set('Range', 'bytes=1-');
+    expect(first.status).toBe(206);
+    expect(link.downloadCount).toBe(1);
+
+    for (const range of ['bytes=1-', 'bytes=0-4', 'bytes=-5']) {
+      const again = await request(app).get('/shares/public/once/download').set('Range', range);
+      expect(again.status).toBe(410);
+      expect(again.body.code).toBe('DOWNLOAD_LIMIT_REACHED');
+    }
+    expect((await request(app).get('/shares/public/once/content').set('Range', 'bytes=5-9')).status).toBe(410);
+  });
+
+  test('every response with file bytes counts on limited links, whichever route sends it', async () => {
+    const link = createLink('limited', file, { maxDownloads: 3 });
+
+    expect((await request(app).get('/shares/public/limited/content').set('Range', 'bytes=0-4')).status).toBe(206);
+    expect((await request(app).get('/shares/public/limited/content').set('Range', 'bytes=5-9')).status).toBe(206);
+    expect((await request(app).head('/shares/public/limited/download')).status).toBe(200);
+    expect((await request(app).get('/shares/public/limited/download').set('Range', 'bytes=100-')).status).toBe(416);
+    expect(link.downloadCount).toBe(2);
+
+    expect((await request(app).get('/shares/public/limited/download')).status).toBe(200);
+    expect((await request(app).get('/shares/public/limited/download')).status).toBe(410);
+    expect(link.downloadCount).toBe(3);
+  });
+
+  test('links without a limit count each transfer once, not the ranges that resume it', async () => {
+    const link = createLink('unlimited', file);
+
+    expect((await request(app).get('/shares/public/unlimited/download').set('Range', 'bytes=0-9')).status).toBe(206);
+    expect((await request(app).get('/shares/public/unlimited/download').set('Range', 'bytes=10-')).status).toBe(206);
+    expect(link.downloadCount).toBe(1);
+    expect(file.incrementDownload).toHaveBeenCalledTimes(1);
+  });
+
+  test('revalidations are not counted; a stale If-Range sends and counts the whole file', async () => {
+    const link = createLink('cached', file, { maxDownloads: 5 });
+
+    const first = await request(app).get('/shares/public/cached/download');
+    const { etag } = first.headers;
+    expect(link.downloadCount).toBe(1);
+
+    expect((await request(app).get('/shares/public/cached/download').set('If-None-Match', etag)).status).toBe(304);
+    expect((await request(app).get('/shares/public/cached/download').set('If-Match', '"other"')).status).toBe(412);
+    expect(link.downloadCount).toBe(1);
+
+    const stale = await request(app).get('/shares/public/cached/download').set('Range', 'bytes=10-').set('If-Range', '"other"').parse(readBytes);
+    expect(stale.status).toBe(200);
+    expect(stale.body).toEqual(CONTENT);
+    expect(link.downloadCount).toBe(2);
+  });
+});
+
+describe('view-only links', () => {
+  test('show types browsers display and refuse anything else', async () => {
+    createLink('image', await createFile('picture', { mimeType: 'image/png' }), { permission: 'view' });
+    createLink('archive', await createFile('archive'), { permission: 'view' });
+
+    expect((await request(app).get('/shares/public/image/content')).status).toBe(200);
+    expect((await request(app).get('/shares/public/image/download')).body.code).toBe('DOWNLOAD_NOT_ALLOWED');
+    expect((await request(app).get('/shares/public/archive/content')).body.code).toBe('DOWNLOAD_NOT_ALLOWED');
+  });
+});
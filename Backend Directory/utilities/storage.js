@@ -0,0 +1,508 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const AWS = require('aws-sdk');
+const winston = require('winston');
+const { sendFileRanges } = require('./rangeResponse');
+const { isActiveContent } = require('./formats');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/storage.log' })
+  ]
+});
+
+const DEFAULT_PRESIGN_EXPIRES = 3600;
+const MAX_PRESIGN_EXPIRES = 7 * 24 * 60 * 60;
+
+const storageError = (status, code, message) => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+};
+
+const notFound = () => storageError(404, 'FILE_NOT_FOUND', 'File not found');
+
+// Keys are "/"-separated like S3 keys; the local driver maps them onto directories,
+// so empty, "." and ".." segments are refused for every driver
+const validateKey = (key) => {
+  const segments = String(key || '').split('/');
+  if (!key || key.includes('\0') || key.includes('\\') || segments.some(segment => !segment || segment === '.' || segment === '..')) {
+    throw storageError(400, 'INVALID_KEY', `Invalid storage key "${key}"`);
+  }
+  return key;
+};
+
+const clampExpires = (expires) => Math.min(Math.max(parseInt(expires) || DEFAULT_PRESIGN_EXPIRES, 1), MAX_PRESIGN_EXPIRES);
+
+/**
+ * Storage drivers share one interface:
+ *   put(key, body, { contentType, metadata })   -> { key, size, etag }   body is a Buffer or readable stream
+ *   get(key)                                     -> Buffer
+ *   stat(key)                                    -> { key, size, etag, lastModified, contentType, metadata }
+ *   createReadStream(key, { start, end, etag })  -> Readable (end inclusive; etag pins the version read)
+ *   copy(fromKey, toKey)                         -> { key, size, etag } copy with the same content type and metadata
+ *   delete(key)                                  -> removes the object; missing objects are not an error
+ *   presign(key, { action, expires, filename })  -> time-limited URL for reading (or, on S3, writing)
+ *   list(prefix, { limit, cursor })              -> { items: [{ key, size, etag, lastModified }], cursor }
+ * Missing objects raise errors with status 404 and code FILE_NOT_FOUND.
+ */
+
+/**
+ * Files on a local or mounted disk. Object data lives under data/ and metadata in a
+ * JSON file per object under meta/, so listings never see the metadata.
+ */
+class LocalStorageDriver {
+  constructor(options = {}) {
+    this.name = 'local';
+    this.root = path.resolve(options.directory || path.join(__dirname, '../storage'));
+    this.dataDir = path.join(this.root, 'data');
+    this.metaDir = path.join(this.root, 'meta');
+    // Presigned URLs point at the upload router's signed object route
+    this.baseUrl = options.baseUrl || '/api/v1/upload/storage';
+
+    this.secret = options.signingSecret;
+    if (!this.secret) {
+      this.secret = crypto.randomBytes(32).toString('hex');
+      logger.warn('No STORAGE_SIGNING_SECRET or JWT_SECRET set; presigned URLs stop working on restart');
+    }
+  }
+
+  dataPath(key) {
+    return path.join(this.dataDir, ...validateKey(key).split('/'));
+  }
+
+  metaPath(key) {
+    return `${path.join(this.metaDir, ...validateKey(key).split('/'))}.json`;
+  }
+
+  async put(key, body, options = {}) {
+    const target = this.dataPath(key);
+    const tempPath = `${target}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    await fs.promises.mkdir(path.dirname(this.metaPath(key)), { recursive: true });
+
+    // MD5 while writing, so local ETags look like the ones S3 gives single-part uploads
+    const hash = crypto.createHash('md5');
+    let size = 0;
+    const counter = new Transform({
+      transform(chunk, encoding, callback) {
+        hash.update(chunk);
+        size += chunk.length;
+        callback(null, chunk);
+      }
+    });
+
+    try {
+      const source = Buffer.isBuffer(body) || typeof body === 'string' ? [Buffer.from(body)] : body;
+      await pipeline(source, counter, fs.createWriteStream(tempPath, { flags: 'wx' }));
+      await fs.promises.rename(tempPath, target);
+    } catch (error) {
+      await fs.promises.rm(tempPath, { force: true });
+      throw error;
+    }
+
+    const etag = `"${hash.digest('hex')}"`;
+    await fs.promises.writeFile(this.metaPath(key), JSON.stringify({
+      contentType: options.contentType || 'application/octet-stream',
+      metadata: options.metadata || {},
+      etag,
+      size
+    }));
+
+    return { key, size, etag };
+  }
+
+  async readMeta(key) {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.metaPath(key), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return {};
+      throw error;
+    }
+  }
+
+  async stat(key) {
+    let stats;
+    try {
+      stats = await fs.promises.stat(this.dataPath(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') throw notFound();
+      throw error;
+    }
+    if (!stats.isFile()) throw notFound();
+
+    const meta = await this.readMeta(key);
+    return {
+      key,
+      size: stats.size,
+      // Files replaced outside the driver no longer match their recorded hash
+      etag: meta.etag && meta.size === stats.size ? meta.etag : `"${stats.size.toString(16)}-${Math.round(stats.mtimeMs).toString(16)}"`,
+      lastModified: stats.mtime,
+      contentType: meta.contentType || 'application/octet-stream',
+      metadata: meta.metadata || {}
+    };
+  }
+
+  async get(key) {
+    try {
+      return await fs.promises.readFile(this.dataPath(key));
+    } catch (error) {
+      if (error.code === 'ENOENT' || error.code === 'EISDIR') throw notFound();
+      throw error;
+    }
+  }
+
+  createReadStream(key, options = {}) {
+    const { start, end } = options;
+    return fs.createReadStream(this.dataPath(key), { start, end });
+  }
+
+  async copy(fromKey, toKey) {
+    const source = this.dataPath(fromKey);
+    const target = this.dataPath(toKey);
+    const tempPath = `${target}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+    const meta = await this.readMeta(fromKey);
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    await fs.promises.mkdir(path.dirname(this.metaPath(toKey)), { recursive: true });
+
+    try {
+      await fs.promises.copyFile(source, tempPath, fs.constants.COPYFILE_EXCL);
+      await fs.promises.rename(tempPath, target);
+    } catch (error) {
+      await fs.promises.rm(tempPath, { force: true });
+      if (error.code === 'ENOENT') throw notFound();
+      throw error;
+    }
+
+    await fs.promises.writeFile(this.metaPath(toKey), JSON.stringify(meta));
+    const { size, etag } = await this.stat(toKey);
+    return { key: toKey, size, etag };
+  }
+
+  async delete(key) {
+    await fs.promises.rm(this.dataPath(key), { force: true });
+    await fs.promises.rm(this.metaPath(key), { force: true });
+  }
+
+  sign(key, action, expiresAt) {
+    return crypto.createHmac('sha256', this.secret).update(`${action}\n${key}\n${expiresAt}`).digest('hex');
+  }
+
+  async presign(key, options = {}) {
+    const { action = 'get', filename } = options;
+    validateKey(key);
+    if (action !== 'get') {
+      throw storageError(400, 'PRESIGN_UNSUPPORTED', 'The local storage driver only presigns downloads');
+    }
+
+    const expiresAt = Math.floor(Date.now() / 1000) + clampExpires(options.expires);
+    const query = new URLSearchParams({ expires: String(expiresAt), signature: this.sign(key, action, expiresAt) });
+    if (filename) query.set('filename', filename);
+    return `${this.baseUrl}/${key.split('/').map(encodeURIComponent).join('/')}?${query}`;
+  }
+
+  /**
+   * Check the query string of a URL made by presign
+   * @returns {boolean} True when the signature matches and has not expired
+   */
+  verifyPresigned(key, query = {}, action = 'get') {
+    const expiresAt = parseInt(query.expires);
+    if (!expiresAt || expiresAt < Date.now() / 1000 || typeof query.signature !== 'string') return false;
+
+    const expected = Buffer.from(this.sign(key, action, expiresAt));
+    const given = Buffer.from(query.signature);
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+  }
+
+  async list(prefix = '', options = {}) {
+    const { limit = 1000, cursor = null } = options;
+    const keys = [];
+
+    // Walk only the directory the prefix names, then filter by the rest of the prefix
+    const prefixDir = prefix.includes('/') ? prefix.slice(0, prefix.lastIndexOf('/')) : '';
+    const walk = async (directory, keyPrefix) => {
+      let dirents;
+      try {
+        dirents = await fs.promises.readdir(directory, { withFileTypes: true });
+      } catch (error) {
+        if (error.code === 'ENOENT') return;
+        throw error;
+      }
+      for (const dirent of dirents) {
+        const key = keyPrefix ? `${keyPrefix}/${dirent.name}` : dirent.name;
+        if (dirent.isDirectory()) {
+          await walk(path.join(directory, dirent.name), key);
+        } else if (dirent.isFile() && !dirent.name.endsWith('.tmp') && key.startsWith(prefix)) {
+          keys.push(key);
+        }
+      }
+    };
+    await walk(prefixDir ? this.dataPath(prefixDir) : this.dataDir, prefixDir);
+
+    // Keys sort the way S3 lists them; the cursor is the last key of the previous page
+    keys.sort();
+    const start = cursor ? keys.findIndex(key => key > cursor) : 0;
+    const page = start < 0 ? [] : keys.slice(start, start + limit);
+    const items = await Promise.all(page.map(async (key) => {
+      const { size, etag, lastModified } = await this.stat(key);
+      return { key, size, etag, lastModified };
+    }));
+
+    return {
+      items,
+      cursor: start >= 0 && start + limit < keys.length ? page[page.length - 1] : null
+    };
+  }
+}
+
+/**
+ * Amazon S3 or any S3-compatible service (MinIO, Ceph, R2). Set endpoint and
+ * forcePathStyle for services that do not use virtual-hosted bucket names.
+ */
+class S3StorageDriver {
+  constructor(options = {}) {
+    this.name = 's3';
+    this.bucket = options.bucket;
+    this.serverSideEncryption = options.serverSideEncryption;
+    this.client = new AWS.S3({
+      accessKeyId: options.accessKeyId,
+      secretAccessKey: options.secretAccessKey,
+      region: options.region || 'us-east-1',
+      endpoint: options.endpoint || undefined,
+      s3ForcePathStyle: !!options.forcePathStyle,
+      signatureVersion: 'v4'
+    });
+
+    if (!this.bucket) {
+      logger.warn('S3 storage driver has no bucket configured (AWS_S3_BUCKET)');
+    }
+  }
+
+  params(key, extra = {}) {
+    return { Bucket: this.bucket, Key: validateKey(key), ...extra };
+  }
+
+  // aws-sdk reports missing objects as NotFound (HEAD) or NoSuchKey (GET)
+  wrap(error) {
+    if (error.code === 'NotFound' || error.code === 'NoSuchKey' || error.statusCode === 404) {
+      return notFound();
+    }
+    return error;
+  }
+
+  async put(key, body, options = {}) {
+    const result = await this.client.upload(this.params(key, {
+      Body: body,
+      ContentType: options.contentType || 'application/octet-stream',
+      Metadata: options.metadata || {},
+      ...(this.serverSideEncryption && { ServerSideEncryption: this.serverSideEncryption })
+    })).promise();
+
+    return {
+      key,
+      size: Buffer.isBuffer(body) ? body.length : null,
+      etag: result.ETag
+    };
+  }
+
+  async stat(key) {
+    try {
+      const head = await this.client.headObject(this.params(key)).promise();
+      return {
+        key,
+        size: head.ContentLength,
+        etag: head.ETag,
+        lastModified: head.LastModified,
+        contentType: head.ContentType || 'application/octet-stream',
+        metadata: head.Metadata || {}
+      };
+    } catch (error) {
+      throw this.wrap(error);
+    }
+  }
+
+  async get(key) {
+    try {
+      const object = await this.client.getObject(this.params(key)).promise();
+      return object.Body;
+    } catch (error) {
+      throw this.wrap(error);
+    }
+  }
+
+  createReadStream(key, options = {}) {
+    const { start, end, etag } = options;
+    const range = start !== undefined ? `bytes=${start}-${end !== undefined ? end : ''}` : undefined;
+    return this.client.getObject(this.params(key, {
+      ...(range && { Range: range }),
+      // S3 refuses the read if the object changed since it was stat'ed
+      ...(etag && { IfMatch: etag })
+    })).createReadStream();
+  }
+
+  async copy(fromKey, toKey) {
+    try {
+      const result = await this.client.copyObject(this.params(toKey, {
+        CopySource: `${this.bucket}/${validateKey(fromKey).split('/').map(encodeURIComponent).join('/')}`,
+        MetadataDirective: 'COPY',
+        ...(this.serverSideEncryption && { ServerSideEncryption: this.serverSideEncryption })
+      })).promise();
+      return { key: toKey, size: null, etag: result.CopyObjectResult?.ETag };
+    } catch (error) {
+      throw this.wrap(error);
+    }
+  }
+
+  async delete(key) {
+    await this.client.deleteObject(this.params(key)).promise();
+  }
+
+  async presign(key, options = {}) {
+    const { action = 'get', filename, contentType } = options;
+    const expires = clampExpires(options.expires);
+
+    if (action === 'put') {
+      return this.client.getSignedUrlPromise('putObject', this.params(key, {
+        Expires: expires,
+        ...(contentType && { ContentType: contentType })
+      }));
+    }
+
+    return this.client.getSignedUrlPromise('getObject', this.params(key, {
+      Expires: expires,
+      ...(filename && { ResponseContentDisposition: `attachment; filename*=UTF-8''${encodeURIComponent(filename)}` })
+    }));
+  }
+
+  async list(prefix = '', options = {}) {
+    const { limit = 1000, cursor = null } = options;
+    const result = await this.client.listObjectsV2({
+      Bucket: this.bucket,
+      Prefix: prefix,
+      MaxKeys: limit,
+      ...(cursor && { ContinuationToken: cursor })
+    }).promise();
+
+    return {
+      items: (result.Contents || []).map(object => ({
+        key: object.Key,
+        size: object.Size,
+        etag: object.ETag,
+        lastModified: object.LastModified
+      })),
+      cursor: result.IsTruncated ? result.NextContinuationToken : null
+    };
+  }
+}
+
+/**
+ * Create the driver named by STORAGE_DRIVER (local or s3)
+ * @param {Object} config - Overrides for the environment settings
+ * @returns {LocalStorageDriver|S3StorageDriver}
+ */
+const createStorage = (config = {}) => {
+  const driver = config.driver || process.env.STORAGE_DRIVER || 's3';
+
+  switch (driver) {
+    case 'local':
+      return new LocalStorageDriver({
+        directory: config.directory || process.env.STORAGE_LOCAL_DIR,
+        baseUrl: config.baseUrl,
+        signingSecret: config.signingSecret || process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET
+      });
+    case 's3':
+      return new S3StorageDriver({
+        bucket: config.bucket || process.env.AWS_S3_BUCKET,
+        region: config.region || process.env.AWS_REGION,
+        endpoint: config.endpoint || process.env.S3_ENDPOINT,
+        forcePathStyle: config.forcePathStyle ?? process.env.S3_FORCE_PATH_STYLE === 'true',
+        accessKeyId: config.accessKeyId || process.env.AWS_ACCESS_KEY_ID,
+        secretAccessKey: config.secretAccessKey || process.env.AWS_SECRET_ACCESS_KEY,
+        // Not every S3-compatible service supports SSE; S3_SERVER_SIDE_ENCRYPTION= turns it off
+        serverSideEncryption: config.serverSideEncryption ?? (process.env.S3_SERVER_SIDE_ENCRYPTION ?? 'AES256')
+      });
+    default:
+      throw new Error(`Unknown storage driver "${driver}"; use local or s3`);
+  }
+};
+
+let defaultStorage = null;
+
+// Storage configured through STORAGE_DRIVER and its settings
+const getStorage = () => {
+  if (!defaultStorage) {
+    defaultStorage = createStorage();
+    logger.info('Storage driver selected', { driver: defaultStorage.name });
+  }
+  return defaultStorage;
+};
+
+/**
+ * Content-Disposition header value for a file name. Header values must be Latin-1 and a
+ * quote or semicolon can end the name, so filename is an ASCII stand-in; browsers use filename*,
+ * which carries the name itself, percent-encoded as UTF-8.
+ * @param {string} disposition - inline or attachment
+ * @param {string} filename - File name, in any script
+ * @returns {string}
+ */
+const contentDisposition = (disposition, filename) => {
+  const fallback = filename.replace(/[^\x20-\x7e]|["\\;]/gu, '_');
+  const encoded = encodeURIComponent(filename).replace(/['()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `${disposition}; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+};
+
+/**
+ * Send a stored object with byte-range and conditional request support. Ranges are read
+ * from storage as they are requested, so players and PDF viewers can seek in large files.
+ * Active content (HTML, SVG, XML) could run scripts on this origin, so it is always sent
+ * as an attachment and sandboxed if a browser opens it anyway.
+ * @param {Request} req - Express request
+ * @param {Response} res - Express response
+ * @param {string} key - Storage key
+ * @param {Object} options - { stored (from stat), disposition (inline or attachment), filename, storage }
+ */
+const sendStoredObject = async (req, res, key, options) => {
+  const { stored, filename = path.posix.basename(key), storage = getStorage() } = options;
+  const active = isActiveContent(stored.contentType);
+  const disposition = active ? 'attachment' : options.disposition || 'inline';
+  try {
+    res.setHeader('Content-Disposition', contentDisposition(disposition, filename));
+    if (active) res.setHeader('Content-Security-Policy', 'sandbox');
+    res.setHeader('Cache-Control', 'private, no-cache');
+
+    await sendFileRanges(req, res, {
+      size: stored.size,
+      etag: stored.etag,
+      lastModified: stored.lastModified,
+      contentType: stored.contentType,
+      openStream: (start, end) => storage.createReadStream(key, { start, end, etag: stored.etag })
+    });
+  } catch (error) {
+    if (res.headersSent) {
+      if (error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+        logger.error('File stream error:', error);
+      }
+      res.destroy();
+      return;
+    }
+    throw error;
+  }
+};
+
+module.exports = {
+  LocalStorageDriver,
+  S3StorageDriver,
+  contentDisposition,
+  createStorage,
+  getStorage,
+  sendStoredObject,
+  validateKey
+};
@@ -0,0 +1,161 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { LocalStorageDriver, contentDisposition, createStorage, validateKey } = require('./storage');
+
+let directory;
+let storage;
+
+beforeEach(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-test-'));
+  storage = createStorage({ driver: 'local', directory, signingSecret: 'test-secret' });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+const readAll = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks).toString();
+};
+
+// The query string of a presigned URL as an object
+const queryOf = (url) => Object.fromEntries(new URL(url, 'http://localhost').searchParams);
+
+describe('validateKey', () => {
+  test('accepts "/"-separated keys', () => {
+    expect(validateKey('files/2024/report.pdf')).toBe('files/2024/report.pdf');
+    expect(validateKey('a..b/.hidden')).toBe('a..b/.hidden');
+  });
+
+  test('refuses keys that could leave the storage directory', () => {
+    for (const key of ['', undefined, '/etc/passwd', 'files/', 'files//x', '../x', 'files/../../x', 'files/./x', 'files\\..\\x', 'files/x\0.txt']) {
+      expect(() => validateKey(key)).toThrow(expect.objectContaining({ status: 400, code: 'INVALID_KEY' }));
+    }
+  });
+});
+
+describe('LocalStorageDriver', () => {
+  test('is what createStorage returns for the local driver', () => {
+    expect(storage).toBeInstanceOf(LocalStorageDriver);
+    expect(storage.root).toBe(path.resolve(directory));
+  });
+
+  test('stores objects with their content type, metadata and an MD5 ETag', async () => {
+    const md5 = crypto.createHash('md5').update('hello world').digest('hex');
+
+    expect(await storage.put('docs/a.txt', 'hello world', { contentType: 'text/plain', metadata: { owner: 'alice' } }))
+      .toEqual({ key: 'docs/a.txt', size: 11, etag: `"${md5}"` });
+    expect(await storage.stat('docs/a.txt')).toMatchObject({
+      size: 11,
+      etag: `"${md5}"`,
+      contentType: 'text/plain',
+      metadata: { owner: 'alice' }
+    });
+    expect((await storage.get('docs/a.txt')).toString()).toBe('hello world');
+    expect(await readAll(storage.createReadStream('docs/a.txt', { start: 6, end: 10 }))).toBe('world');
+  });
+
+  test('copies and deletes objects; missing objects are 404', async () => {
+    await storage.put('docs/a.txt', 'hello', { contentType: 'text/plain' });
+    await storage.copy('docs/a.txt', 'copies/a.txt');
+    expect(await storage.stat('copies/a.txt')).toMatchObject({ size: 5, contentType: 'text/plain' });
+
+    await storage.delete('docs/a.txt');
+    await storage.delete('docs/a.txt');
+    await expect(storage.get('docs/a.txt')).rejects.toMatchObject({ status: 404, code: 'FILE_NOT_FOUND' });
+    await expect(storage.stat('docs')).rejects.toMatchObject({ code: 'FILE_NOT_FOUND' });
+    await expect(storage.copy('docs/a.txt', 'copies/b.txt')).rejects.toMatchObject({ code: 'FILE_NOT_FOUND' });
+  });
+
+  test('lists keys by prefix, a page at a time, without the metadata files', async () => {
+    for (const key of ['logs/c', 'logs/a', 'logs/b', 'other/d']) {
+      await storage.put(key, key);
+    }
+
+    const first = await storage.list('logs/', { limit: 2 });
+    expect(first.items.map(item => item.key)).toEqual(['logs/a', 'logs/b']);
+    const second = await storage.list('logs/', { limit: 2, cursor: first.cursor });
+    expect(second).toMatchObject({ items: [expect.objectContaining({ key: 'logs/c', size: 6 })], cursor: null });
+    expect((await storage.list()).items).toHaveLength(4);
+  });
+
+  test('never reads or writes outside its directory', async () => {
+    const outside = path.join(directory, '..', `${path.basename(directory)}-outside`);
+    await expect(storage.put(`../../${path.basename(outside)}`, 'x')).rejects.toMatchObject({ code: 'INVALID_KEY' });
+    await expect(storage.get('data/../../meta')).rejects.toMatchObject({ code: 'INVALID_KEY' });
+    expect(fs.existsSync(outside)).toBe(false);
+  });
+});
+
+describe('presigned URLs', () => {
+  test('point at the signed object route and verify for their own key', async () => {
+    const url = await storage.presign('files/my report.pdf', { expires: 60, filename: 'report.pdf' });
+
+    expect(url).toMatch(/^\/api\/v1\/upload\/storage\/files\/my%20report\.pdf\?/);
+    const query = queryOf(url);
+    expect(query.filename).toBe('report.pdf');
+    expect(storage.verifyPresigned('files/my report.pdf', query)).toBe(true);
+  });
+
+  test('are refused for another key, another action or a changed query', async () => {
+    const query = queryOf(await storage.presign('files/a.pdf'));
+
+    expect(storage.verifyPresigned('files/b.pdf', query)).toBe(false);
+    expect(storage.verifyPresigned('files/a.pdf', query, 'put')).toBe(false);
+    expect(storage.verifyPresigned('files/a.pdf', { ...query, expires: String(Number(query.expires) + 3600) })).toBe(false);
+    expect(storage.verifyPresigned('files/a.pdf', { ...query, signature: query.signature.replace(/^./, c => (c === '0' ? '1' : '0')) })).toBe(false);
+    expect(storage.verifyPresigned('files/a.pdf', { ...query, signature: query.signature.slice(1) })).toBe(false);
+    expect(storage.verifyPresigned('files/a.pdf', { ...query, signature: [query.signature] })).toBe(false);
+    expect(storage.verifyPresigned('files/a.pdf', { expires: query.expires })).toBe(false);
+  });
+
+  test('are refused by a driver with another secret', async () => {
+    const query = queryOf(await storage.presign('files/a.pdf'));
+    const other = createStorage({ driver: 'local', directory, signingSecret: 'other-secret' });
+
+    expect(other.verifyPresigned('files/a.pdf', query)).toBe(false);
+  });
+
+  test('expire, and cannot be made to last more than a week', async () => {
+    const now = Date.now();
+    const query = queryOf(await storage.presign('files/a.pdf', { expires: 60 }));
+
+    jest.spyOn(Date, 'now').mockReturnValue(now + 59 * 1000);
+    expect(storage.verifyPresigned('files/a.pdf', query)).toBe(true);
+    Date.now.mockReturnValue(now + 65 * 1000);
+    expect(storage.verifyPresigned('files/a.pdf', query)).toBe(false);
+
+    Date.now.mockReturnValue(now);
+    const capped = queryOf(await storage.presign('files/a.pdf', { expires: 365 * 24 * 60 * 60 }));
+    expect(Number(capped.expires)).toBeLessThanOrEqual(Math.floor(now / 1000) + 7 * 24 * 60 * 60);
+  });
+
+  test('are only made for downloads and valid keys', async () => {
+    await expect(storage.presign('files/a.pdf', { action: 'put' })).rejects.toMatchObject({ status: 400, code: 'PRESIGN_UNSUPPORTED' });
+    await expect(storage.presign('../a.pdf')).rejects.toMatchObject({ code: 'INVALID_KEY' });
+  });
+});
+
+describe('contentDisposition', () => {
+  // The file name a browser reads from filename*
+  const decoded = (header) => decodeURIComponent(/filename\*=UTF-8''(\S+)$/.exec(header)[1]);
+
+  test('keeps plain ASCII names as they are', () => {
+    expect(contentDisposition('attachment', 'report.pdf')).toBe('attachment; filename="report.pdf"; filename*=UTF-8\'\'report.pdf');
+  });
+
+  test('gives any name a Latin-1 header that decodes back to it', () => {
+    for (const name of ['تقرير.pdf', '報告書.docx', 'naïve 😀.txt', 'a"b;c\\d.txt', 'it\'s (1).pdf', 'x\r\nSet-Cookie: a=b']) {
+      const header = contentDisposition('inline', name);
+      expect(header).toMatch(/^inline; filename="[\x20-\x7e]*"; filename\*=UTF-8''[A-Za-z0-9%!._~-]+$/);
+      expect(header.match(/"/g)).toHaveLength(2);
+      expect(decoded(header)).toBe(name);
+    }
+    expect(contentDisposition('inline', '😀.txt')).toContain('filename="_.txt"');
+  });
+});
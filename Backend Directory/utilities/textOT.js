@@ -0,0 +1,259 @@
+/**
+ * Operational transform for plain text.
+ *
+ * An operation is a list of components applied from the start of the document:
+ * a positive number keeps that many characters, a string inserts it and a negative
+ * number deletes that many characters. Characters are UTF-16 code units, as in
+ * JavaScript strings and textareas. Characters after the last component are kept.
+ *
+ * e.g. [5, 'abc', -2] keeps 5 characters, inserts "abc" and deletes the next 2.
+ */
+
+const isRetain = (component) => typeof component === 'number' && component > 0;
+const isDelete = (component) => typeof component === 'number' && component < 0;
+const isInsert = (component) => typeof component === 'string';
+
+const componentLength = (component) => (isInsert(component) ? component.length : Math.abs(component));
+
+const checkOp = (op) => {
+  if (!Array.isArray(op)) {
+    throw new Error('Text operation must be an array');
+  }
+  for (const component of op) {
+    const valid = isInsert(component)
+      ? component.length > 0
+      : Number.isSafeInteger(component) && component !== 0;
+    if (!valid) {
+      throw new Error(`Invalid text operation component: ${JSON.stringify(component)}`);
+    }
+  }
+};
+
+// Appends a component to an operation, merging it with the last one when they are alike
+const append = (op, component) => {
+  if (component === 0 || component === '') return;
+  const last = op[op.length - 1];
+  if (isInsert(component) && isInsert(last)) {
+    op[op.length - 1] = last + component;
+  } else if ((isRetain(component) && isRetain(last)) || (isDelete(component) && isDelete(last))) {
+    op[op.length - 1] = last + component;
+  } else {
+    op.push(component);
+  }
+};
+
+// Trailing retains change nothing
+const trim = (op) => {
+  if (op.length > 0 && isRetain(op[op.length - 1])) op.pop();
+  return op;
+};
+
+/**
+ * Reads an operation piece by piece. take(n) returns at most n characters' worth of the
+ * current component; components of the indivisible kind ('insert' or 'delete') are
+ * returned whole. take(-1) returns the rest of the current component.
+ */
+const makeTake = (op) => {
+  let index = 0;
+  let offset = 0;
+
+  const take = (n, indivisible) => {
+    if (index === op.length) return n === -1 ? undefined : n;
+
+    const component = op[index];
+    const whole = (indivisible === 'insert' && isInsert(component)) || (indivisible === 'delete' && isDelete(component));
+    const remaining = componentLength(component) - offset;
+
+    let length = remaining;
+    if (n !== -1 && !whole && n < remaining) length = n;
+
+    let part;
+    if (isInsert(component)) {
+      part = component.slice(offset, offset + length);
+    } else {
+      part = isDelete(component) ? -length : length;
+    }
+
+    if (length === remaining) {
+      index++;
+      offset = 0;
+    } else {
+      offset += length;
+    }
+    return part;
+  };
+
+  const peek = () => op[index];
+
+  return { take, peek };
+};
+
+class TextOT {
+  static create(initial) {
+    if (initial != null && typeof initial !== 'string') {
+      throw new Error('Text documents must be created from a string');
+    }
+    return initial || '';
+  }
+
+  static normalize(op) {
+    const result = [];
+    for (const component of op) append(result, component);
+    return trim(result);
+  }
+
+  /**
+   * Apply an operation to a document
+   * @throws {Error} When the operation keeps or deletes past the end of the document
+   */
+  static apply(snapshot, op) {
+    if (snapshot == null) snapshot = '';
+    if (typeof snapshot !== 'string') {
+      throw new Error('Text snapshot must be a string');
+    }
+    checkOp(op);
+
+    const parts = [];
+    let position = 0;
+    for (const component of op) {
+      if (isInsert(component)) {
+        parts.push(component);
+        continue;
+      }
+      const length = Math.abs(component);
+      if (position + length > snapshot.length) {
+        throw new Error('Text operation is longer than the document');
+      }
+      if (isRetain(component)) parts.push(snapshot.slice(position, position + length));
+      position += length;
+    }
+    parts.push(snapshot.slice(position));
+    return parts.join('');
+  }
+
+  /**
+   * Transform op so it applies after otherOp, when both were made against the same document.
+   * Where both insert at the same place, the 'left' side's text comes first.
+   * @param {Array} op - Operation to transform
+   * @param {Array} otherOp - Operation already applied
+   * @param {string} side - 'left' or 'right'
+   */
+  static transform(op, otherOp, side) {
+    if (side !== 'left' && side !== 'right') {
+      throw new Error("side must be 'left' or 'right'");
+    }
+    checkOp(op);
+    checkOp(otherOp);
+
+    const result = [];
+    const { take, peek } = makeTake(op);
+
+    for (const component of otherOp) {
+      if (isInsert(component)) {
+        // Text inserted by the other side is kept, after our own insert here when we are left
+        if (side === 'left' && isInsert(peek())) append(result, take(-1));
+        append(result, component.length);
+        continue;
+      }
+
+      let length = Math.abs(component);
+      while (length > 0) {
+        const chunk = take(length, 'insert');
+        if (isInsert(chunk)) {
+          append(result, chunk);
+        } else {
+          // Characters the other side deleted are gone; neither keep nor delete them again
+          if (isRetain(component)) append(result, chunk);
+          length -= Math.abs(chunk);
+        }
+      }
+    }
+
+    let chunk;
+    while ((chunk = take(-1)) !== undefined) append(result, chunk);
+    return trim(result);
+  }
+
+  /**
+   * Combine two consecutive operations into one with the same effect
+   */
+  static compose(op1, op2) {
+    checkOp(op1);
+    checkOp(op2);
+
+    const result = [];
+    const { take } = makeTake(op1);
+
+    for (const component of op2) {
+      if (isInsert(component)) {
+        append(result, component);
+        continue;
+      }
+
+      let length = Math.abs(component);
+      while (length > 0) {
+        const chunk = take(length, 'delete');
+        if (isDelete(chunk)) {
+          // Deleted by op1; op2 never saw these characters
+          append(result, chunk);
+        } else if (isRetain(component)) {
+          append(result, chunk);
+          length -= componentLength(chunk);
+        } else {
+          // op2 deletes what op1 kept or inserted; an insert that is deleted again disappears
+          if (isRetain(chunk)) append(result, -chunk);
+          length -= componentLength(chunk);
+        }
+      }
+    }
+
+    let chunk;
+    while ((chunk = take(-1)) !== undefined) append(result, chunk);
+    return trim(result);
+  }
+
+  /**
+   * The operation that undoes op. Deleted text is not stored in operations, so the
+   * document op was applied to is needed.
+   */
+  static invert(op, snapshot) {
+    checkOp(op);
+    if (typeof snapshot !== 'string') {
+      throw new Error('Inverting a text operation needs the document it was applied to');
+    }
+
+    const result = [];
+    let position = 0;
+    for (const component of op) {
+      if (isInsert(component)) {
+        append(result, -component.length);
+      } else if (isRetain(component)) {
+        append(result, component);
+        position += component;
+      } else {
+        append(result, snapshot.slice(position, position - component));
+        position -= component;
+      }
+    }
+    return trim(result);
+  }
+}
+
+// ShareDB type definition. Its ops differ from ShareJS's text type (deletes are negative
+// numbers here), so it has its own name and URI rather than claiming that type's.
+const textType = {
+  name: 'file-reader-text',
+  uri: 'urn:file-reader-editor:types:text',
+  create: TextOT.create,
+  apply: TextOT.apply,
+  transform: TextOT.transform,
+  compose: TextOT.compose,
+  normalize: TextOT.normalize,
+  invertWithDoc: TextOT.invert
+};
+
+module.exports = {
+  TextOT,
+  textType,
+  checkOp
+};
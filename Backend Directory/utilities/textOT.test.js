@@ -0,0 +1,93 @@
+const ShareDB = require('sharedb');
+const { TextOT, textType } = require('./textOT');
+
+// Seeded generator so failures can be replayed
+const createRandom = (seed) => () => {
+  seed = (seed * 1103515245 + 12345) % 2147483648;
+  return seed / 2147483648;
+};
+
+// A random valid operation for a document of the given length
+const randomOp = (random, length) => {
+  const op = [];
+  let position = 0;
+  while (position < length || random() < 0.3) {
+    const choice = random();
+    if (choice < 0.3 || position === length) {
+      op.push('xyz'.slice(0, 1 + Math.floor(random() * 3)));
+    } else {
+      const count = 1 + Math.floor(random() * (length - position));
+      op.push(choice < 0.65 ? count : -count);
+      position += count;
+    }
+    if (random() < 0.2) break;
+  }
+  return TextOT.normalize(op);
+};
+
+describe('TextOT', () => {
+  const documents = ['', 'a', 'hello world', 'The quick brown fox'];
+
+  test('concurrent operations converge once transformed', () => {
+    const random = createRandom(1);
+    for (let round = 0; round < 500; round++) {
+      const doc = documents[round % documents.length];
+      const a = randomOp(random, doc.length);
+      const b = randomOp(random, doc.length);
+
+      const left = TextOT.apply(TextOT.apply(doc, a), TextOT.transform(b, a, 'right'));
+      const right = TextOT.apply(TextOT.apply(doc, b), TextOT.transform(a, b, 'left'));
+      expect(left).toBe(right);
+    }
+  });
+
+  test('orders inserts at the same place by side', () => {
+    const a = [2, 'A'];
+    const b = [2, 'B'];
+
+    expect(TextOT.apply(TextOT.apply('xxxx', b), TextOT.transform(a, b, 'left'))).toBe('xxABxx');
+    expect(TextOT.apply(TextOT.apply('xxxx', a), TextOT.transform(b, a, 'right'))).toBe('xxABxx');
+  });
+
+  test('does not delete text twice or keep text the other side deleted', () => {
+    expect(TextOT.transform([1, -3], [2, -3], 'left')).toEqual([1, -1]);
+    expect(TextOT.transform([3, 'new'], [1, -4], 'left')).toEqual([1, 'new']);
+  });
+
+  test('composed operations have the effect of applying both in turn', () => {
+    const random = createRandom(2);
+    for (let round = 0; round < 500; round++) {
+      const doc = documents[round % documents.length];
+      const a = randomOp(random, doc.length);
+      const middle = TextOT.apply(doc, a);
+      const b = randomOp(random, middle.length);
+
+      expect(TextOT.apply(doc, TextOT.compose(a, b))).toBe(TextOT.apply(middle, b));
+    }
+    expect(TextOT.compose([3, 'abc'], [3, -3])).toEqual([]);
+  });
+
+  test('inverted operations undo the original', () => {
+    const random = createRandom(3);
+    for (let round = 0; round < 500; round++) {
+      const doc = documents[round % documents.length];
+      const op = randomOp(random, doc.length);
+
+      expect(TextOT.apply(TextOT.apply(doc, op), TextOT.invert(op, doc))).toBe(doc);
+    }
+    expect(TextOT.invert([6, -5, 'there'], 'hello world')).toEqual([6, 'world', -5]);
+  });
+
+  test('refuses invalid operations', () => {
+    expect(() => TextOT.apply('abc', [0])).toThrow('Invalid text operation component');
+    expect(() => TextOT.apply('abc', [2, -2])).toThrow('longer than the document');
+    expect(() => TextOT.invert([-1], undefined)).toThrow('needs the document');
+  });
+
+  test('is registered with ShareDB under its own name and URI', () => {
+    expect(textType.uri).not.toMatch(/sharejs\.org/);
+    ShareDB.types.register(textType);
+    expect(ShareDB.types.map[textType.name]).toBe(textType);
+    expect(ShareDB.types.map[textType.uri]).toBe(textType);
+  });
+});
@@ -0,0 +1,253 @@
+const crypto = require('crypto');
+const net = require('net');
+const { once } = require('events');
+const winston = require('winston');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/security.log' })
+  ]
+});
+
+// clamd's default StreamMaxLength is 25MB; files are sent in pieces well below it
+const INSTREAM_CHUNK_SIZE = 64 * 1024;
+const DEFAULT_TIMEOUT = 60000;
+
+const scanError = (status, code, message) => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+};
+
+/**
+ * Scanner that talks to a ClamAV daemon over TCP or a Unix socket, using the
+ * null-terminated (z-prefixed) clamd commands. Files are streamed with INSTREAM.
+ */
+class ClamdScanner {
+  constructor(options = {}) {
+    this.name = 'clamd';
+    this.enabled = true;
+    this.host = options.host || '127.0.0.1';
+    this.port = options.port || 3310;
+    this.socketPath = options.socket;
+    this.timeout = options.timeout || DEFAULT_TIMEOUT;
+  }
+
+  async connect() {
+    const socket = this.socketPath
+      ? net.createConnection({ path: this.socketPath })
+      : net.createConnection({ host: this.host, port: this.port });
+    socket.setTimeout(this.timeout, () => socket.destroy(scanError(503, 'SCANNER_UNAVAILABLE', 'Virus scanner timed out')));
+
+    try {
+      await once(socket, 'connect');
+    } catch (error) {
+      logger.error('Cannot reach clamd', { host: this.socketPath || `${this.host}:${this.port}`, error: error.message });
+      throw scanError(503, 'SCANNER_UNAVAILABLE', 'Virus scanner is unavailable');
+    }
+    return socket;
+  }
+
+  // clamd answers with one null-terminated line, then closes the connection
+  readReply(socket) {
+    return new Promise((resolve, reject) => {
+      let reply = '';
+      socket.on('data', (data) => {
+        reply += data.toString('utf8');
+        const end = reply.indexOf('\0');
+        if (end !== -1) resolve(reply.slice(0, end).trim());
+      });
+      socket.on('end', () => resolve(reply.replace(/\0/g, '').trim()));
+      socket.on('error', (error) => reject(error.status ? error : scanError(503, 'SCANNER_UNAVAILABLE', `Virus scanner connection failed: ${error.message}`)));
+    });
+  }
+
+  async command(name) {
+    const socket = await this.connect();
+    try {
+      const reply = this.readReply(socket);
+      socket.end(`z${name}\0`);
+      return await reply;
+    } finally {
+      socket.destroy();
+    }
+  }
+
+  ping() {
+    return this.command('PING');
+  }
+
+  version() {
+    return this.command('VERSION');
+  }
+
+  /**
+   * Scan a file
+   * @param {Buffer|Readable} source - File contents
+   * @returns {Promise<Object>} { clean, threats, scanner, scanDate }
+   * @throws {Error} 503 SCANNER_UNAVAILABLE, 422 SCAN_FAILED (e.g. file over clamd's StreamMaxLength)
+   */
+  async scan(source) {
+    const socket = await this.connect();
+    let answered = false;
+    const reply = this.readReply(socket).finally(() => { answered = true; });
+    // The reply can fail before it is awaited; the failure surfaces where it is
+    reply.catch(() => {});
+
+    try {
+      socket.write('zINSTREAM\0');
+      for await (const chunk of Buffer.isBuffer(source) ? [source] : source) {
+        for (let offset = 0; offset < chunk.length && !answered; offset += INSTREAM_CHUNK_SIZE) {
+          const piece = chunk.subarray(offset, offset + INSTREAM_CHUNK_SIZE);
+          const header = Buffer.alloc(4);
+          header.writeUInt32BE(piece.length);
+          if (!socket.write(Buffer.concat([header, piece]))) {
+            await Promise.race([once(socket, 'drain'), reply]);
+          }
+        }
+        // clamd stops reading once it has a verdict or hit its size limit
+        if (answered) break;
+      }
+      if (!answered) socket.write(Buffer.alloc(4));
+
+      return this.parseReply(await reply);
+    } finally {
+      socket.destroy();
+      if (!Buffer.isBuffer(source)) source.destroy?.();
+    }
+  }
+
+  // "stream: OK", "stream: <signature> FOUND" or "<reason> ERROR"
+  parseReply(reply) {
+    const scanDate = new Date();
+    if (/^stream: OK$/.test(reply)) {
+      return { clean: true, threats: [], scanner: this.name, scanDate };
+    }
+
+    const found = reply.match(/^stream: (.+) FOUND$/);
+    if (found) {
+      return { clean: false, threats: [found[1]], scanner: this.name, scanDate };
+    }
+
+    logger.error('clamd could not scan a file', { reply });
+    throw scanError(422, 'SCAN_FAILED', `Virus scan failed: ${reply.replace(/ ERROR$/, '') || 'no reply from scanner'}`);
+  }
+}
+
+// Used when no scanner is configured: nothing is scanned and only files already
+// known to be infected are blocked
+class DisabledScanner {
+  constructor() {
+    this.name = 'none';
+    this.enabled = false;
+  }
+
+  async scan() {
+    return null;
+  }
+}
+
+/**
+ * Create the scanner named by VIRUS_SCANNER (clamd or none)
+ * @param {Object} config - Overrides for the environment settings
+ * @returns {ClamdScanner|DisabledScanner}
+ */
+const createVirusScanner = (config = {}) => {
+  const scanner = config.scanner || process.env.VIRUS_SCANNER || 'none';
+
+  switch (scanner) {
+    case 'clamd':
+      return new ClamdScanner({
+        host: config.host || process.env.CLAMD_HOST,
+        port: config.port || parseInt(process.env.CLAMD_PORT) || undefined,
+        socket: config.socket || process.env.CLAMD_SOCKET,
+        timeout: config.timeout || parseInt(process.env.CLAMD_TIMEOUT) || undefined
+      });
+    case 'none':
+      return new DisabledScanner();
+    default:
+      throw new Error(`Unknown virus scanner "${scanner}"; use clamd or none`);
+  }
+};
+
+let defaultScanner = null;
+
+const getVirusScanner = () => {
+  if (!defaultScanner) {
+    defaultScanner = createVirusScanner();
+    logger.info('Virus scanner selected', { scanner: defaultScanner.name });
+  }
+  return defaultScanner;
+};
+
+/**
+ * Refuse to serve or process a file that is infected, or that has not been scanned
+ * while scanning is enabled. Files without a record (anonymous uploads) were scanned on upload.
+ * @param {Object|null} file - File document
+ * @throws {Error} 403 FILE_INFECTED, 409 FILE_NOT_SCANNED
+ */
+const assertFileClean = (file, scanner = getVirusScanner()) => {
+  if (!file || !file.virus) return;
+
+  if (file.virus.scanned && !file.virus.clean) {
+    throw scanError(403, 'FILE_INFECTED', 'This file is infected and has been quarantined');
+  }
+  if (scanner.enabled && !file.virus.scanned) {
+    throw scanError(409, 'FILE_NOT_SCANNED', 'This file has not been scanned for viruses yet');
+  }
+};
+
+/**
+ * Keep an infected file out of reach of the download routes, for review by an administrator
+ * @param {Object} storage - Storage driver
+ * @param {Buffer|Readable} body - File contents
+ * @param {Object} details - { filename, contentType, threats, userId }
+ * @returns {Promise<string>} Storage key of the quarantined copy
+ */
+const quarantine = async (storage, body, details) => {
+  const key = `quarantine/${crypto.randomUUID()}`;
+  await storage.put(key, body, {
+    contentType: details.contentType,
+    metadata: {
+      'original-filename': encodeURIComponent(details.filename || ''),
+      threats: encodeURIComponent(details.threats.join(', ')),
+      'uploaded-by': String(details.userId || 'anonymous'),
+      'quarantined-at': new Date().toISOString()
+    }
+  });
+
+  logger.warn('Infected file quarantined', { key, filename: details.filename, threats: details.threats, userId: details.userId });
+  return key;
+};
+
+/**
+ * Move a stored file that turned out to be infected into quarantine. Its thumbnails are
+ * removed; the caller saves the document.
+ * @param {Object} storage - Storage driver
+ * @param {Object} file - File document
+ */
+const quarantineStoredFile = async (storage, file) => {
+  const key = `quarantine/${crypto.randomUUID()}`;
+  await storage.copy(file.s3Key, key);
+  await storage.delete(file.s3Key);
+  await Promise.all(file.thumbnails.map(thumbnail => storage.delete(thumbnail.s3Key).catch(() => {})));
+
+  logger.warn('Stored file quarantined', { fileId: file.fileId, key, threats: file.virus.threats });
+  file.s3Key = key;
+  file.thumbnails = [];
+};
+
+module.exports = {
+  ClamdScanner,
+  DisabledScanner,
+  createVirusScanner,
+  getVirusScanner,
+  assertFileClean,
+  quarantine,
+  quarantineStoredFile
+};
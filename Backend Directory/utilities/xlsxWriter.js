@@ -0,0 +1,119 @@
+const { zipSync, strToU8 } = require('fflate');
+
+// Characters XML 1.0 does not allow, even escaped
+const INVALID_XML = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+
+const escapeXml = (text) => {
+  return String(text)
+    .replace(INVALID_XML, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+};
+
+// Plain decimals are written as numbers so spreadsheets can sum them; leading zeros
+// (account numbers, postcodes) keep the value a string
+const NUMBER_PATTERN = /^-?(0|[1-9]\d*)(\.\d+)?$/;
+
+// 0 -> A, 25 -> Z, 26 -> AA
+const columnName = (index) => {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+};
+
+// Sheet names are limited to 31 characters and may not contain []:*?/\
+const sheetName = (name, index, used) => {
+  const base = String(name || `Sheet${index + 1}`).replace(/[[\]:*?/\\]/g, ' ').trim().slice(0, 31) || `Sheet${index + 1}`;
+  let candidate = base;
+  for (let n = 2; used.has(candidate.toLowerCase()); n++) {
+    const suffix = ` (${n})`;
+    candidate = base.slice(0, 31 - suffix.length) + suffix;
+  }
+  used.add(candidate.toLowerCase());
+  return candidate;
+};
+
+/**
+ * Minimal XLSX writer: one or more sheets of plain cell values, no styles or formulas
+ */
+class XlsxWriter {
+  constructor() {
+    this.sheets = [];
+  }
+
+  /**
+   * Add a worksheet
+   * @param {string} name - Sheet name (made valid and unique when written)
+   * @param {Array<Array>} rows - Cell values; numbers and numeric strings become number cells
+   */
+  addSheet(name, rows) {
+    this.sheets.push({ name, rows });
+    return this;
+  }
+
+  buildSheet(rows) {
+    const rowXml = rows.map((row, rowIndex) => {
+      const cells = row.map((value, columnIndex) => {
+        if (value === null || value === undefined || value === '') return '';
+        const ref = `${columnName(columnIndex)}${rowIndex + 1}`;
+        if (typeof value === 'number' || NUMBER_PATTERN.test(String(value))) {
+          return `<c r="${ref}"><v>${Number(value)}</v></c>`;
+        }
+        return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+      }).join('');
+      return `<row r="${rowIndex + 1}">${cells}</row>`;
+    }).join('');
+
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+      `<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>${rowXml}</sheetData></worksheet>`;
+  }
+
+  /**
+   * Serialize the workbook
+   * @returns {Buffer} XLSX file contents
+   */
+  toBuffer() {
+    if (this.sheets.length === 0) {
+      this.addSheet('Sheet1', []);
+    }
+
+    const used = new Set();
+    const sheets = this.sheets.map((sheet, index) => ({ ...sheet, name: sheetName(sheet.name, index, used) }));
+    const files = {
+      '[Content_Types].xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        sheets.map((sheet, index) => `<Override PartName="/xl/worksheets/sheet${index + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('') +
+        '</Types>',
+      '_rels/.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+        '</Relationships>',
+      'xl/workbook.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>' +
+        sheets.map((sheet, index) => `<sheet name="${escapeXml(sheet.name)}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`).join('') +
+        '</sheets></workbook>',
+      'xl/_rels/workbook.xml.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        sheets.map((sheet, index) => `<Relationship Id="rId${index + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${index + 1}.xml"/>`).join('') +
+        '</Relationships>'
+    };
+
+    sheets.forEach((sheet, index) => {
+      files[`xl/worksheets/sheet${index + 1}.xml`] = this.buildSheet(sheet.rows);
+    });
+
+    const entries = Object.fromEntries(Object.entries(files).map(([name, content]) => [name, strToU8(content)]));
+    return Buffer.from(zipSync(entries));
+  }
+}
+
+module.exports = {
+  XlsxWriter
+};
@@ -1 +1,12 @@
 /// <reference types="react-scripts" />
+
+// ot-json0 ships without types; only the type ShareDB registers as json0 is used
+declare module 'ot-json0' {
+  export const type: {
+    name: string;
+    uri: string;
+    apply: (snapshot: any, op: any[]) => any;
+    transform: (op: any[], otherOp: any[], side: 'left' | 'right') => any[];
+    compose: (op1: any[], op2: any[]) => any[];
+  };
+}
@@ -82,10 +82,217 @@ export interface UploadResponse {
   file: FileInfo;
 }
 
+export interface ResumableUploadOptions {
+  chunkSize?: number;
+  onProgress?: (progress: number) => void;
+  signal?: AbortSignal;
+}
+
+export interface ResumableUploadResponse extends UploadResponse {
+  file: FileInfo & { checksum: string };
+}
+
+export type FilePermission = 'view' | 'edit' | 'admin';
+
+export type ThumbnailSize = 'small' | 'medium' | 'large';
+
+// Made in the background after upload, for images, PDFs (first page) and videos (poster frame)
+export interface FileThumbnail {
+  size: ThumbnailSize;
+  width: number;
+  height: number;
+  url: string;
+}
+
+export interface ContentDisarmFinding {
+  // e.g. 'macro', 'ole_object', 'external_link', 'javascript', 'open_action', 'svg_script'
+  kind: string;
+  // Package part, link target, PDF name or removed markup
+  target: string;
+  count: number;
+}
+
+export interface StoredFile {
+  id: string;
+  name: string;
+  extension: string;
+  mimeType: string;
+  size: number;
+  humanSize: string;
+  status: 'uploading' | 'processing' | 'completed' | 'failed' | 'deleted';
+  folder: string | null;
+  tags: string[];
+  metadata?: {
+    width?: number;
+    height?: number;
+    duration?: number;
+    pages?: number;
+    encoding?: string;
+    compression?: string;
+    colorSpace?: string;
+    hasTransparency?: boolean;
+    isAnimated?: boolean;
+  };
+  thumbnails: FileThumbnail[];
+  owner: string;
+  isOwner: boolean;
+  permissions: {
+    isPublic: boolean;
+    allowDownload: boolean;
+    allowEdit: boolean;
+    allowShare: boolean;
+    sharedWith?: Array<{ userId: string; permission: FilePermission; sharedAt: string; inherited: boolean }>;
+  };
+  analytics: {
+    views: number;
+    downloads: number;
+    edits: number;
+    shares: number;
+    lastViewed?: string;
+    lastDownloaded?: string;
+    lastEdited?: string;
+  };
+  // Unscanned files cannot be downloaded while the server scans uploads; infected ones never can
+  virus: {
+    scanned: boolean;
+    clean: boolean;
+    scanDate: string | null;
+    threats: string[];
+  };
+  // Macros, embedded objects, external links and scripts removed from Office documents, PDFs and SVGs
+  cdr: {
+    processed: boolean;
+    processedAt: string | null;
+    originalSize: number | null;
+    removed: ContentDisarmFinding[];
+  };
+  isDeleted: boolean;
+  deletedAt: string | null;
+  expiresAt: string | null;
+  createdAt: string;
+  updatedAt: string;
+  url: string;
+}
+
+export interface FileListOptions {
+  mimeType?: string;
+  tags?: string[];
+  // A folder ID, or 'root' for files outside any folder
+  folder?: string;
+  deleted?: boolean;
+  limit?: number;
+  offset?: number;
+}
+
+export interface FileListResponse {
+  success: boolean;
+  files: StoredFile[];
+  total: number;
+  limit: number;
+  offset: number;
+}
+
+export interface FileUpdate {
+  originalName?: string;
+  tags?: string[];
+  folder?: string | null;
+  permissions?: Partial<Pick<StoredFile['permissions'], 'isPublic' | 'allowDownload' | 'allowEdit' | 'allowShare'>>;
+  expiresAt?: string | null;
+}
+
+export interface Folder {
+  id: string;
+  name: string;
+  path: string;
+  parent: string | null;
+  depth: number;
+  owner: string;
+  isOwner: boolean;
+  sharedWith?: Array<{ userId: string; permission: FilePermission; sharedAt: string; inherited: boolean }>;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface FolderBreadcrumb {
+  id: string;
+  name: string;
+  path: string;
+}
+
+export interface FolderListing {
+  success: boolean;
+  // null for the root and the shared-with-me listing
+  folder: Folder | null;
+  breadcrumbs: FolderBreadcrumb[];
+  folders: Folder[];
+  files: StoredFile[];
+  totalFiles: number;
+  limit: number;
+  offset: number;
+}
+
+export interface FolderTreeNode {
+  id: string;
+  name: string;
+  path: string;
+  children: FolderTreeNode[];
+}
+
+export type ShareLinkPermission = 'view' | 'download';
+
+export type ShareLinkStatus = 'active' | 'revoked' | 'expired' | 'download_limit';
+
+export interface ShareLink {
+  id: string;
+  fileId: string | null;
+  fileName: string | null;
+  tokenPrefix: string;
+  permission: ShareLinkPermission;
+  hasPassword: boolean;
+  expiresAt: string | null;
+  maxDownloads: number | null;
+  downloadCount: number;
+  downloadsRemaining: number | null;
+  viewCount: number;
+  lastUsedAt: string | null;
+  revokedAt: string | null;
+  status: ShareLinkStatus;
+  createdAt: string;
+  // Only returned when the link is created; the server keeps a hash
+  token?: string;
+  url?: string;
+}
+
+export interface ShareLinkOptions {
+  permission?: ShareLinkPermission;
+  password?: string;
+  expiresAt?: string | null;
+  maxDownloads?: number | null;
+}
+
+// What a public link shows; file details are withheld until a password-protected link is unlocked
+export interface PublicShareLink {
+  requiresPassword: boolean;
+  file?: {
+    name: string;
+    mimeType: string;
+    size: number;
+    humanSize: string;
+  };
+  permission?: ShareLinkPermission;
+  canDownload?: boolean;
+  expiresAt?: string | null;
+  downloadsRemaining?: number | null;
+  contentUrl?: string;
+  downloadUrl?: string | null;
+}
+
 export interface ConversionRequest {
-  fileUrl: string;
-  fromFormat: string;
-  toFormat: string;
+  fileUrl?: string;
+  fileData?: string;
+  fileName?: string;
+  sourceFormat?: string;
+  targetFormat?: string;
   options?: {
     quality?: number;
     width?: number;
@@ -96,27 +303,228 @@ export interface ConversionRequest {
   };
 }
 
+export type ConversionPipelineStep =
+  | { type: 'convert'; targetFormat: string; options?: ConversionRequest['options'] }
+  | { type: 'resize'; width?: number; height?: number; fit?: 'cover' | 'contain' | 'fill' | 'inside' | 'outside'; withoutEnlargement?: boolean }
+  | { type: 'compress'; quality?: number }
+  | { type: 'ocr'; language?: string; psm?: number; oem?: number };
+
+export interface ConversionPipelineRequest {
+  sourceFormat?: string;
+  fileUrl?: string;
+  fileData?: string;
+  fileName?: string;
+  steps: ConversionPipelineStep[];
+}
+
+export interface ConversionJob {
+  id: string;
+  status: 'queued' | 'running' | 'completed' | 'failed' | 'cancelled';
+  progress: number;
+  stage?: string;
+  engine?: string;
+  sourceFormat: string;
+  targetFormat: string;
+  fileName: string;
+  chain?: string[];
+  steps?: (ConversionPipelineStep & { from: string; to: string })[];
+  currentStep?: number;
+  attempts: number;
+  maxAttempts: number;
+  createdAt: string;
+  updatedAt: string;
+  startedAt?: string;
+  completedAt?: string;
+  expiresAt?: string;
+  result?: {
+    engine: string;
+    url: string;
+    downloadUrl: string;
+    size: number;
+    originalSize?: number;
+    format: string;
+    mimeType: string;
+    expiresAt: string;
+  };
+  error?: string;
+}
+
+export interface ConversionBatchItem {
+  index: number;
+  fileName: string;
+  sourceFormat: string;
+  targetFormat: string;
+  status: 'pending' | 'converting' | 'completed' | 'failed';
+  engine?: string;
+  format?: string;
+  mimeType?: string;
+  size?: number;
+  entryName?: string;
+  error?: string;
+}
+
+export interface ConversionBatch {
+  id: string;
+  status: ConversionJob['status'];
+  progress: number;
+  stage?: string;
+  total: number;
+  completed: number;
+  failed: number;
+  items: ConversionBatchItem[];
+  createdAt: string;
+  updatedAt: string;
+  completedAt?: string;
+  expiresAt?: string;
+  result?: {
+    url: string;
+    downloadUrl: string;
+    size: number;
+    format: string;
+    mimeType: string;
+    expiresAt: string;
+  };
+  error?: string;
+}
+
 export interface ConversionResponse {
   success: boolean;
-  conversion: {
-    fromFormat: string;
-    toFormat: string;
-    originalUrl: string;
-    convertedUrl: string;
-    fileName: string;
-    fileSize: number;
-    options: any;
-    convertedAt: string;
-  };
-  note: string;
+  message: string;
+  job: ConversionJob;
+  statusUrl: string;
+}
+
+export type OCROutputFormat = 'text' | 'pdf' | 'hocr' | 'alto';
+
+export interface OCROptions {
+  psm?: number;
+  oem?: number;
+  dpi?: number;
+  maxPages?: number;
+}
+
+export interface OCROutput {
+  url: string;
+  fileName: string;
+  size: number;
+  mimeType: string;
+  expiresAt: string;
+}
+
+export interface OCRBoundingBox {
+  x0: number;
+  y0: number;
+  x1: number;
+  y1: number;
+}
+
+export interface OCRWord {
+  text: string;
+  confidence: number;
+  bbox: OCRBoundingBox;
+}
+
+export interface OCRLine {
+  bbox: OCRBoundingBox;
+  text: string;
+  confidence: number;
+  words: OCRWord[];
+}
+
+export interface OCRTableCell {
+  text: string;
+  bbox: OCRBoundingBox | null;
+  confidence: number | null;
+}
+
+export type OCRLayoutBlock =
+  | {
+      id: string;
+      type: 'paragraph';
+      order: number;
+      column: number | null;
+      bbox: OCRBoundingBox;
+      text: string;
+      confidence: number;
+      lines: OCRLine[];
+    }
+  | {
+      id: string;
+      type: 'table';
+      order: number;
+      column: number | null;
+      bbox: OCRBoundingBox;
+      rowCount: number;
+      columnCount: number;
+      columns: Array<{ x0: number; x1: number }>;
+      rows: Array<{ bbox: OCRBoundingBox; cells: OCRTableCell[] }>;
+      confidence: number;
+    };
+
+// One analyzed page; blocks are in reading order and column is null for blocks spanning columns
+export interface OCRLayoutPage {
+  page: number;
+  width: number;
+  height: number;
+  columns: Array<{ index: number; x0: number; x1: number }>;
+  blocks: OCRLayoutBlock[];
+  tables: string[];
+  text: string;
 }
 
 export interface OCRRequest {
   imageUrl: string;
   language?: string;
-  options?: {
-    psm?: number;
-    oem?: number;
+  options?: OCROptions;
+  output?: OCROutputFormat[];
+  layout?: boolean;
+}
+
+export interface FileRoot {
+  name: string;
+  label: string;
+  readOnly: boolean;
+}
+
+export interface FileRootEntry {
+  name: string;
+  path: string;
+  type: 'file' | 'directory';
+  size: number | null;
+  modified: string;
+  etag: string | null;
+  extension: string | null;
+  symlink: boolean;
+  depth: number;
+}
+
+export interface FileRootWriteResult {
+  root: string;
+  path: string;
+  type: 'file' | 'directory' | 'symlink';
+  size: number | null;
+  modified: string;
+  etag: string;
+  created?: boolean;
+  from?: string;
+}
+
+// etag: the ETag the file was loaded with; the server refuses to overwrite a newer version (412)
+export interface FileRootWriteOptions {
+  etag?: string;
+  createOnly?: boolean;
+}
+
+export interface FileRootListing {
+  success: boolean;
+  root: string;
+  path: string;
+  entries: FileRootEntry[];
+  // nextCursor is passed back as options.cursor for the next page; null on the last page
+  pagination: {
+    limit: number;
+    hasMore: boolean;
+    nextCursor: string | null;
   };
 }
 
@@ -152,6 +560,43 @@ export const authAPI = {
 };
 
 // Upload API
+// Resumable uploads (tus 1.0.0): the session ID is kept in localStorage so an interrupted
+// upload of the same file continues from the last byte the server stored
+const TUS_HEADERS = { 'Tus-Resumable': '1.0.0' };
+const RESUMABLE_CHUNK_SIZE = 8 * 1024 * 1024;
+// Larger files are verified chunk by chunk only; hashing them whole would load them into memory
+const WHOLE_FILE_CHECKSUM_LIMIT = 64 * 1024 * 1024;
+const RETRY_DELAYS = [1000, 3000, 5000, 10000];
+
+const toBase64 = (bytes: Uint8Array): string => {
+  let binary = '';
+  bytes.forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary);
+};
+
+const sha256 = async (blob: Blob): Promise<string> => {
+  const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+  return toBase64(new Uint8Array(digest));
+};
+
+const encodeUploadMetadata = (metadata: Record<string, string>): string => {
+  return Object.entries(metadata)
+    .map(([key, value]) => `${key} ${toBase64(new TextEncoder().encode(value))}`)
+    .join(',');
+};
+
+const resumableKey = (file: File): string => `resumableUpload:${file.name}:${file.size}:${file.lastModified}`;
+
+const wait = (ms: number) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Network failures, server errors, offset conflicts and corrupted chunks (460) are retried
+const isRetryable = (error: any): boolean => {
+  const status = error.response?.status;
+  return !status || status >= 500 || status === 409 || status === 460;
+};
+
 export const uploadAPI = {
   simple: async (file: File): Promise<UploadResponse> => {
     const formData = new FormData();
@@ -191,6 +636,92 @@ export const uploadAPI = {
     return response.data;
   },
 
+  resumable: async (file: File, options: ResumableUploadOptions = {}): Promise<ResumableUploadResponse> => {
+    const { chunkSize = RESUMABLE_CHUNK_SIZE, onProgress, signal } = options;
+    const key = resumableKey(file);
+
+    const currentOffset = async (uploadId: string): Promise<number> => {
+      const response = await api.head(`/upload/resumable/${uploadId}`, { headers: TUS_HEADERS, signal });
+      return Number(response.headers['upload-offset']);
+    };
+
+    let uploadId = localStorage.getItem(key);
+    let offset = 0;
+
+    if (uploadId) {
+      try {
+        offset = await currentOffset(uploadId);
+      } catch (error) {
+        // Expired, finished or someone else's: start over
+        uploadId = null;
+      }
+    }
+
+    if (!uploadId) {
+      const response = await api.post('/upload/resumable', null, {
+        headers: {
+          ...TUS_HEADERS,
+          'Upload-Length': String(file.size),
+          'Upload-Metadata': encodeUploadMetadata({
+            filename: file.name,
+            filetype: file.type || 'application/octet-stream',
+          }),
+        },
+        signal,
+      });
+      uploadId = response.data.uploadId as string;
+      offset = 0;
+      localStorage.setItem(key, uploadId);
+    }
+
+    let attempt = 0;
+    while (offset < file.size) {
+      const chunk = file.slice(offset, offset + chunkSize);
+      onProgress?.(Math.round((offset * 100) / file.size));
+
+      try {
+        const response = await api.patch(`/upload/resumable/${uploadId}`, chunk, {
+          headers: {
+            ...TUS_HEADERS,
+            'Content-Type': 'application/offset+octet-stream',
+            'Upload-Offset': String(offset),
+            'Upload-Checksum': `sha256 ${await sha256(chunk)}`,
+          },
+          timeout: 5 * 60 * 1000,
+          signal,
+        });
+        offset = Number(response.headers['upload-offset']);
+        attempt = 0;
+      } catch (error: any) {
+        if (signal?.aborted || !isRetryable(error) || attempt >= RETRY_DELAYS.length) {
+          throw error;
+        }
+        await wait(RETRY_DELAYS[attempt++]);
+        // Ask the server where it got to; part of the chunk may have been stored
+        offset = await currentOffset(uploadId);
+      }
+    }
+
+    onProgress?.(100);
+    const response = await api.post(`/upload/resumable/${uploadId}/finalize`, {
+      checksum: file.size <= WHOLE_FILE_CHECKSUM_LIMIT ? `sha256 ${await sha256(file)}` : undefined,
+    }, {
+      headers: TUS_HEADERS,
+      timeout: 10 * 60 * 1000,
+      signal,
+    });
+
+    localStorage.removeItem(key);
+    return response.data;
+  },
+
+  cancelResumable: async (file: File): Promise<void> => {
+    const uploadId = localStorage.getItem(resumableKey(file));
+    if (!uploadId) return;
+    localStorage.removeItem(resumableKey(file));
+    await api.delete(`/upload/resumable/${uploadId}`, { headers: TUS_HEADERS });
+  },
+
   getInfo: async (fileId: string): Promise<{ success: boolean; file: FileInfo }> => {
     const response = await api.get(`/upload/info/${fileId}`);
     return response.data;
@@ -206,6 +737,174 @@ export const uploadAPI = {
     });
     return response.data;
   },
+
+  // Direct URL for <video>, <audio> and PDF viewers; the server answers Range requests so they can seek
+  getStreamUrl: (fileId: string): string => {
+    return `${API_BASE_URL}/upload/file/${encodeURIComponent(fileId)}`;
+  },
+
+  getDownloadUrl: (fileId: string): string => {
+    return `${API_BASE_URL}/upload/file/${encodeURIComponent(fileId)}?download=true`;
+  },
+};
+
+// Files API (uploads saved to the signed-in user's account)
+export const filesAPI = {
+  list: async (options: FileListOptions = {}): Promise<FileListResponse> => {
+    const { tags, ...params } = options;
+    const response = await api.get('/files', {
+      params: { ...params, ...(tags?.length && { tags: tags.join(',') }) },
+    });
+    return response.data;
+  },
+
+  get: async (fileId: string): Promise<StoredFile> => {
+    const response = await api.get(`/files/${encodeURIComponent(fileId)}`);
+    return response.data.file;
+  },
+
+  update: async (fileId: string, update: FileUpdate): Promise<StoredFile> => {
+    const response = await api.patch(`/files/${encodeURIComponent(fileId)}`, update);
+    return response.data.file;
+  },
+
+  remove: async (fileId: string): Promise<StoredFile> => {
+    const response = await api.delete(`/files/${encodeURIComponent(fileId)}`);
+    return response.data.file;
+  },
+
+  restore: async (fileId: string): Promise<StoredFile> => {
+    const response = await api.post(`/files/${encodeURIComponent(fileId)}/restore`);
+    return response.data.file;
+  },
+
+  // folder: null moves the file to the root
+  move: async (fileId: string, folder: string | null): Promise<StoredFile> => {
+    const response = await api.post(`/files/${encodeURIComponent(fileId)}/move`, { folder });
+    return response.data.file;
+  },
+
+  copy: async (fileId: string, folder: string | null, name?: string): Promise<StoredFile> => {
+    const response = await api.post(`/files/${encodeURIComponent(fileId)}/copy`, { folder, name });
+    return response.data.file;
+  },
+
+  // Thumbnails need the auth header, so they are fetched as blobs rather than linked
+  getThumbnail: async (fileId: string, size: ThumbnailSize = 'medium'): Promise<Blob> => {
+    const response = await api.get(`/files/${encodeURIComponent(fileId)}/thumbnail`, {
+      params: { size },
+      responseType: 'blob',
+    });
+    return response.data;
+  },
+
+  regenerateThumbnails: async (fileId: string): Promise<{ jobId: string }> => {
+    const response = await api.post(`/files/${encodeURIComponent(fileId)}/thumbnail`);
+    return response.data;
+  },
+
+  // Scan again for viruses; an infected file is quarantined
+  scan: async (fileId: string): Promise<StoredFile> => {
+    const response = await api.post(`/files/${encodeURIComponent(fileId)}/scan`);
+    return response.data.file;
+  },
+};
+
+// Folders API
+export const foldersAPI = {
+  // Without a folder ID, lists the user's root
+  list: async (folderId?: string | null, page: { limit?: number; offset?: number } = {}): Promise<FolderListing> => {
+    const response = await api.get(folderId ? `/folders/${folderId}` : '/folders', { params: page });
+    return response.data;
+  },
+
+  listShared: async (page: { limit?: number; offset?: number } = {}): Promise<FolderListing> => {
+    const response = await api.get('/folders/shared', { params: page });
+    return response.data;
+  },
+
+  getTree: async (): Promise<FolderTreeNode[]> => {
+    const response = await api.get('/folders/tree');
+    return response.data.tree;
+  },
+
+  create: async (name: string, parent: string | null = null): Promise<Folder> => {
+    const response = await api.post('/folders', { name, parent });
+    return response.data.folder;
+  },
+
+  rename: async (folderId: string, name: string): Promise<Folder> => {
+    const response = await api.patch(`/folders/${folderId}`, { name });
+    return response.data.folder;
+  },
+
+  move: async (folderId: string, parent: string | null): Promise<Folder> => {
+    const response = await api.post(`/folders/${folderId}/move`, { parent });
+    return response.data.folder;
+  },
+
+  copy: async (folderId: string, parent: string | null, name?: string): Promise<{ folder: Folder; copied: { folders: number; files: number } }> => {
+    const response = await api.post(`/folders/${folderId}/copy`, { parent, name });
+    return response.data;
+  },
+
+  remove: async (folderId: string, recursive = false): Promise<{ folders: number; files: number }> => {
+    const response = await api.delete(`/folders/${folderId}`, { params: { recursive } });
+    return response.data.removed;
+  },
+
+  share: async (folderId: string, userId: string, permission: FilePermission = 'view'): Promise<Folder> => {
+    const response = await api.post(`/folders/${folderId}/share`, { userId, permission });
+    return response.data.folder;
+  },
+
+  unshare: async (folderId: string, userId: string): Promise<Folder> => {
+    const response = await api.delete(`/folders/${folderId}/share/${userId}`);
+    return response.data.folder;
+  },
+};
+
+// Share links API: tokenized public links to a file
+const shareAccessParams = (accessToken?: string): string =>
+  accessToken ? `?${new URLSearchParams({ access: accessToken }).toString()}` : '';
+
+export const shareLinksAPI = {
+  create: async (fileId: string, options: ShareLinkOptions = {}): Promise<ShareLink> => {
+    const response = await api.post('/shares', { fileId, ...options });
+    return response.data.link;
+  },
+
+  // Without a file ID, lists the links the user created
+  list: async (fileId?: string, includeInactive = false): Promise<ShareLink[]> => {
+    const response = await api.get('/shares', { params: { fileId, includeInactive } });
+    return response.data.links;
+  },
+
+  revoke: async (linkId: string): Promise<ShareLink> => {
+    const response = await api.delete(`/shares/${linkId}`);
+    return response.data.link;
+  },
+
+  getPublic: async (token: string, accessToken?: string): Promise<PublicShareLink> => {
+    const response = await api.get(`/shares/public/${encodeURIComponent(token)}`, {
+      headers: accessToken ? { 'X-Share-Access': accessToken } : {},
+    });
+    return response.data;
+  },
+
+  // Returns an access token for the content and download URLs of a password-protected link
+  unlock: async (token: string, password: string): Promise<{ accessToken: string; expiresIn: number }> => {
+    const response = await api.post(`/shares/public/${encodeURIComponent(token)}/unlock`, { password });
+    return response.data;
+  },
+
+  getContentUrl: (token: string, accessToken?: string): string => {
+    return `${API_BASE_URL}/shares/public/${encodeURIComponent(token)}/content${shareAccessParams(accessToken)}`;
+  },
+
+  getDownloadUrl: (token: string, accessToken?: string): string => {
+    return `${API_BASE_URL}/shares/public/${encodeURIComponent(token)}/download${shareAccessParams(accessToken)}`;
+  },
 };
 
 // Conversion API
@@ -215,6 +914,21 @@ export const conversionAPI = {
     return response.data;
   },
 
+  pipeline: async (request: ConversionPipelineRequest): Promise<ConversionResponse> => {
+    const response = await api.post('/convert/pipeline', request);
+    return response.data;
+  },
+
+  getStatus: async (jobId: string): Promise<{ success: boolean; job: ConversionJob }> => {
+    const response = await api.get(`/convert/status/${jobId}`);
+    return response.data;
+  },
+
+  cancel: async (jobId: string): Promise<{ success: boolean; message: string; job: ConversionJob }> => {
+    const response = await api.delete(`/convert/status/${jobId}`);
+    return response.data;
+  },
+
   getFormats: async (): Promise<{
     success: boolean;
     supportedConversions: Record<string, string[]>;
@@ -233,30 +947,112 @@ export const conversionAPI = {
     fromFormat: string;
     toFormat: string;
     supported: boolean;
+    engine: string | null;
+    path: string[];
+    steps: number;
     alternatives: string[];
   }> => {
     const response = await api.get(`/convert/check/${fromFormat}/${toFormat}`);
     return response.data;
   },
 
-  batchConvert: async (conversions: ConversionRequest[]): Promise<{
-    success: boolean;
-    results: any[];
-    summary: {
-      total: number;
-      successful: number;
-      failed: number;
-    };
-  }> => {
-    const response = await api.post('/convert/batch', { conversions });
+  batchConvert: async (
+    conversions: ConversionRequest[],
+    defaults?: { targetFormat?: string; options?: ConversionRequest['options'] }
+  ): Promise<{ success: boolean; message: string; batch: ConversionBatch; statusUrl: string; eventsUrl: string }> => {
+    const response = await api.post('/convert/batch', { conversions, ...defaults });
+    return response.data;
+  },
+
+  batchConvertFiles: async (
+    files: File[],
+    targetFormat: string,
+    options?: ConversionRequest['options']
+  ): Promise<{ success: boolean; message: string; batch: ConversionBatch; statusUrl: string; eventsUrl: string }> => {
+    const formData = new FormData();
+    files.forEach(file => formData.append('files', file));
+    formData.append('targetFormat', targetFormat);
+    if (options) {
+      formData.append('options', JSON.stringify(options));
+    }
+    const response = await api.post('/convert/batch', formData, {
+      headers: {
+        'Content-Type': 'multipart/form-data',
+      },
+    });
+    return response.data;
+  },
+
+  getBatch: async (batchId: string): Promise<{ success: boolean; batch: ConversionBatch }> => {
+    const response = await api.get(`/convert/batch/${batchId}`);
+    return response.data;
+  },
+
+  downloadBatch: async (batchId: string): Promise<Blob> => {
+    const response = await api.get(`/convert/batch/${batchId}/download`, {
+      responseType: 'blob',
+    });
+    return response.data;
+  },
+
+  cancelBatch: async (batchId: string): Promise<{ success: boolean; message: string; batch: ConversionBatch }> => {
+    const response = await api.delete(`/convert/batch/${batchId}`);
     return response.data;
   },
 };
 
 // OCR API
 export const ocrAPI = {
-  extract: (data: { fileUrl: string; language?: string }) =>
+  extract: (data: {
+    imageUrl?: string;
+    fileId?: string;
+    imageData?: string;
+    language?: string;
+    options?: OCROptions;
+    output?: OCROutputFormat[];
+    layout?: boolean;
+    wait?: boolean;
+  }) =>
     api.post('/ocr/extract', data),
+
+  // Accepts images, multi-page TIFFs and scanned PDFs
+  extractImage: (image: File, language = 'eng', options?: OCROptions, output: OCROutputFormat[] = ['text'], layout = false) => {
+    const formData = new FormData();
+    formData.append('image', image);
+    formData.append('language', language);
+    formData.append('layout', String(layout));
+    output.forEach(format => formData.append('output', format));
+    Object.entries(options || {}).forEach(([key, value]) => {
+      if (value !== undefined) formData.append(`options[${key}]`, String(value));
+    });
+    return api.post('/ocr/extract', formData, {
+      headers: {
+        'Content-Type': 'multipart/form-data',
+      },
+    });
+  },
+
+  getStatus: (jobId: string) =>
+    api.get(`/ocr/status/${jobId}`),
+
+  download: async (jobId: string, format: Exclude<OCROutputFormat, 'text'>): Promise<Blob> => {
+    const response = await api.get(`/ocr/download/${jobId}/${format}`, {
+      responseType: 'blob',
+    });
+    return response.data;
+  },
+
+  getTables: (jobId: string) =>
+    api.get(`/ocr/tables/${jobId}`),
+
+  // Without a tableId, XLSX holds every table as its own sheet and CSV the first table
+  exportTables: async (jobId: string, format: 'csv' | 'xlsx' = 'csv', tableId?: string): Promise<Blob> => {
+    const response = await api.get(`/ocr/tables/${jobId}/export`, {
+      params: { format, table: tableId },
+      responseType: 'blob',
+    });
+    return response.data;
+  },
   
   getLanguages: () => {
     // Return common languages for Tesseract.js
@@ -286,11 +1082,85 @@ export const ocrAPI = {
     });
   },
   
-  getStatus: (jobId: string) => api.get(`/ocr/status/${jobId}`),
-  
   getConfig: () => api.get('/ocr/config')
 };
 
+// File loader API - files in server-side roots configured with FILE_ROOTS
+const writeHeaders = (options: FileRootWriteOptions): Record<string, string> => {
+  const headers: Record<string, string> = {};
+  if (options.etag) headers['If-Match'] = options.etag;
+  if (options.createOnly) headers['If-None-Match'] = '*';
+  return headers;
+};
+
+export const fileLoaderAPI = {
+  getRoots: async (): Promise<FileRoot[]> => {
+    const response = await api.get('/file-loader/roots');
+    return response.data.roots;
+  },
+
+  list: async (root: string, path = '', options: { recursive?: boolean; depth?: number; cursor?: string; limit?: number } = {}): Promise<FileRootListing> => {
+    const response = await api.get('/file-loader/list', {
+      params: { root, path, ...options },
+    });
+    return response.data;
+  },
+
+  // Direct URL for players and viewers that stream with Range requests instead of loading a Blob
+  getFileUrl: (root: string, path: string): string => {
+    return `${API_BASE_URL}/file-loader/load-file?${new URLSearchParams({ root, path }).toString()}`;
+  },
+
+  loadFile: async (root: string, path: string): Promise<Blob> => {
+    const response = await api.get('/file-loader/load-file', {
+      params: { root, path },
+      responseType: 'blob',
+    });
+    return response.data;
+  },
+
+  saveFile: async (
+    root: string,
+    path: string,
+    content: string,
+    options: FileRootWriteOptions & { encoding?: 'utf8' | 'base64' } = {}
+  ): Promise<FileRootWriteResult> => {
+    const response = await api.put('/file-loader/file', {
+      root,
+      path,
+      content,
+      encoding: options.encoding || 'utf8',
+    }, {
+      headers: writeHeaders(options),
+    });
+    return response.data.file;
+  },
+
+  rename: async (root: string, from: string, to: string, options: FileRootWriteOptions & { overwrite?: boolean } = {}): Promise<FileRootWriteResult> => {
+    const response = await api.post('/file-loader/rename', {
+      root,
+      from,
+      to,
+      overwrite: options.overwrite || false,
+    }, {
+      headers: writeHeaders(options),
+    });
+    return response.data.file;
+  },
+
+  deleteFile: async (root: string, path: string, options: FileRootWriteOptions & { recursive?: boolean } = {}): Promise<void> => {
+    await api.delete('/file-loader/file', {
+      params: { root, path, recursive: options.recursive || false },
+      headers: writeHeaders(options),
+    });
+  },
+
+  mkdir: async (root: string, path: string, recursive = false): Promise<FileRootWriteResult> => {
+    const response = await api.post('/file-loader/mkdir', { root, path, recursive });
+    return response.data.directory;
+  },
+};
+
 // Health check
 export const healthAPI = {
   check: async (): Promise<{
@@ -0,0 +1,78 @@
+import Delta from 'quill-delta';
+import { getDocumentModel, jsonDiff, rebaseText, JsonValue } from './documentModels';
+
+const json = getDocumentModel('json');
+const richText = getDocumentModel('rich-text');
+
+test('unknown document types are edited as text', () => {
+  expect(getDocumentModel(undefined)).toBe(getDocumentModel('text'));
+  expect(getDocumentModel('markdown')).toBe(getDocumentModel('text'));
+});
+
+test('jsonDiff turns one value into the other', () => {
+  const pairs: [JsonValue, JsonValue][] = [
+    [{ a: 1, b: [1, 2, 3] }, { a: 2, b: [1, 2, 3], c: 'new' }],
+    [{ list: [1, 2, 3, 4] }, { list: [1, 4] }],
+    [{ list: [1, 4] }, { list: [0, 1, 2, 3, 4, 5] }],
+    [[{ x: 1 }, { y: 2 }], [{ x: 1, z: 3 }, { y: 2 }]],
+    [{ a: { b: 1 } }, { a: 'flat' }],
+    [null, { a: 1 }]
+  ];
+
+  pairs.forEach(([before, after]) => {
+    expect(json.apply(before, jsonDiff(before, after))).toEqual(after);
+  });
+});
+
+test('JSON edits send nothing until the text parses, and leave the old value alone', () => {
+  const doc = { title: 'a', tags: ['x'] };
+
+  expect(json.edit(doc, '{ "title": "a", "tags": ["x"')).toBeNull();
+  expect(json.edit(doc, json.text(doc))).toBeNull();
+
+  const op = json.edit(doc, '{"title": "b", "tags": ["x", "y"]}');
+  expect(json.apply(doc, op)).toEqual({ title: 'b', tags: ['x', 'y'] });
+  expect(doc).toEqual({ title: 'a', tags: ['x'] });
+});
+
+test('concurrent JSON edits to different keys both survive', () => {
+  const doc = { title: 'a', body: 'b' };
+  const mine = json.edit(doc, '{"title": "mine", "body": "b"}');
+  const theirs = json.edit(doc, '{"title": "a", "body": "theirs"}');
+
+  const left = json.apply(json.apply(doc, mine), json.transform(theirs, mine, 'right'));
+  const right = json.apply(json.apply(doc, theirs), json.transform(mine, theirs, 'left'));
+  expect(left).toEqual({ title: 'mine', body: 'theirs' });
+  expect(right).toEqual(left);
+});
+
+test('JSON being typed is carried over a remote change', () => {
+  const before = { a: 1 };
+  const after = { a: 1, b: 2 };
+  const draft = json.text(before).replace('1', '1,');
+
+  expect(rebaseText(json, before, after, json.text(before))).toBe(json.text(after));
+  expect(rebaseText(json, before, after, draft)).toBe(json.text(after).replace('1', '1,'));
+});
+
+test('rich-text edits keep the formatting around them', () => {
+  const doc = new Delta().insert('Hello', { bold: true }).insert(' world\n');
+  const op = richText.edit(doc, 'Hello there world\n');
+
+  expect(richText.text(doc)).toBe('Hello world\n');
+  expect(richText.apply(doc, op)).toEqual(
+    new Delta().insert('Hello', { bold: true }).insert(' there world\n')
+  );
+});
+
+test('rich-text documents sent by the server converge with concurrent edits', () => {
+  const doc = { ops: [{ insert: 'abc' }, { insert: { image: 'x.png' } }, { insert: '\n' }] };
+  const mine = richText.edit(doc, 'aXbc\uFFFC\n');
+  const theirs = richText.edit(doc, 'abc\uFFFCY\n');
+
+  const left = richText.apply(richText.apply(doc, mine), richText.transform(theirs, mine, 'right'));
+  const right = richText.apply(richText.apply(doc, theirs), richText.transform(mine, theirs, 'left'));
+  expect(richText.text(left)).toBe('aXbc\uFFFCY\n');
+  expect(right).toEqual(left);
+  expect(richText.transformPosition!(3, mine)).toBe(4);
+});
@@ -0,0 +1,172 @@
+// How the collaborative editor works with each document type the server offers. The
+// editor is a textarea over text(content): the document itself for text, the plain text
+// of the delta for rich-text and indented JSON for json. Each model turns what the user
+// typed into an op of the document's type and applies and transforms ops the way the
+// server's ShareDB type does, so clients and server converge.
+
+import Delta from 'quill-delta';
+import { type as json0 } from 'ot-json0';
+import { apply as applyText, compose as composeText, diff, transform as transformText, transformPosition as transformTextPosition, Side, TextOp } from './textOT';
+
+export type DocumentType = 'text' | 'json' | 'rich-text';
+
+export type JsonValue = null | boolean | number | string | JsonValue[] | { [key: string]: JsonValue };
+export type Json0Component = { p: (string | number)[]; [action: string]: unknown };
+export type Json0Op = Json0Component[];
+
+export interface DocumentModel<Content = any, Op = any> {
+  text: (content: Content) => string;
+  // The op turning content into what the user typed, or null when there is nothing to send
+  edit: (content: Content, text: string) => Op | null;
+  apply: (content: Content, op: Op) => Content;
+  transform: (op: Op, otherOp: Op, side: Side) => Op;
+  compose: (op1: Op, op2: Op) => Op;
+  // Where a position in text(content) ends up after op. Only types whose text positions
+  // are document positions have it; remote cursors are shown for those alone.
+  transformPosition?: (position: number, op: Op) => number;
+}
+
+const textModel: DocumentModel<string, TextOp> = {
+  text: (content) => content,
+  edit: (content, text) => {
+    const op = diff(content, text);
+    return op.length > 0 ? op : null;
+  },
+  apply: applyText,
+  transform: transformText,
+  compose: composeText,
+  transformPosition: transformTextPosition
+};
+
+// Embeds (images, formulas) count as one character in the document, as on the server
+const EMBED_CHARACTER = '\uFFFC';
+
+type DeltaOp = Delta['ops'][number];
+
+// Deltas arrive from the server as { ops } or as a list of ops
+const toDelta = (value: DeltaOp[] | { ops: DeltaOp[] }): Delta => new Delta(value);
+
+const richTextModel: DocumentModel<Delta, Delta> = {
+  text: (content) => toDelta(content).ops
+    .map(op => (typeof op.insert === 'string' ? op.insert : EMBED_CHARACTER))
+    .join(''),
+  // Typed text is inserted without formatting; text around it keeps its own
+  edit: (content, text) => {
+    const delta = new Delta();
+    diff(richTextModel.text(content), text).forEach(component => {
+      if (typeof component === 'string') {
+        delta.insert(component);
+      } else if (component > 0) {
+        delta.retain(component);
+      } else {
+        delta.delete(-component);
+      }
+    });
+    return delta.ops.length > 0 ? delta : null;
+  },
+  apply: (content, op) => toDelta(content).compose(toDelta(op)),
+  // The rich-text type lets the other op's inserts go first on the left side
+  transform: (op, otherOp, side) => toDelta(otherOp).transform(toDelta(op), side === 'left'),
+  compose: (op1, op2) => toDelta(op1).compose(toDelta(op2)),
+  transformPosition: (position, op) => toDelta(op).transformPosition(position)
+};
+
+const isObject = (value: JsonValue): value is { [key: string]: JsonValue } =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const sameJson = (a: JsonValue, b: JsonValue): boolean => JSON.stringify(a) === JSON.stringify(b);
+
+// Replace the value at path, in an object or a list
+const replaceJson = (path: (string | number)[], before: JsonValue, after: JsonValue): Json0Component =>
+  typeof path[path.length - 1] === 'number'
+    ? { p: path, ld: before, li: after }
+    : { p: path, od: before, oi: after };
+
+/**
+ * The json0 op turning one value into another. Object keys and list items are compared
+ * one by one, so concurrent edits to different parts of a document both survive.
+ */
+export const jsonDiff = (before: JsonValue, after: JsonValue, path: (string | number)[] = []): Json0Op => {
+  if (sameJson(before, after)) return [];
+
+  if (isObject(before) && isObject(after)) {
+    const op: Json0Op = [];
+    Object.keys(before).forEach(key => {
+      if (!(key in after)) op.push({ p: [...path, key], od: before[key] });
+    });
+    Object.keys(after).forEach(key => {
+      if (key in before) {
+        op.push(...jsonDiff(before[key], after[key], [...path, key]));
+      } else {
+        op.push({ p: [...path, key], oi: after[key] });
+      }
+    });
+    return op;
+  }
+
+  if (Array.isArray(before) && Array.isArray(after)) {
+    if (before.length === after.length) {
+      return before.flatMap((item, index) => jsonDiff(item, after[index], [...path, index]));
+    }
+
+    // Items inserted or removed between a common start and end
+    let start = 0;
+    const maxStart = Math.min(before.length, after.length);
+    while (start < maxStart && sameJson(before[start], after[start])) start++;
+    let end = 0;
+    const maxEnd = maxStart - start;
+    while (end < maxEnd && sameJson(before[before.length - 1 - end], after[after.length - 1 - end])) end++;
+
+    const op: Json0Op = [];
+    for (let index = start; index < before.length - end; index++) {
+      op.push({ p: [...path, start], ld: before[index] });
+    }
+    for (let index = start; index < after.length - end; index++) {
+      op.push({ p: [...path, index], li: after[index] });
+    }
+    return op;
+  }
+
+  return [replaceJson(path, before, after)];
+};
+
+const jsonModel: DocumentModel<JsonValue, Json0Op> = {
+  text: (content) => JSON.stringify(content, null, 2),
+  // Nothing is sent while the text is not valid JSON; typing on makes it valid again
+  edit: (content, text) => {
+    let value: JsonValue;
+    try {
+      value = JSON.parse(text);
+    } catch (error) {
+      return null;
+    }
+    const op = jsonDiff(content, value);
+    return op.length > 0 ? op : null;
+  },
+  // json0 changes the snapshot it is given
+  apply: (content, op) => json0.apply(JSON.parse(JSON.stringify(content)), op),
+  transform: (op, otherOp, side) => json0.transform(op, otherOp, side),
+  compose: (op1, op2) => json0.compose(op1, op2)
+};
+
+export const DOCUMENT_MODELS: Record<DocumentType, DocumentModel> = {
+  text: textModel,
+  json: jsonModel,
+  'rich-text': richTextModel
+};
+
+// Documents of types this client does not know are edited as text
+export const getDocumentModel = (type?: string | null): DocumentModel =>
+  DOCUMENT_MODELS[type as DocumentType] || textModel;
+
+/**
+ * The editor text once a remote op has turned before into after. Typing that is not in the
+ * document yet (JSON that does not parse, or is laid out differently) is carried over by
+ * transforming it past the change in the text.
+ */
+export const rebaseText = (model: DocumentModel, before: unknown, after: unknown, text: string): string => {
+  const baseText = model.text(before);
+  const afterText = model.text(after);
+  if (text === baseText) return afterText;
+  return applyText(afterText, transformText(diff(baseText, text), diff(baseText, afterText), 'left'));
+};
@@ -0,0 +1,105 @@
+import { apply, compose, diff, invert, normalize, transform, transformPosition, TextOp } from './textOT';
+
+// Seeded generator so failures can be reproduced
+const mulberry32 = (seed: number) => () => {
+  seed = (seed + 0x6d2b79f5) | 0;
+  let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+const random = mulberry32(20);
+const randomInt = (max: number) => Math.floor(random() * max);
+const randomText = (max: number) => {
+  let text = '';
+  for (let i = randomInt(max); i > 0; i--) text += 'abcxyz \n'[randomInt(8)];
+  return text;
+};
+
+const randomOp = (doc: string): TextOp => {
+  const op: TextOp = [];
+  let position = 0;
+  while (position < doc.length) {
+    const length = 1 + randomInt(doc.length - position);
+    const choice = randomInt(3);
+    if (choice === 0) {
+      op.push(length);
+      position += length;
+    } else if (choice === 1) {
+      op.push(-length);
+      position += length;
+    } else {
+      op.push(randomText(4) || 'q');
+    }
+  }
+  if (random() < 0.5) op.push(randomText(4) || 'q');
+  return normalize(op);
+};
+
+const ITERATIONS = 2000;
+
+test('concurrent operations converge whichever is applied first', () => {
+  for (let i = 0; i < ITERATIONS; i++) {
+    const doc = randomText(20);
+    const a = randomOp(doc);
+    const b = randomOp(doc);
+
+    const left = apply(apply(doc, a), transform(b, a, 'right'));
+    const right = apply(apply(doc, b), transform(a, b, 'left'));
+    expect(left).toBe(right);
+  }
+});
+
+test('compose has the effect of applying both operations', () => {
+  for (let i = 0; i < ITERATIONS; i++) {
+    const doc = randomText(20);
+    const a = randomOp(doc);
+    const b = randomOp(apply(doc, a));
+
+    expect(apply(doc, compose(a, b))).toBe(apply(apply(doc, a), b));
+  }
+});
+
+test('invert undoes an operation', () => {
+  for (let i = 0; i < ITERATIONS; i++) {
+    const doc = randomText(20);
+    const op = randomOp(doc);
+
+    expect(apply(apply(doc, op), invert(op, doc))).toBe(doc);
+  }
+});
+
+test('a client buffer composed while waiting transforms like its parts', () => {
+  for (let i = 0; i < ITERATIONS; i++) {
+    const doc = randomText(20);
+    const inflight = randomOp(doc);
+    const buffered = randomOp(apply(doc, inflight));
+    const remote = randomOp(doc);
+
+    // The server applies the remote op, then the client's ops transformed past it
+    const remoteForInflight = transform(remote, inflight, 'right');
+    const server = apply(
+      apply(apply(doc, remote), transform(inflight, remote, 'left')),
+      transform(buffered, remoteForInflight, 'left')
+    );
+    const client = apply(apply(apply(doc, inflight), buffered), transform(remoteForInflight, buffered, 'right'));
+    expect(client).toBe(server);
+  }
+});
+
+test('diff turns one text into the other', () => {
+  for (let i = 0; i < ITERATIONS; i++) {
+    const oldText = randomText(20);
+    const newText = random() < 0.5 ? apply(oldText, randomOp(oldText)) : randomText(20);
+
+    expect(apply(oldText, diff(oldText, newText))).toBe(newText);
+  }
+});
+
+test('transformPosition keeps the caret next to the same text', () => {
+  expect(transformPosition(5, [2, 'abc'])).toBe(8);
+  expect(transformPosition(5, [5, 'abc'])).toBe(8);
+  expect(transformPosition(5, [6, 'abc'])).toBe(5);
+  expect(transformPosition(5, [1, -2])).toBe(3);
+  expect(transformPosition(5, [3, -4])).toBe(3);
+});
@@ -0,0 +1,210 @@
+// Operational transform for plain text, matching the server's text type.
+//
+// An operation is a list of components applied from the start of the document:
+// a positive number keeps that many characters, a string inserts it and a negative
+// number deletes that many characters. Characters are UTF-16 code units, as in
+// textarea positions. Characters after the last component are kept.
+
+export type TextOpComponent = number | string;
+export type TextOp = TextOpComponent[];
+export type Side = 'left' | 'right';
+
+const isRetain = (component: TextOpComponent | undefined): component is number =>
+  typeof component === 'number' && component > 0;
+const isDelete = (component: TextOpComponent | undefined): component is number =>
+  typeof component === 'number' && component < 0;
+const isInsert = (component: TextOpComponent | undefined): component is string =>
+  typeof component === 'string';
+
+const componentLength = (component: TextOpComponent): number =>
+  isInsert(component) ? component.length : Math.abs(component);
+
+// Appends a component, merging it with the last one when they are alike
+const append = (op: TextOp, component: TextOpComponent): void => {
+  if (component === 0 || component === '') return;
+  const last = op[op.length - 1];
+  if (isInsert(component) && isInsert(last)) {
+    op[op.length - 1] = last + component;
+  } else if ((isRetain(component) && isRetain(last)) || (isDelete(component) && isDelete(last))) {
+    op[op.length - 1] = (last as number) + component;
+  } else {
+    op.push(component);
+  }
+};
+
+const trim = (op: TextOp): TextOp => {
+  if (op.length > 0 && isRetain(op[op.length - 1])) op.pop();
+  return op;
+};
+
+// Reads an operation piece by piece; components of the indivisible kind are returned whole
+const makeTake = (op: TextOp) => {
+  let index = 0;
+  let offset = 0;
+
+  const take = (n: number, indivisible?: 'insert' | 'delete'): TextOpComponent | undefined => {
+    if (index === op.length) return n === -1 ? undefined : n;
+
+    const component = op[index];
+    const whole = (indivisible === 'insert' && isInsert(component)) || (indivisible === 'delete' && isDelete(component));
+    const remaining = componentLength(component) - offset;
+    const length = n !== -1 && !whole && n < remaining ? n : remaining;
+
+    let part: TextOpComponent;
+    if (isInsert(component)) {
+      part = component.slice(offset, offset + length);
+    } else {
+      part = isDelete(component) ? -length : length;
+    }
+
+    if (length === remaining) {
+      index++;
+      offset = 0;
+    } else {
+      offset += length;
+    }
+    return part;
+  };
+
+  const peek = (): TextOpComponent | undefined => op[index];
+
+  return { take, peek };
+};
+
+export const normalize = (op: TextOp): TextOp => {
+  const result: TextOp = [];
+  op.forEach(component => append(result, component));
+  return trim(result);
+};
+
+export const apply = (snapshot: string, op: TextOp): string => {
+  const parts: string[] = [];
+  let position = 0;
+  op.forEach(component => {
+    if (isInsert(component)) {
+      parts.push(component);
+      return;
+    }
+    const length = Math.abs(component);
+    if (position + length > snapshot.length) {
+      throw new Error('Text operation is longer than the document');
+    }
+    if (isRetain(component)) parts.push(snapshot.slice(position, position + length));
+    position += length;
+  });
+  parts.push(snapshot.slice(position));
+  return parts.join('');
+};
+
+// Transform op so it applies after otherOp; at the same place, the 'left' side's insert comes first
+export const transform = (op: TextOp, otherOp: TextOp, side: Side): TextOp => {
+  const result: TextOp = [];
+  const { take, peek } = makeTake(op);
+
+  otherOp.forEach(component => {
+    if (isInsert(component)) {
+      if (side === 'left' && isInsert(peek())) append(result, take(-1) as string);
+      append(result, component.length);
+      return;
+    }
+
+    let length = Math.abs(component);
+    while (length > 0) {
+      const chunk = take(length, 'insert') as TextOpComponent;
+      if (isInsert(chunk)) {
+        append(result, chunk);
+      } else {
+        if (isRetain(component)) append(result, chunk);
+        length -= Math.abs(chunk);
+      }
+    }
+  });
+
+  let chunk: TextOpComponent | undefined;
+  while ((chunk = take(-1)) !== undefined) append(result, chunk);
+  return trim(result);
+};
+
+// One operation with the effect of op1 followed by op2
+export const compose = (op1: TextOp, op2: TextOp): TextOp => {
+  const result: TextOp = [];
+  const { take } = makeTake(op1);
+
+  op2.forEach(component => {
+    if (isInsert(component)) {
+      append(result, component);
+      return;
+    }
+
+    let length = Math.abs(component);
+    while (length > 0) {
+      const chunk = take(length, 'delete') as TextOpComponent;
+      if (isDelete(chunk)) {
+        append(result, chunk);
+      } else if (isRetain(component)) {
+        append(result, chunk);
+        length -= componentLength(chunk);
+      } else {
+        if (isRetain(chunk)) append(result, -chunk);
+        length -= componentLength(chunk);
+      }
+    }
+  });
+
+  let chunk: TextOpComponent | undefined;
+  while ((chunk = take(-1)) !== undefined) append(result, chunk);
+  return trim(result);
+};
+
+// The operation that undoes op, given the document op was applied to
+export const invert = (op: TextOp, snapshot: string): TextOp => {
+  const result: TextOp = [];
+  let position = 0;
+  op.forEach(component => {
+    if (isInsert(component)) {
+      append(result, -component.length);
+    } else if (isRetain(component)) {
+      append(result, component);
+      position += component;
+    } else {
+      append(result, snapshot.slice(position, position - component));
+      position -= component;
+    }
+  });
+  return trim(result);
+};
+
+// Where a position (e.g. the caret) ends up after op; text inserted exactly there goes before it
+export const transformPosition = (position: number, op: TextOp): number => {
+  let cursor = 0;
+  let result = position;
+  for (let i = 0; i < op.length && cursor <= position; i++) {
+    const component = op[i];
+    if (isInsert(component)) {
+      result += component.length;
+    } else if (isRetain(component)) {
+      cursor += component;
+    } else {
+      result -= Math.min(-component, position - cursor);
+      cursor -= component;
+    }
+  }
+  return result;
+};
+
+// The operation turning oldText into newText, from their common start and end
+export const diff = (oldText: string, newText: string): TextOp => {
+  let start = 0;
+  const maxStart = Math.min(oldText.length, newText.length);
+  while (start < maxStart && oldText[start] === newText[start]) start++;
+
+  let end = 0;
+  const maxEnd = maxStart - start;
+  while (end < maxEnd && oldText[oldText.length - 1 - end] === newText[newText.length - 1 - end]) end++;
+
+  const op: TextOp = [];
+  append(op, start);
+  append(op, -(oldText.length - start - end));
+  append(op, newText.slice(start, newText.length - end));
+  return trim(op);
+};
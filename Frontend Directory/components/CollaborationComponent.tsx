@@ -1,6 +1,8 @@
-import React, { useState, useEffect, useRef, useCallback } from 'react';
+import React, { useState, useEffect, useLayoutEffect, useRef, useCallback } from 'react';
 import { io, Socket } from 'socket.io-client';
 import { toast } from 'react-toastify';
+import { diff, transformPosition } from '../services/textOT';
+import { DocumentModel, getDocumentModel, rebaseText } from '../services/documentModels';
 import './CollaborationComponent.css';
 
 interface User {
@@ -32,12 +34,12 @@ interface Comment {
   replies?: Comment[];
 }
 
-interface Operation {
-  type: 'insert' | 'delete' | 'retain';
-  content?: string;
-  length?: number;
-  position: number;
-}
+// What the user may do in the document: viewers read, commenters also comment, editors also edit
+type DocumentRole = 'viewer' | 'commenter' | 'editor';
+
+// Server events waiting for the document to reach their version: an op from another
+// user, or the acknowledgement of our own op
+type PendingEvent = { type: 'operation'; op: unknown } | { type: 'ack' };
 
 interface CollaborationComponentProps {
   documentId: string;
@@ -56,6 +58,7 @@ const CollaborationComponent: React.FC<CollaborationComponentProps> = ({
 }) => {
   const [socket, setSocket] = useState<Socket | null>(null);
   const [connected, setConnected] = useState(false);
+  const [role, setRole] = useState<DocumentRole | null>(null);
   const [content, setContent] = useState(initialContent);
   const [users, setUsers] = useState<User[]>([]);
   const [cursors, setCursors] = useState<Cursor[]>([]);
@@ -67,9 +70,24 @@ const CollaborationComponent: React.FC<CollaborationComponentProps> = ({
   
   const textareaRef = useRef<HTMLTextAreaElement>(null);
   const lastContentRef = useRef(content);
-  const operationQueueRef = useRef<Operation[]>([]);
   const typingTimeoutRef = useRef<NodeJS.Timeout | null>(null);
 
+  // Client side of the OT protocol: at most one op is sent at a time, made against
+  // versionRef; edits made while it is unacknowledged are composed into bufferRef
+  const versionRef = useRef<number | null>(null);
+  const inflightRef = useRef<unknown>(null);
+  const bufferRef = useRef<unknown>(null);
+  const seqRef = useRef(0);
+  const pendingRef = useRef<Record<number, PendingEvent>>({});
+  const selectionRef = useRef<{ start: number; end: number } | null>(null);
+  // The document in its own type, with our unacknowledged edits, and how to edit it. The
+  // textarea shows model.text(document), or JSON being typed that is not valid yet.
+  const modelRef = useRef<DocumentModel>(getDocumentModel('text'));
+  const documentRef = useRef<unknown>(initialContent);
+  // Remote ops are applied from socket handlers, which are not re-created for each render
+  const onContentChangeRef = useRef(onContentChange);
+  onContentChangeRef.current = onContentChange;
+
   // Generate user color
   const getUserColor = useCallback((userId: string) => {
     const colors = [
@@ -83,11 +101,25 @@ const CollaborationComponent: React.FC<CollaborationComponentProps> = ({
     return colors[Math.abs(hash) % colors.length];
   }, []);
 
+  // Send an op made against versionRef; the next one waits for its acknowledgement
+  const sendOperation = useCallback((target: Socket, op: unknown) => {
+    inflightRef.current = op;
+    seqRef.current += 1;
+    target.emit('operation', {
+      docId: documentId,
+      op,
+      version: versionRef.current,
+      seq: seqRef.current
+    });
+  }, [documentId]);
+
   // Initialize socket connection
   useEffect(() => {
+    // The server knows who we are from the token, as with API requests
     const newSocket = io(process.env.REACT_APP_API_URL || 'http://localhost:5000', {
       transports: ['websocket'],
-      autoConnect: true
+      autoConnect: true,
+      auth: (callback) => callback({ token: localStorage.getItem('authToken') })
     });
 
     newSocket.on('connect', () => {
@@ -104,17 +136,101 @@ const CollaborationComponent: React.FC<CollaborationComponentProps> = ({
       });
     });
 
+    newSocket.on('connect_error', (error) => {
+      console.error('Connection refused:', error.message);
+      onError?.(error.message);
+    });
+
     newSocket.on('disconnect', () => {
       setConnected(false);
       toast.warning('Disconnected from collaboration server');
     });
 
+    // Apply another user's op on top of our unacknowledged edits, keeping the caret in place
+    const applyRemoteOperation = (op: unknown) => {
+      const model = modelRef.current;
+      let remote = op;
+      if (inflightRef.current) {
+        const inflight = inflightRef.current;
+        inflightRef.current = model.transform(inflight, remote, 'left');
+        remote = model.transform(remote, inflight, 'right');
+      }
+      if (bufferRef.current) {
+        const buffer = bufferRef.current;
+        bufferRef.current = model.transform(buffer, remote, 'left');
+        remote = model.transform(remote, buffer, 'right');
+      }
+
+      const previousDocument = documentRef.current;
+      documentRef.current = model.apply(previousDocument, remote);
+      const newContent = rebaseText(model, previousDocument, documentRef.current, lastContentRef.current);
+
+      // Without positions in the document, the caret follows the change in the text
+      const mapPosition = model.transformPosition
+        ? (position: number) => model.transformPosition!(position, remote)
+        : (position: number) => transformPosition(position, diff(lastContentRef.current, newContent));
+      const textarea = textareaRef.current;
+      if (textarea && document.activeElement === textarea) {
+        selectionRef.current = {
+          start: mapPosition(textarea.selectionStart),
+          end: mapPosition(textarea.selectionEnd)
+        };
+      }
+      if (model.transformPosition) {
+        setCursors(prev => prev.map(cursor => ({ ...cursor, position: mapPosition(cursor.position) })));
+      }
+      lastContentRef.current = newContent;
+      setContent(newContent);
+      onContentChangeRef.current?.(newContent);
+    };
+
+    // Handle server events in version order; they can arrive ahead of an earlier one
+    const processPending = () => {
+      let event: PendingEvent | undefined;
+      while (versionRef.current !== null && (event = pendingRef.current[versionRef.current])) {
+        delete pendingRef.current[versionRef.current];
+        versionRef.current += 1;
+
+        if (event.type === 'operation') {
+          applyRemoteOperation(event.op);
+        } else {
+          inflightRef.current = null;
+          if (bufferRef.current) {
+            const buffer = bufferRef.current;
+            bufferRef.current = null;
+            sendOperation(newSocket, buffer);
+          }
+        }
+      }
+    };
+
+    // Rich-text documents arrive as a delta and JSON documents as their value; both are
+    // edited through their text and changed with ops of their own type
     newSocket.on('document-state', (data) => {
-      setContent(data.content || '');
+      const model = getDocumentModel(data.type);
+      modelRef.current = model;
+      documentRef.current = data.type === 'json' || data.type === 'rich-text' ? data.content : data.content || '';
+      const newContent = model.text(documentRef.current);
+
+      setContent(newContent);
       setUsers(data.users || []);
       setCursors(data.cursors || []);
       setComments(data.comments || []);
-      lastContentRef.current = data.content || '';
+      setRole(data.role || null);
+      lastContentRef.current = newContent;
+
+      // Unacknowledged edits are dropped; ops committed after this state are still applied
+      versionRef.current = data.version;
+      inflightRef.current = null;
+      bufferRef.current = null;
+      const pending: Record<number, PendingEvent> = {};
+      Object.keys(pendingRef.current).forEach(key => {
+        const version = Number(key);
+        const event = pendingRef.current[version];
+        if (version >= data.version && event.type === 'operation') pending[version] = event;
+      });
+      pendingRef.current = pending;
+      processPending();
     });
 
     newSocket.on('user-joined', (data) => {
@@ -128,9 +244,15 @@ const CollaborationComponent: React.FC<CollaborationComponentProps> = ({
     });
 
     newSocket.on('operation', (data) => {
-      if (data.source !== newSocket.id) {
-        applyOperation(data.op);
-      }
+      if (data.source === newSocket.id) return;
+      if (versionRef.current !== null && data.version < versionRef.current) return;
+      pendingRef.current[data.version] = { type: 'operation', op: data.op };
+      processPending();
+    });
+
+    newSocket.on('operation-ack', (data) => {
+      pendingRef.current[data.version] = { type: 'ack' };
+      processPending();
     });
 
     newSocket.on('cursor-update', (data) => {
@@ -161,6 +283,8 @@ const CollaborationComponent: React.FC<CollaborationComponentProps> = ({
     newSocket.on('operation-error', (data) => {
       console.error('Operation error:', data.error);
       onError?.(data.error);
+      // Our copy may have diverged; start again from the server's
+      newSocket.emit('sync-document', { docId: documentId });
     });
 
     newSocket.on('error', (data) => {
@@ -174,58 +298,16 @@ const CollaborationComponent: React.FC<CollaborationComponentProps> = ({
     return () => {
       newSocket.close();
     };
-  }, [documentId, user, getUserColor, onError]);
-
-  // Apply operation to content
-  const applyOperation = useCallback((op: Operation[]) => {
-    setContent(prevContent => {
-      let newContent = prevContent;
-      let offset = 0;
-
-      for (const operation of op) {
-        if (operation.type === 'insert' && operation.content) {
-          newContent = newContent.slice(0, operation.position + offset) + 
-                      operation.content + 
-                      newContent.slice(operation.position + offset);
-          offset += operation.content.length;
-        } else if (operation.type === 'delete' && operation.length) {
-          newContent = newContent.slice(0, operation.position + offset) + 
-                      newContent.slice(operation.position + offset + operation.length);
-          offset -= operation.length;
-        }
-      }
-
-      lastContentRef.current = newContent;
-      onContentChange?.(newContent);
-      return newContent;
-    });
-  }, [onContentChange]);
-
-  // Generate operation from content change
-  const generateOperation = useCallback((oldContent: string, newContent: string, cursorPos: number): Operation[] => {
-    const operations: Operation[] = [];
-    
-    // Simple diff algorithm - in production, use a proper diff library
-    if (newContent.length > oldContent.length) {
-      // Insert operation
-      const insertedText = newContent.slice(cursorPos - (newContent.length - oldContent.length), cursorPos);
-      operations.push({
-        type: 'insert',
-        content: insertedText,
-        position: cursorPos - insertedText.length
-      });
-    } else if (newContent.length < oldContent.length) {
-      // Delete operation
-      const deletedLength = oldContent.length - newContent.length;
-      operations.push({
-        type: 'delete',
-        length: deletedLength,
-        position: cursorPos
-      });
+  }, [documentId, user, getUserColor, onError, sendOperation]);
+
+  // Put the caret back after a remote op re-rendered the textarea
+  useLayoutEffect(() => {
+    const selection = selectionRef.current;
+    if (selection && textareaRef.current) {
+      textareaRef.current.setSelectionRange(selection.start, selection.end);
+      selectionRef.current = null;
     }
-
-    return operations;
-  }, []);
+  }, [content]);
 
   // Handle text change
   const handleTextChange = useCallback((e: React.ChangeEvent<HTMLTextAreaElement>) => {
@@ -236,13 +318,17 @@ const CollaborationComponent: React.FC<CollaborationComponentProps> = ({
     onContentChange?.(newContent);
 
     if (socket && connected) {
-      const operations = generateOperation(lastContentRef.current, newContent, cursorPos);
-      
-      if (operations.length > 0) {
-        socket.emit('operation', {
-          docId: documentId,
-          op: operations
-        });
+      const model = modelRef.current;
+      // JSON that does not parse yet gives no op; it is sent once it does
+      const op = versionRef.current !== null ? model.edit(documentRef.current, newContent) : null;
+
+      if (op) {
+        documentRef.current = model.apply(documentRef.current, op);
+        if (inflightRef.current) {
+          bufferRef.current = bufferRef.current ? model.compose(bufferRef.current, op) : op;
+        } else {
+          sendOperation(socket, op);
+        }
       }
 
       // Update cursor position
@@ -268,7 +354,7 @@ const CollaborationComponent: React.FC<CollaborationComponentProps> = ({
     }
 
     lastContentRef.current = newContent;
-  }, [socket, connected, documentId, generateOperation, onContentChange]);
+  }, [socket, connected, documentId, sendOperation, onContentChange]);
 
   // Handle text selection for comments
   const handleTextSelect = useCallback(() => {
@@ -370,13 +456,14 @@ const CollaborationComponent: React.FC<CollaborationComponentProps> = ({
               onChange={handleTextChange}
               onSelect={handleTextSelect}
               className="collaborative-editor"
-              placeholder="Start typing to collaborate..."
+              placeholder={role === 'editor' ? 'Start typing to collaborate...' : ''}
               disabled={!connected}
+              readOnly={role !== 'editor'}
             />
             
             {/* Cursor overlays */}
             <div className="cursor-overlays">
-              {cursors.map(cursor => (
+              {modelRef.current.transformPosition && cursors.map(cursor => (
                 <div
                   key={cursor.userId}
                   className="remote-cursor"
@@ -397,7 +484,7 @@ const CollaborationComponent: React.FC<CollaborationComponentProps> = ({
             </div>
           </div>
 
-          {selectedText && (
+          {selectedText && role !== null && role !== 'viewer' && (
             <div className="comment-input">
               <div className="selected-text">
                 Selected: "{content.slice(selectedText.start, selectedText.end)}"
@@ -441,14 +528,16 @@ const CollaborationComponent: React.FC<CollaborationComponentProps> = ({
                     </span>
                   </div>
                   <div className="comment-content">{comment.content}</div>
-                  <div className="comment-actions">
-                    <button 
-                      onClick={() => resolveComment(comment.id)}
-                      className="resolve-btn"
-                    >
-                      Resolve
-                    </button>
-                  </div>
+                  {(role === 'editor' || (role === 'commenter' && comment.userId === user.id)) && (
+                    <div className="comment-actions">
+                      <button 
+                        onClick={() => resolveComment(comment.id)}
+                        className="resolve-btn"
+                      >
+                        Resolve
+                      </button>
+                    </div>
+                  )}
                 </div>
               ))}
               
@@ -0,0 +1,65 @@
+import React, { useEffect, useState } from 'react';
+import { filesAPI, ThumbnailSize } from '../services/api';
+
+// Thumbnails are made shortly after upload; until then the thumbnail route answers 404
+const RETRY_DELAY = 3000;
+
+/**
+ * Object URL for a file's thumbnail, or null while there is none.
+ * With retries, a missing thumbnail is asked for again, for files that were just uploaded.
+ */
+export function useThumbnailUrl(fileId: string | null, size: ThumbnailSize = 'medium', retries = 0): string | null {
+  const [url, setUrl] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (!fileId) return;
+
+    let objectUrl: string | null = null;
+    let timer: ReturnType<typeof setTimeout> | undefined;
+    let cancelled = false;
+
+    const load = async (attemptsLeft: number) => {
+      try {
+        const blob = await filesAPI.getThumbnail(fileId, size);
+        if (cancelled) return;
+        objectUrl = URL.createObjectURL(blob);
+        setUrl(objectUrl);
+      } catch (error: any) {
+        if (!cancelled && error.response?.status === 404 && attemptsLeft > 0) {
+          timer = setTimeout(() => load(attemptsLeft - 1), RETRY_DELAY);
+        }
+      }
+    };
+    load(retries);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+      setUrl(null);
+    };
+  }, [fileId, size, retries]);
+
+  return url;
+}
+
+interface FileThumbnailProps {
+  fileId: string;
+  name: string;
+  size?: ThumbnailSize;
+  // Shown when the file has no thumbnail
+  fallback?: React.ReactNode;
+  className?: string;
+}
+
+const FileThumbnail: React.FC<FileThumbnailProps> = ({ fileId, name, size = 'small', fallback = '📄', className = '' }) => {
+  const url = useThumbnailUrl(fileId, size);
+
+  return url ? (
+    <img className={`file-thumbnail ${className}`} src={url} alt={name} loading="lazy" />
+  ) : (
+    <span className={`file-thumbnail file-thumbnail-fallback ${className}`} aria-hidden="true">{fallback}</span>
+  );
+};
+
+export default FileThumbnail;
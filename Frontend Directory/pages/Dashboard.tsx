@@ -1,4 +1,7 @@
-import React from 'react';
+import React, { useCallback, useEffect, useState } from 'react';
+import { toast } from 'react-toastify';
+import { foldersAPI, filesAPI, uploadAPI, FolderListing } from '../services/api';
+import FileThumbnail from '../components/FileThumbnail';
 import './Dashboard.css';
 
 interface User {
@@ -13,6 +16,57 @@ interface DashboardProps {
 }
 
 const Dashboard: React.FC<DashboardProps> = ({ user }) => {
+  const [folderId, setFolderId] = useState<string | null>(null);
+  const [listing, setListing] = useState<FolderListing | null>(null);
+  const [isLoading, setIsLoading] = useState(false);
+
+  const loadFolder = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      setListing(await foldersAPI.list(folderId));
+    } catch (error: any) {
+      toast.error(error.response?.data?.error || 'Failed to load files');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [folderId]);
+
+  useEffect(() => {
+    loadFolder();
+  }, [loadFolder]);
+
+  const createFolder = async () => {
+    const name = window.prompt('Folder name');
+    if (!name) return;
+    try {
+      await foldersAPI.create(name, folderId);
+      await loadFolder();
+    } catch (error: any) {
+      toast.error(error.response?.data?.error || 'Failed to create folder');
+    }
+  };
+
+  const deleteFolder = async (id: string, name: string) => {
+    if (!window.confirm(`Delete "${name}"? Files inside it are moved to the trash.`)) return;
+    try {
+      await foldersAPI.remove(id, true);
+      await loadFolder();
+    } catch (error: any) {
+      toast.error(error.response?.data?.error || 'Failed to delete folder');
+    }
+  };
+
+  const deleteFile = async (id: string) => {
+    try {
+      await filesAPI.remove(id);
+      await loadFolder();
+    } catch (error: any) {
+      toast.error(error.response?.data?.error || 'Failed to delete file');
+    }
+  };
+
+  const isEmpty = listing && listing.folders.length === 0 && listing.files.length === 0;
+
   return (
     <div className="dashboard">
       <div className="dashboard-header">
@@ -57,10 +111,55 @@ const Dashboard: React.FC<DashboardProps> = ({ user }) => {
         
         <div className="dashboard-sections">
           <div className="section">
-            <h2>Recent Files</h2>
-            <div className="empty-state">
-              <p>No files uploaded yet. Start by uploading your first file!</p>
+            <div className="section-header">
+              <h2>My Files</h2>
+              <button className="new-folder-btn" onClick={createFolder}>New Folder</button>
             </div>
+
+            <nav className="breadcrumbs">
+              <button onClick={() => setFolderId(null)}>My Files</button>
+              {listing?.breadcrumbs.map((crumb) => (
+                <React.Fragment key={crumb.id}>
+                  <span>/</span>
+                  <button onClick={() => setFolderId(crumb.id)}>{crumb.name}</button>
+                </React.Fragment>
+              ))}
+            </nav>
+
+            {isLoading && !listing ? (
+              <div className="empty-state">
+                <p>Loading...</p>
+              </div>
+            ) : isEmpty ? (
+              <div className="empty-state">
+                <p>{folderId ? 'This folder is empty.' : 'No files uploaded yet. Start by uploading your first file!'}</p>
+              </div>
+            ) : (
+              <ul className="file-list">
+                {listing?.folders.map((folder) => (
+                  <li key={folder.id} className="file-row">
+                    <button className="file-name" onClick={() => setFolderId(folder.id)}>
+                      📁 {folder.name}
+                    </button>
+                    <button className="row-action" onClick={() => deleteFolder(folder.id, folder.name)}>Delete</button>
+                  </li>
+                ))}
+                {listing?.files.map((file) => (
+                  <li key={file.id} className="file-row">
+                    <a className="file-name" href={uploadAPI.getStreamUrl(file.id)} target="_blank" rel="noreferrer">
+                      {file.thumbnails.length > 0 ? (
+                        <FileThumbnail fileId={file.id} name={file.name} />
+                      ) : (
+                        <span className="file-thumbnail file-thumbnail-fallback" aria-hidden="true">📄</span>
+                      )}
+                      {file.name}
+                    </a>
+                    <span className="file-size">{file.humanSize}</span>
+                    <button className="row-action" onClick={() => deleteFile(file.id)}>Delete</button>
+                  </li>
+                ))}
+              </ul>
+            )}
           </div>
           
           <div className="section">
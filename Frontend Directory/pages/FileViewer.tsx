@@ -1,5 +1,7 @@
 import React, { useState, useRef, useEffect } from 'react';
 import { toast } from 'react-toastify';
+import { fileLoaderAPI, uploadAPI } from '../services/api';
+import { useThumbnailUrl } from '../components/FileThumbnail';
 import './FileViewer.css';
 
 // Import WebViewer for PDF editing
@@ -30,6 +32,16 @@ interface User {
   role: string;
 }
 
+// Where a file loaded through the file loader lives, and the version that was loaded
+interface ServerFile {
+  root: string;
+  path: string;
+  etag: string;
+}
+
+// Files above this size are sent in resumable chunks instead of one request
+const RESUMABLE_UPLOAD_THRESHOLD = 20 * 1024 * 1024;
+
 interface FileViewerProps {
   user: User | null;
 }
@@ -44,6 +56,11 @@ const FileViewer: React.FC<FileViewerProps> = ({ user }) => {
   const [isEditing, setIsEditing] = useState(false);
   const [editedContent, setEditedContent] = useState<string>('');
   const [isLoading, setIsLoading] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [serverFile, setServerFile] = useState<ServerFile | null>(null);
+  // Set once an upload is saved to the user's files; its poster frame is made in the background
+  const [uploadedFileId, setUploadedFileId] = useState<string | null>(null);
+  const posterUrl = useThumbnailUrl(fileType === 'video' ? uploadedFileId : null, 'large', 5);
   const fileInputRef = useRef<HTMLInputElement>(null);
   const webViewerRef = useRef<HTMLDivElement>(null);
   const [webViewerInstance, setWebViewerInstance] = useState<any>(null);
@@ -52,6 +69,8 @@ const FileViewer: React.FC<FileViewerProps> = ({ user }) => {
     const file = e.target.files?.[0];
     if (file) {
       setSelectedFile(file);
+      setServerFile(null);
+      setUploadedFileId(null);
       readFileContent(file);
     }
   };
@@ -135,25 +154,54 @@ const FileViewer: React.FC<FileViewerProps> = ({ user }) => {
     }
   };
 
-  const saveEditedContent = () => {
-    if (fileType === 'text' && selectedFile) {
+  const downloadEditedContent = (fileName: string) => {
+    const blob = new Blob([editedContent], { type: 'text/plain' });
+    const url = URL.createObjectURL(blob);
+
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  };
+
+  const saveEditedContent = async () => {
+    if (fileType !== 'text' || !selectedFile) {
+      return;
+    }
+
+    // Local files can only be downloaded; files from a server root are saved in place
+    if (!serverFile) {
       setFileContent(editedContent);
       setIsEditing(false);
-      
-      // Create a new file with edited content
-      const blob = new Blob([editedContent], { type: 'text/plain' });
-      const url = URL.createObjectURL(blob);
-      
-      // Create download link
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = selectedFile.name;
-      document.body.appendChild(a);
-      a.click();
-      document.body.removeChild(a);
-      URL.revokeObjectURL(url);
-      
+      downloadEditedContent(selectedFile.name);
       toast.success('File saved successfully!');
+      return;
+    }
+
+    try {
+      setIsSaving(true);
+      const saved = await fileLoaderAPI.saveFile(serverFile.root, serverFile.path, editedContent, {
+        etag: serverFile.etag,
+      });
+      setServerFile({ ...serverFile, etag: saved.etag });
+      setFileContent(editedContent);
+      setIsEditing(false);
+      toast.success('File saved successfully!');
+    } catch (error: any) {
+      const code = error.response?.data?.code;
+      if (code === 'PRECONDITION_FAILED') {
+        // Someone else saved first; keep the edits so they can be copied before reloading
+        toast.error('The file was changed on the server since you opened it. Reload it before saving.');
+      } else if (code === 'ROOT_READ_ONLY') {
+        toast.error('This location is read-only. Download the file instead.');
+      } else {
+        toast.error(error.response?.data?.error || 'Failed to save file');
+      }
+    } finally {
+      setIsSaving(false);
     }
   };
 
@@ -169,8 +217,16 @@ const FileViewer: React.FC<FileViewerProps> = ({ user }) => {
       const blob = await response.blob();
       const fileName = filePath.split('\\').pop() || filePath.split('/').pop() || 'unknown';
       const file = new File([blob], fileName, { type: blob.type });
+
+      const root = response.headers.get('X-File-Root');
+      const relativePath = response.headers.get('X-File-Path');
+      const etag = response.headers.get('ETag');
+      setServerFile(root && relativePath !== null && etag
+        ? { root: decodeURIComponent(root), path: decodeURIComponent(relativePath), etag }
+        : null);
       
       setSelectedFile(file);
+      setUploadedFileId(null);
       await readFileContent(file);
       
     } catch (error) {
@@ -214,6 +270,8 @@ const FileViewer: React.FC<FileViewerProps> = ({ user }) => {
     const file = e.dataTransfer.files[0];
     if (file) {
       setSelectedFile(file);
+      setServerFile(null);
+      setUploadedFileId(null);
     }
   };
 
@@ -231,6 +289,14 @@ const FileViewer: React.FC<FileViewerProps> = ({ user }) => {
       setUploading(true);
       setUploadProgress(0);
 
+      if (selectedFile.size > RESUMABLE_UPLOAD_THRESHOLD) {
+        const result = await uploadAPI.resumable(selectedFile, { onProgress: setUploadProgress });
+        setFileUrl(result.file.url);
+        if (user) setUploadedFileId(result.file.id);
+        toast.success('File uploaded successfully!');
+        return;
+      }
+
       const formData = new FormData();
       formData.append('file', selectedFile);
       if (user) {
@@ -260,6 +326,7 @@ const FileViewer: React.FC<FileViewerProps> = ({ user }) => {
       if (response.ok) {
         const result = await response.json();
         setFileUrl(result.fileUrl || URL.createObjectURL(selectedFile));
+        if (result.saved) setUploadedFileId(result.fileId);
         toast.success('File uploaded successfully!');
       } else {
         throw new Error('Upload failed');
@@ -284,6 +351,8 @@ const FileViewer: React.FC<FileViewerProps> = ({ user }) => {
   const loadSamplePDF = () => {
     setFileUrl('http://localhost:7834/api/v1/sample/pdf');
     setSelectedFile(null);
+    setServerFile(null);
+    setUploadedFileId(null);
     toast.info('Loading sample PDF document...');
   };
 
@@ -378,6 +447,8 @@ const FileViewer: React.FC<FileViewerProps> = ({ user }) => {
               onClick={() => {
                 setFileUrl(null);
                 setSelectedFile(null);
+                setServerFile(null);
+                setUploadedFileId(null);
                 setFileContent('');
                 setFileType('unknown');
                 setIsEditing(false);
@@ -397,8 +468,9 @@ const FileViewer: React.FC<FileViewerProps> = ({ user }) => {
               <button 
                 className="toolbar-btn primary"
                 onClick={saveEditedContent}
+                disabled={isSaving}
               >
-                💾 Save
+                {isSaving ? '⏳ Saving...' : '💾 Save'}
               </button>
             )}
             <button className="toolbar-btn">🔗 Share</button>
@@ -491,6 +563,7 @@ const FileViewer: React.FC<FileViewerProps> = ({ user }) => {
               <div className="video-viewer">
                 <video 
                   src={fileUrl} 
+                  poster={posterUrl || undefined}
                   controls
                   style={{
                     width: '100%',